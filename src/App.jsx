@@ -2,16 +2,17 @@
  * Main Application Component
  *
  * This is the "brain" of the tree visualizer. It handles:
- * - Managing tree instances (BST, AVL, Red-Black)
+ * - Managing tree instances (BST, AVL, Red-Black, Splay, Treap, B-Tree, Binary Heap, Trie,
+ *   general n-ary tree, expression tree)
  * - Animation queue and playback system
  * - State management for the entire app
  * - Undo/redo functionality
- * - Export features (PNG/GIF)
+ * - Export features (PNG/GIF) and saving/opening trees as JSON
  *
  * The animation system works by:
  * 1. Tree operations generate "animation steps"
- * 2. Steps are queued and processed one by one
- * 3. Each step updates React state to trigger visual changes
+ * 2. Every step is turned into a "frame" (snapshot of what the canvas shows)
+ * 3. Playback walks through the frames one by one - or backward when stepping back
  * 4. CSS handles the smooth transitions
  */
 import React, {
@@ -21,21 +22,142 @@ import { flushSync } from 'react-dom';
 import BST from './logic/tree';
 import AVLTree from './logic/avl';
 import RedBlackTree from './logic/redBlackTree';
+import SplayTree from './logic/splayTree';
+import Treap from './logic/treap';
+import BTree, { DEFAULT_MIN_DEGREE } from './logic/bTree';
+import BinaryHeap, { DEFAULT_HEAP_KIND } from './logic/binaryHeap';
+import Trie, { normalizeWord } from './logic/trie';
+import NaryTree from './logic/naryTree';
+import ExpressionTree from './logic/expressionTree';
+import HuffmanTree from './logic/huffmanTree';
+import SegmentTree, { DEFAULT_COMBINE } from './logic/segmentTree';
+import FenwickTree from './logic/fenwickTree';
+import IntervalTree, { parseInterval, formatInterval } from './logic/intervalTree';
+import { parseVariables } from './logic/expressionParser';
 import { logInput, logBackend } from './logic/logger';
+import { buildAnimationFrames, createAnimationFrame } from './logic/animations';
+import { ordinal, ORDERED_QUERY_TYPES } from './logic/orderStatistics';
 import {
   createGIFFromLiveAnimation,
   exportTreeAsPNG,
   exportTreeAsSVG,
   exportTreeAsJPEG,
+  exportTreeAsJSON,
 } from './logic/gifExport';
+import { readTreeFileType } from './logic/treeSerialization';
+import { decodeTreeHash, encodeTreeHash, writeTreeHash } from './logic/shareLink';
+import {
+  parseValueList, parseWordList, parseIntervalList, generateRandomValues, insertValues,
+  MAX_ANIMATED_VALUES,
+} from './logic/bulkInsert';
 import ControlPanel from './components/ControlPanel/ControlPanel';
 import VisualizationCanvas from './components/VisualizationCanvas/VisualizationCanvas';
 import './index.css';
 
+// Tree class for each type in the JSON tree file format
+const TREE_CLASSES = {
+  BST,
+  AVL: AVLTree,
+  RBTree: RedBlackTree,
+  SplayTree,
+  Treap,
+  BTree,
+  BinaryHeap,
+  Trie,
+  NaryTree,
+  ExpressionTree,
+  HuffmanTree,
+  SegmentTree,
+  FenwickTree,
+  IntervalTree,
+};
+
+// Tree types declare string keys (words) or [start, end] interval keys with a
+// static keyType; the rest use numbers
+const getKeyType = (type) => TREE_CLASSES[type].keyType || 'number';
+
+// Text typed into ControlPanel as a key of the given tree type, or null if it is not one
+const parseKeyInput = (type, text) => {
+  if (getKeyType(type) === 'string') return normalizeWord(text);
+  if (getKeyType(type) === 'interval') return parseInterval(text);
+  const number = parseInt(text, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Feed titles of the one-sided nearest-key queries
+const NEAREST_KEY_TITLES = {
+  floor: 'Floor',
+  ceiling: 'Ceiling',
+  predecessor: 'Predecessor',
+  successor: 'Successor',
+};
+
+// Feed titles when the traversals of an expression tree spell out its notations
+const NOTATION_TITLES = {
+  preorder: 'Prefix (preorder):',
+  inorder: 'Infix (inorder):',
+  postorder: 'Postfix (postorder):',
+};
+
+const INVALID_KEY_MESSAGES = {
+  number: 'Please enter a valid number',
+  string: 'Please enter a word (letters a-z only)',
+  interval: 'Please enter an interval such as [5, 20] (start ≤ end)',
+};
+
+// Keys as the status bar shows them (intervals in brackets)
+const formatKey = (key) => (Array.isArray(key) ? formatInterval(key) : key);
+
+const BULK_PARSERS = {
+  number: parseValueList,
+  string: parseWordList,
+  interval: parseIntervalList,
+};
+
+// Empty tree of the given type; a B-Tree keeps the minimum degree of
+// `current`, a Treap its priority seed, a heap its min/max kind, a
+// general tree the way it is drawn and a segment tree its combine function
+const createEmptyTree = (type, current) => {
+  if (type === 'BTree' && current instanceof BTree) return new BTree(current.minDegree);
+  if (type === 'Treap' && current instanceof Treap) return new Treap(current.seed);
+  if (type === 'BinaryHeap' && current instanceof BinaryHeap) return new BinaryHeap(current.kind);
+  if (type === 'NaryTree' && current instanceof NaryTree) return new NaryTree(current.view);
+  if (type === 'SegmentTree' && current instanceof SegmentTree) {
+    return new SegmentTree(current.combine);
+  }
+  return new TREE_CLASSES[type]();
+};
+
+// Tree described by a shared link (URL hash), or null if the hash has none
+const treeFromHash = (hash) => {
+  const shared = decodeTreeHash(hash);
+  if (!shared) return null;
+  const type = readTreeFileType(shared.file);
+  return { type, tree: TREE_CLASSES[type].fromJSON(shared.file) };
+};
+
+const loadInitialTree = () => {
+  try {
+    const shared = treeFromHash(window.location.hash);
+    if (shared) return { ...shared, message: `Loaded ${shared.type} tree from link` };
+  } catch (error) {
+    return { type: 'BST', tree: new BST(), message: `Could not load tree from link: ${error.message}` };
+  }
+  return { type: 'BST', tree: new BST(), message: 'Ready to start' };
+};
+
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
 function App() {
   // Tree state
-  const [treeType, setTreeType] = useState('BST'); // Current tree type (BST/AVL/RB)
-  const [treeInstance, setTreeInstance] = useState(new BST()); // Actual tree object
+  const [initialState] = useState(loadInitialTree); // From a shared link, if any
+  const [treeType, setTreeType] = useState(initialState.type); // Current tree type (BST/AVL/RB)
+  const [treeInstance, setTreeInstance] = useState(initialState.tree); // Actual tree object
   // Visualization data
   const [treeData, setTreeData] = useState({ nodes: [], edges: [] });
 
@@ -43,14 +165,16 @@ function App() {
   const [animationQueue, setAnimationQueue] = useState([]); // Animation steps
   const [isAnimating, setIsAnimating] = useState(false); // Currently animating?
   const [animationSpeed, setAnimationSpeed] = useState(1000); // Speed in ms
-  const [currentAnimationStep, setCurrentAnimationStep] = useState(null);
+  const [animationFrames, setAnimationFrames] = useState([]); // frames[k] = view after k steps
+  const [playbackIndex, setPlaybackIndex] = useState(0); // Steps applied so far
+  const [isPaused, setIsPaused] = useState(false);
   const [isTraversing, setIsTraversing] = useState(false); // Doing a traversal?
 
   // Status and UI state
-  const [statusMessage, setStatusMessage] = useState('Ready to start');
+  const [statusMessage, setStatusMessage] = useState(initialState.message);
   const [statusFeed, setStatusFeed] = useState([]); // History of messages
   const [statusTitle, setStatusTitle] = useState('');
-  const [currentValue, setCurrentValue] = useState(null); // Value being operated on
+  const [traversalQueue, setTraversalQueue] = useState(null); // Live BFS queue (level-order only)
 
   // Undo/Redo functionality
   const [undoStack, setUndoStack] = useState([]);
@@ -67,7 +191,6 @@ function App() {
   // Refs for animation control and capturing
   const captureRef = useRef(null); // Reference to canvas div for export
   const animationTimeoutRef = useRef(null); // Timeout ID for cancelling
-  const currentAnimationIndex = useRef(0); // Track position in queue
   const gifRecorderRef = useRef(null); // GIF recorder instance
 
   useEffect(() => {
@@ -75,133 +198,181 @@ function App() {
     setTreeData(newTreeData);
   }, [treeInstance]);
 
-  const findNodeById = useCallback(
-    (nodeId) => {
-      const findInTree = (node) => {
-        if (!node) return null;
-        if (node.id === nodeId) return node;
-        return findInTree(node.left) || findInTree(node.right);
-      };
-      return findInTree(treeInstance.root);
-    },
-    [treeInstance],
-  );
+  // Keep the shareable link in the address bar in sync with the tree.
+  // treeData changes after every insert/delete/undo/redo, even when the
+  // tree instance itself is mutated in place
+  useEffect(() => {
+    writeTreeHash(treeType, treeInstance);
+  }, [treeType, treeInstance, treeData]);
+
+  // Pasting a link into the current tab only changes the hash
+  useEffect(() => {
+    const handleHashChange = () => {
+      if (isAnimating) return;
+      try {
+        const shared = treeFromHash(window.location.hash);
+        if (!shared) return;
+        setUndoStack([]);
+        setRedoStack([]);
+        setTreeType(shared.type);
+        setTreeInstance(shared.tree);
+        setTreeData(shared.tree.getTreeData());
+        setStatusMessage(`Loaded ${shared.type} tree from link`);
+      } catch (error) {
+        setStatusMessage(`Could not load tree from link: ${error.message}`);
+      }
+    };
+
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, [isAnimating]);
 
   /**
-   * Core animation engine - processes animation queue step by step
+   * Starts playback of a freshly generated animation
    *
-   * This is where the magic happens! The function:
-   * 1. Takes one animation step from the queue
-   * 2. Applies it to the tree/UI
-   * 3. Waits for the specified duration
-   * 4. Recursively calls itself for next step
-   *
-   * Also handles GIF recording by capturing frames during animation
+   * All frames are computed up front from the view the animation starts from,
+   * so the playback controls can move freely in both directions.
    */
-  const executeAnimation = useCallback(async () => {
-    // Base case: Animation complete
-    if (
-      animationQueue.length === 0
-      || currentAnimationIndex.current >= animationQueue.length
-    ) {
-      setIsAnimating(false);
-      const wasTraversing = isTraversing;
-      const wasRecording = isRecordingGif;
-      setIsTraversing(false);
-      setStatusMessage('Animation complete');
-      currentAnimationIndex.current = 0;
-      setCurrentAnimationStep(null);
-      setCurrentValue(null);
-
-      // Mark traversal as completed for GIF export
-      if (wasTraversing) {
-        setTraversalCompleted(true);
-      }
-
-      // Finalize GIF if we were recording
-      // This combines all captured frames into a final GIF file
-      if (wasRecording && gifRecorderRef.current) {
-        setStatusMessage('Rendering GIF...');
-        try {
-          await gifRecorderRef.current.finalize();
-          setStatusMessage('GIF exported successfully!');
-          logInput('GIF export successful');
-        } catch (error) {
-          setStatusMessage(`Error finalizing GIF: ${error.message}`);
-          logBackend('GIF finalization failed', { error: error.message });
-        }
-        gifRecorderRef.current = null;
-        setIsRecordingGif(false);
-      }
-      return;
-    }
+  const startAnimation = useCallback((animations, initialFrame) => {
+    setAnimationQueue(animations);
+    setAnimationFrames(buildAnimationFrames(initialFrame, animations));
+    setPlaybackIndex(0);
+    setIsPaused(false);
+    setIsAnimating(true);
+  }, []);
 
-    const currentStep = animationQueue[currentAnimationIndex.current];
-
-    switch (currentStep.type) {
-      case 'update-status':
-        setStatusMessage(currentStep.message);
-        break;
-      case 'highlight-node':
-        setCurrentAnimationStep(currentStep);
-        break;
-      case 'recolor-node': {
-        const nodeToRecolor = findNodeById(currentStep.nodeId);
-        if (nodeToRecolor) {
-          nodeToRecolor.color = currentStep.color;
-          setTreeData(treeInstance.getTreeData());
-        }
-        setCurrentAnimationStep(currentStep);
-        break;
-      }
-      case 'show-value':
-        setCurrentValue(currentStep.value);
-        setStatusFeed((prev) => [...prev, String(currentStep.value)]);
-        setCurrentAnimationStep(currentStep);
-        break;
-      case 'reposition': {
-        currentStep.nodeUpdates.forEach((update) => {
-          const node = findNodeById(update.nodeId);
-          if (node) {
-            node.x = update.newX;
-            node.y = update.newY;
-          }
-        });
-        setTreeData(treeInstance.getTreeData());
-        setCurrentAnimationStep(currentStep);
-        break;
-      }
-      default:
-        logBackend('Unknown animation type', { type: currentStep.type });
+  // Called once the last frame has been shown - commits the final view
+  const finishAnimation = useCallback(async () => {
+    const finalFrame = animationFrames[animationFrames.length - 1];
+    const wasTraversing = isTraversing;
+    const wasRecording = isRecordingGif;
+
+    setIsAnimating(false);
+    setIsPaused(false);
+    setIsTraversing(false);
+    setPlaybackIndex(0);
+    setStatusMessage('Animation complete');
+    if (finalFrame) {
+      setStatusFeed(finalFrame.statusFeed);
+      setTraversalQueue(finalFrame.traversalQueue);
     }
+    // The tree instance is the source of truth once playback is over
+    setTreeData(treeInstance.getTreeData());
 
-    currentAnimationIndex.current += 1;
+    // Mark traversal as completed for GIF export
+    if (wasTraversing) {
+      setTraversalCompleted(true);
+    }
 
-    // Capture frame if recording GIF
-    if (isRecordingGif && gifRecorderRef.current) {
-      // Wait a bit for DOM to update, then capture frame
-      await new Promise((resolve) => { setTimeout(resolve, 100); });
+    // Finalize GIF if we were recording
+    // This combines all captured frames into a final GIF file
+    if (wasRecording && gifRecorderRef.current) {
+      setStatusMessage('Rendering GIF...');
       try {
-        await gifRecorderRef.current.captureFrame(currentStep.duration || animationSpeed);
-        setStatusMessage(`Capturing frame ${currentAnimationIndex.current}/${animationQueue.length}...`);
+        await gifRecorderRef.current.finalize();
+        setStatusMessage('GIF exported successfully!');
+        logInput('GIF export successful');
       } catch (error) {
-        logBackend('Frame capture failed', { error: error.message });
+        setStatusMessage(`Error finalizing GIF: ${error.message}`);
+        logBackend('GIF finalization failed', { error: error.message });
       }
+      gifRecorderRef.current = null;
+      setIsRecordingGif(false);
     }
+  }, [animationFrames, isTraversing, isRecordingGif, treeInstance]);
 
+  /**
+   * Core animation engine - advances playback one frame at a time
+   *
+   * Runs every time the playback index changes:
+   * 1. The frame for the current index is already on screen
+   * 2. If recording a GIF, capture it
+   * 3. Wait for the step duration
+   * 4. Move to the next frame (or finish when we run out)
+   *
+   * Pausing simply stops this effect from scheduling the next frame.
+   */
+  useEffect(() => {
+    if (!isAnimating || isPaused) return undefined;
+
+    let cancelled = false;
     const stepDuration = isRecordingGif ? 150 : animationSpeed; // Faster when recording
-    animationTimeoutRef.current = setTimeout(() => {
-      executeAnimation();
-    }, stepDuration);
-  }, [animationQueue, animationSpeed, treeInstance, findNodeById, isTraversing, isRecordingGif]);
 
-  useEffect(() => {
-    if (!isAnimating) return;
-    if (animationQueue.length === 0) return;
-    if (animationTimeoutRef.current) clearTimeout(animationTimeoutRef.current);
-    currentAnimationIndex.current = 0;
-    executeAnimation();
-  }, [animationQueue, isAnimating, executeAnimation]);
+    const scheduleNextFrame = async () => {
+      // Capture frame if recording GIF
+      if (isRecordingGif && gifRecorderRef.current && playbackIndex > 0) {
+        // Wait a bit for DOM to update, then capture frame
+        await new Promise((resolve) => { setTimeout(resolve, 100); });
+        try {
+          const step = animationQueue[playbackIndex - 1];
+          await gifRecorderRef.current.captureFrame(step.duration || animationSpeed);
+        } catch (error) {
+          logBackend('Frame capture failed', { error: error.message });
+        }
+      }
+      if (cancelled) return;
+
+      // The very first step is shown immediately
+      animationTimeoutRef.current = setTimeout(() => {
+        if (playbackIndex >= animationQueue.length) {
+          finishAnimation();
+        } else {
+          setPlaybackIndex(playbackIndex + 1);
+        }
+      }, playbackIndex === 0 ? 0 : stepDuration);
+    };
+
+    scheduleNextFrame();
+
+    return () => {
+      cancelled = true;
+      if (animationTimeoutRef.current) clearTimeout(animationTimeoutRef.current);
+    };
+  }, [
+    isAnimating,
+    isPaused,
+    playbackIndex,
+    animationQueue,
+    animationSpeed,
+    isRecordingGif,
+    finishAnimation,
+  ]);
+
+  const handlePause = useCallback(() => {
+    if (!isAnimating || isPaused || isRecordingGif) return;
+    logInput('Pause animation');
+    setIsPaused(true);
+  }, [isAnimating, isPaused, isRecordingGif]);
+
+  const handleResume = useCallback(() => {
+    if (!isAnimating || !isPaused) return;
+    logInput('Resume animation');
+    setIsPaused(false);
+  }, [isAnimating, isPaused]);
+
+  const handleStepForward = useCallback(() => {
+    if (!isAnimating || !isPaused) return;
+    logInput(`Step forward (${playbackIndex + 1}/${animationQueue.length})`);
+    if (playbackIndex >= animationQueue.length) {
+      finishAnimation();
+      return;
+    }
+    setPlaybackIndex(playbackIndex + 1);
+  }, [isAnimating, isPaused, playbackIndex, animationQueue, finishAnimation]);
+
+  const handleStepBackward = useCallback(() => {
+    if (!isAnimating || !isPaused || playbackIndex === 0) return;
+    logInput(`Step backward (${playbackIndex - 1}/${animationQueue.length})`);
+    setPlaybackIndex(playbackIndex - 1);
+  }, [isAnimating, isPaused, playbackIndex, animationQueue]);
+
+  // Scrubbing the timeline pauses playback and jumps straight to the chosen frame
+  const handleSeek = useCallback((index) => {
+    if (!isAnimating || isRecordingGif) return;
+    const target = Math.max(0, Math.min(index, animationQueue.length));
+    setIsPaused(true);
+    setPlaybackIndex(target);
+  }, [isAnimating, isRecordingGif, animationQueue]);
 
   const handleTreeTypeChange = useCallback(
     (newType) => {
@@ -210,19 +381,7 @@ function App() {
       setUndoStack([]);
       setRedoStack([]);
 
-      let newTree;
-      switch (newType) {
-        case 'AVL':
-          newTree = new AVLTree();
-          break;
-        case 'RBTree':
-          newTree = new RedBlackTree();
-          break;
-        case 'BST':
-        default:
-          newTree = new BST();
-          break;
-      }
+      const newTree = createEmptyTree(newType);
 
       setTreeType(newType);
       setTreeInstance(newTree);
@@ -233,103 +392,834 @@ function App() {
     [isAnimating],
   );
 
+  // A new minimum degree keeps the keys but rebuilds the B-Tree around them
+  const handleBTreeDegreeChange = useCallback(
+    (minDegree) => {
+      if (isAnimating || !(treeInstance instanceof BTree)) return;
+
+      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      setRedoStack([]);
+
+      const newTree = new BTree(minDegree);
+      treeInstance.keys().forEach((key) => newTree.insert(key));
+
+      setTreeInstance(newTree);
+      setTreeData(newTree.getTreeData());
+      setStatusMessage(`Rebuilt B-Tree with minimum degree ${minDegree}`);
+      logInput(`B-Tree minimum degree ${minDegree}`);
+    },
+    [isAnimating, treeInstance],
+  );
+
+  // Restarts the treap's priority sequence (existing nodes keep theirs)
+  const handleTreapSeedChange = useCallback(
+    (seed) => {
+      if (isAnimating || !(treeInstance instanceof Treap)) return;
+
+      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      setRedoStack([]);
+
+      const newTree = treeInstance.safeClone();
+      newTree.reseed(seed);
+      setTreeInstance(newTree);
+      setStatusMessage(`Treap priorities are now drawn from seed ${seed}`);
+      logInput(`Treap seed ${seed}`);
+    },
+    [isAnimating, treeInstance],
+  );
+
+  // Switching between min- and max-heap keeps the values and re-heapifies them
+  const handleHeapKindChange = useCallback(
+    (kind) => {
+      if (isAnimating || !(treeInstance instanceof BinaryHeap)) return;
+
+      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      setRedoStack([]);
+
+      const newTree = new BinaryHeap(kind);
+      newTree.buildHeap(treeInstance.values());
+
+      setTreeInstance(newTree);
+      setTreeData(newTree.getTreeData());
+      setStatusMessage(`Rebuilt as a ${newTree.describe()}`);
+      logInput(`Heap kind ${kind}`);
+    },
+    [isAnimating, treeInstance],
+  );
+
+  // A new combine function keeps the array and rebuilds the segment tree over it
+  const handleSegmentCombineChange = useCallback(
+    (combine) => {
+      if (isAnimating || !(treeInstance instanceof SegmentTree)) return;
+
+      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      setRedoStack([]);
+
+      const newTree = new SegmentTree(combine);
+      const values = treeInstance.values();
+      if (values.length > 0) newTree.build(values);
+
+      setTreeInstance(newTree);
+      setTreeData(newTree.getTreeData());
+      setStatusMessage(`Rebuilt as a ${newTree.describe()}`);
+      logInput(`Segment tree combine ${combine}`);
+    },
+    [isAnimating, treeInstance],
+  );
+
+  // Redraws a general tree as itself or in left-child/right-sibling form;
+  // only the layout changes, so there is nothing to undo
+  const handleNaryViewChange = useCallback(
+    (view) => {
+      if (isAnimating || !(treeInstance instanceof NaryTree)) return;
+
+      setTreeBeforeAnimation(treeInstance.safeClone());
+      logInput(`N-ary tree view ${view}`);
+      const result = treeInstance.safeClone().setView(view);
+      setTreeInstance(result.tree);
+      setTreeData(result.tree.getTreeData());
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+        statusFeed,
+      }));
+    },
+    [isAnimating, treeInstance, treeData, statusMessage, statusFeed, startAnimation],
+  );
+
   const handleInsert = useCallback(
-    (value) => {
+    (value, extra) => {
       if (isAnimating) return;
 
-      const numValue = parseInt(value, 10);
-      if (Number.isNaN(numValue)) {
-        setStatusMessage('Please enter a valid number');
-        logInput('Insert rejected (invalid number)');
+      const key = parseKeyInput(treeType, value);
+      if (key === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES[getKeyType(treeType)]);
+        logInput('Insert rejected (invalid key)');
+        return;
+      }
+      // Treaps may be given a priority (undefined = draw one from the seed)
+      // and general trees a parent (undefined = under the root)
+      const numExtra = extra === undefined ? undefined : parseInt(extra, 10);
+      if (Number.isNaN(numExtra)) {
+        const field = treeType === 'NaryTree' ? 'parent value' : 'priority';
+        setStatusMessage(`Please enter a valid ${field}`);
+        logInput(`Insert rejected (invalid ${field})`);
         return;
       }
 
-      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      // Cloned up front: the tree is changed in place below, and React may
+      // run the state updater only after that
+      const snapshot = treeInstance.safeClone();
+      setUndoStack((prev) => [...prev, snapshot]);
       setRedoStack([]);
 
-      logInput(`Insert ${numValue}`);
-      const result = treeInstance.insert(numValue);
+      logInput(`Insert ${formatKey(key)}`);
+      const result = treeInstance.insert(key, numExtra);
       logBackend('Insert produced animation steps', {
         steps: result.animations.length,
       });
 
-      flushSync(() => {
-        // Save tree state before animation for rollback
-        setTreeBeforeAnimation(treeInstance.safeClone());
-
-        setTreeInstance(result.tree);
-
-        const freshTreeData = result.tree.getTreeData();
-        setTreeData(freshTreeData);
-
-        setAnimationQueue(result.animations);
-      });
-
-      setIsAnimating(true);
-      setCurrentAnimationStep(null);
-      setCurrentValue(null);
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+      setTreeInstance(result.tree);
+      setTreeData(result.tree.getTreeData());
+      setTraversalQueue(null);
+
+      // Layout steps inside the animation move the tree from how it looked
+      // before the insert to its final shape
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+        statusFeed,
+      }));
     },
-    [isAnimating, treeInstance],
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, statusFeed, startAnimation],
   );
 
   const handleDelete = useCallback(
     (value) => {
       if (isAnimating) return;
 
-      const numValue = parseInt(value, 10);
-      if (Number.isNaN(numValue)) {
-        setStatusMessage('Please enter a valid number');
-        logInput('Delete rejected (invalid number)');
+      const key = parseKeyInput(treeType, value);
+      if (key === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES[getKeyType(treeType)]);
+        logInput('Delete rejected (invalid key)');
         return;
       }
 
-      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      const snapshot = treeInstance.safeClone();
+      setUndoStack((prev) => [...prev, snapshot]);
       setRedoStack([]);
 
       // Save tree state before animation for rollback
       setTreeBeforeAnimation(treeInstance.safeClone());
 
-      logInput(`Delete ${numValue}`);
-      const result = treeInstance.delete(numValue);
+      logInput(`Delete ${formatKey(key)}`);
+      const result = treeInstance.delete(key);
       logBackend('Delete produced animation steps', {
         steps: result.animations.length,
       });
       setTreeData(result.tree.getTreeData());
-      setAnimationQueue(result.animations);
-
-      setIsAnimating(true);
-      setCurrentAnimationStep(null);
-      setCurrentValue(null);
+      setTraversalQueue(null);
+
+      // Play over the tree as it was so the removed node can fade out in place
+      // before the layout steps close the gap
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+        statusFeed,
+      }));
     },
-    [isAnimating, treeInstance],
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, statusFeed, startAnimation],
   );
 
   const handleSearch = useCallback(
     (value) => {
       if (isAnimating) return;
 
-      const numValue = parseInt(value, 10);
-      if (Number.isNaN(numValue)) {
-        setStatusMessage('Please enter a valid number');
-        logInput('Search rejected (invalid number)');
+      const key = parseKeyInput(treeType, value);
+      if (key === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES[getKeyType(treeType)]);
+        logInput('Search rejected (invalid key)');
         return;
       }
 
       // Save tree state before animation for rollback
       setTreeBeforeAnimation(treeInstance.safeClone());
 
-      logInput(`Search ${numValue}`);
-      const result = treeInstance.search(numValue);
+      logInput(`Search ${formatKey(key)}`);
+      const result = treeInstance.search(key);
       logBackend('Search produced animation steps', {
         steps: result.animations.length,
       });
-      setAnimationQueue(result.animations);
+      setTraversalQueue(null);
 
-      setIsAnimating(true);
-      setCurrentAnimationStep(null);
-      setCurrentValue(null);
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+        statusFeed,
+      }));
     },
-    [isAnimating, treeInstance],
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, statusFeed, startAnimation],
+  );
+
+  // Lists a trie's completions of a prefix in the status feed, like a traversal
+  const handlePrefixSearch = useCallback(
+    (text) => {
+      if (isAnimating || !(treeInstance instanceof Trie)) return;
+
+      const prefix = normalizeWord(text);
+      if (prefix === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.string);
+        logInput('Prefix search rejected (invalid prefix)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Prefix search ${prefix}`);
+      const result = treeInstance.prefixSearch(prefix);
+      logBackend('Prefix search produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`Words starting with "${prefix}":`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Replaces an expression, Huffman, segment or Fenwick tree with the one built from the typed text
+  const handleBuildFromText = useCallback(
+    (text) => {
+      const isHuffman = treeInstance instanceof HuffmanTree;
+      const isExpression = treeInstance instanceof ExpressionTree;
+      const isArray = treeInstance instanceof SegmentTree || treeInstance instanceof FenwickTree;
+      if (isAnimating || !(isExpression || isHuffman || isArray)) return;
+
+      // Built on a copy so node ids keep counting up from the old tree
+      const newTree = treeInstance.safeClone();
+      let result;
+      try {
+        result = newTree.build(text);
+      } catch (error) {
+        setStatusMessage(`Could not read the ${isExpression ? 'expression' : 'input'}: ${error.message}`);
+        logInput(`Build ${treeType} rejected (invalid input)`);
+        return;
+      }
+
+      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      setRedoStack([]);
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Build ${treeType} from ${text}`);
+      logBackend(`Build ${treeType} produced animation steps`, {
+        steps: result.animations.length,
+      });
+      setTreeInstance(result.tree);
+      setTreeData(result.tree.getTreeData());
+      setTraversalQueue(null);
+      // Huffman codes are collected in the feed as they are read off
+      if (isHuffman) {
+        setStatusFeed([]);
+        setStatusTitle('Huffman codes:');
+      }
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+        statusFeed: isHuffman ? [] : statusFeed,
+      }));
+    },
+    [isAnimating, treeInstance, treeType, treeData, statusMessage, statusFeed, startAnimation],
+  );
+
+  // Computes the expression bottom-up; the results stay on the nodes
+  const handleEvaluate = useCallback(
+    (text) => {
+      if (isAnimating || !(treeInstance instanceof ExpressionTree)) return;
+      if (!treeInstance.root) {
+        setStatusMessage('Build an expression first');
+        return;
+      }
+
+      let variables;
+      try {
+        variables = parseVariables(text);
+      } catch (error) {
+        setStatusMessage(error.message);
+        logInput('Evaluate rejected (invalid variables)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Evaluate ${text}`);
+      const result = treeInstance.evaluate(variables);
+      logBackend('Evaluate produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle('Value:');
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Sets one array entry and recomputes the segment tree nodes above it
+  const handleSegmentUpdate = useCallback(
+    (indexText, valueText) => {
+      if (isAnimating || !(treeInstance instanceof SegmentTree)) return;
+
+      const index = parseKeyInput(treeType, indexText);
+      const value = parseKeyInput(treeType, valueText);
+      if (index === null || value === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput('Segment update rejected (invalid number)');
+        return;
+      }
+
+      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      setRedoStack([]);
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Segment update a[${index}] = ${value}`);
+      const result = treeInstance.safeClone().update(index, value);
+      logBackend('Segment update produced animation steps', {
+        steps: result.animations.length,
+      });
+      setTreeInstance(result.tree);
+      setTreeData(result.tree.getTreeData());
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+        statusFeed,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, statusFeed, startAnimation],
+  );
+
+  // Combines a range of the array; the nodes that answer it are listed in the feed
+  const handleSegmentQuery = useCallback(
+    (fromText, toText) => {
+      if (isAnimating || !(treeInstance instanceof SegmentTree)) return;
+
+      const from = parseKeyInput(treeType, fromText);
+      const to = parseKeyInput(treeType, toText);
+      if (from === null || to === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput('Segment query rejected (invalid number)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Segment query [${from}, ${to}]`);
+      const result = treeInstance.query(from, to);
+      logBackend('Segment query produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`${treeInstance.combine} of [${from}, ${to}]:`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Adds to one array entry and to every Fenwick node whose range contains it
+  const handleFenwickAdd = useCallback(
+    (indexText, amountText) => {
+      if (isAnimating || !(treeInstance instanceof FenwickTree)) return;
+
+      const index = parseKeyInput(treeType, indexText);
+      const amount = parseKeyInput(treeType, amountText);
+      if (index === null || amount === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput('Fenwick add rejected (invalid number)');
+        return;
+      }
+
+      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      setRedoStack([]);
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Fenwick add a[${index}] += ${amount}`);
+      const result = treeInstance.safeClone().add(index, amount);
+      logBackend('Fenwick add produced animation steps', {
+        steps: result.animations.length,
+      });
+      setTreeInstance(result.tree);
+      setTreeData(result.tree.getTreeData());
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+        statusFeed,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, statusFeed, startAnimation],
+  );
+
+  // Sums a[1..i]; the nodes added on the way to the root are listed in the feed
+  const handleFenwickPrefixSum = useCallback(
+    (indexText) => {
+      if (isAnimating || !(treeInstance instanceof FenwickTree)) return;
+
+      const index = parseKeyInput(treeType, indexText);
+      if (index === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput('Fenwick prefix sum rejected (invalid number)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Fenwick prefix sum a[1..${index}]`);
+      const result = treeInstance.prefixSum(index);
+      logBackend('Fenwick prefix sum produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`Sum of a[1..${index}]:`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Lists the stored intervals overlapping the typed one in the feed, like a traversal
+  const handleFindOverlapping = useCallback(
+    (text) => {
+      if (isAnimating || !(treeInstance instanceof IntervalTree)) return;
+
+      const query = parseInterval(text);
+      if (query === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.interval);
+        logInput('Overlap query rejected (invalid interval)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Find intervals overlapping ${formatInterval(query)}`);
+      const result = treeInstance.findOverlapping(query[0], query[1]);
+      logBackend('Overlap query produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`Overlapping ${formatInterval(query)}:`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Finds the k-th smallest value by comparing k with the left subtree sizes
+  const handleKthSmallest = useCallback(
+    (kText) => {
+      if (isAnimating || !ORDERED_QUERY_TYPES.includes(treeType)) return;
+
+      const k = parseInt(kText, 10);
+      if (Number.isNaN(k)) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput('k-th smallest rejected (invalid number)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Find ${ordinal(k)} smallest`);
+      const result = treeInstance.kthSmallest(k);
+      logBackend('k-th smallest produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`${ordinal(k)} smallest:`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Counts the values smaller than x on one walk down, using the subtree sizes
+  const handleRank = useCallback(
+    (valueText) => {
+      if (isAnimating || !ORDERED_QUERY_TYPES.includes(treeType)) return;
+
+      const value = parseKeyInput(treeType, valueText);
+      if (value === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput('Rank rejected (invalid number)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Rank of ${value}`);
+      const result = treeInstance.rank(value);
+      logBackend('Rank produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`Rank of ${value}:`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Lists every value in [lo, hi] in the feed, like a traversal
+  const handleRangeQuery = useCallback(
+    (loText, hiText) => {
+      if (isAnimating || !ORDERED_QUERY_TYPES.includes(treeType)) return;
+
+      const lo = parseKeyInput(treeType, loText);
+      const hi = parseKeyInput(treeType, hiText);
+      if (lo === null || hi === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput('Range query rejected (invalid number)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`Range query [${lo}, ${hi}]`);
+      const result = treeInstance.rangeQuery(lo, hi);
+      logBackend('Range query produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`Keys in [${lo}, ${hi}]:`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Floor, ceiling, predecessor or successor of x (kind names the tree method)
+  const handleNearestKey = useCallback(
+    (kind, valueText) => {
+      if (isAnimating || !ORDERED_QUERY_TYPES.includes(treeType)) return;
+
+      const value = parseKeyInput(treeType, valueText);
+      if (value === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput(`${NEAREST_KEY_TITLES[kind]} rejected (invalid number)`);
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`${NEAREST_KEY_TITLES[kind]} of ${value}`);
+      const result = treeInstance[kind](value);
+      logBackend(`${NEAREST_KEY_TITLES[kind]} produced animation steps`, {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`${NEAREST_KEY_TITLES[kind]} of ${value}:`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  // Lowest common ancestor of two values; the path between them fills the feed
+  const handleLowestCommonAncestor = useCallback(
+    (firstText, secondText) => {
+      if (isAnimating || !ORDERED_QUERY_TYPES.includes(treeType)) return;
+
+      const first = parseKeyInput(treeType, firstText);
+      const second = parseKeyInput(treeType, secondText);
+      if (first === null || second === null) {
+        setStatusMessage(INVALID_KEY_MESSAGES.number);
+        logInput('LCA rejected (invalid number)');
+        return;
+      }
+
+      // Save tree state before animation for rollback
+      setTreeBeforeAnimation(treeInstance.safeClone());
+
+      logInput(`LCA of ${first} and ${second}`);
+      const result = treeInstance.lowestCommonAncestor(first, second);
+      logBackend('LCA produced animation steps', {
+        steps: result.animations.length,
+      });
+      setStatusFeed([]);
+      setStatusTitle(`Path from ${first} to ${second}:`);
+      setTraversalQueue(null);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+      }));
+    },
+    [isAnimating, treeType, treeInstance, treeData, statusMessage, startAnimation],
+  );
+
+  const handleExtract = useCallback(() => {
+    if (isAnimating || !(treeInstance instanceof BinaryHeap)) return;
+
+    const snapshot = treeInstance.safeClone();
+    setUndoStack((prev) => [...prev, snapshot]);
+    setRedoStack([]);
+
+    // Save tree state before animation for rollback
+    setTreeBeforeAnimation(treeInstance.safeClone());
+
+    logInput(`Extract ${treeInstance.kind}`);
+    const result = treeInstance.extract();
+    logBackend('Extract produced animation steps', {
+      steps: result.animations.length,
+    });
+    setTreeData(result.tree.getTreeData());
+    setTraversalQueue(null);
+
+    startAnimation(result.animations, createAnimationFrame({
+      treeData,
+      statusMessage,
+      statusFeed,
+    }));
+  }, [isAnimating, treeInstance, treeData, statusMessage, statusFeed, startAnimation]);
+
+  /**
+   * Inserts a whole batch of values as ONE undo entry
+   * Animated batches play every insert back to back, starting from `startData`
+   * (what the canvas shows before the batch); otherwise the result shows at once
+   */
+  const runBulkInsert = useCallback(
+    (targetTree, values, animate, label, startData) => {
+      const snapshot = treeInstance.safeClone();
+      setUndoStack((prev) => [...prev, snapshot]);
+      setRedoStack([]);
+
+      const { inserted, skipped, animations } = insertValues(targetTree, values);
+      const skippedNote = skipped.length > 0
+        ? `, skipped ${skipped.length} duplicate${skipped.length === 1 ? '' : 's'} (${skipped.map(formatKey).join(', ')})`
+        : '';
+      const summary = `${label}: inserted ${inserted.length} value${inserted.length === 1 ? '' : 's'}${skippedNote}`;
+      logBackend('Bulk insert', {
+        inserted: inserted.length,
+        skipped: skipped.length,
+        steps: animations.length,
+        animate,
+      });
+
+      setTreeInstance(targetTree);
+      setTreeData(targetTree.getTreeData());
+      setTraversalQueue(null);
+
+      if (animate && inserted.length > MAX_ANIMATED_VALUES) {
+        setStatusMessage(`${summary} - shown at once, as more than ${MAX_ANIMATED_VALUES} values are too many to animate`);
+        return;
+      }
+      if (!animate || animations.length === 0) {
+        setStatusMessage(summary);
+        return;
+      }
+
+      // The summary also goes into the feed so it is still there after playback
+      setTreeBeforeAnimation(targetTree.safeClone());
+      startAnimation(
+        [...animations, { type: 'update-status', message: summary, duration: 500 }],
+        createAnimationFrame({
+          treeData: startData,
+          statusMessage,
+          statusFeed: [...statusFeed, summary],
+        }),
+      );
+    },
+    [treeInstance, statusMessage, statusFeed, startAnimation],
+  );
+
+  const handleBulkInsert = useCallback(
+    (text, animate) => {
+      if (isAnimating) return;
+
+      let values;
+      try {
+        values = BULK_PARSERS[getKeyType(treeType)](text);
+      } catch (error) {
+        setStatusMessage(error.message);
+        logInput('Bulk insert rejected', { error: error.message });
+        return;
+      }
+
+      logInput(`Bulk insert ${values.length} values`);
+      runBulkInsert(treeInstance, values, animate, 'Bulk insert', treeData);
+    },
+    [isAnimating, treeType, treeInstance, treeData, runBulkInsert],
+  );
+
+  // Replaces the heap with the listed values in array order, then heapifies
+  // them bottom-up (Floyd) - one undo entry, like a bulk insert
+  const handleBuildHeap = useCallback(
+    (text, animate) => {
+      if (isAnimating || !(treeInstance instanceof BinaryHeap)) return;
+
+      let values;
+      try {
+        values = parseValueList(text);
+      } catch (error) {
+        setStatusMessage(error.message);
+        logInput('Build-heap rejected', { error: error.message });
+        return;
+      }
+
+      setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      setRedoStack([]);
+
+      logInput(`Build heap from ${values.length} values`);
+      const newTree = createEmptyTree('BinaryHeap', treeInstance);
+      const result = newTree.buildHeap(values);
+      logBackend('Build-heap produced animation steps', {
+        steps: result.animations.length,
+        animate,
+      });
+
+      setTreeInstance(newTree);
+      setTreeData(newTree.getTreeData());
+      setTraversalQueue(null);
+
+      if (!animate || values.length > MAX_ANIMATED_VALUES) {
+        const note = animate ? ` - shown at once, as more than ${MAX_ANIMATED_VALUES} values are too many to animate` : '';
+        setStatusMessage(`Built a ${newTree.describe()} from ${values.length} values${note}`);
+        return;
+      }
+
+      setTreeBeforeAnimation(newTree.safeClone());
+      startAnimation(result.animations, createAnimationFrame({
+        treeData: { nodes: [], edges: [] },
+        statusMessage,
+        statusFeed,
+      }));
+    },
+    [isAnimating, treeInstance, statusMessage, statusFeed, startAnimation],
+  );
+
+  // Builds a fresh tree of the current type from seeded random values
+  const handleGenerateRandom = useCallback(
+    (options, animate) => {
+      if (isAnimating) return;
+
+      const seed = options.seed === null || Number.isNaN(options.seed)
+        ? Math.floor(Math.random() * 100000)
+        : options.seed;
+      let values;
+      try {
+        values = generateRandomValues({ ...options, seed });
+      } catch (error) {
+        setStatusMessage(error.message);
+        logInput('Random tree rejected', { error: error.message });
+        return;
+      }
+
+      logInput(`Generate random ${options.shape} tree`, { seed, count: values.length });
+      runBulkInsert(
+        createEmptyTree(treeType, treeInstance),
+        values,
+        animate,
+        `Random ${options.shape} tree (seed ${seed})`,
+        { nodes: [], edges: [] },
+      );
+    },
+    [isAnimating, treeType, treeInstance, runBulkInsert],
   );
 
   const handleTraverse = useCallback(
@@ -339,10 +1229,10 @@ function App() {
       logInput(`Traverse ${traversalType}`);
       setIsTraversing(true);
       setTraversalCompleted(false); // Reset for new traversal
-      setCurrentValue(null);
       setStatusFeed([]);
       setStatusTitle(
-        `${traversalType.charAt(0).toUpperCase() + traversalType.slice(1)}:`,
+        (treeInstance instanceof ExpressionTree && NOTATION_TITLES[traversalType])
+          || `${traversalType.charAt(0).toUpperCase() + traversalType.slice(1)}:`,
       );
 
       let result;
@@ -356,6 +1246,30 @@ function App() {
         case 'postorder':
           result = treeInstance.postorderTraversal();
           break;
+        case 'level-order':
+          result = treeInstance.levelOrderTraversal();
+          break;
+        case 'heapsort':
+          // Heaps only; sorts a copy, so it plays back like a traversal
+          if (treeInstance instanceof BinaryHeap) {
+            result = treeInstance.heapSort();
+            break;
+          }
+        // falls through
+        case 'words':
+          // Tries only; lists the words in lexicographic order
+          if (treeInstance instanceof Trie) {
+            result = treeInstance.lexicographicTraversal();
+            break;
+          }
+        // falls through
+        case 'euler-tour':
+          // General trees only; every node again after each of its children
+          if (treeInstance instanceof NaryTree) {
+            result = treeInstance.eulerTourTraversal();
+            break;
+          }
+        // falls through
         default:
           setStatusMessage('Unknown traversal type');
           setIsTraversing(false);
@@ -368,16 +1282,21 @@ function App() {
 
       // Save animations for GIF export
       setLastTraversalAnimations(result.animations);
-      setAnimationQueue(result.animations);
       logBackend(`${traversalType} produced animation steps`, {
         steps: result.animations.length,
       });
 
-      setIsAnimating(true);
-      setCurrentAnimationStep(null);
-      setCurrentValue(null);
+      // Only the breadth-first traversal has a queue worth showing
+      const initialQueue = traversalType === 'level-order' ? [] : null;
+      setTraversalQueue(initialQueue);
+
+      startAnimation(result.animations, createAnimationFrame({
+        treeData,
+        statusMessage,
+        traversalQueue: initialQueue,
+      }));
     },
-    [isAnimating, treeInstance],
+    [isAnimating, treeInstance, treeData, statusMessage, startAnimation],
   );
 
   const handleUndo = useCallback(() => {
@@ -411,13 +1330,13 @@ function App() {
     setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
     setRedoStack([]);
 
-    const newTree = new BST();
+    const newTree = createEmptyTree(treeType, treeInstance);
 
     setTreeInstance(newTree);
     setTreeData(newTree.getTreeData());
     setStatusMessage('Tree cleared');
     logBackend('Tree cleared');
-  }, [isAnimating, treeInstance]);
+  }, [isAnimating, treeType, treeInstance]);
 
   const handleStopAndReset = useCallback(() => {
     if (!isAnimating) return;
@@ -432,13 +1351,14 @@ function App() {
 
     // Reset animation state
     setIsAnimating(false);
-    setCurrentAnimationStep(null);
-    setCurrentValue(null);
+    setIsPaused(false);
     setAnimationQueue([]);
-    currentAnimationIndex.current = 0;
+    setAnimationFrames([]);
+    setPlaybackIndex(0);
     setIsTraversing(false);
     setStatusFeed([]);
     setStatusTitle('');
+    setTraversalQueue(null);
 
     // Restore tree to state before animation
     if (treeBeforeAnimation) {
@@ -459,7 +1379,7 @@ function App() {
     logInput(`Speed -> ${speed}ms`);
   }, []);
 
-  const handleExportGif = useCallback(async () => {
+  const handleExportGif = useCallback(async (area) => {
     if (isAnimating) {
       setStatusMessage('Cannot export while animating');
       return;
@@ -475,19 +1395,22 @@ function App() {
 
     try {
       // Create GIF recorder
-      const gifRecorder = await createGIFFromLiveAnimation(captureRef);
+      const gifRecorder = await createGIFFromLiveAnimation(captureRef, null, { area });
       gifRecorderRef.current = gifRecorder;
 
       // Restore tree to pre-animation state
+      // Clone the tree before animation
+      const restoredTree = treeBeforeAnimation.safeClone();
+      const restoredTreeData = restoredTree.getTreeData();
+      const initialQueue = lastTraversalAnimations.some((step) => step.type === 'enqueue')
+        ? []
+        : null;
       flushSync(() => {
-        // Clone the tree before animation
-        const restoredTree = treeBeforeAnimation.safeClone();
         setTreeInstance(restoredTree);
-        setTreeData(restoredTree.getTreeData());
+        setTreeData(restoredTreeData);
         setStatusFeed([]);
         setStatusTitle('');
-        setCurrentValue(null);
-        setCurrentAnimationStep(null);
+        setTraversalQueue(initialQueue);
       });
 
       // Capture initial frame
@@ -496,12 +1419,14 @@ function App() {
 
       // Set up animation queue and start recording
       setIsRecordingGif(true);
-      setAnimationQueue(lastTraversalAnimations);
-      currentAnimationIndex.current = 0;
-      setIsAnimating(true);
       setIsTraversing(true);
+      startAnimation(lastTraversalAnimations, createAnimationFrame({
+        treeData: restoredTreeData,
+        statusMessage,
+        traversalQueue: initialQueue,
+      }));
 
-      // The executeAnimation callback will handle frame capture
+      // The animation engine will handle frame capture
       // and finalization when animation completes
     } catch (error) {
       setStatusMessage(`Error exporting GIF: ${error.message}`);
@@ -511,9 +1436,16 @@ function App() {
       // eslint-disable-next-line no-console
       console.error('GIF export error:', error);
     }
-  }, [isAnimating, traversalCompleted, lastTraversalAnimations, treeBeforeAnimation]);
-
-  const handleExportImage = useCallback(async (format) => {
+  }, [
+    isAnimating,
+    traversalCompleted,
+    lastTraversalAnimations,
+    treeBeforeAnimation,
+    statusMessage,
+    startAnimation,
+  ]);
+
+  const handleExportImage = useCallback(async (format, area) => {
     if (isAnimating) {
       setStatusMessage('Cannot export while animating');
       return;
@@ -525,14 +1457,14 @@ function App() {
     try {
       switch (format.toLowerCase()) {
         case 'png':
-          await exportTreeAsPNG(captureRef);
+          await exportTreeAsPNG(captureRef, 'tree.png', { area });
           break;
         case 'svg':
-          await exportTreeAsSVG(captureRef);
+          await exportTreeAsSVG(captureRef, 'tree.svg', { area });
           break;
         case 'jpeg':
         case 'jpg':
-          await exportTreeAsJPEG(captureRef);
+          await exportTreeAsJPEG(captureRef, 'tree.jpg', { area });
           break;
         default:
           throw new Error(`Unsupported format: ${format}`);
@@ -545,6 +1477,59 @@ function App() {
     }
   }, [isAnimating]);
 
+  const handleSaveTree = useCallback(() => {
+    if (isAnimating) {
+      setStatusMessage('Cannot save while animating');
+      return;
+    }
+
+    exportTreeAsJSON(treeInstance, `${treeType.toLowerCase()}-tree.json`);
+    setStatusMessage(`${treeType} tree saved as JSON`);
+    logInput('Saved tree as JSON');
+  }, [isAnimating, treeInstance, treeType]);
+
+  const handleOpenTree = useCallback(async (file) => {
+    if (isAnimating) return;
+    logInput(`Open tree file ${file.name}`);
+
+    try {
+      const text = await readFileAsText(file);
+      const type = readTreeFileType(text);
+      const loadedTree = TREE_CLASSES[type].fromJSON(text);
+
+      // Undo only makes sense while the tree type stays the same
+      if (type === treeType) {
+        setUndoStack((prev) => [...prev, treeInstance.safeClone()]);
+      } else {
+        setUndoStack([]);
+      }
+      setRedoStack([]);
+
+      setTreeType(type);
+      setTreeInstance(loadedTree);
+      setTreeData(loadedTree.getTreeData());
+      setStatusMessage(`Opened ${type} tree from ${file.name}`);
+      logBackend('Tree loaded from JSON', { type });
+    } catch (error) {
+      setStatusMessage(`Could not open ${file.name}: ${error.message}`);
+      logBackend('Tree file rejected', { error: error.message });
+    }
+  }, [isAnimating, treeType, treeInstance]);
+
+  const handleCopyLink = useCallback(async () => {
+    const { origin, pathname, search } = window.location;
+    const url = `${origin}${pathname}${search}${encodeTreeHash(treeType, treeInstance)}`;
+    logInput('Copy share link');
+
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatusMessage('Link copied to clipboard');
+    } catch (error) {
+      // No clipboard access (insecure context, permissions) - show it instead
+      setStatusMessage(`Copy this link: ${url}`);
+    }
+  }, [treeType, treeInstance]);
+
   useEffect(
     () => () => {
       if (animationTimeoutRef.current) {
@@ -554,6 +1539,15 @@ function App() {
     [],
   );
 
+  // While animating the canvas shows the current playback frame instead of live state
+  const activeFrame = isAnimating ? animationFrames[playbackIndex] : null;
+  const view = activeFrame || createAnimationFrame({
+    treeData,
+    statusMessage,
+    statusFeed,
+    traversalQueue,
+  });
+
   return (
     <div className="app">
       <header className="app-header">
@@ -573,19 +1567,60 @@ function App() {
         <ControlPanel
           isAnimating={isAnimating}
           treeType={treeType}
+          keyType={getKeyType(treeType)}
           onTreeTypeChange={handleTreeTypeChange}
+          bTreeDegree={treeInstance.minDegree || DEFAULT_MIN_DEGREE}
+          onBTreeDegreeChange={handleBTreeDegreeChange}
+          treapSeed={treeInstance instanceof Treap ? treeInstance.seed : 0}
+          onTreapSeedChange={handleTreapSeedChange}
+          heapKind={treeInstance instanceof BinaryHeap ? treeInstance.kind : DEFAULT_HEAP_KIND}
+          onHeapKindChange={handleHeapKindChange}
+          naryView={treeInstance instanceof NaryTree ? treeInstance.view : 'tree'}
+          onNaryViewChange={handleNaryViewChange}
+          segmentCombine={
+            treeInstance instanceof SegmentTree ? treeInstance.combine : DEFAULT_COMBINE
+          }
+          onSegmentCombineChange={handleSegmentCombineChange}
+          onSegmentUpdate={handleSegmentUpdate}
+          onSegmentQuery={handleSegmentQuery}
+          onFenwickAdd={handleFenwickAdd}
+          onFenwickPrefixSum={handleFenwickPrefixSum}
+          onFindOverlapping={handleFindOverlapping}
+          onKthSmallest={handleKthSmallest}
+          onRank={handleRank}
+          onRangeQuery={handleRangeQuery}
+          onNearestKey={handleNearestKey}
+          onLowestCommonAncestor={handleLowestCommonAncestor}
           onInsert={handleInsert}
           onDelete={handleDelete}
           onSearch={handleSearch}
+          onPrefixSearch={handlePrefixSearch}
+          onBuildFromText={handleBuildFromText}
+          onEvaluate={handleEvaluate}
+          onExtract={handleExtract}
+          onBulkInsert={handleBulkInsert}
+          onBuildHeap={handleBuildHeap}
+          onGenerateRandom={handleGenerateRandom}
           onTraverse={handleTraverse}
           onUndo={handleUndo}
           onRedo={handleRedo}
           onClear={handleClear}
           onStopAndReset={handleStopAndReset}
+          onPause={handlePause}
+          onResume={handleResume}
+          onStepForward={handleStepForward}
+          onStepBackward={handleStepBackward}
           onSpeedChange={handleSpeedChange}
           onExportGif={handleExportGif}
           onExportImage={handleExportImage}
+          onSaveTree={handleSaveTree}
+          onOpenTree={handleOpenTree}
+          onCopyLink={handleCopyLink}
           isTraversing={isTraversing}
+          isPaused={isPaused}
+          isRecordingGif={isRecordingGif}
+          playbackIndex={playbackIndex}
+          playbackLength={animationQueue.length}
           traversalCompleted={traversalCompleted}
           undoDisabled={undoStack.length === 0}
           redoDisabled={redoStack.length === 0}
@@ -593,16 +1628,21 @@ function App() {
         />
 
         <VisualizationCanvas
-          treeData={treeData}
+          treeData={view.treeData}
           captureRef={captureRef}
           animationQueue={animationQueue}
-          currentAnimationIndex={currentAnimationIndex.current}
-          currentAnimationStep={currentAnimationStep}
-          currentValue={currentValue}
-          statusMessage={statusMessage}
-          statusFeed={statusFeed}
+          currentAnimationIndex={playbackIndex}
+          currentAnimationStep={view.currentAnimationStep}
+          currentValue={view.currentValue}
+          traversalQueue={view.traversalQueue}
+          edgeHighlights={view.edgeHighlights}
+          nodeHighlights={view.nodeHighlights}
+          nodeEffects={view.nodeEffects}
+          statusMessage={view.statusMessage}
+          statusFeed={view.statusFeed}
           statusTitle={statusTitle}
           onClearStatus={() => setStatusFeed([])}
+          onSeek={isAnimating && !isRecordingGif ? handleSeek : null}
         />
       </main>
     </div>
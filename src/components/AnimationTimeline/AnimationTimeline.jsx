@@ -0,0 +1,95 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import styles from './AnimationTimeline.module.css';
+
+// Step types that get their own tick color (everything else uses the default tick)
+const STEP_TYPE_CLASSES = {
+  'update-status': styles.tickStatus,
+  'highlight-node': styles.tickHighlight,
+  'recolor-node': styles.tickRecolor,
+  'show-value': styles.tickValue,
+  reposition: styles.tickReposition,
+};
+
+const STEP_TYPE_LABELS = {
+  'update-status': 'Status',
+  'highlight-node': 'Highlight',
+  'recolor-node': 'Recolor',
+  'show-value': 'Value',
+  reposition: 'Reposition',
+};
+
+function AnimationTimeline({
+  steps,
+  currentIndex,
+  onSeek,
+  disabled = false,
+}) {
+  if (!steps.length) return null;
+
+  const toPercent = (index) => `${(index / steps.length) * 100}%`;
+  const currentStep = currentIndex > 0 ? steps[currentIndex - 1] : null;
+
+  const handleChange = (e) => {
+    onSeek(parseInt(e.target.value, 10));
+  };
+
+  return (
+    <div className={styles.timeline}>
+      <div className={styles.header}>
+        <span className={styles.stepLabel}>Timeline</span>
+        <span className={styles.stepType}>
+          {currentStep ? currentStep.message || currentStep.type : 'Start'}
+        </span>
+      </div>
+
+      <div className={styles.track}>
+        <div className={styles.progress} style={{ width: toPercent(currentIndex) }} />
+        {/* Step k is applied when the playhead reaches position k */}
+        {steps.map((step, index) => (
+          <span
+            key={`${step.type}-${String(index)}`}
+            className={`${styles.tick} ${STEP_TYPE_CLASSES[step.type] || styles.tickDefault}`}
+            style={{ left: toPercent(index + 1) }}
+            data-step-type={step.type}
+          />
+        ))}
+        <input
+          type="range"
+          className={styles.slider}
+          min="0"
+          max={steps.length}
+          step="1"
+          value={currentIndex}
+          onChange={handleChange}
+          disabled={disabled}
+          aria-label="Animation timeline"
+          aria-valuetext={`Step ${currentIndex} of ${steps.length}`}
+        />
+      </div>
+
+      <div className={styles.legend}>
+        {Object.keys(STEP_TYPE_LABELS).map((type) => (
+          <span key={type} className={styles.legendItem}>
+            <span className={`${styles.legendSwatch} ${STEP_TYPE_CLASSES[type]}`} />
+            {STEP_TYPE_LABELS[type]}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default AnimationTimeline;
+
+AnimationTimeline.propTypes = {
+  steps: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.string.isRequired,
+      message: PropTypes.string,
+    }),
+  ).isRequired,
+  currentIndex: PropTypes.number.isRequired,
+  onSeek: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
@@ -1,32 +1,137 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import PropTypes from 'prop-types';
+import { ORDERED_QUERY_TYPES } from '../../logic/orderStatistics';
 import styles from './ControlPanel.module.css';
 
+// Tree types built from one piece of text rather than key by key
+const TEXT_INPUTS = {
+  ExpressionTree: { label: 'Expression', placeholder: 'e.g. (3 + 4) * 5 - 2 / x' },
+  HuffmanTree: { label: 'Text or frequency table', placeholder: 'e.g. abracadabra or a:5, b:2' },
+  SegmentTree: { label: 'Array values', placeholder: 'e.g. 5, 3, 8, 6, 1, 4' },
+  FenwickTree: { label: 'Array values', placeholder: 'e.g. 5, 3, 8, 6, 1, 4' },
+};
+
+// Input wording for each kind of key: numbers, words (Trie) or [start, end] intervals
+const KEY_INPUTS = {
+  number: { noun: 'Value', bulkPlaceholder: 'Values, e.g. 5, 3 7 1..20', bulkLabel: 'Values to add' },
+  string: { noun: 'Word', bulkPlaceholder: 'Words, e.g. tea, ten, to', bulkLabel: 'Words to add' },
+  interval: {
+    noun: 'Interval',
+    bulkPlaceholder: 'Intervals, e.g. [5, 20] [10, 30]',
+    bulkLabel: 'Intervals to add',
+  },
+};
+
+// One button per nearest-key query, all reading the same x
+const NEAREST_KEY_BUTTONS = [
+  { kind: 'floor', label: 'Floor' },
+  { kind: 'ceiling', label: 'Ceiling' },
+  { kind: 'predecessor', label: 'Predecessor' },
+  { kind: 'successor', label: 'Successor' },
+];
+
+// Nodes with any number of children have no inorder
+const NO_INORDER_TYPES = ['NaryTree', 'FenwickTree'];
+
 function ControlPanel({
   isAnimating,
   treeType,
+  keyType,
   onTreeTypeChange,
+  bTreeDegree,
+  onBTreeDegreeChange,
+  treapSeed,
+  onTreapSeedChange,
+  heapKind,
+  onHeapKindChange,
+  naryView,
+  onNaryViewChange,
+  segmentCombine,
+  onSegmentCombineChange,
   onInsert,
   onDelete,
   onSearch,
+  onPrefixSearch,
+  onBuildFromText,
+  onEvaluate,
+  onSegmentUpdate,
+  onSegmentQuery,
+  onFenwickAdd,
+  onFenwickPrefixSum,
+  onFindOverlapping,
+  onKthSmallest,
+  onRank,
+  onRangeQuery,
+  onNearestKey,
+  onLowestCommonAncestor,
+  onExtract,
+  onBulkInsert,
+  onBuildHeap,
+  onGenerateRandom,
   onTraverse,
   onUndo,
   onRedo,
   onClear,
   onStopAndReset,
+  onPause,
+  onResume,
+  onStepForward,
+  onStepBackward,
   onSpeedChange,
   onExportGif,
   onExportImage,
+  onSaveTree,
+  onOpenTree,
+  onCopyLink,
   isTraversing,
+  isPaused,
+  isRecordingGif,
+  playbackIndex,
+  playbackLength,
   traversalCompleted,
   undoDisabled,
   redoDisabled,
   speed,
 }) {
   const [insertValue, setInsertValue] = useState('');
+  const [insertPriority, setInsertPriority] = useState('');
+  const [insertParent, setInsertParent] = useState('');
+  const [seedValue, setSeedValue] = useState('');
   const [deleteValue, setDeleteValue] = useState('');
   const [searchValue, setSearchValue] = useState('');
+  const [prefixValue, setPrefixValue] = useState('');
+  const [sourceTexts, setSourceTexts] = useState({});
+  const [variablesText, setVariablesText] = useState('');
+  const [segmentUpdate, setSegmentUpdate] = useState({ index: '', value: '' });
+  const [segmentRange, setSegmentRange] = useState({ from: '', to: '' });
+  const [fenwickAdd, setFenwickAdd] = useState({ index: '', amount: '' });
+  const [fenwickPrefix, setFenwickPrefix] = useState('');
+  const [overlapValue, setOverlapValue] = useState('');
+  const [kthValue, setKthValue] = useState('');
+  const [rankValue, setRankValue] = useState('');
+  const [keyRange, setKeyRange] = useState({ lo: '', hi: '' });
+  const [nearestValue, setNearestValue] = useState('');
+  const [lcaValues, setLcaValues] = useState({ first: '', second: '' });
+  const [bulkValues, setBulkValues] = useState('');
+  const [animateBulk, setAnimateBulk] = useState(true);
+  const [randomOptions, setRandomOptions] = useState({
+    count: '15',
+    min: '1',
+    max: '99',
+    seed: '',
+    shape: 'balanced',
+  });
   const [imageFormat, setImageFormat] = useState('png');
+  const [exportArea, setExportArea] = useState('full');
+  const fileInputRef = useRef(null);
+
+  // Tree types keyed by words (Trie) or intervals take text instead of numbers
+  const numberKeys = keyType === 'number';
+  const keyInput = KEY_INPUTS[keyType];
+  const keyNoun = keyInput.noun;
+  const keyInputType = numberKeys ? 'number' : 'text';
+  const textInput = TEXT_INPUTS[treeType] || null;
+  const sourceText = sourceTexts[treeType] || '';
 
   const handleTreeTypeChange = (e) => {
     const newType = e.target.value;
@@ -36,8 +141,27 @@ function ControlPanel({
   const handleInsert = (e) => {
     e.preventDefault();
     if (insertValue.trim()) {
-      onInsert(insertValue);
+      // Optional second field: a Treap priority (blank = drawn from the seed)
+      // or the parent in a general tree (blank = under the root)
+      if (treeType === 'Treap' && insertPriority.trim()) {
+        onInsert(insertValue, insertPriority);
+      } else if (treeType === 'NaryTree' && insertParent.trim()) {
+        onInsert(insertValue, insertParent);
+      } else {
+        onInsert(insertValue);
+      }
       setInsertValue('');
+      setInsertPriority('');
+      setInsertParent('');
+    }
+  };
+
+  const handleReseed = (e) => {
+    e.preventDefault();
+    const seed = parseInt(seedValue, 10);
+    if (!Number.isNaN(seed)) {
+      onTreapSeedChange(seed);
+      setSeedValue('');
     }
   };
 
@@ -57,10 +181,134 @@ function ControlPanel({
     }
   };
 
+  const handlePrefixSearch = (e) => {
+    e.preventDefault();
+    if (prefixValue.trim()) {
+      onPrefixSearch(prefixValue);
+      setPrefixValue('');
+    }
+  };
+
+  // The text and variables stay in their fields so they can be edited
+  const handleBuildFromText = (e) => {
+    e.preventDefault();
+    if (sourceText.trim()) onBuildFromText(sourceText);
+  };
+
+  const handleEvaluate = (e) => {
+    e.preventDefault();
+    onEvaluate(variablesText);
+  };
+
+  const handleSegmentUpdate = (e) => {
+    e.preventDefault();
+    if (segmentUpdate.index.trim() && segmentUpdate.value.trim()) {
+      onSegmentUpdate(segmentUpdate.index, segmentUpdate.value);
+      setSegmentUpdate({ index: '', value: '' });
+    }
+  };
+
+  // The range stays so neighbouring ranges are quick to try
+  const handleSegmentQuery = (e) => {
+    e.preventDefault();
+    if (segmentRange.from.trim() && segmentRange.to.trim()) {
+      onSegmentQuery(segmentRange.from, segmentRange.to);
+    }
+  };
+
+  const handleFenwickAdd = (e) => {
+    e.preventDefault();
+    if (fenwickAdd.index.trim() && fenwickAdd.amount.trim()) {
+      onFenwickAdd(fenwickAdd.index, fenwickAdd.amount);
+      setFenwickAdd({ index: '', amount: '' });
+    }
+  };
+
+  const handleFenwickPrefixSum = (e) => {
+    e.preventDefault();
+    if (fenwickPrefix.trim()) onFenwickPrefixSum(fenwickPrefix);
+  };
+
+  // The query stays so it can be widened or narrowed
+  const handleFindOverlapping = (e) => {
+    e.preventDefault();
+    if (overlapValue.trim()) onFindOverlapping(overlapValue);
+  };
+
+  // k and x stay so neighbouring queries are quick to try
+  const handleKthSmallest = (e) => {
+    e.preventDefault();
+    if (kthValue.trim()) onKthSmallest(kthValue);
+  };
+
+  const handleRank = (e) => {
+    e.preventDefault();
+    if (rankValue.trim()) onRank(rankValue);
+  };
+
+  const handleRangeQuery = (e) => {
+    e.preventDefault();
+    if (keyRange.lo.trim() && keyRange.hi.trim()) onRangeQuery(keyRange.lo, keyRange.hi);
+  };
+
+  const handleLowestCommonAncestor = (e) => {
+    e.preventDefault();
+    if (lcaValues.first.trim() && lcaValues.second.trim()) {
+      onLowestCommonAncestor(lcaValues.first, lcaValues.second);
+    }
+  };
+
+  // Enter runs the first query (floor); the buttons pick any of the four
+  const handleNearestKey = (e) => {
+    e.preventDefault();
+    if (nearestValue.trim()) onNearestKey('floor', nearestValue);
+  };
+
+  const handleBulkInsert = (e) => {
+    e.preventDefault();
+    if (bulkValues.trim()) {
+      onBulkInsert(bulkValues, animateBulk);
+      setBulkValues('');
+    }
+  };
+
+  // Same value list as bulk insert, but laid out as given and heapified
+  const handleBuildHeap = () => {
+    if (bulkValues.trim()) {
+      onBuildHeap(bulkValues, animateBulk);
+      setBulkValues('');
+    }
+  };
+
+  const handleGenerateRandom = (e) => {
+    e.preventDefault();
+    const seed = randomOptions.seed.trim();
+    onGenerateRandom({
+      count: parseInt(randomOptions.count, 10),
+      min: parseInt(randomOptions.min, 10),
+      max: parseInt(randomOptions.max, 10),
+      // Blank seed = pick one; App reports it so the tree can be reproduced
+      seed: seed === '' ? null : parseInt(seed, 10),
+      shape: randomOptions.shape,
+    }, animateBulk);
+  };
+
+  const updateRandomOption = (key) => (e) => {
+    const { value } = e.target;
+    setRandomOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
   const handleTraverse = (traversalType) => {
     onTraverse(traversalType);
   };
 
+  const handleFileChosen = (e) => {
+    const [file] = e.target.files;
+    if (file) onOpenTree(file);
+    // Reset so choosing the same file again still fires onChange
+    e.target.value = '';
+  };
+
   const handleSpeedChange = (e) => {
     const sliderValue = parseInt(e.target.value, 10);
     // Invert the value so higher slider = faster (lower delay)
@@ -81,106 +329,755 @@ function ControlPanel({
           <option value="BST">Binary Search Tree</option>
           <option value="AVL">AVL Tree</option>
           <option value="RBTree">Red-Black Tree</option>
+          <option value="SplayTree">Splay Tree</option>
+          <option value="Treap">Treap</option>
+          <option value="BTree">B-Tree</option>
+          <option value="BinaryHeap">Binary Heap</option>
+          <option value="Trie">Trie (prefix tree)</option>
+          <option value="NaryTree">General (n-ary) Tree</option>
+          <option value="ExpressionTree">Expression Tree</option>
+          <option value="HuffmanTree">Huffman Coding Tree</option>
+          <option value="SegmentTree">Segment Tree</option>
+          <option value="FenwickTree">Fenwick Tree (BIT)</option>
+          <option value="IntervalTree">Interval Tree</option>
         </select>
-      </div>
-
-      <div className={styles.section}>
-        <h3 className={styles.sectionTitle}>Operations</h3>
-
-        <div className={styles.operationGroup}>
-          <form onSubmit={handleInsert} className={styles.form}>
-            <input
-              type="number"
-              className={styles.input}
-              placeholder="Value to insert"
-              value={insertValue}
-              onChange={(e) => setInsertValue(e.target.value)}
+        {treeType === 'BTree' && (
+          <label className={styles.degreeField} htmlFor="btree-degree">
+            Minimum degree (t)
+            <select
+              id="btree-degree"
+              className={styles.select}
+              value={bTreeDegree}
+              onChange={(e) => onBTreeDegreeChange(parseInt(e.target.value, 10))}
               disabled={isAnimating}
-              min="-9999"
-              max="9999"
-            />
+            >
+              {[2, 3, 4, 5].map((t) => (
+                <option key={t} value={t}>
+                  {`t = ${t} (${t - 1}–${2 * t - 1} keys per node)`}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {treeType === 'BinaryHeap' && (
+          <label className={styles.degreeField} htmlFor="heap-kind">
+            Heap order
+            <select
+              id="heap-kind"
+              className={styles.select}
+              value={heapKind}
+              onChange={(e) => onHeapKindChange(e.target.value)}
+              disabled={isAnimating}
+            >
+              <option value="min">Min-heap (smallest on top)</option>
+              <option value="max">Max-heap (largest on top)</option>
+            </select>
+          </label>
+        )}
+        {treeType === 'SegmentTree' && (
+          <label className={styles.degreeField} htmlFor="segment-combine">
+            Combine
+            <select
+              id="segment-combine"
+              className={styles.select}
+              value={segmentCombine}
+              onChange={(e) => onSegmentCombineChange(e.target.value)}
+              disabled={isAnimating}
+            >
+              <option value="sum">Sum</option>
+              <option value="min">Minimum</option>
+              <option value="max">Maximum</option>
+              <option value="gcd">Greatest common divisor</option>
+            </select>
+          </label>
+        )}
+        {treeType === 'NaryTree' && (
+          <label className={styles.degreeField} htmlFor="nary-view">
+            Drawing
+            <select
+              id="nary-view"
+              className={styles.select}
+              value={naryView}
+              onChange={(e) => onNaryViewChange(e.target.value)}
+              disabled={isAnimating}
+            >
+              <option value="tree">N-ary tree</option>
+              <option value="lcrs">Left-child / right-sibling</option>
+            </select>
+          </label>
+        )}
+        {treeType === 'Treap' && (
+          <form onSubmit={handleReseed} className={`${styles.form} ${styles.seedForm}`}>
+            <label className={styles.degreeField} htmlFor="treap-seed">
+              {`Priority seed (now ${treapSeed})`}
+              <input
+                id="treap-seed"
+                type="number"
+                className={styles.input}
+                placeholder="New seed"
+                value={seedValue}
+                onChange={(e) => setSeedValue(e.target.value)}
+                disabled={isAnimating}
+              />
+            </label>
             <button
               type="submit"
-              className={`${styles.button} ${styles.insertButton}`}
-              disabled={isAnimating || !insertValue.trim()}
+              className={`${styles.button} ${styles.generateButton}`}
+              disabled={isAnimating || !seedValue.trim()}
             >
-              Insert
+              Reseed
             </button>
           </form>
-        </div>
+        )}
+      </div>
 
-        <div className={styles.operationGroup}>
-          <form onSubmit={handleDelete} className={styles.form}>
-            <input
-              type="number"
-              className={styles.input}
-              placeholder="Value to delete"
-              value={deleteValue}
-              onChange={(e) => setDeleteValue(e.target.value)}
-              disabled={isAnimating}
-              min="-999"
-              max="999"
-            />
+      <div className={styles.section}>
+        <h3 className={styles.sectionTitle}>Operations</h3>
+
+        {textInput ? (
+          <>
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleBuildFromText} className={styles.form}>
+                <input
+                  type="text"
+                  className={styles.input}
+                  placeholder={textInput.placeholder}
+                  aria-label={textInput.label}
+                  value={sourceText}
+                  onChange={(e) => setSourceTexts({ ...sourceTexts, [treeType]: e.target.value })}
+                  disabled={isAnimating}
+                />
+                <button
+                  type="submit"
+                  className={`${styles.button} ${styles.insertButton}`}
+                  disabled={isAnimating || !sourceText.trim()}
+                >
+                  Build
+                </button>
+              </form>
+            </div>
+            {treeType === 'SegmentTree' && (
+              <>
+                <div className={styles.operationGroup}>
+                  <form onSubmit={handleSegmentUpdate} className={styles.form}>
+                    <input
+                      type="number"
+                      className={`${styles.input} ${styles.priorityInput}`}
+                      placeholder="Index"
+                      aria-label="Index to update"
+                      value={segmentUpdate.index}
+                      onChange={(e) => setSegmentUpdate({
+                        ...segmentUpdate, index: e.target.value,
+                      })}
+                      disabled={isAnimating}
+                    />
+                    <input
+                      type="number"
+                      className={`${styles.input} ${styles.priorityInput}`}
+                      placeholder="New value"
+                      aria-label="New value"
+                      value={segmentUpdate.value}
+                      onChange={(e) => setSegmentUpdate({
+                        ...segmentUpdate, value: e.target.value,
+                      })}
+                      disabled={isAnimating}
+                    />
+                    <button
+                      type="submit"
+                      className={`${styles.button} ${styles.insertButton}`}
+                      disabled={
+                        isAnimating || !segmentUpdate.index.trim() || !segmentUpdate.value.trim()
+                      }
+                    >
+                      Update
+                    </button>
+                  </form>
+                </div>
+                <div className={styles.operationGroup}>
+                  <form onSubmit={handleSegmentQuery} className={styles.form}>
+                    <input
+                      type="number"
+                      className={`${styles.input} ${styles.priorityInput}`}
+                      placeholder="From"
+                      aria-label="Range start"
+                      value={segmentRange.from}
+                      onChange={(e) => setSegmentRange({ ...segmentRange, from: e.target.value })}
+                      disabled={isAnimating}
+                    />
+                    <input
+                      type="number"
+                      className={`${styles.input} ${styles.priorityInput}`}
+                      placeholder="To"
+                      aria-label="Range end"
+                      value={segmentRange.to}
+                      onChange={(e) => setSegmentRange({ ...segmentRange, to: e.target.value })}
+                      disabled={isAnimating}
+                    />
+                    <button
+                      type="submit"
+                      className={`${styles.button} ${styles.searchButton}`}
+                      disabled={isAnimating || !segmentRange.from.trim() || !segmentRange.to.trim()}
+                    >
+                      Query
+                    </button>
+                  </form>
+                </div>
+              </>
+            )}
+            {treeType === 'FenwickTree' && (
+              <>
+                <div className={styles.operationGroup}>
+                  <form onSubmit={handleFenwickAdd} className={styles.form}>
+                    <input
+                      type="number"
+                      className={`${styles.input} ${styles.priorityInput}`}
+                      placeholder="Index"
+                      aria-label="Index to add to"
+                      value={fenwickAdd.index}
+                      onChange={(e) => setFenwickAdd({ ...fenwickAdd, index: e.target.value })}
+                      disabled={isAnimating}
+                    />
+                    <input
+                      type="number"
+                      className={`${styles.input} ${styles.priorityInput}`}
+                      placeholder="Amount"
+                      aria-label="Amount to add"
+                      value={fenwickAdd.amount}
+                      onChange={(e) => setFenwickAdd({ ...fenwickAdd, amount: e.target.value })}
+                      disabled={isAnimating}
+                    />
+                    <button
+                      type="submit"
+                      className={`${styles.button} ${styles.insertButton}`}
+                      disabled={
+                        isAnimating || !fenwickAdd.index.trim() || !fenwickAdd.amount.trim()
+                      }
+                    >
+                      Add
+                    </button>
+                  </form>
+                </div>
+                <div className={styles.operationGroup}>
+                  <form onSubmit={handleFenwickPrefixSum} className={styles.form}>
+                    <input
+                      type="number"
+                      className={styles.input}
+                      placeholder="Sum a[1..i] up to index i"
+                      aria-label="Prefix end"
+                      value={fenwickPrefix}
+                      onChange={(e) => setFenwickPrefix(e.target.value)}
+                      disabled={isAnimating}
+                    />
+                    <button
+                      type="submit"
+                      className={`${styles.button} ${styles.searchButton}`}
+                      disabled={isAnimating || !fenwickPrefix.trim()}
+                    >
+                      Prefix sum
+                    </button>
+                  </form>
+                </div>
+              </>
+            )}
+            {treeType === 'ExpressionTree' && (
+              <div className={styles.operationGroup}>
+                <form onSubmit={handleEvaluate} className={styles.form}>
+                  <input
+                    type="text"
+                    className={styles.input}
+                    placeholder="Variables, e.g. x = 2"
+                    aria-label="Variable values"
+                    value={variablesText}
+                    onChange={(e) => setVariablesText(e.target.value)}
+                    disabled={isAnimating}
+                  />
+                  <button
+                    type="submit"
+                    className={`${styles.button} ${styles.searchButton}`}
+                    disabled={isAnimating}
+                  >
+                    Evaluate
+                  </button>
+                </form>
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleInsert} className={styles.form}>
+                <input
+                  type={keyInputType}
+                  className={styles.input}
+                  placeholder={`${keyNoun} to insert`}
+                  value={insertValue}
+                  onChange={(e) => setInsertValue(e.target.value)}
+                  disabled={isAnimating}
+                  min={numberKeys ? '-9999' : undefined}
+                  max={numberKeys ? '9999' : undefined}
+                />
+                {treeType === 'Treap' && (
+                  <input
+                    type="number"
+                    className={`${styles.input} ${styles.priorityInput}`}
+                    placeholder="Priority"
+                    aria-label="Priority (optional)"
+                    value={insertPriority}
+                    onChange={(e) => setInsertPriority(e.target.value)}
+                    disabled={isAnimating}
+                  />
+                )}
+                {treeType === 'NaryTree' && (
+                  <input
+                    type="number"
+                    className={`${styles.input} ${styles.priorityInput}`}
+                    placeholder="Parent"
+                    aria-label="Parent value (optional)"
+                    value={insertParent}
+                    onChange={(e) => setInsertParent(e.target.value)}
+                    disabled={isAnimating}
+                  />
+                )}
+                <button
+                  type="submit"
+                  className={`${styles.button} ${styles.insertButton}`}
+                  disabled={isAnimating || !insertValue.trim()}
+                >
+                  Insert
+                </button>
+              </form>
+            </div>
+
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleDelete} className={styles.form}>
+                <input
+                  type={keyInputType}
+                  className={styles.input}
+                  placeholder={`${keyNoun} to delete`}
+                  value={deleteValue}
+                  onChange={(e) => setDeleteValue(e.target.value)}
+                  disabled={isAnimating}
+                  min={numberKeys ? '-999' : undefined}
+                  max={numberKeys ? '999' : undefined}
+                />
+                <button
+                  type="submit"
+                  className={`${styles.button} ${styles.deleteButton}`}
+                  disabled={isAnimating || !deleteValue.trim()}
+                >
+                  Delete
+                </button>
+              </form>
+            </div>
+
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleSearch} className={styles.form}>
+                <input
+                  type={keyInputType}
+                  className={styles.input}
+                  placeholder={`${keyNoun} to search`}
+                  value={searchValue}
+                  onChange={(e) => setSearchValue(e.target.value)}
+                  disabled={isAnimating}
+                  min={numberKeys ? '-999' : undefined}
+                  max={numberKeys ? '999' : undefined}
+                />
+                <button
+                  type="submit"
+                  className={`${styles.button} ${styles.searchButton}`}
+                  disabled={isAnimating || !searchValue.trim()}
+                >
+                  Search
+                </button>
+              </form>
+            </div>
+          </>
+        )}
+
+        {treeType === 'Trie' && (
+          <div className={styles.operationGroup}>
+            <form onSubmit={handlePrefixSearch} className={styles.form}>
+              <input
+                type="text"
+                className={styles.input}
+                placeholder="Prefix to complete"
+                value={prefixValue}
+                onChange={(e) => setPrefixValue(e.target.value)}
+                disabled={isAnimating}
+              />
+              <button
+                type="submit"
+                className={`${styles.button} ${styles.searchButton}`}
+                disabled={isAnimating || !prefixValue.trim()}
+              >
+                Complete
+              </button>
+            </form>
+          </div>
+        )}
+
+        {treeType === 'IntervalTree' && (
+          <div className={styles.operationGroup}>
+            <form onSubmit={handleFindOverlapping} className={styles.form}>
+              <input
+                type="text"
+                className={styles.input}
+                placeholder="Overlapping, e.g. [12, 18]"
+                aria-label="Query interval"
+                value={overlapValue}
+                onChange={(e) => setOverlapValue(e.target.value)}
+                disabled={isAnimating}
+              />
+              <button
+                type="submit"
+                className={`${styles.button} ${styles.searchButton}`}
+                disabled={isAnimating || !overlapValue.trim()}
+              >
+                Find overlapping
+              </button>
+            </form>
+          </div>
+        )}
+
+        {ORDERED_QUERY_TYPES.includes(treeType) && (
+          <>
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleKthSmallest} className={styles.form}>
+                <input
+                  type="number"
+                  className={styles.input}
+                  placeholder="k (1 = smallest)"
+                  aria-label="k"
+                  value={kthValue}
+                  onChange={(e) => setKthValue(e.target.value)}
+                  disabled={isAnimating}
+                  min="1"
+                />
+                <button
+                  type="submit"
+                  className={`${styles.button} ${styles.searchButton}`}
+                  disabled={isAnimating || !kthValue.trim()}
+                >
+                  Find k-th smallest
+                </button>
+              </form>
+            </div>
+
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleRank} className={styles.form}>
+                <input
+                  type="number"
+                  className={styles.input}
+                  placeholder="Value to rank"
+                  aria-label="Value to rank"
+                  value={rankValue}
+                  onChange={(e) => setRankValue(e.target.value)}
+                  disabled={isAnimating}
+                  min="-999"
+                  max="999"
+                />
+                <button
+                  type="submit"
+                  className={`${styles.button} ${styles.searchButton}`}
+                  disabled={isAnimating || !rankValue.trim()}
+                >
+                  Rank of x
+                </button>
+              </form>
+            </div>
+
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleRangeQuery} className={styles.form}>
+                <input
+                  type="number"
+                  className={`${styles.input} ${styles.priorityInput}`}
+                  placeholder="Low"
+                  aria-label="Range low"
+                  value={keyRange.lo}
+                  onChange={(e) => setKeyRange({ ...keyRange, lo: e.target.value })}
+                  disabled={isAnimating}
+                />
+                <input
+                  type="number"
+                  className={`${styles.input} ${styles.priorityInput}`}
+                  placeholder="High"
+                  aria-label="Range high"
+                  value={keyRange.hi}
+                  onChange={(e) => setKeyRange({ ...keyRange, hi: e.target.value })}
+                  disabled={isAnimating}
+                />
+                <button
+                  type="submit"
+                  className={`${styles.button} ${styles.searchButton}`}
+                  disabled={isAnimating || !keyRange.lo.trim() || !keyRange.hi.trim()}
+                >
+                  Range query
+                </button>
+              </form>
+            </div>
+
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleNearestKey} className={styles.form}>
+                <input
+                  type="number"
+                  className={styles.input}
+                  placeholder="x"
+                  aria-label="Nearest to"
+                  value={nearestValue}
+                  onChange={(e) => setNearestValue(e.target.value)}
+                  disabled={isAnimating}
+                  min="-999"
+                  max="999"
+                />
+              </form>
+              <div className={styles.nearestButtons}>
+                {NEAREST_KEY_BUTTONS.map(({ kind, label }) => (
+                  <button
+                    key={kind}
+                    type="button"
+                    className={`${styles.button} ${styles.searchButton}`}
+                    onClick={() => onNearestKey(kind, nearestValue)}
+                    disabled={isAnimating || !nearestValue.trim()}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className={styles.operationGroup}>
+              <form onSubmit={handleLowestCommonAncestor} className={styles.form}>
+                <input
+                  type="number"
+                  className={`${styles.input} ${styles.priorityInput}`}
+                  placeholder="a"
+                  aria-label="First value"
+                  value={lcaValues.first}
+                  onChange={(e) => setLcaValues({ ...lcaValues, first: e.target.value })}
+                  disabled={isAnimating}
+                />
+                <input
+                  type="number"
+                  className={`${styles.input} ${styles.priorityInput}`}
+                  placeholder="b"
+                  aria-label="Second value"
+                  value={lcaValues.second}
+                  onChange={(e) => setLcaValues({ ...lcaValues, second: e.target.value })}
+                  disabled={isAnimating}
+                />
+                <button
+                  type="submit"
+                  className={`${styles.button} ${styles.searchButton}`}
+                  disabled={isAnimating || !lcaValues.first.trim() || !lcaValues.second.trim()}
+                >
+                  Find LCA
+                </button>
+              </form>
+            </div>
+          </>
+        )}
+
+        {treeType === 'BinaryHeap' && (
+          <div className={styles.operationGroup}>
             <button
-              type="submit"
-              className={`${styles.button} ${styles.deleteButton}`}
-              disabled={isAnimating || !deleteValue.trim()}
+              type="button"
+              className={`${styles.button} ${styles.deleteButton} ${styles.extractButton}`}
+              onClick={onExtract}
+              disabled={isAnimating}
             >
-              Delete
+              {heapKind === 'max' ? 'Extract max' : 'Extract min'}
             </button>
-          </form>
-        </div>
+          </div>
+        )}
+      </div>
+
+      {!textInput && (
+        <div className={styles.section}>
+          <h3 className={styles.sectionTitle}>Bulk Build</h3>
+
+          <div className={styles.operationGroup}>
+            <form onSubmit={handleBulkInsert} className={styles.form}>
+              <input
+                type="text"
+                className={styles.input}
+                placeholder={keyInput.bulkPlaceholder}
+                aria-label={keyInput.bulkLabel}
+                value={bulkValues}
+                onChange={(e) => setBulkValues(e.target.value)}
+                disabled={isAnimating}
+              />
+              <button
+                type="submit"
+                className={`${styles.button} ${styles.insertButton}`}
+                disabled={isAnimating || !bulkValues.trim()}
+              >
+                Add all
+              </button>
+              {treeType === 'BinaryHeap' && (
+                <button
+                  type="button"
+                  className={`${styles.button} ${styles.generateButton}`}
+                  onClick={handleBuildHeap}
+                  disabled={isAnimating || !bulkValues.trim()}
+                >
+                  Build heap
+                </button>
+              )}
+            </form>
+          </div>
+
+          {/* Random shapes are binary-tree shapes of numbers; words, intervals and
+              general trees have none */}
+          {numberKeys && treeType !== 'NaryTree' && (
+            <form onSubmit={handleGenerateRandom} className={styles.randomForm}>
+              <label htmlFor="random-count" className={styles.randomField}>
+                Count
+                <input
+                  id="random-count"
+                  type="number"
+                  className={styles.input}
+                  value={randomOptions.count}
+                  onChange={updateRandomOption('count')}
+                  disabled={isAnimating}
+                  min="1"
+                  max="200"
+                />
+              </label>
+              <label htmlFor="random-min" className={styles.randomField}>
+                Min
+                <input
+                  id="random-min"
+                  type="number"
+                  className={styles.input}
+                  value={randomOptions.min}
+                  onChange={updateRandomOption('min')}
+                  disabled={isAnimating}
+                />
+              </label>
+              <label htmlFor="random-max" className={styles.randomField}>
+                Max
+                <input
+                  id="random-max"
+                  type="number"
+                  className={styles.input}
+                  value={randomOptions.max}
+                  onChange={updateRandomOption('max')}
+                  disabled={isAnimating}
+                />
+              </label>
+              <label htmlFor="random-seed" className={styles.randomField}>
+                Seed
+                <input
+                  id="random-seed"
+                  type="number"
+                  className={styles.input}
+                  placeholder="random"
+                  value={randomOptions.seed}
+                  onChange={updateRandomOption('seed')}
+                  disabled={isAnimating}
+                />
+              </label>
+              <select
+                className={styles.select}
+                value={randomOptions.shape}
+                onChange={updateRandomOption('shape')}
+                disabled={isAnimating}
+                aria-label="Shape bias"
+              >
+                <option value="balanced">Balanced</option>
+                <option value="left-skewed">Left-skewed</option>
+                <option value="right-skewed">Right-skewed</option>
+                <option value="zig-zag">Zig-zag</option>
+              </select>
+              <button
+                type="submit"
+                className={`${styles.button} ${styles.generateButton}`}
+                disabled={isAnimating}
+              >
+                🎲 Generate
+              </button>
+            </form>
+          )}
 
-        <div className={styles.operationGroup}>
-          <form onSubmit={handleSearch} className={styles.form}>
+          <label htmlFor="animate-bulk" className={styles.animateToggle}>
             <input
-              type="number"
-              className={styles.input}
-              placeholder="Value to search"
-              value={searchValue}
-              onChange={(e) => setSearchValue(e.target.value)}
+              id="animate-bulk"
+              type="checkbox"
+              checked={animateBulk}
+              onChange={(e) => setAnimateBulk(e.target.checked)}
               disabled={isAnimating}
-              min="-999"
-              max="999"
             />
-            <button
-              type="submit"
-              className={`${styles.button} ${styles.searchButton}`}
-              disabled={isAnimating || !searchValue.trim()}
-            >
-              Search
-            </button>
-          </form>
+            Animate each insert
+          </label>
         </div>
-      </div>
+      )}
 
       <div className={styles.section}>
         <h3 className={styles.sectionTitle}>Traversals</h3>
         <div className={styles.traversalButtons}>
+          {treeType === 'Trie' ? (
+            <button
+              type="button"
+              className={`${styles.button} ${styles.traversalButton}`}
+              onClick={() => handleTraverse('words')}
+              disabled={isAnimating}
+            >
+              Words A–Z
+            </button>
+          ) : !NO_INORDER_TYPES.includes(treeType) && (
+            <button
+              type="button"
+              className={`${styles.button} ${styles.traversalButton}`}
+              onClick={() => handleTraverse('inorder')}
+              disabled={isAnimating}
+            >
+              Inorder
+            </button>
+          )}
           <button
             type="button"
             className={`${styles.button} ${styles.traversalButton}`}
-            onClick={() => handleTraverse('inorder')}
+            onClick={() => handleTraverse('preorder')}
             disabled={isAnimating}
           >
-            Inorder
+            Preorder
           </button>
           <button
             type="button"
             className={`${styles.button} ${styles.traversalButton}`}
-            onClick={() => handleTraverse('preorder')}
+            onClick={() => handleTraverse('postorder')}
             disabled={isAnimating}
           >
-            Preorder
+            Postorder
           </button>
           <button
             type="button"
             className={`${styles.button} ${styles.traversalButton}`}
-            onClick={() => handleTraverse('postorder')}
+            onClick={() => handleTraverse('level-order')}
             disabled={isAnimating}
           >
-            Postorder
+            Level Order
           </button>
+          {treeType === 'NaryTree' && (
+            <button
+              type="button"
+              className={`${styles.button} ${styles.traversalButton}`}
+              onClick={() => handleTraverse('euler-tour')}
+              disabled={isAnimating}
+            >
+              Euler Tour
+            </button>
+          )}
+          {treeType === 'BinaryHeap' && (
+            <button
+              type="button"
+              className={`${styles.button} ${styles.traversalButton}`}
+              onClick={() => handleTraverse('heapsort')}
+              disabled={isAnimating}
+            >
+              Heapsort
+            </button>
+          )}
         </div>
       </div>
 
@@ -238,6 +1135,16 @@ function ControlPanel({
       <div className={styles.section}>
         <h3 className={styles.sectionTitle}>Export</h3>
         <div className={styles.exportButtons}>
+          <select
+            className={styles.formatSelect}
+            value={exportArea}
+            onChange={(e) => setExportArea(e.target.value)}
+            disabled={isAnimating}
+            aria-label="Export area"
+          >
+            <option value="full">Full tree</option>
+            <option value="viewport">Current viewport</option>
+          </select>
           <div className={styles.imageExportGroup}>
             <select
               className={styles.formatSelect}
@@ -252,7 +1159,7 @@ function ControlPanel({
             <button
               type="button"
               className={`${styles.button} ${styles.exportButton}`}
-              onClick={() => onExportImage(imageFormat)}
+              onClick={() => onExportImage(imageFormat, exportArea)}
               disabled={isAnimating}
             >
               📷 Export Image
@@ -262,19 +1169,96 @@ function ControlPanel({
             <button
               type="button"
               className={`${styles.button} ${styles.exportButton} ${styles.gifButton}`}
-              onClick={onExportGif}
+              onClick={() => onExportGif(exportArea)}
               disabled={isAnimating}
             >
               🎬 Export Traversal GIF
             </button>
           )}
+          <div className={styles.fileButtons}>
+            <button
+              type="button"
+              className={`${styles.button} ${styles.fileButton}`}
+              onClick={onSaveTree}
+              disabled={isAnimating}
+            >
+              💾 Save JSON
+            </button>
+            <button
+              type="button"
+              className={`${styles.button} ${styles.fileButton}`}
+              onClick={() => fileInputRef.current.click()}
+              disabled={isAnimating}
+            >
+              📂 Open JSON
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              className={styles.hiddenFileInput}
+              onChange={handleFileChosen}
+              aria-label="Open tree file"
+            />
+          </div>
+          <button
+            type="button"
+            className={`${styles.button} ${styles.fileButton}`}
+            onClick={onCopyLink}
+          >
+            🔗 Copy link
+          </button>
         </div>
       </div>
 
       {isAnimating && (
         <div className={styles.animatingOverlay}>
-          <div className={styles.animatingSpinner} />
-          <span>Animating...</span>
+          {!isPaused && <div className={styles.animatingSpinner} />}
+          <span>{isPaused ? 'Paused' : 'Animating...'}</span>
+          <div className={styles.playbackStep}>
+            {`Step ${playbackIndex} / ${playbackLength}`}
+          </div>
+          {!isRecordingGif && (
+            <div className={styles.playbackButtons}>
+              <button
+                type="button"
+                className={`${styles.button} ${styles.playbackButton}`}
+                onClick={onStepBackward}
+                disabled={!isPaused || playbackIndex === 0}
+                aria-label="Step backward"
+              >
+                ⏮
+              </button>
+              {isPaused ? (
+                <button
+                  type="button"
+                  className={`${styles.button} ${styles.playbackButton}`}
+                  onClick={onResume}
+                  aria-label="Resume"
+                >
+                  ▶
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  className={`${styles.button} ${styles.playbackButton}`}
+                  onClick={onPause}
+                  aria-label="Pause"
+                >
+                  ⏸
+                </button>
+              )}
+              <button
+                type="button"
+                className={`${styles.button} ${styles.playbackButton}`}
+                onClick={onStepForward}
+                disabled={!isPaused}
+                aria-label="Step forward"
+              >
+                ⏭
+              </button>
+            </div>
+          )}
           {isTraversing && (
             <button
               type="button"
@@ -295,19 +1279,58 @@ export default ControlPanel;
 ControlPanel.propTypes = {
   isAnimating: PropTypes.bool.isRequired,
   treeType: PropTypes.string.isRequired,
+  keyType: PropTypes.oneOf(['number', 'string', 'interval']).isRequired,
   onTreeTypeChange: PropTypes.func.isRequired,
+  bTreeDegree: PropTypes.number.isRequired,
+  onBTreeDegreeChange: PropTypes.func.isRequired,
+  treapSeed: PropTypes.number.isRequired,
+  onTreapSeedChange: PropTypes.func.isRequired,
+  heapKind: PropTypes.oneOf(['min', 'max']).isRequired,
+  onHeapKindChange: PropTypes.func.isRequired,
+  naryView: PropTypes.oneOf(['tree', 'lcrs']).isRequired,
+  onNaryViewChange: PropTypes.func.isRequired,
+  segmentCombine: PropTypes.oneOf(['sum', 'min', 'max', 'gcd']).isRequired,
+  onSegmentCombineChange: PropTypes.func.isRequired,
   onInsert: PropTypes.func.isRequired,
   onDelete: PropTypes.func.isRequired,
   onSearch: PropTypes.func.isRequired,
+  onPrefixSearch: PropTypes.func.isRequired,
+  onBuildFromText: PropTypes.func.isRequired,
+  onEvaluate: PropTypes.func.isRequired,
+  onSegmentUpdate: PropTypes.func.isRequired,
+  onSegmentQuery: PropTypes.func.isRequired,
+  onFenwickAdd: PropTypes.func.isRequired,
+  onFenwickPrefixSum: PropTypes.func.isRequired,
+  onFindOverlapping: PropTypes.func.isRequired,
+  onKthSmallest: PropTypes.func.isRequired,
+  onRank: PropTypes.func.isRequired,
+  onRangeQuery: PropTypes.func.isRequired,
+  onNearestKey: PropTypes.func.isRequired,
+  onLowestCommonAncestor: PropTypes.func.isRequired,
+  onExtract: PropTypes.func.isRequired,
+  onBulkInsert: PropTypes.func.isRequired,
+  onBuildHeap: PropTypes.func.isRequired,
+  onGenerateRandom: PropTypes.func.isRequired,
   onTraverse: PropTypes.func.isRequired,
   onUndo: PropTypes.func.isRequired,
   onRedo: PropTypes.func.isRequired,
   onClear: PropTypes.func.isRequired,
   onStopAndReset: PropTypes.func.isRequired,
+  onPause: PropTypes.func.isRequired,
+  onResume: PropTypes.func.isRequired,
+  onStepForward: PropTypes.func.isRequired,
+  onStepBackward: PropTypes.func.isRequired,
   onSpeedChange: PropTypes.func.isRequired,
   onExportGif: PropTypes.func.isRequired,
   onExportImage: PropTypes.func.isRequired,
+  onSaveTree: PropTypes.func.isRequired,
+  onOpenTree: PropTypes.func.isRequired,
+  onCopyLink: PropTypes.func.isRequired,
   isTraversing: PropTypes.bool.isRequired,
+  isPaused: PropTypes.bool.isRequired,
+  isRecordingGif: PropTypes.bool.isRequired,
+  playbackIndex: PropTypes.number.isRequired,
+  playbackLength: PropTypes.number.isRequired,
   traversalCompleted: PropTypes.bool.isRequired,
   undoDisabled: PropTypes.bool.isRequired,
   redoDisabled: PropTypes.bool.isRequired,
@@ -8,7 +8,10 @@ function Edge({
   toX,
   toY,
   type = 'left',
+  highlightState = 'default',
+  effect = null,
   scale = 1.0,
+  label = null,
 }) {
   const length = Math.sqrt((toX - fromX) ** 2 + (toY - fromY) ** 2);
   const angle = Math.atan2(toY - fromY, toX - fromX) * (180 / Math.PI);
@@ -28,17 +31,46 @@ function Edge({
         return styles.leftEdge;
       case 'right':
         return styles.rightEdge;
+      case 'child':
+        return styles.childEdge;
       default:
         return styles.defaultEdge;
     }
   };
 
+  const getHighlightClass = () => {
+    if (highlightState === 'default') return '';
+    return highlightState === 'current' ? styles.active : styles.highlighted;
+  };
+
+  // Edges follow the fade of the child node they lead to
+  const getEffectClass = () => {
+    switch (effect) {
+      case 'hidden':
+        return styles.hidden;
+      case 'fade-in':
+        return styles.fadeIn;
+      case 'fade-out':
+        return styles.fadeOut;
+      default:
+        return '';
+    }
+  };
+
   return (
     <div
-      className={`${styles.edge} ${getEdgeClass()}`}
+      className={`${styles.edge} ${getEdgeClass()} ${getHighlightClass()} ${getEffectClass()}`}
       style={edgeStyle}
       data-edge-type={type}
-    />
+      data-highlight={highlightState}
+    >
+      {label !== null && (
+        // Counter-rotated so the character reads upright on any slope
+        <span className={styles.label} style={{ transform: `translate(-50%, -50%) rotate(${-angle}deg)` }}>
+          {label}
+        </span>
+      )}
+    </div>
   );
 }
 
@@ -49,11 +81,17 @@ Edge.propTypes = {
   fromY: PropTypes.number.isRequired,
   toX: PropTypes.number.isRequired,
   toY: PropTypes.number.isRequired,
-  type: PropTypes.oneOf(['left', 'right']),
+  type: PropTypes.oneOf(['left', 'right', 'child']),
+  highlightState: PropTypes.string,
+  effect: PropTypes.string,
   scale: PropTypes.number,
+  label: PropTypes.string,
 };
 
 Edge.defaultProps = {
   type: 'left',
+  highlightState: 'default',
+  effect: null,
   scale: 1.0,
+  label: null,
 };
@@ -1,5 +1,6 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { getMultiKeyNodeWidth, getLabelNodeWidth } from '../../logic/layout';
 import styles from './Node.module.css';
 
 function Node({
@@ -10,7 +11,16 @@ function Node({
   rbColor = 'red',
   highlightState = 'default',
   currentAnimationStep = null,
+  effect = null,
   scale = 1.0,
+  keys = null,
+  priority = null,
+  wordEnd = null,
+  result = null,
+  symbol = null,
+  interval = null,
+  max = null,
+  size = null,
 }) {
   const getActualHighlightState = () => {
     if (
@@ -50,6 +60,15 @@ function Node({
     if (actualHighlightState === 'deleting') {
       return '#F44336';
     }
+    if (actualHighlightState === 'covered') {
+      return '#009688';
+    }
+    if (actualHighlightState === 'partial') {
+      return '#FFB300';
+    }
+    if (actualHighlightState === 'pruned') {
+      return '#B0BEC5';
+    }
 
     if (rbColor === 'black') {
       return '#333';
@@ -86,6 +105,15 @@ function Node({
     if (actualHighlightState === 'deleting') {
       return '#C62828';
     }
+    if (actualHighlightState === 'covered') {
+      return '#00695C';
+    }
+    if (actualHighlightState === 'partial') {
+      return '#FF8F00';
+    }
+    if (actualHighlightState === 'pruned') {
+      return '#90A4AE';
+    }
 
     return '#667eea';
   };
@@ -108,11 +136,35 @@ function Node({
         return styles.inserting;
       case 'deleting':
         return styles.deleting;
+      case 'covered':
+        return styles.covered;
+      case 'partial':
+        return styles.partial;
+      case 'pruned':
+        return styles.pruned;
       default:
         return styles.default;
     }
   };
 
+  // One-off effects (fades, pulse, shake) layer on top of the highlight state
+  const getEffectClass = () => {
+    switch (effect) {
+      case 'hidden':
+        return styles.hidden;
+      case 'fade-in':
+        return styles.fadeIn;
+      case 'fade-out':
+        return styles.fadeOut;
+      case 'pulse':
+        return styles.pulseOnce;
+      case 'shake':
+        return styles.shakeOnce;
+      default:
+        return '';
+    }
+  };
+
   const nodeStyle = {
     left: `${x}px`,
     top: `${y}px`,
@@ -121,15 +173,68 @@ function Node({
     '--node-scale': scale,
     transform: 'translate(-50%, -50%)',
   };
+  if (keys) {
+    nodeStyle.width = `calc(${getMultiKeyNodeWidth(keys.length)}px * var(--node-scale, 1))`;
+  }
+  // Trie nodes show the whole prefix they spell and grow to fit it
+  if (wordEnd !== null) {
+    nodeStyle.width = `calc(${getLabelNodeWidth(value)}px * var(--node-scale, 1))`;
+  }
+
+  // Multi-key (B-Tree) steps may point at a single key inside the node
+  const activeKeyIndex = (
+    currentAnimationStep
+    && currentAnimationStep.type === 'highlight-node'
+    && currentAnimationStep.nodeId === id
+    && currentAnimationStep.keyIndex !== undefined
+  ) ? currentAnimationStep.keyIndex : -1;
 
   return (
     <div
-      className={`${styles.node} ${getAnimationClass()}`}
+      className={`${styles.node} ${keys ? styles.multiKey : ''} ${priority !== null || symbol !== null || interval !== null ? styles.withPriority : ''} ${wordEnd !== null ? styles.trieNode : ''} ${wordEnd ? styles.wordEnd : ''} ${getAnimationClass()} ${getEffectClass()}`}
       style={nodeStyle}
       data-node-id={id}
+      data-effect={effect || undefined}
       data-value={value}
+      data-highlight={actualHighlightState}
+      data-word-end={wordEnd === null ? undefined : String(wordEnd)}
+      data-symbol={symbol === null ? undefined : symbol}
     >
-      <span className={styles.nodeValue}>{value}</span>
+      {keys ? (
+        <span className={styles.keyCells}>
+          {keys.map((key, index) => (
+            <span
+              key={key}
+              className={`${styles.keyCell} ${index === activeKeyIndex ? styles.activeKey : ''}`}
+              data-key={key}
+            >
+              {key}
+            </span>
+          ))}
+        </span>
+      ) : (
+        <span className={styles.nodeValue}>{value}</span>
+      )}
+      {priority !== null && (
+        <span className={styles.priority} title="Priority">{`p${priority}`}</span>
+      )}
+      {interval !== null && (
+        <span className={styles.interval} title="Interval">{`[${interval[0]}, ${interval[1]}]`}</span>
+      )}
+      {symbol !== null && (
+        <span className={styles.symbol} title="Symbol">{symbol}</span>
+      )}
+      {max !== null && (
+        <span className={styles.max} title="Largest end in subtree" data-max={max}>
+          {`max ${max}`}
+        </span>
+      )}
+      {size !== null && (
+        <span className={styles.size} title="Nodes in subtree" data-size={size}>{`n=${size}`}</span>
+      )}
+      {result !== null && (
+        <span className={styles.result} title="Value" data-result={result}>{`= ${result}`}</span>
+      )}
       {rbColor && (
         <div className={`${styles.colorIndicator} ${styles[rbColor]}`} />
       )}
@@ -150,13 +255,32 @@ Node.propTypes = {
     type: PropTypes.string,
     nodeId: PropTypes.string,
     state: PropTypes.string,
+    keyIndex: PropTypes.number,
   }),
+  effect: PropTypes.oneOf(['hidden', 'fade-in', 'fade-out', 'pulse', 'shake']),
   scale: PropTypes.number,
+  keys: PropTypes.arrayOf(PropTypes.number),
+  priority: PropTypes.number,
+  wordEnd: PropTypes.bool,
+  result: PropTypes.string,
+  symbol: PropTypes.string,
+  interval: PropTypes.arrayOf(PropTypes.number),
+  max: PropTypes.number,
+  size: PropTypes.number,
 };
 
 Node.defaultProps = {
   rbColor: 'red',
   highlightState: 'default',
   currentAnimationStep: null,
+  effect: null,
   scale: 1.0,
+  keys: null,
+  priority: null,
+  wordEnd: null,
+  result: null,
+  symbol: null,
+  interval: null,
+  max: null,
+  size: null,
 };
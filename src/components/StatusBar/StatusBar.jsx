@@ -9,6 +9,14 @@ function StatusBar({
   onClear = null,
   title = '',
 }) {
+  // Feed entries may repeat (the same operator twice, an Euler tour coming
+  // back to a node), so each one is keyed by its text and occurrence
+  const seen = {};
+  const keyFor = (m) => {
+    seen[m] = (seen[m] || 0) + 1;
+    return `msg-${m}-${seen[m]}`;
+  };
+
   return (
     <div
       className={`${styles.statusBar} ${size === 'large' ? styles.large : ''}`}
@@ -25,7 +33,7 @@ function StatusBar({
           )}
           {messages
             && messages.map((m) => (
-              <span key={`msg-${m}`} className={styles.messageItem}>
+              <span key={keyFor(m)} className={styles.messageItem}>
                 {m}
               </span>
             ))}
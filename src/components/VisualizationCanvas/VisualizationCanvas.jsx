@@ -1,27 +1,217 @@
-import React, { useRef } from 'react';
+import React, {
+  useCallback, useEffect, useRef, useState,
+} from 'react';
 import PropTypes from 'prop-types';
 import Node from '../Node/Node';
 import Edge from '../Edge/Edge';
 import StatusBar from '../StatusBar/StatusBar';
 import TraversalArrow from '../TraversalArrow/TraversalArrow';
+import AnimationTimeline from '../AnimationTimeline/AnimationTimeline';
+import {
+  getEdgeId, easingFunctions, lerp, calculateDistance,
+} from '../../logic/utils';
+import { ANIMATION_CONFIG } from '../../logic/animations';
+import { getChildAnchorOffset, LAYOUT_CONFIG } from '../../logic/layout';
+import {
+  VIEWPORT_CONFIG,
+  DEFAULT_VIEW,
+  getViewTransform,
+  zoomAt,
+  panBy,
+  getWheelZoomFactor,
+  fitToView,
+  followNode,
+} from '../../logic/viewport';
 import styles from './VisualizationCanvas.module.css';
 
+// Node effects that the edge into that node mirrors
+const EDGE_EFFECTS = ['hidden', 'fade-in', 'fade-out'];
+
+// Array cells (heap and segment tree) take the highlight state of their node
+const CELL_STATE_CLASSES = {
+  current: styles.cellCurrent,
+  searching: styles.cellSearching,
+  path: styles.cellPath,
+  found: styles.cellFound,
+  deleting: styles.cellDeleting,
+  swap: styles.cellSwap,
+  covered: styles.cellCovered,
+  partial: styles.cellPartial,
+  pruned: styles.cellPruned,
+};
+
 function VisualizationCanvas({
   treeData,
   captureRef,
   currentAnimationStep,
   currentValue,
+  traversalQueue = null,
+  edgeHighlights = {},
+  nodeHighlights = {},
+  nodeEffects = {},
   statusMessage,
   statusFeed = [],
   statusTitle = '',
   onClearStatus = null,
+  animationQueue = [],
+  currentAnimationIndex = 0,
+  onSeek = null,
 }) {
   const containerRef = useRef(null);
+  const layerRef = useRef(null);
+  const pointersRef = useRef(new Map());
+  const [tweenProgress, setTweenProgress] = useState(1);
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [isPanning, setIsPanning] = useState(false);
+  const [followEnabled, setFollowEnabled] = useState(true);
+
+  const hasNodes = Boolean(treeData.nodes && treeData.nodes.length > 0);
+
+  // The layer itself is transformed, so measure the canvas it sits in
+  const getCanvasRect = () => layerRef.current.parentElement.getBoundingClientRect();
+
+  const getCanvasPoint = (event) => {
+    const rect = getCanvasRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  // React registers wheel listeners as passive, which would let the page
+  // scroll while zooming, so this one is attached by hand
+  useEffect(() => {
+    const layer = layerRef.current;
+    if (!layer) return undefined;
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const rect = layer.parentElement.getBoundingClientRect();
+      const point = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+      const factor = getWheelZoomFactor(event.deltaY);
+      setView((current) => zoomAt(current, factor, point));
+    };
+
+    layer.addEventListener('wheel', handleWheel, { passive: false });
+    return () => layer.removeEventListener('wheel', handleWheel);
+  }, [hasNodes]);
+
+  // One pointer drags the view, two pointers pinch-zoom around their midpoint
+  const handlePointerDown = (event) => {
+    if (event.pointerType === 'mouse' && event.button !== 0) return;
+    if (event.currentTarget.setPointerCapture) {
+      event.currentTarget.setPointerCapture(event.pointerId);
+    }
+    pointersRef.current.set(event.pointerId, getCanvasPoint(event));
+    setIsPanning(true);
+  };
+
+  const handlePointerMove = (event) => {
+    const pointers = pointersRef.current;
+    if (!pointers.has(event.pointerId)) return;
+
+    const previous = [...pointers.values()];
+    pointers.set(event.pointerId, getCanvasPoint(event));
+    const current = [...pointers.values()];
+
+    if (current.length === 1) {
+      const dx = current[0].x - previous[0].x;
+      const dy = current[0].y - previous[0].y;
+      setView((v) => panBy(v, dx, dy));
+      return;
+    }
+
+    const [a0, b0] = previous;
+    const [a1, b1] = current;
+    const before = calculateDistance(a0.x, a0.y, b0.x, b0.y);
+    if (before === 0) return;
+
+    const factor = calculateDistance(a1.x, a1.y, b1.x, b1.y) / before;
+    const midBefore = { x: (a0.x + b0.x) / 2, y: (a0.y + b0.y) / 2 };
+    const midAfter = { x: (a1.x + b1.x) / 2, y: (a1.y + b1.y) / 2 };
+    setView((v) => panBy(
+      zoomAt(v, factor, midBefore),
+      midAfter.x - midBefore.x,
+      midAfter.y - midBefore.y,
+    ));
+  };
+
+  const handlePointerUp = (event) => {
+    pointersRef.current.delete(event.pointerId);
+    if (pointersRef.current.size === 0) setIsPanning(false);
+  };
+
+  const zoomAroundCenter = (factor) => {
+    const rect = getCanvasRect();
+    const center = { x: rect.width / 2, y: rect.height / 2 };
+    setView((current) => zoomAt(current, factor, center));
+  };
+
+  const handleFitToView = useCallback(() => {
+    if (!layerRef.current) return;
+    const rect = layerRef.current.parentElement.getBoundingClientRect();
+    setView(fitToView(treeData.nodes, rect.width, rect.height));
+  }, [treeData.nodes]);
+
+  // Follow mode: keep whichever node the current step is about on screen
+  useEffect(() => {
+    if (!followEnabled || !currentAnimationStep || !layerRef.current) return;
+    if (currentAnimationStep.nodeId === undefined) return;
+
+    const node = treeData.nodes.find((n) => n.id === currentAnimationStep.nodeId);
+    const rect = layerRef.current.parentElement.getBoundingClientRect();
+    setView((current) => followNode(current, node, rect.width, rect.height));
+  }, [currentAnimationStep, followEnabled, treeData.nodes]);
+
+  const repositionStep = currentAnimationStep && currentAnimationStep.type === 'reposition'
+    ? currentAnimationStep
+    : null;
+
+  // Drive a 0 -> 1 progress value for the current reposition step
+  useEffect(() => {
+    if (!repositionStep || typeof window.requestAnimationFrame !== 'function') {
+      setTweenProgress(1);
+      return undefined;
+    }
+
+    const duration = repositionStep.duration || ANIMATION_CONFIG.REPOSITION_DURATION;
+    let start = null;
+    let frameId;
+    const tick = (now) => {
+      if (start === null) start = now;
+      const progress = Math.min(1, (now - start) / duration);
+      setTweenProgress(progress);
+      if (progress < 1) frameId = window.requestAnimationFrame(tick);
+    };
+
+    setTweenProgress(0);
+    frameId = window.requestAnimationFrame(tick);
+    return () => window.cancelAnimationFrame(frameId);
+  }, [repositionStep]);
+
+  const isTweening = repositionStep !== null && tweenProgress < 1;
+
+  // Nodes slide from their old to their new coordinates while a reposition
+  // step plays; edges are drawn from these positions so they stay attached
+  const getDisplayNodes = () => {
+    if (!treeData.nodes || !isTweening) return treeData.nodes;
+
+    const eased = easingFunctions[ANIMATION_CONFIG.EASING](tweenProgress);
+    const updates = new Map(repositionStep.nodeUpdates.map((u) => [u.nodeId, u]));
+    return treeData.nodes.map((node) => {
+      const update = updates.get(node.id);
+      if (!update || update.oldX === undefined) return node;
+      return {
+        ...node,
+        x: lerp(update.oldX, update.newX, eased),
+        y: lerp(update.oldY, update.newY, eased),
+      };
+    });
+  };
+
+  const displayNodes = getDisplayNodes();
 
   const renderNodes = () => {
-    if (!treeData.nodes) return null;
+    if (!displayNodes) return null;
 
-    return treeData.nodes.map((node) => (
+    return displayNodes.map((node) => (
       <Node
         key={node.id}
         id={node.id}
@@ -29,9 +219,18 @@ function VisualizationCanvas({
         x={node.x}
         y={node.y}
         rbColor={node.color}
-        highlightState="default"
+        highlightState={nodeHighlights[node.id] || 'default'}
         currentAnimationStep={currentAnimationStep}
+        effect={nodeEffects[node.id] || null}
         scale={node.scale || 1.0}
+        keys={node.keys || null}
+        priority={node.priority === undefined ? null : node.priority}
+        wordEnd={node.wordEnd === undefined ? null : node.wordEnd}
+        result={node.result === undefined ? null : node.result}
+        symbol={node.symbol === undefined ? null : node.symbol}
+        interval={node.interval || null}
+        max={node.max === undefined ? null : node.max}
+        size={node.size === undefined ? null : node.size}
       />
     ));
   };
@@ -40,20 +239,28 @@ function VisualizationCanvas({
     if (!treeData.edges) return null;
 
     return treeData.edges.map((edge, index) => {
-      const fromNode = treeData.nodes.find((n) => n.id === edge.from);
-      const toNode = treeData.nodes.find((n) => n.id === edge.to);
+      const fromNode = displayNodes.find((n) => n.id === edge.from);
+      const toNode = displayNodes.find((n) => n.id === edge.to);
 
       if (!fromNode || !toNode) return null;
 
+      // B-Tree child pointers leave from the gap between two keys
+      const anchorOffset = fromNode.keys && edge.childIndex !== undefined
+        ? getChildAnchorOffset(fromNode.keys.length, edge.childIndex) * (fromNode.scale || 1.0)
+        : 0;
+
       return (
         <Edge
           key={`${edge.from}-${edge.to}-${String(index)}`}
-          fromX={fromNode.x}
+          fromX={fromNode.x + anchorOffset}
           fromY={fromNode.y}
           toX={toNode.x}
           toY={toNode.y}
           type={edge.type}
+          highlightState={edgeHighlights[getEdgeId(edge.from, edge.to)] || 'default'}
+          effect={EDGE_EFFECTS.includes(nodeEffects[edge.to]) ? nodeEffects[edge.to] : null}
           scale={fromNode.scale || 1.0}
+          label={edge.label === undefined ? null : edge.label}
         />
       );
     });
@@ -67,7 +274,7 @@ function VisualizationCanvas({
       return null;
     }
 
-    const currentNode = treeData.nodes.find(
+    const currentNode = displayNodes.find(
       (node) => node.id === currentAnimationStep.nodeId,
     );
     if (!currentNode) return null;
@@ -81,17 +288,215 @@ function VisualizationCanvas({
     );
   };
 
+  const renderTraversalQueue = () => {
+    if (!traversalQueue) return null;
+
+    return (
+      <div className={styles.queuePanel} aria-label="BFS queue">
+        <div className={styles.queueLabel}>Queue (front → back):</div>
+        <div className={styles.queueItems}>
+          {traversalQueue.length === 0 ? (
+            <span className={styles.queueEmpty}>empty</span>
+          ) : (
+            traversalQueue.map((item, index) => (
+              <span
+                key={item.nodeId}
+                className={`${styles.queueItem} ${index === 0 ? styles.queueFront : ''}`}
+              >
+                {item.value}
+              </span>
+            ))
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Binary heaps: the backing array, one cell per node in index order. Swap
+  // steps name both nodes, so the two cells light up while the nodes slide
+  const getCellState = (node) => {
+    const step = currentAnimationStep;
+    if (step && step.swap && step.swap.nodeIds.includes(node.id)) return 'swap';
+    if (step && step.type === 'highlight-node' && step.nodeId === node.id) {
+      return step.state || 'current';
+    }
+    return nodeHighlights[node.id] || 'default';
+  };
+
+  const renderHeapArray = () => {
+    const cells = (displayNodes || [])
+      .filter((node) => node.heapIndex !== undefined && nodeEffects[node.id] !== 'hidden')
+      .sort((a, b) => a.heapIndex - b.heapIndex);
+    if (cells.length === 0) return null;
+
+    return (
+      <div className={styles.heapArray} aria-label="Heap array">
+        {cells.map((node) => {
+          const state = getCellState(node);
+          const leaving = nodeEffects[node.id] === 'fade-out' ? styles.cellLeaving : '';
+          return (
+            <div
+              key={node.id}
+              className={`${styles.arrayCell} ${CELL_STATE_CLASSES[state] || ''} ${leaving}`}
+              data-heap-index={node.heapIndex}
+              data-state={state}
+            >
+              <span className={styles.cellValue}>{node.value}</span>
+              <span className={styles.cellIndex}>{node.heapIndex}</span>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // Segment and Fenwick trees: the array sits one level below the deepest
+  // node, each cell under the node for its index, so it pans and zooms with
+  // the tree. A Fenwick node holds a range total, so its cell shows arrayValue
+  const renderArrayRow = () => {
+    const leaves = (displayNodes || []).filter((node) => node.arrayIndex !== undefined);
+    if (leaves.length === 0) return null;
+    const { scale = 1.0 } = leaves[0];
+    const deepest = Math.max(...displayNodes.map((node) => node.y));
+    const rowY = deepest + LAYOUT_CONFIG.LEVEL_HEIGHT * scale;
+
+    return (
+      <div aria-label="Array">
+        {leaves.map((node) => {
+          const state = getCellState(node);
+          return (
+            <div
+              key={node.id}
+              className={`${styles.arrayCell} ${styles.rowCell} ${CELL_STATE_CLASSES[state] || ''}`}
+              style={{ left: `${node.x}px`, top: `${rowY}px`, '--node-scale': scale }}
+              data-array-index={node.arrayIndex}
+              data-state={state}
+            >
+              <span className={styles.cellValue}>
+                {node.arrayValue === undefined ? node.value : node.arrayValue}
+              </span>
+              <span className={styles.cellIndex}>{node.arrayIndex}</span>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  // Huffman trees: each leaf's code once it has one, most frequent first,
+  // with the length of the whole encoded input. It shares its corner with
+  // the BFS queue, so it steps aside during a level-order traversal
+  const renderCodeTable = () => {
+    if (traversalQueue) return null;
+    const rows = (displayNodes || [])
+      .filter((node) => node.code !== undefined)
+      .sort((a, b) => b.value - a.value || a.code.length - b.code.length);
+    if (rows.length === 0) return null;
+    const totalBits = rows.reduce((bits, node) => bits + node.value * node.code.length, 0);
+
+    return (
+      <table className={styles.codeTable} aria-label="Code table">
+        <thead>
+          <tr>
+            <th scope="col">Symbol</th>
+            <th scope="col">Weight</th>
+            <th scope="col">Code</th>
+            <th scope="col">Bits</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((node) => (
+            <tr key={node.id} data-symbol={node.symbol}>
+              <td>{node.symbol}</td>
+              <td>{node.value}</td>
+              <td className={styles.code}>{node.code}</td>
+              <td>{node.value * node.code.length}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th scope="row" colSpan={3}>Encoded length</th>
+            <td>{`${totalBits} bits`}</td>
+          </tr>
+        </tfoot>
+      </table>
+    );
+  };
+
+  const renderViewportToolbar = () => (
+    <div className={styles.viewportToolbar} role="toolbar" aria-label="Zoom and pan">
+      <button
+        type="button"
+        className={styles.toolbarButton}
+        onClick={() => zoomAroundCenter(1 / VIEWPORT_CONFIG.ZOOM_STEP)}
+        aria-label="Zoom out"
+      >
+        −
+      </button>
+      <button
+        type="button"
+        className={`${styles.toolbarButton} ${styles.zoomLevel}`}
+        onClick={() => setView(DEFAULT_VIEW)}
+        title="Reset zoom"
+      >
+        {`${Math.round(view.zoom * 100)}%`}
+      </button>
+      <button
+        type="button"
+        className={styles.toolbarButton}
+        onClick={() => zoomAroundCenter(VIEWPORT_CONFIG.ZOOM_STEP)}
+        aria-label="Zoom in"
+      >
+        +
+      </button>
+      <button
+        type="button"
+        className={styles.toolbarButton}
+        onClick={handleFitToView}
+      >
+        Fit to view
+      </button>
+      <label className={styles.followToggle} htmlFor="follow-highlighted-node">
+        <input
+          id="follow-highlighted-node"
+          type="checkbox"
+          checked={followEnabled}
+          onChange={(e) => setFollowEnabled(e.target.checked)}
+        />
+        Follow highlighted node
+      </label>
+    </div>
+  );
+
   return (
     <div className={styles.canvasContainer} ref={containerRef}>
+      {/* Like the timeline, the toolbar stays out of the capture area */}
+      {hasNodes && renderViewportToolbar()}
       <div
         ref={captureRef}
-        className={styles.canvas}
+        className={`${styles.canvas} ${isTweening ? styles.tweening : ''}`}
       >
-        {treeData.nodes && treeData.nodes.length > 0 ? (
+        {hasNodes ? (
           <>
-            {renderEdges()}
-            {renderNodes()}
-            {renderTraversalArrow()}
+            <div
+              ref={layerRef}
+              className={`${styles.viewportLayer} ${isPanning ? styles.panning : ''}`}
+              style={{ transform: getViewTransform(view) }}
+              data-viewport-layer
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+            >
+              {renderEdges()}
+              {renderNodes()}
+              {renderArrayRow()}
+              {renderTraversalArrow()}
+            </div>
+            {renderTraversalQueue()}
+            {renderHeapArray()}
+            {renderCodeTable()}
             {currentValue && (
               <div className={styles.currentValueDisplay}>
                 <div className={styles.valueLabel}>Current Value:</div>
@@ -118,6 +523,14 @@ function VisualizationCanvas({
           />
         </div>
       </div>
+      {/* Timeline sits outside the capture area so it never ends up in exports */}
+      {onSeek && (
+        <AnimationTimeline
+          steps={animationQueue}
+          currentIndex={currentAnimationIndex}
+          onSeek={onSeek}
+        />
+      )}
     </div>
   );
 }
@@ -129,10 +542,22 @@ VisualizationCanvas.propTypes = {
     nodes: PropTypes.arrayOf(
       PropTypes.shape({
         id: PropTypes.string.isRequired,
-        value: PropTypes.number.isRequired,
+        value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
         x: PropTypes.number.isRequired,
         y: PropTypes.number.isRequired,
         color: PropTypes.string,
+        keys: PropTypes.arrayOf(PropTypes.number),
+        priority: PropTypes.number,
+        heapIndex: PropTypes.number,
+        wordEnd: PropTypes.bool,
+        result: PropTypes.string,
+        symbol: PropTypes.string,
+        code: PropTypes.string,
+        interval: PropTypes.arrayOf(PropTypes.number),
+        arrayIndex: PropTypes.number,
+        arrayValue: PropTypes.number,
+        max: PropTypes.number,
+        size: PropTypes.number,
       }),
     ),
     edges: PropTypes.arrayOf(
@@ -140,6 +565,8 @@ VisualizationCanvas.propTypes = {
         from: PropTypes.string.isRequired,
         to: PropTypes.string.isRequired,
         type: PropTypes.string,
+        childIndex: PropTypes.number,
+        label: PropTypes.string,
       }),
     ),
   }).isRequired,
@@ -151,18 +578,45 @@ VisualizationCanvas.propTypes = {
     type: PropTypes.string,
     nodeId: PropTypes.string,
     state: PropTypes.string,
+    swap: PropTypes.shape({
+      nodeIds: PropTypes.arrayOf(PropTypes.string),
+      indices: PropTypes.arrayOf(PropTypes.number),
+    }),
   }),
   currentValue: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  traversalQueue: PropTypes.arrayOf(
+    PropTypes.shape({
+      nodeId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      value: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    }),
+  ),
+  edgeHighlights: PropTypes.objectOf(PropTypes.string),
+  nodeHighlights: PropTypes.objectOf(PropTypes.string),
+  nodeEffects: PropTypes.objectOf(PropTypes.string),
   statusMessage: PropTypes.string.isRequired,
   statusFeed: PropTypes.arrayOf(PropTypes.string),
   statusTitle: PropTypes.string,
   onClearStatus: PropTypes.oneOfType([PropTypes.func, PropTypes.oneOf([null])]),
+  animationQueue: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.string.isRequired,
+    }),
+  ),
+  currentAnimationIndex: PropTypes.number,
+  onSeek: PropTypes.oneOfType([PropTypes.func, PropTypes.oneOf([null])]),
 };
 
 VisualizationCanvas.defaultProps = {
   currentAnimationStep: null,
   currentValue: null,
+  traversalQueue: null,
+  edgeHighlights: {},
+  nodeHighlights: {},
+  nodeEffects: {},
   statusFeed: [],
   statusTitle: '',
   onClearStatus: null,
+  animationQueue: [],
+  currentAnimationIndex: 0,
+  onSeek: null,
 };
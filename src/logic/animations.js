@@ -4,12 +4,17 @@ export const ANIMATION_TYPES = {
   UPDATE_STATUS: 'update-status',
   HIGHLIGHT_NODE: 'highlight-node',
   RECOLOR_NODE: 'recolor-node',
+  SHOW_VALUE: 'show-value',
   REPOSITION: 'reposition',
   HIGHLIGHT_EDGE: 'highlight-edge',
   FADE_IN: 'fade-in',
   FADE_OUT: 'fade-out',
   PULSE: 'pulse',
   SHAKE: 'shake',
+  ENQUEUE: 'enqueue',
+  DEQUEUE: 'dequeue',
+  SET_RESULT: 'set-result',
+  UPDATE_VALUE: 'update-value',
 };
 
 export const HIGHLIGHT_STATES = {
@@ -22,6 +27,10 @@ export const HIGHLIGHT_STATES = {
   SEARCHING: 'searching',
   INSERTING: 'inserting',
   DELETING: 'deleting',
+  // Segment tree range queries
+  COVERED: 'covered',
+  PARTIAL: 'partial',
+  PRUNED: 'pruned',
 };
 
 export const ANIMATION_CONFIG = {
@@ -96,6 +105,76 @@ export const createShake = (
   duration = ANIMATION_CONFIG.HIGHLIGHT_DURATION,
 ) => createAnimationStep(ANIMATION_TYPES.SHAKE, { nodeId }, duration);
 
+export const createEnqueue = (
+  nodeId,
+  value,
+  duration = ANIMATION_CONFIG.FAST_DURATION,
+) => createAnimationStep(ANIMATION_TYPES.ENQUEUE, { nodeId, value }, duration);
+
+export const createDequeue = (
+  nodeId,
+  value,
+  duration = ANIMATION_CONFIG.FAST_DURATION,
+) => createAnimationStep(ANIMATION_TYPES.DEQUEUE, { nodeId, value }, duration);
+
+// Fields of every node as the tree's last reposition step left them, so the
+// next step only has to carry what changed since
+const lastLayouts = new WeakMap();
+
+/**
+ * Re-runs the tree layout and returns a reposition step describing it
+ *
+ * The step lists the ids of all nodes in their new order and carries the new
+ * edge list, so the canvas can slide nodes into place and re-attach edges
+ * instead of snapping. Only nodes that moved, joined the tree or changed
+ * another field (keys, size, max, heap slot...) get an entry in nodeUpdates
+ * with their old and new coordinates; the rest are taken as they are from
+ * the frame the step is applied to. Call it right after the structure
+ * changes (new leaf attached, rotation, node removed). Nodes that were never
+ * laid out before (no scale yet) simply appear at their new position.
+ */
+export const createLayoutReposition = (
+  tree,
+  duration = ANIMATION_CONFIG.REPOSITION_DURATION,
+) => {
+  const previous = new Map();
+  const remember = (node) => {
+    if (!node) return;
+    if (node.scale !== undefined) previous.set(node.id, { x: node.x, y: node.y });
+    (node.children || [node.left, node.right]).forEach(remember);
+  };
+  // A Huffman tree under construction is a whole row of trees
+  (tree.forest || [tree.root]).forEach(remember);
+
+  const { nodes, edges } = tree.getTreeData();
+  const before = lastLayouts.get(tree) || new Map();
+  const after = new Map();
+  const nodeUpdates = [];
+  nodes.forEach(({
+    id, x, y, ...fields
+  }) => {
+    const from = previous.get(id) || { x, y };
+    const signature = JSON.stringify(fields);
+    after.set(id, signature);
+    if (from.x === x && from.y === y && before.get(id) === signature) return;
+    nodeUpdates.push({
+      ...fields,
+      nodeId: id,
+      oldX: from.x,
+      oldY: from.y,
+      newX: x,
+      newY: y,
+    });
+  });
+  lastLayouts.set(tree, after);
+
+  return createAnimationStep(ANIMATION_TYPES.REPOSITION, {
+    nodeIds: nodes.map((node) => node.id),
+    nodeUpdates,
+    edges,
+  }, duration);
+};
+
 export const generateSearchAnimation = (tree, value) => {
   const animations = [];
   animations.push(createStatusUpdate(`Searching for ${value}...`));
@@ -250,7 +329,22 @@ export const generateTraversalAnimation = (tree, traversalType) => {
     }
   };
 
-  traverse(tree.root, traversalType);
+  if (traversalType === 'level-order' && tree.root) {
+    const queue = [tree.root];
+    animations.push(createEnqueue(tree.root.id, tree.root.value));
+    while (queue.length > 0) {
+      const node = queue.shift();
+      animations.push(createDequeue(node.id, node.value));
+      animations.push(createNodeHighlight(node.id, HIGHLIGHT_STATES.VISITED));
+      result.push(node.value);
+      [node.left, node.right].filter(Boolean).forEach((child) => {
+        queue.push(child);
+        animations.push(createEnqueue(child.id, child.value));
+      });
+    }
+  } else {
+    traverse(tree.root, traversalType);
+  }
 
   animations.push(
     createStatusUpdate(
@@ -260,6 +354,93 @@ export const generateTraversalAnimation = (tree, traversalType) => {
   return { animations, result };
 };
 
+// A traversal reaching a node: mark it visited and add its value to the feed
+export const createVisitSteps = (nodeId, value) => [
+  createNodeHighlight(nodeId, HIGHLIGHT_STATES.VISITED, ANIMATION_CONFIG.FAST_DURATION),
+  createAnimationStep(
+    ANIMATION_TYPES.SHOW_VALUE,
+    { nodeId, value },
+    ANIMATION_CONFIG.FAST_DURATION,
+  ),
+];
+
+/**
+ * Visit steps of a traversal over any tree shape
+ *
+ * getChildren(node) lists a node's children left to right (missing ones may
+ * be null); inorder visits a node between its first child and the rest.
+ * label(node) is what the result feed and the queue panel show for a node.
+ * Status messages are left to the caller, which knows how to name the order
+ */
+export const createTraversalSteps = (
+  root,
+  order,
+  getChildren,
+  label = (node) => node.value,
+) => {
+  const animations = [];
+  const result = [];
+
+  const visit = (node) => {
+    animations.push(...createVisitSteps(node.id, label(node)));
+    result.push(label(node));
+  };
+
+  if (!root) return { result, animations };
+
+  if (order === 'level-order') {
+    const queue = [root];
+    animations.push(createEnqueue(root.id, label(root)));
+    while (queue.length > 0) {
+      const node = queue.shift();
+      animations.push(createDequeue(node.id, label(node)));
+      visit(node);
+      getChildren(node).filter(Boolean).forEach((child) => {
+        queue.push(child);
+        animations.push(createEnqueue(child.id, label(child)));
+      });
+    }
+    return { result, animations };
+  }
+
+  const walk = (node) => {
+    if (!node) return;
+    const [first, ...rest] = getChildren(node);
+    if (order === 'preorder') visit(node);
+    walk(first);
+    if (order === 'inorder') visit(node);
+    rest.forEach(walk);
+    if (order === 'postorder') visit(node);
+  };
+  walk(root);
+  return { result, animations };
+};
+
+const capitalize = (text) => `${text[0].toUpperCase()}${text.slice(1)}`;
+
+/**
+ * A whole traversal for trees built on createTraversalSteps: its visit steps
+ * between a "Starting" status and one listing the result
+ */
+export const generateTraversal = (
+  root,
+  order,
+  getChildren,
+  {
+    label,
+    startMessage = order === 'level-order'
+      ? 'Starting level-order traversal (Breadth-First)'
+      : `Starting ${order} traversal`,
+  } = {},
+) => {
+  const { result, animations } = createTraversalSteps(root, order, getChildren, label);
+  animations.unshift(createStatusUpdate(startMessage, ANIMATION_CONFIG.FAST_DURATION));
+  animations.push(
+    createStatusUpdate(`${capitalize(order)} traversal complete: ${result.join(' → ')}`),
+  );
+  return { result, animations };
+};
+
 export const generateAVLRotationAnimation = (pivotNode, rotationType) => {
   const animations = [];
 
@@ -406,7 +587,210 @@ export const createTreeOperationSequence = (operation, tree, value) => {
       return generateTraversalAnimation(tree, 'preorder');
     case 'postorder':
       return generateTraversalAnimation(tree, 'postorder');
+    case 'level-order':
+      return generateTraversalAnimation(tree, 'level-order');
     default:
       return [createStatusUpdate(`Unknown operation: ${operation}`)];
   }
 };
+
+/**
+ * Playback frames
+ *
+ * A frame is everything the canvas shows at one moment of an animation:
+ * tree layout/colors, status text, traversal output, the highlighted step...
+ * frames[k] is the view after the first k steps, so pausing, stepping
+ * backward/forward or jumping around is just picking a different index.
+ * Steps never have to be "undone" and the tree instance is never touched.
+ *
+ * edgeHighlights maps edge ids to a highlight state and nodeEffects maps node
+ * ids to a visual effect ('hidden', 'fade-in', 'fade-out', 'pulse', 'shake').
+ * nodeHighlights remembers nodes highlighted as 'path' so the route an
+ * operation took stays tinted until it finishes. Steps flagged `sticky`
+ * (e.g. trie completions) are remembered the same way in their own state.
+ * Fades stick until another fade replaces them; pulse and shake only last
+ * for the step that triggered them. Results shown on nodes (expression tree
+ * evaluation) are written into the frame's tree data, like recolors.
+ */
+export const createAnimationFrame = ({
+  treeData,
+  statusMessage = '',
+  statusFeed = [],
+  traversalQueue = null,
+  edgeHighlights = {},
+  nodeHighlights = {},
+  nodeEffects = {},
+}) => ({
+  treeData,
+  statusMessage,
+  statusFeed,
+  traversalQueue,
+  edgeHighlights,
+  nodeHighlights,
+  nodeEffects,
+  currentAnimationStep: null,
+  currentValue: null,
+});
+
+// A full layout snapshot replaces the structure: nodes that left the tree are
+// dropped, new ones are added, updated ones take their new fields but keep
+// their frame color, and untouched ones stay as the frame has them
+const layoutSnapshotToTreeData = (treeData, step) => {
+  const current = new Map(treeData.nodes.map((node) => [node.id, node]));
+  const updates = new Map(step.nodeUpdates.map((update) => [update.nodeId, update]));
+  const ids = step.nodeIds || step.nodeUpdates.map((update) => update.nodeId);
+  return {
+    nodes: ids.map((id) => {
+      const existing = current.get(id);
+      if (!updates.has(id)) return existing;
+      const {
+        nodeId, oldX, oldY, newX, newY, ...fields
+      } = updates.get(id);
+      return {
+        ...fields,
+        id,
+        color: existing ? existing.color : fields.color,
+        x: newX,
+        y: newY,
+      };
+    }).filter(Boolean),
+    edges: step.edges,
+  };
+};
+
+const TRANSIENT_EFFECTS = [ANIMATION_TYPES.PULSE, ANIMATION_TYPES.SHAKE];
+
+// Runs once per frame, so the map is only copied when a pulse or shake ends
+const withoutTransientEffects = (nodeEffects) => {
+  const entries = Object.entries(nodeEffects);
+  if (!entries.some(([, effect]) => TRANSIENT_EFFECTS.includes(effect))) return nodeEffects;
+  return Object.fromEntries(entries.filter(([, effect]) => !TRANSIENT_EFFECTS.includes(effect)));
+};
+
+const updateFrameNodes = (treeData, nodeId, update) => ({
+  ...treeData,
+  nodes: treeData.nodes.map((node) => (node.id === nodeId ? { ...node, ...update } : node)),
+});
+
+// Moves every listed node in one pass over the frame's nodes
+const moveFrameNodes = (treeData, nodeUpdates) => {
+  const updates = new Map(nodeUpdates.map((update) => [update.nodeId, update]));
+  return {
+    ...treeData,
+    nodes: treeData.nodes.map((node) => {
+      const update = updates.get(node.id);
+      return update ? { ...node, x: update.newX, y: update.newY } : node;
+    }),
+  };
+};
+
+const applyStepToFrame = (frame, step) => {
+  switch (step.type) {
+    case ANIMATION_TYPES.UPDATE_STATUS:
+      return { ...frame, statusMessage: step.message };
+    case ANIMATION_TYPES.HIGHLIGHT_NODE:
+      if (step.state === HIGHLIGHT_STATES.PATH || step.sticky) {
+        return {
+          ...frame,
+          nodeHighlights: { ...frame.nodeHighlights, [step.nodeId]: step.state },
+          currentAnimationStep: step,
+        };
+      }
+      return { ...frame, currentAnimationStep: step };
+    case ANIMATION_TYPES.RECOLOR_NODE:
+      return {
+        ...frame,
+        treeData: updateFrameNodes(frame.treeData, step.nodeId, { color: step.color }),
+        currentAnimationStep: step,
+      };
+    case ANIMATION_TYPES.SET_RESULT:
+      return {
+        ...frame,
+        treeData: updateFrameNodes(frame.treeData, step.nodeId, { result: step.result }),
+        currentAnimationStep: step,
+      };
+    case ANIMATION_TYPES.UPDATE_VALUE: {
+      // A Fenwick update changes the array entry (arrayValue) apart from the node value,
+      // an interval tree update only the subtree max
+      const update = {};
+      if (step.value !== undefined) update.value = step.value;
+      if (step.arrayValue !== undefined) update.arrayValue = step.arrayValue;
+      if (step.max !== undefined) update.max = step.max;
+      return {
+        ...frame,
+        treeData: updateFrameNodes(frame.treeData, step.nodeId, update),
+        currentAnimationStep: step,
+      };
+    }
+    case ANIMATION_TYPES.SHOW_VALUE:
+      return {
+        ...frame,
+        currentValue: step.value,
+        statusFeed: [...frame.statusFeed, String(step.value)],
+        currentAnimationStep: step,
+      };
+    case ANIMATION_TYPES.REPOSITION:
+      if (step.edges) {
+        return {
+          ...frame,
+          treeData: layoutSnapshotToTreeData(frame.treeData, step),
+          currentAnimationStep: step,
+        };
+      }
+      return {
+        ...frame,
+        treeData: moveFrameNodes(frame.treeData, step.nodeUpdates),
+        currentAnimationStep: step,
+      };
+    case ANIMATION_TYPES.ENQUEUE:
+      return {
+        ...frame,
+        traversalQueue: [
+          ...(frame.traversalQueue || []),
+          { nodeId: step.nodeId, value: step.value },
+        ],
+      };
+    case ANIMATION_TYPES.DEQUEUE:
+      return { ...frame, traversalQueue: (frame.traversalQueue || []).slice(1) };
+    case ANIMATION_TYPES.HIGHLIGHT_EDGE: {
+      const { [step.edgeId]: previous, ...others } = frame.edgeHighlights;
+      return {
+        ...frame,
+        edgeHighlights: step.state === HIGHLIGHT_STATES.DEFAULT
+          ? others
+          : { ...others, [step.edgeId]: step.state },
+      };
+    }
+    case ANIMATION_TYPES.FADE_IN:
+    case ANIMATION_TYPES.FADE_OUT:
+    case ANIMATION_TYPES.PULSE:
+    case ANIMATION_TYPES.SHAKE:
+      return {
+        ...frame,
+        nodeEffects: { ...frame.nodeEffects, [step.nodeId]: step.type },
+      };
+    default:
+      return frame;
+  }
+};
+
+// Pure reducer: returns the frame that results from applying one step
+export const applyAnimationStep = (frame, step) => applyStepToFrame(
+  { ...frame, nodeEffects: withoutTransientEffects(frame.nodeEffects || {}) },
+  step,
+);
+
+export const buildAnimationFrames = (startFrame, animations) => {
+  // Nodes that fade in later in the sequence stay hidden until their step
+  const hiddenEffects = Object.fromEntries(animations
+    .filter((step) => step.type === ANIMATION_TYPES.FADE_IN)
+    .map((step) => [step.nodeId, 'hidden']));
+  const initialFrame = Object.keys(hiddenEffects).length
+    ? { ...startFrame, nodeEffects: { ...startFrame.nodeEffects, ...hiddenEffects } }
+    : startFrame;
+  const frames = [initialFrame];
+  animations.forEach((step) => {
+    frames.push(applyAnimationStep(frames[frames.length - 1], step));
+  });
+  return frames;
+};
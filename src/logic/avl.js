@@ -14,6 +14,14 @@
  * Uses 4 types of rotations: LL, RR, LR, RL
  */
 import Node from './node.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition, generateTraversal } from './animations.js';
+import { layoutTidyTree } from './layout.js';
+import { serializeTree, parseTreeFile } from './treeSerialization.js';
+import {
+  updateSize, updateSizesToRoot, kthSmallest, rankOf,
+} from './orderStatistics.js';
+import { rangeQuery, nearestKey, lowestCommonAncestor } from './bstQueries.js';
 
 class AVLTree {
   constructor() {
@@ -33,186 +41,9 @@ class AVLTree {
     return { nodes, edges };
   }
 
+  // Shared tidy-tree layout (see layout.js)
   _calculateTreeLayout() {
-    if (!this.root) return;
-
-    const treeInfo = this._getTreeInfo(this.root);
-    const canvasWidth = 1400;
-    const canvasHeight = 700;
-    const paddingX = 60;
-    const paddingY = 60;
-    // Fixed root position - center top of canvas
-    const rootX = canvasWidth / 2;
-    const rootY = 100;
-
-    this.root.x = rootX;
-    this.root.y = rootY;
-
-    this._positionSubtree(
-      this.root,
-      rootX,
-      rootY,
-      treeInfo.maxWidth,
-      treeInfo.maxHeight,
-    );
-
-    // Calculate tree bounds to determine how far it extends from root
-    const bounds = this._getTreeBounds(this.root);
-
-    // Calculate how far the tree extends from the root in each direction
-    const leftExtent = rootX - bounds.minX; // How far left from root
-    const rightExtent = bounds.maxX - rootX; // How far right from root
-    const bottomExtent = bounds.maxY - rootY; // How far down from root
-
-    // Calculate available space from root position to canvas edges (with padding)
-    const availableLeft = rootX - paddingX;
-    const availableRight = canvasWidth - rootX - paddingX;
-    const availableBottom = canvasHeight - rootY - paddingY;
-
-    // Calculate scale factors needed to fit each extent within available space
-    let scaleX = 1.0;
-    let scaleY = 1.0;
-
-    // Check left side
-    if (leftExtent > 0) {
-      const leftScale = availableLeft / leftExtent;
-      scaleX = Math.min(scaleX, leftScale);
-    }
-
-    // Check right side
-    if (rightExtent > 0) {
-      const rightScale = availableRight / rightExtent;
-      scaleX = Math.min(scaleX, rightScale);
-    }
-
-    // Check bottom
-    if (bottomExtent > 0) {
-      scaleY = availableBottom / bottomExtent;
-    }
-
-    // Use the smaller scale to ensure tree fits in both dimensions
-    // Add safety margin to prevent edge overflow
-    const finalScale = Math.min(scaleX, scaleY, 1.0) * 0.85;
-
-    // Apply scaling around the FIXED root position
-    // This keeps root at the same spot while scaling children
-    this._scaleTree(this.root, rootX, rootY, finalScale);
-  }
-
-  _getTreeInfo(node) {
-    if (!node) return { maxWidth: 0, maxHeight: 0 };
-
-    const leftInfo = this._getTreeInfo(node.left);
-    const rightInfo = this._getTreeInfo(node.right);
-
-    return {
-      maxWidth: Math.max(leftInfo.maxWidth, rightInfo.maxWidth) + 1,
-      maxHeight: Math.max(leftInfo.maxHeight, rightInfo.maxHeight) + 1,
-    };
-  }
-
-  _positionSubtree(node, parentX, parentY, maxWidth, maxHeight) {
-    if (!node) return;
-
-    const horizontalSpacing = 50;
-    const verticalSpacing = 60;
-
-    if (node.left) {
-      const heightFactor = Math.min(maxHeight - 1, 2);
-      const leftOffset = Math.max(
-        horizontalSpacing,
-        (2 ** heightFactor * horizontalSpacing) / 2,
-      );
-      const leftChild = node.left;
-      leftChild.x = parentX - leftOffset;
-      leftChild.y = parentY + verticalSpacing;
-
-      this._positionSubtree(
-        leftChild,
-        leftChild.x,
-        leftChild.y,
-        maxWidth - 1,
-        maxHeight - 1,
-      );
-    }
-
-    if (node.right) {
-      const heightFactor = Math.min(maxHeight - 1, 2);
-      const rightOffset = Math.max(
-        horizontalSpacing,
-        (2 ** heightFactor * horizontalSpacing) / 2,
-      );
-      const rightChild = node.right;
-      rightChild.x = parentX + rightOffset;
-      rightChild.y = parentY + verticalSpacing;
-
-      this._positionSubtree(
-        rightChild,
-        rightChild.x,
-        rightChild.y,
-        maxWidth - 1,
-        maxHeight - 1,
-      );
-    }
-  }
-
-  _getTreeBounds(node) {
-    if (!node) {
-      return {
-        minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity,
-      };
-    }
-
-    let minX = node.x;
-    let maxX = node.x;
-    let minY = node.y;
-    let maxY = node.y;
-
-    if (node.left) {
-      const leftBounds = this._getTreeBounds(node.left);
-      minX = Math.min(minX, leftBounds.minX);
-      maxX = Math.max(maxX, leftBounds.maxX);
-      minY = Math.min(minY, leftBounds.minY);
-      maxY = Math.max(maxY, leftBounds.maxY);
-    }
-
-    if (node.right) {
-      const rightBounds = this._getTreeBounds(node.right);
-      minX = Math.min(minX, rightBounds.minX);
-      maxX = Math.max(maxX, rightBounds.maxX);
-      minY = Math.min(minY, rightBounds.minY);
-      maxY = Math.max(maxY, rightBounds.maxY);
-    }
-
-    return {
-      minX, maxX, minY, maxY,
-    };
-  }
-
-  _scaleTree(node, centerX, centerY, scale) {
-    if (!node) return;
-
-    const targetNode = node;
-    // Scale position relative to center
-    targetNode.x = centerX + (node.x - centerX) * scale;
-    targetNode.y = centerY + (node.y - centerY) * scale;
-
-    // Store scale factor for rendering
-    targetNode.scale = scale;
-
-    this._scaleTree(node.left, centerX, centerY, scale);
-    this._scaleTree(node.right, centerX, centerY, scale);
-  }
-
-  _translateTree(node, offsetX, offsetY) {
-    if (!node) return;
-
-    const targetNode = node;
-    targetNode.x += offsetX;
-    targetNode.y += offsetY;
-
-    this._translateTree(node.left, offsetX, offsetY);
-    this._translateTree(node.right, offsetX, offsetY);
+    layoutTidyTree(this.root);
   }
 
   _collectTreeData(node, nodes, edges) {
@@ -225,6 +56,7 @@ class AVLTree {
       y: node.y,
       color: node.color,
       height: node.height,
+      size: node.size,
       scale: node.scale || 1.0,
     });
 
@@ -261,6 +93,17 @@ class AVLTree {
     }
   }
 
+  // Point parent (or the root) at newChild in place of oldChild
+  _replaceChild(parent, oldChild, newChild) {
+    if (!parent) {
+      if (this.root === oldChild) this.root = newChild;
+    } else if (parent.left === oldChild) {
+      parent.left = newChild;
+    } else if (parent.right === oldChild) {
+      parent.right = newChild;
+    }
+  }
+
   /**
    * Right Rotation (LL Case)
    *
@@ -297,9 +140,17 @@ class AVLTree {
     x.parent = y.parent;
     y.parent = x;
 
-    // Update heights bottom-up (y first, then x)
+    // Re-link the parent now (callers still assign the returned root) so the
+    // tree is whole when we snapshot the layout for the slide animation
+    this._replaceChild(x.parent, y, x);
+
+    // Update heights and sizes bottom-up (y first, then x)
     this.updateHeight(y);
     this.updateHeight(x);
+    updateSize(y);
+    updateSize(x);
+
+    animations.push(createLayoutReposition(this));
 
     animations.push({
       type: 'highlight-node',
@@ -342,10 +193,15 @@ class AVLTree {
     if (T2) T2.parent = x;
     y.parent = x.parent;
     x.parent = y;
+    this._replaceChild(y.parent, x, y);
 
-    // Update heights bottom-up
+    // Update heights and sizes bottom-up
     this.updateHeight(x);
     this.updateHeight(y);
+    updateSize(x);
+    updateSize(y);
+
+    animations.push(createLayoutReposition(this));
 
     animations.push({
       type: 'highlight-node',
@@ -377,6 +233,27 @@ class AVLTree {
       newNode.parent = parent;
       newNode.height = 1;
 
+      // Attach straight away so layout snapshots taken while rebalancing see it
+      if (!parent) {
+        this.root = newNode;
+      } else if (value < parent.value) {
+        parent.left = newNode;
+      } else {
+        parent.right = newNode;
+      }
+      updateSizesToRoot(parent);
+
+      // Edge from the parent we descended from to the new leaf
+      if (parent) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(parent.id, newNode.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      animations.push(createLayoutReposition(this));
+
       animations.push({
         type: 'highlight-node',
         nodeId: newNode.id,
@@ -384,6 +261,12 @@ class AVLTree {
         duration: 500,
       });
 
+      animations.push({
+        type: 'fade-in',
+        nodeId: newNode.id,
+        duration: 500,
+      });
+
       animations.push({
         type: 'update-status',
         message: `Inserted ${value}`,
@@ -396,7 +279,7 @@ class AVLTree {
     animations.push({
       type: 'highlight-node',
       nodeId: node.id,
-      state: 'visiting',
+      state: 'path',
       duration: 300,
     });
 
@@ -406,6 +289,14 @@ class AVLTree {
         message: `${value} < ${node.value}, going left`,
         duration: 500,
       });
+      if (node.left) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, node.left.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
       node.left = this._insertNode(node.left, value, animations, node);
     } else if (value > node.value) {
       animations.push({
@@ -413,8 +304,21 @@ class AVLTree {
         message: `${value} > ${node.value}, going right`,
         duration: 500,
       });
+      if (node.right) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, node.right.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
       node.right = this._insertNode(node.right, value, animations, node);
     } else {
+      animations.push({
+        type: 'shake',
+        nodeId: node.id,
+        duration: 300,
+      });
       animations.push({
         type: 'update-status',
         message: `${value} already exists, skipping`,
@@ -492,8 +396,16 @@ class AVLTree {
     return { tree: this, animations };
   }
 
-  _deleteNode(node, value, animations) {
+  _deleteNode(node, value, animations, parent = null) {
     if (!node) {
+      // Shake the node where the search ran out
+      if (parent) {
+        animations.push({
+          type: 'shake',
+          nodeId: parent.id,
+          duration: 300,
+        });
+      }
       animations.push({
         type: 'update-status',
         message: `Value ${value} not found`,
@@ -505,14 +417,30 @@ class AVLTree {
     animations.push({
       type: 'highlight-node',
       nodeId: node.id,
-      state: 'visiting',
+      state: 'path',
       duration: 300,
     });
 
     if (value < node.value) {
-      node.left = this._deleteNode(node.left, value, animations);
+      if (node.left) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, node.left.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      node.left = this._deleteNode(node.left, value, animations, node);
     } else if (value > node.value) {
-      node.right = this._deleteNode(node.right, value, animations);
+      if (node.right) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, node.right.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      node.right = this._deleteNode(node.right, value, animations, node);
     } else {
       // Node found
       animations.push({
@@ -524,8 +452,16 @@ class AVLTree {
 
       // Node with only one child or no child
       if (!node.left || !node.right) {
+        animations.push({
+          type: 'fade-out',
+          nodeId: node.id,
+          duration: 500,
+        });
         const temp = node.left ? node.left : node.right;
         if (temp) temp.parent = node.parent;
+        this._replaceChild(node.parent, node, temp);
+        updateSizesToRoot(node.parent);
+        animations.push(createLayoutReposition(this));
         return temp;
       }
       {
@@ -539,7 +475,7 @@ class AVLTree {
         });
 
         node.value = temp.value;
-        node.right = this._deleteNode(node.right, temp.value, animations);
+        node.right = this._deleteNode(node.right, temp.value, animations, node);
       }
     }
 
@@ -602,8 +538,15 @@ class AVLTree {
     return { animations };
   }
 
-  _searchNode(node, value, animations) {
+  _searchNode(node, value, animations, parent = null) {
     if (!node) {
+      if (parent) {
+        animations.push({
+          type: 'shake',
+          nodeId: parent.id,
+          duration: 300,
+        });
+      }
       animations.push({
         type: 'update-status',
         message: `Value ${value} not found`,
@@ -615,7 +558,12 @@ class AVLTree {
     animations.push({
       type: 'highlight-node',
       nodeId: node.id,
-      state: 'visiting',
+      state: 'path',
+      duration: 300,
+    });
+    animations.push({
+      type: 'pulse',
+      nodeId: node.id,
       duration: 300,
     });
 
@@ -640,7 +588,15 @@ class AVLTree {
         message: `${value} < ${node.value}, going left`,
         duration: 500,
       });
-      return this._searchNode(node.left, value, animations);
+      if (node.left) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, node.left.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      return this._searchNode(node.left, value, animations, node);
     }
 
     animations.push({
@@ -648,7 +604,66 @@ class AVLTree {
       message: `${value} > ${node.value}, going right`,
       duration: 500,
     });
-    return this._searchNode(node.right, value, animations);
+    if (node.right) {
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.id, node.right.id),
+        state: 'path',
+        duration: 300,
+      });
+    }
+    return this._searchNode(node.right, value, animations, node);
+  }
+
+  /**
+   * k-th smallest value (1-based), read off the subtree sizes
+   * See orderStatistics.js - Time: O(log n)
+   */
+  kthSmallest(k) {
+    return kthSmallest(this, k);
+  }
+
+  /**
+   * Rank of a value: 1 + how many values are smaller (also for absent values)
+   */
+  rank(value) {
+    return rankOf(this, value);
+  }
+
+  /**
+   * Every value in [lo, hi], skipping subtrees that lie outside it
+   * See bstQueries.js - Time: O(h + number of values reported)
+   */
+  rangeQuery(lo, hi) {
+    return rangeQuery(this, lo, hi);
+  }
+
+  // Largest value ≤ x
+  floor(x) {
+    return nearestKey(this, 'floor', x);
+  }
+
+  // Smallest value ≥ x
+  ceiling(x) {
+    return nearestKey(this, 'ceiling', x);
+  }
+
+  // Largest value < x (x need not be in the tree)
+  predecessor(x) {
+    return nearestKey(this, 'predecessor', x);
+  }
+
+  // Smallest value > x (x need not be in the tree)
+  successor(x) {
+    return nearestKey(this, 'successor', x);
+  }
+
+  /**
+   * Lowest common ancestor of a and b - by the BST property, then by the
+   * general binary tree search for comparison - and the path between them
+   */
+  lowestCommonAncestor(a, b) {
+    return lowestCommonAncestor(this, a, b);
   }
 
   // Traversal methods (same as BST)
@@ -779,6 +794,13 @@ class AVLTree {
     result.push(node.value);
   }
 
+  /**
+   * Level-order traversal (Breadth-First) using a FIFO queue
+   */
+  levelOrderTraversal() {
+    return generateTraversal(this.root, 'level-order', (node) => [node.left, node.right]);
+  }
+
   safeClone() {
     const newTree = new AVLTree();
     newTree.nodeIdCounter = this.nodeIdCounter;
@@ -791,6 +813,7 @@ class AVLTree {
 
     const cloned = new Node(node.value, node.id, node.x, node.y);
     cloned.height = node.height;
+    cloned.size = node.size;
     cloned.color = node.color;
     cloned.scale = node.scale;
 
@@ -802,6 +825,26 @@ class AVLTree {
 
     return cloned;
   }
+
+  /**
+   * Plain object in the documented tree file format (see treeSerialization.js)
+   * Also lets JSON.stringify(tree) produce a file that fromJSON() can read
+   */
+  toJSON() {
+    return serializeTree('AVL', this);
+  }
+
+  /**
+   * Rebuilds a tree from toJSON() output (object or JSON text)
+   * Throws an Error naming the offending node if the file breaks BST ordering or AVL balance
+   */
+  static fromJSON(json) {
+    const tree = new AVLTree();
+    const { root, nodeIdCounter } = parseTreeFile(json, 'AVL', (counter) => counter);
+    tree.root = root;
+    tree.nodeIdCounter = nodeIdCounter;
+    return tree;
+  }
 }
 
 export default AVLTree;
@@ -0,0 +1,692 @@
+import BTreeNode from './bTreeNode.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition, generateTraversal } from './animations.js';
+import { layoutTidyTree, getMultiKeyNodeWidth } from './layout.js';
+import { serializeTree, parseBTreeFile } from './treeSerialization.js';
+
+export const DEFAULT_MIN_DEGREE = 2;
+
+// Index of the first key >= value (also the child to descend into)
+const findKeyIndex = (node, value) => {
+  let index = 0;
+  while (index < node.keys.length && value > node.keys[index]) index += 1;
+  return index;
+};
+
+// "[10, 20]": how messages and node-level traversals name a node
+const describeKeys = (node) => `[${node.keys.join(', ')}]`;
+
+/**
+ * B-Tree Implementation
+ *
+ * A balanced multi-way search tree with configurable minimum degree t:
+ * every node except the root holds between t-1 and 2t-1 keys and all leaves
+ * sit at the same depth. Insert splits full nodes on the way down and delete
+ * borrows from or merges with siblings on the way down (both single pass,
+ * as in CLRS), so the tree never has to be fixed up bottom-up.
+ *
+ * Exposes the same interface as BST/AVLTree/RedBlackTree; canvas nodes carry
+ * a `keys` array so Node renders one cell per key.
+ */
+export default class BTree {
+  constructor(minDegree = DEFAULT_MIN_DEGREE) {
+    if (!Number.isInteger(minDegree) || minDegree < 2) {
+      throw new Error('B-Tree minimum degree must be an integer of at least 2');
+    }
+    this.minDegree = minDegree;
+    this.root = null;
+    this.nodeIdCounter = 0;
+  }
+
+  generateId() {
+    const id = `bnode-${this.nodeIdCounter}`;
+    this.nodeIdCounter += 1;
+    return id;
+  }
+
+  _createNode(keys = [], children = []) {
+    return new BTreeNode(this.generateId(), keys, children);
+  }
+
+  maxKeys() {
+    return 2 * this.minDegree - 1;
+  }
+
+  getTreeData() {
+    const nodes = [];
+    const edges = [];
+
+    if (this.root) {
+      this._calculateTreeLayout();
+      this._collectTreeData(this.root, nodes, edges);
+    }
+
+    return { nodes, edges };
+  }
+
+  // Shared tidy layout; wide nodes simply reserve more horizontal space
+  _calculateTreeLayout() {
+    layoutTidyTree(this.root, {
+      getChildren: (node) => node.children,
+      getNodeWidth: (node) => getMultiKeyNodeWidth(node.keys.length),
+    });
+  }
+
+  _collectTreeData(node, nodes, edges) {
+    nodes.push({
+      id: node.id,
+      value: node.keys.join(' | '),
+      keys: [...node.keys],
+      x: node.x,
+      y: node.y,
+      color: null,
+      scale: node.scale || 1.0,
+    });
+
+    node.children.forEach((child, childIndex) => {
+      edges.push({
+        from: node.id,
+        to: child.id,
+        type: 'child',
+        childIndex,
+      });
+      this._collectTreeData(child, nodes, edges);
+    });
+  }
+
+  // Every key in the tree, in sorted order
+  keys() {
+    const keys = [];
+    const collect = (node) => {
+      if (!node) return;
+      node.keys.forEach((key, index) => {
+        if (!node.isLeaf()) collect(node.children[index]);
+        keys.push(key);
+      });
+      if (!node.isLeaf()) collect(node.children[node.keys.length]);
+    };
+    collect(this.root);
+    return keys;
+  }
+
+  contains(value) {
+    let node = this.root;
+    while (node) {
+      const index = findKeyIndex(node, value);
+      if (node.keys[index] === value) return true;
+      node = node.isLeaf() ? null : node.children[index];
+    }
+    return false;
+  }
+
+  /**
+   * Highlights the search path for `value`; returns the last node visited
+   * and whether the key was found there
+   */
+  _tracePath(value, animations) {
+    let node = this.root;
+    while (node) {
+      const index = findKeyIndex(node, value);
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        keyIndex: Math.min(index, node.keys.length - 1),
+        duration: 400,
+      });
+      if (node.keys[index] === value) return { node, index, found: true };
+      if (node.isLeaf()) return { node, index, found: false };
+
+      const child = node.children[index];
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.id, child.id),
+        state: 'path',
+        duration: 300,
+      });
+      node = child;
+    }
+    return { node: null, index: -1, found: false };
+  }
+
+  insert(value) {
+    const animations = [];
+
+    if (!this.root) {
+      this.root = this._createNode([value]);
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'fade-in',
+        nodeId: this.root.id,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Inserted ${value} as root node`,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    // Duplicates are rejected before anything is split
+    if (this.contains(value)) {
+      const { node } = this._tracePath(value, animations);
+      animations.push({
+        type: 'shake',
+        nodeId: node.id,
+        duration: 300,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} already exists in the tree`,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    if (this.root.keys.length === this.maxKeys()) {
+      const oldRoot = this.root;
+      this.root = this._createNode([], [oldRoot]);
+      animations.push({
+        type: 'update-status',
+        message: `Root ${describeKeys(oldRoot)} is full - splitting it grows the tree by one level`,
+        duration: 1000,
+      });
+      this._splitChild(this.root, 0, animations);
+      animations.push({
+        type: 'fade-in',
+        nodeId: this.root.id,
+        duration: 500,
+      });
+    }
+
+    this._insertNonFull(this.root, value, animations);
+    animations.push({
+      type: 'update-status',
+      message: `Inserted ${value} successfully`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  _insertNonFull(node, value, animations) {
+    let index = findKeyIndex(node, value);
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'path',
+      keyIndex: Math.min(index, node.keys.length - 1),
+      duration: 400,
+    });
+
+    if (node.isLeaf()) {
+      node.keys.splice(index, 0, value);
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'inserting',
+        keyIndex: index,
+        duration: 500,
+      });
+      return;
+    }
+
+    // Split a full child before entering it so there is always room for a
+    // key pushed up from below
+    if (node.children[index].keys.length === this.maxKeys()) {
+      animations.push({
+        type: 'update-status',
+        message: `Child ${describeKeys(node.children[index])} is full - splitting it before descending`,
+        duration: 1000,
+      });
+      this._splitChild(node, index, animations);
+      if (value > node.keys[index]) index += 1;
+    }
+
+    const child = node.children[index];
+    animations.push({
+      type: 'highlight-edge',
+      edgeId: getEdgeId(node.id, child.id),
+      state: 'path',
+      duration: 300,
+    });
+    this._insertNonFull(child, value, animations);
+  }
+
+  // Moves the median key of the full child up into `parent` and hands the
+  // keys (and children) right of the median to a new sibling
+  _splitChild(parent, index, animations) {
+    const t = this.minDegree;
+    const full = parent.children[index];
+    const median = full.keys[t - 1];
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: full.id,
+      state: 'pivot',
+      keyIndex: t - 1,
+      duration: 600,
+    });
+
+    // full keeps the first t-1 keys (and t children); the rest move out
+    const [, ...siblingKeys] = full.keys.splice(t - 1);
+    const sibling = this._createNode(siblingKeys, full.children.splice(t));
+    parent.keys.splice(index, 0, median);
+    parent.children.splice(index + 1, 0, sibling);
+
+    animations.push({
+      type: 'update-status',
+      message: `Split: median ${median} moves up, ${describeKeys(full)} and ${describeKeys(sibling)} become siblings`,
+      duration: 1000,
+    });
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'fade-in',
+      nodeId: sibling.id,
+      duration: 500,
+    });
+  }
+
+  search(value) {
+    const animations = [];
+
+    animations.push({
+      type: 'update-status',
+      message: `Searching for ${value}`,
+      duration: 500,
+    });
+
+    const { node, index, found } = this._tracePath(value, animations);
+    if (found) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'found',
+        keyIndex: index,
+        duration: 800,
+      });
+      animations.push({
+        type: 'pulse',
+        nodeId: node.id,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Found ${value} in node ${describeKeys(node)}!`,
+        duration: 1000,
+      });
+      return { found: true, animations };
+    }
+
+    if (node) {
+      animations.push({
+        type: 'shake',
+        nodeId: node.id,
+        duration: 300,
+      });
+    }
+    animations.push({
+      type: 'update-status',
+      message: `Value ${value} not found in the tree`,
+      duration: 1000,
+    });
+    return { found: false, animations };
+  }
+
+  delete(value) {
+    const animations = [];
+
+    if (!this.contains(value)) {
+      const { node } = this._tracePath(value, animations);
+      if (node) {
+        animations.push({
+          type: 'shake',
+          nodeId: node.id,
+          duration: 300,
+        });
+      }
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} not found in the tree`,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    this._deleteFrom(this.root, value, animations);
+
+    // The last key left a leaf root - the tree is now empty
+    if (this.root.keys.length === 0) {
+      animations.push({
+        type: 'fade-out',
+        nodeId: this.root.id,
+        duration: 500,
+      });
+      this.root = null;
+    }
+
+    animations.push({
+      type: 'update-status',
+      message: `Deleted ${value} successfully`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Removes `value` from the subtree rooted at `node`, which (unless it is
+   * the root) is guaranteed to hold at least t keys
+   */
+  _deleteFrom(node, value, animations) {
+    const t = this.minDegree;
+    let index = findKeyIndex(node, value);
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'path',
+      keyIndex: Math.min(index, node.keys.length - 1),
+      duration: 400,
+    });
+
+    if (node.keys[index] === value) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'deleting',
+        keyIndex: index,
+        duration: 600,
+      });
+
+      if (node.isLeaf()) {
+        node.keys.splice(index, 1);
+        animations.push({
+          type: 'update-status',
+          message: `Removed ${value} from leaf ${describeKeys(node)}`,
+          duration: 1000,
+        });
+        animations.push(createLayoutReposition(this));
+        return;
+      }
+
+      const left = node.children[index];
+      const right = node.children[index + 1];
+      if (left.keys.length >= t) {
+        const predecessor = BTree.findMaxKey(left);
+        node.keys.splice(index, 1, predecessor);
+        animations.push({
+          type: 'update-status',
+          message: `Replace ${value} with its predecessor ${predecessor}, then delete ${predecessor} from the left subtree`,
+          duration: 1000,
+        });
+        animations.push(createLayoutReposition(this));
+        this._descend(node, left, predecessor, animations);
+        return;
+      }
+      if (right.keys.length >= t) {
+        const successor = BTree.findMinKey(right);
+        node.keys.splice(index, 1, successor);
+        animations.push({
+          type: 'update-status',
+          message: `Replace ${value} with its successor ${successor}, then delete ${successor} from the right subtree`,
+          duration: 1000,
+        });
+        animations.push(createLayoutReposition(this));
+        this._descend(node, right, successor, animations);
+        return;
+      }
+
+      animations.push({
+        type: 'update-status',
+        message: `Both children around ${value} have only ${t - 1} key(s) - merge them with ${value}`,
+        duration: 1000,
+      });
+      const merged = this._mergeChildren(node, index, animations);
+      this._descend(node, merged, value, animations);
+      return;
+    }
+
+    // Make sure the child we enter can spare a key before descending
+    let child = node.children[index];
+    if (child.keys.length === t - 1) {
+      const leftSibling = index > 0 ? node.children[index - 1] : null;
+      const rightSibling = index < node.keys.length ? node.children[index + 1] : null;
+      if (leftSibling && leftSibling.keys.length >= t) {
+        this._borrowFromLeft(node, index, animations);
+      } else if (rightSibling && rightSibling.keys.length >= t) {
+        this._borrowFromRight(node, index, animations);
+      } else if (rightSibling) {
+        child = this._mergeChildren(node, index, animations);
+      } else {
+        index -= 1;
+        child = this._mergeChildren(node, index, animations);
+      }
+    }
+
+    this._descend(node, child, value, animations);
+  }
+
+  // Highlights the edge into `child` (unless a merge just made it the root)
+  _descend(node, child, value, animations) {
+    if (child !== this.root) {
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.id, child.id),
+        state: 'path',
+        duration: 300,
+      });
+    }
+    this._deleteFrom(child, value, animations);
+  }
+
+  // Rotates a key through the parent: parent key down into the child,
+  // largest key of the left sibling up into the parent
+  _borrowFromLeft(parent, index, animations) {
+    const child = parent.children[index];
+    const sibling = parent.children[index - 1];
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: sibling.id,
+      state: 'pivot',
+      keyIndex: sibling.keys.length - 1,
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Borrow: ${parent.keys[index - 1]} moves down into ${describeKeys(child)}, ${sibling.keys[sibling.keys.length - 1]} moves up from its left sibling`,
+      duration: 1000,
+    });
+
+    child.keys.unshift(parent.keys[index - 1]);
+    parent.keys.splice(index - 1, 1, sibling.keys.pop());
+    if (!sibling.isLeaf()) child.children.unshift(sibling.children.pop());
+    animations.push(createLayoutReposition(this));
+  }
+
+  _borrowFromRight(parent, index, animations) {
+    const child = parent.children[index];
+    const sibling = parent.children[index + 1];
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: sibling.id,
+      state: 'pivot',
+      keyIndex: 0,
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Borrow: ${parent.keys[index]} moves down into ${describeKeys(child)}, ${sibling.keys[0]} moves up from its right sibling`,
+      duration: 1000,
+    });
+
+    child.keys.push(parent.keys[index]);
+    parent.keys.splice(index, 1, sibling.keys.shift());
+    if (!sibling.isLeaf()) child.children.push(sibling.children.shift());
+    animations.push(createLayoutReposition(this));
+  }
+
+  /**
+   * Merges children[index], the separating parent key and children[index + 1]
+   * into one node; if that empties the root, the merged node becomes the root
+   * Returns the merged node
+   */
+  _mergeChildren(parent, index, animations) {
+    const left = parent.children[index];
+    const right = parent.children[index + 1];
+    const separator = parent.keys[index];
+
+    animations.push({
+      type: 'update-status',
+      message: `Merge: ${describeKeys(left)} + ${separator} + ${describeKeys(right)}`,
+      duration: 1000,
+    });
+    animations.push({
+      type: 'fade-out',
+      nodeId: right.id,
+      duration: 500,
+    });
+
+    left.keys.push(separator, ...right.keys);
+    left.children.push(...right.children);
+    parent.keys.splice(index, 1);
+    parent.children.splice(index + 1, 1);
+
+    if (parent === this.root && parent.keys.length === 0) {
+      animations.push({
+        type: 'fade-out',
+        nodeId: parent.id,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: 'Root is empty - the tree shrinks by one level',
+        duration: 1000,
+      });
+      this.root = left;
+    }
+
+    animations.push(createLayoutReposition(this));
+    return left;
+  }
+
+  static findMaxKey(node) {
+    let current = node;
+    while (!current.isLeaf()) current = current.children[current.children.length - 1];
+    return current.keys[current.keys.length - 1];
+  }
+
+  static findMinKey(node) {
+    let current = node;
+    while (!current.isLeaf()) [current] = current.children;
+    return current.keys[0];
+  }
+
+  // Visits every key in sorted order, highlighting the key inside its node
+  inorderTraversal() {
+    const animations = [];
+    const result = [];
+
+    animations.push({
+      type: 'update-status',
+      message: 'Starting inorder traversal (keys in sorted order)',
+      duration: 500,
+    });
+
+    this._inorderHelper(this.root, result, animations);
+
+    animations.push({
+      type: 'update-status',
+      message: `Inorder traversal complete: ${result.join(' → ')}`,
+      duration: 1000,
+    });
+
+    return { result, animations };
+  }
+
+  _inorderHelper(node, result, animations) {
+    if (!node) return;
+
+    node.keys.forEach((key, keyIndex) => {
+      if (!node.isLeaf()) this._inorderHelper(node.children[keyIndex], result, animations);
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'visited',
+        keyIndex,
+        duration: 500,
+      });
+      animations.push({
+        type: 'show-value',
+        nodeId: node.id,
+        value: key,
+        duration: 500,
+      });
+      result.push(key);
+    });
+    if (!node.isLeaf()) this._inorderHelper(node.children[node.keys.length], result, animations);
+  }
+
+  preorderTraversal() {
+    return generateTraversal(this.root, 'preorder', (node) => node.children, {
+      label: describeKeys,
+      startMessage: 'Starting preorder traversal (Node-Children)',
+    });
+  }
+
+  postorderTraversal() {
+    return generateTraversal(this.root, 'postorder', (node) => node.children, {
+      label: describeKeys,
+      startMessage: 'Starting postorder traversal (Children-Node)',
+    });
+  }
+
+  levelOrderTraversal() {
+    return generateTraversal(this.root, 'level-order', (node) => node.children, {
+      label: describeKeys,
+    });
+  }
+
+  // Deep copy that keeps node ids and positions (used for undo/redo)
+  safeClone() {
+    const newTree = new BTree(this.minDegree);
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.root = this._safeCloneNode(this.root);
+    return newTree;
+  }
+
+  _safeCloneNode(node) {
+    if (!node) return null;
+
+    const clone = new BTreeNode(
+      node.id,
+      [...node.keys],
+      node.children.map((child) => this._safeCloneNode(child)),
+    );
+    clone.x = node.x;
+    clone.y = node.y;
+    clone.scale = node.scale;
+    return clone;
+  }
+
+  /**
+   * Plain object in the tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('BTree', this);
+  }
+
+  /**
+   * Builds a B-Tree from a tree file (object or JSON text)
+   * Throws an Error describing the first problem if the file is invalid
+   */
+  static fromJSON(json) {
+    const { minDegree, root, nodeIdCounter } = parseBTreeFile(json, (counter) => `bnode-${counter}`);
+    const tree = new BTree(minDegree);
+    const build = (plain) => new BTreeNode(plain.id, plain.keys, plain.children.map(build));
+    tree.root = root ? build(root) : null;
+    tree.nodeIdCounter = nodeIdCounter;
+    return tree;
+  }
+}
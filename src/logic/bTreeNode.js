@@ -0,0 +1,18 @@
+// A B-Tree node holds a sorted list of keys and, unless it is a leaf,
+// keys.length + 1 children
+class BTreeNode {
+  constructor(id, keys = [], children = [], x = 0, y = 0) {
+    this.id = id;
+    this.keys = keys;
+    this.children = children;
+    this.x = x;
+    this.y = y;
+    this.scale = 1.0;
+  }
+
+  isLeaf() {
+    return this.children.length === 0;
+  }
+}
+
+export default BTreeNode;
@@ -0,0 +1,485 @@
+/**
+ * Binary Heap Implementation (min-heap or max-heap)
+ *
+ * Key Properties:
+ * - Shape: a complete binary tree - every level is full except possibly the
+ *   last one, which fills from the left
+ * - Heap order: every parent is <= its children (min-heap) or >= them
+ *   (max-heap), so the root always holds the minimum / maximum
+ * - Because the shape is complete, the tree lives in a plain array: the
+ *   children of index i sit at 2i + 1 and 2i + 2, its parent at (i - 1) / 2
+ *
+ * The array (`items`) is the source of truth. After every change the nodes
+ * are relinked from it (left/right/parent plus `heapIndex`), so layout,
+ * getTreeData, traversals and undo work exactly as for the other trees.
+ * Each swap is a single reposition step that also names the two array
+ * slots, so the canvas slides both nodes while the array view highlights
+ * the same two cells.
+ *
+ * Time Complexity: insert / extract O(log n), build-heap O(n), heapsort O(n log n)
+ */
+import Node from './node.js';
+import BST from './tree.js';
+import { createLayoutReposition } from './animations.js';
+import { serializeTree, parseHeapFile } from './treeSerialization.js';
+
+export const HEAP_KINDS = ['min', 'max'];
+export const DEFAULT_HEAP_KIND = 'min';
+
+// For the narration: `beats` - a child must move above its parent,
+// `holds` - a parent may stay above its child
+const ORDER_SYMBOLS = {
+  min: { beats: '<', holds: '≤' },
+  max: { beats: '>', holds: '≥' },
+};
+
+const parentIndex = (index) => Math.floor((index - 1) / 2);
+
+class BinaryHeap extends BST {
+  constructor(kind = DEFAULT_HEAP_KIND) {
+    super();
+    if (!HEAP_KINDS.includes(kind)) throw new Error(`Unknown heap kind "${kind}" (expected min or max)`);
+    this.kind = kind;
+    this.items = [];
+  }
+
+  // The array view reads each node's slot; slots are placed by index, not
+  // key order, so there is no subtree size badge
+  static nodeFields(node) {
+    return { ...BST.nodeFields(node), heapIndex: node.heapIndex, size: undefined };
+  }
+
+  describe() {
+    return `${this.kind}-heap`;
+  }
+
+  values() {
+    return this.items.map((node) => node.value);
+  }
+
+  // True if a belongs above b: smaller in a min-heap, larger in a max-heap
+  _outranks(a, b) {
+    return this.kind === 'min' ? a.value < b.value : a.value > b.value;
+  }
+
+  // Rebuilds the tree links from the array after any change to it
+  _relink() {
+    const { items } = this;
+    for (let i = 0; i < items.length; i += 1) {
+      const node = items[i];
+      node.heapIndex = i;
+      node.parent = i === 0 ? null : items[parentIndex(i)];
+      node.left = items[2 * i + 1] || null;
+      node.right = items[2 * i + 2] || null;
+    }
+    this.root = items.length > 0 ? items[0] : null;
+  }
+
+  // Swaps two array slots; one step both slides the nodes and marks the cells
+  _swap(i, j, animations) {
+    const { items } = this;
+    const first = items[i];
+    const second = items[j];
+    items[i] = second;
+    items[j] = first;
+    this._relink();
+    animations.push({
+      ...createLayoutReposition(this),
+      swap: { nodeIds: [first.id, second.id], indices: [i, j] },
+    });
+  }
+
+  _siftUp(index, animations) {
+    const { beats, holds } = ORDER_SYMBOLS[this.kind];
+    let i = index;
+    while (i > 0) {
+      const node = this.items[i];
+      const parent = this.items[parentIndex(i)];
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'current',
+        duration: 400,
+      });
+      if (!this._outranks(node, parent)) {
+        animations.push({
+          type: 'update-status',
+          message: `Parent ${parent.value} ${holds} ${node.value} - heap order holds`,
+          duration: 800,
+        });
+        return;
+      }
+      animations.push({
+        type: 'update-status',
+        message: `Sift up: ${node.value} (index ${i}) ${beats} parent ${parent.value} (index ${parentIndex(i)}) - swap`,
+        duration: 800,
+      });
+      this._swap(i, parentIndex(i), animations);
+      i = parentIndex(i);
+    }
+  }
+
+  _siftDown(index, animations) {
+    const { items } = this;
+    const { beats, holds } = ORDER_SYMBOLS[this.kind];
+    const childName = this.kind === 'min' ? 'smaller' : 'larger';
+    let i = index;
+    while (2 * i + 1 < items.length) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      const best = right < items.length && this._outranks(items[right], items[left]) ? right : left;
+      const node = items[i];
+      const child = items[best];
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'current',
+        duration: 400,
+      });
+      animations.push({
+        type: 'highlight-node',
+        nodeId: child.id,
+        state: 'searching',
+        duration: 400,
+      });
+      if (!this._outranks(child, node)) {
+        animations.push({
+          type: 'update-status',
+          message: `${node.value} ${holds} ${childName} child ${child.value} - heap order holds`,
+          duration: 800,
+        });
+        return;
+      }
+      animations.push({
+        type: 'update-status',
+        message: `Sift down: ${childName} child ${child.value} (index ${best}) ${beats} ${node.value} (index ${i}) - swap`,
+        duration: 800,
+      });
+      this._swap(i, best, animations);
+      i = best;
+    }
+    if (i !== index) {
+      animations.push({
+        type: 'update-status',
+        message: `${items[i].value} reached a leaf (index ${i})`,
+        duration: 600,
+      });
+    }
+  }
+
+  /**
+   * Takes the node at `index` out: it trades places with the last element,
+   * is cut off the end of the array, and the moved element is sifted into
+   * place (up if it beats its new parent, down otherwise)
+   */
+  _removeAt(index, animations) {
+    const { items } = this;
+    const last = items.length - 1;
+    const removed = items[index];
+    if (index !== last) {
+      animations.push({
+        type: 'update-status',
+        message: `Swap ${removed.value} with the last element ${items[last].value} (index ${last})`,
+        duration: 800,
+      });
+      this._swap(index, last, animations);
+    }
+
+    animations.push({
+      type: 'fade-out',
+      nodeId: removed.id,
+      duration: 500,
+    });
+    items.pop();
+    removed.parent = null;
+    this._relink();
+    animations.push(createLayoutReposition(this));
+
+    if (index < items.length) {
+      const moved = items[index];
+      if (index > 0 && this._outranks(moved, items[parentIndex(index)])) {
+        this._siftUp(index, animations);
+      } else {
+        this._siftDown(index, animations);
+      }
+    }
+  }
+
+  /**
+   * Appends the value in the next free slot and sifts it up
+   * Heaps allow duplicates, so every insert adds a node
+   */
+  insert(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Inserting ${value} into ${this.describe()}`,
+      duration: 500,
+    });
+
+    const node = new Node(value, this.generateId());
+    this.items.push(node);
+    this._relink();
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'fade-in',
+      nodeId: node.id,
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Placed ${value} at index ${node.heapIndex}, the next free slot`,
+      duration: 800,
+    });
+
+    this._siftUp(node.heapIndex, animations);
+    animations.push({
+      type: 'update-status',
+      message: `Inserted ${value}`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Removes the root (the minimum of a min-heap, the maximum of a max-heap)
+   * Also returns the extracted value (null for an empty heap)
+   */
+  extract() {
+    const animations = [];
+    const what = this.kind === 'min' ? 'minimum' : 'maximum';
+    if (!this.root) {
+      animations.push({
+        type: 'update-status',
+        message: `The ${this.describe()} is empty - no ${what} to extract`,
+        duration: 800,
+      });
+      return { tree: this, animations, value: null };
+    }
+
+    const { value } = this.root;
+    animations.push({
+      type: 'highlight-node',
+      nodeId: this.root.id,
+      state: 'found',
+      duration: 600,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Extracting the ${what}: ${value}`,
+      duration: 800,
+    });
+    this._removeAt(0, animations);
+    animations.push({
+      type: 'update-status',
+      message: `Extracted ${value}`,
+      duration: 1000,
+    });
+    return { tree: this, animations, value };
+  }
+
+  // Heap order says nothing about left vs right, so any value may need a
+  // scan of the array; this one walks it in index order
+  delete(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Deleting ${value} from ${this.describe()}`,
+      duration: 500,
+    });
+
+    const index = this.items.findIndex((node) => node.value === value);
+    this.items.slice(0, index === -1 ? this.items.length : index).forEach((node) => {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 300,
+      });
+    });
+    if (index === -1) {
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} not found`,
+        duration: 800,
+      });
+      return { tree: this, animations };
+    }
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: this.items[index].id,
+      state: 'deleting',
+      duration: 600,
+    });
+    this._removeAt(index, animations);
+    animations.push({
+      type: 'update-status',
+      message: `Deleted ${value}`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Depth-first search that skips every subtree whose root already ranks
+   * past the value (nothing below it can be smaller in a min-heap)
+   */
+  search(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Searching for ${value} in ${this.describe()}`,
+      duration: 500,
+    });
+
+    const { beats } = ORDER_SYMBOLS[this.kind];
+    const target = { value };
+    const visit = (node) => {
+      if (!node) return null;
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 300,
+      });
+      if (node.value === value) return node;
+      if (this._outranks(target, node)) {
+        animations.push({
+          type: 'update-status',
+          message: `${value} ${beats} ${node.value}, so the subtree at index ${node.heapIndex} cannot contain it - skip`,
+          duration: 600,
+        });
+        return null;
+      }
+      return visit(node.left) || visit(node.right);
+    };
+
+    const found = visit(this.root);
+    if (found) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: found.id,
+        state: 'found',
+        duration: 800,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Found ${value} at index ${found.heapIndex}`,
+        duration: 1000,
+      });
+    } else {
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} not found`,
+        duration: 800,
+      });
+    }
+    return { found: Boolean(found), animations };
+  }
+
+  /**
+   * Floyd's build-heap: the values go into the array as given, then every
+   * internal node is sifted down, from the last one back to the root - O(n)
+   * Replaces whatever the heap held before
+   */
+  buildHeap(values) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Build-heap: placing ${values.length} values in array order`,
+      duration: 800,
+    });
+
+    this.items = values.map((value) => new Node(value, this.generateId()));
+    this._relink();
+    animations.push(createLayoutReposition(this));
+
+    for (let i = parentIndex(this.items.length - 1); i >= 0; i -= 1) {
+      animations.push({
+        type: 'update-status',
+        message: `Sift down index ${i} (${this.items[i].value})`,
+        duration: 600,
+      });
+      this._siftDown(i, animations);
+    }
+
+    animations.push({
+      type: 'update-status',
+      message: `Built a ${this.describe()} from ${values.length} values`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Heapsort: extract the top until the heap is empty. Runs on a copy (same
+   * node ids), so it plays back like a traversal and leaves the heap as it
+   * was; each extracted value is reported with a show-value step
+   *
+   * @returns {{ result: number[], animations: Array }} ascending for a
+   *   min-heap, descending for a max-heap
+   */
+  heapSort() {
+    const copy = this.safeClone();
+    const result = [];
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Heapsort: extract the ${this.kind === 'min' ? 'minimum' : 'maximum'} ${this.items.length} times`,
+      duration: 800,
+    });
+
+    while (copy.root) {
+      const step = copy.extract();
+      animations.push(...step.animations);
+      animations.push({
+        type: 'show-value',
+        value: step.value,
+        duration: 400,
+      });
+      result.push(step.value);
+    }
+
+    animations.push({
+      type: 'update-status',
+      message: `Heapsort complete: ${result.join(', ')}`,
+      duration: 1000,
+    });
+    return { result, animations };
+  }
+
+  safeClone() {
+    const newTree = new BinaryHeap(this.kind);
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.items = this.items.map((node) => {
+      const cloned = new Node(node.value, node.id, node.x, node.y);
+      cloned.scale = node.scale;
+      return cloned;
+    });
+    newTree._relink();
+    return newTree;
+  }
+
+  /**
+   * Plain object in the documented tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('BinaryHeap', this);
+  }
+
+  /**
+   * Rebuilds a heap from toJSON() output (object or JSON text)
+   * Throws an Error naming the offending slot if heap order is broken
+   */
+  static fromJSON(json) {
+    const { kind, items, nodeIdCounter } = parseHeapFile(json, (counter) => `node-${counter}`);
+    const heap = new BinaryHeap(kind);
+    heap.items = items.map(({ id, value }) => new Node(value, id));
+    heap.nodeIdCounter = nodeIdCounter;
+    heap._relink();
+    return heap;
+  }
+}
+
+export default BinaryHeap;
@@ -0,0 +1,499 @@
+/**
+ * Ordered Queries on a Binary Search Tree
+ *
+ * Shared by BST, AVLTree and RedBlackTree - they only need `root` and nodes
+ * with `value`, `left` and `right`.
+ *
+ * - rangeQuery(lo, hi): every key in [lo, hi], in order. An inorder walk that
+ *   never enters a left subtree when the node is already ≤ lo, nor a right
+ *   subtree when it is already ≥ hi. O(h + number of keys reported)
+ * - floor / ceiling / predecessor / successor of x: the largest key ≤ x,
+ *   smallest ≥ x, largest < x and smallest > x. One walk down keeping the
+ *   best candidate seen so far; at every node one side can be ruled out.
+ *   x does not have to be in the tree. O(h)
+ * - lowestCommonAncestor(a, b): the deepest node with both a and b below it
+ *   (or being one of them), found twice for comparison - once with the BST
+ *   property in O(h), once with the general binary tree search that has to
+ *   look everywhere, O(n) - then the whole path a -> LCA -> b is lit up and
+ *   its length in edges reported
+ *
+ * Subtrees that are ruled out are greyed out as `pruned` without being
+ * entered, reported keys are marked `found` and listed in the status feed.
+ */
+import { getEdgeId } from './utils.js';
+
+// Offered on the same trees as k-th smallest and rank
+export { ORDERED_QUERY_TYPES } from './orderStatistics.js';
+
+// `largest` queries keep the best key that fits and look right for a larger
+// one; the others look left for a smaller one
+const NEAREST_QUERIES = {
+  floor: {
+    name: 'floor', largest: true, fits: (key, x) => key <= x, symbol: '≤', opposite: '>',
+  },
+  ceiling: {
+    name: 'ceiling', largest: false, fits: (key, x) => key >= x, symbol: '≥', opposite: '<',
+  },
+  predecessor: {
+    name: 'predecessor', largest: true, fits: (key, x) => key < x, symbol: '<', opposite: '≥',
+  },
+  successor: {
+    name: 'successor', largest: false, fits: (key, x) => key > x, symbol: '>', opposite: '≤',
+  },
+};
+
+const visit = (node, animations) => {
+  animations.push({
+    type: 'highlight-node',
+    nodeId: node.id,
+    state: 'path',
+    duration: 300,
+  });
+};
+
+const descend = (node, child, animations) => {
+  animations.push({
+    type: 'highlight-edge',
+    edgeId: getEdgeId(node.id, child.id),
+    state: 'path',
+    duration: 300,
+  });
+};
+
+// Greys out a whole subtree that cannot hold an answer
+const prune = (subtree, animations) => {
+  if (!subtree) return;
+  animations.push({
+    type: 'highlight-node',
+    nodeId: subtree.id,
+    state: 'pruned',
+    sticky: true,
+    duration: 150,
+  });
+  prune(subtree.left, animations);
+  prune(subtree.right, animations);
+};
+
+const report = (node, animations) => {
+  animations.push({
+    type: 'highlight-node',
+    nodeId: node.id,
+    state: 'found',
+    sticky: true,
+    duration: 500,
+  });
+  animations.push({
+    type: 'show-value',
+    nodeId: node.id,
+    value: node.value,
+    duration: 400,
+  });
+};
+
+/**
+ * Every key in [lo, hi] in ascending order
+ *
+ * @param {{root: object}} tree
+ * @returns {{result: number[], animations: Array}}
+ */
+export const rangeQuery = (tree, lo, hi) => {
+  const animations = [];
+  const result = [];
+  const range = `[${lo}, ${hi}]`;
+  animations.push({
+    type: 'update-status',
+    message: `Finding every key in ${range}`,
+    duration: 600,
+  });
+  if (lo > hi) {
+    animations.push({
+      type: 'update-status',
+      message: `The range ${range} is empty - its start is after its end`,
+      duration: 1000,
+    });
+    return { result, animations };
+  }
+
+  let visited = 0;
+  const walk = (node) => {
+    visited += 1;
+    visit(node, animations);
+
+    if (node.left) {
+      if (node.value <= lo) {
+        animations.push({
+          type: 'update-status',
+          message: `Left of ${node.value}: every key is < ${node.value} ≤ ${lo} - pruned`,
+          duration: 900,
+        });
+        prune(node.left, animations);
+      } else {
+        animations.push({
+          type: 'update-status',
+          message: `${node.value} > ${lo}, keys in range may be on the left - going left`,
+          duration: 700,
+        });
+        descend(node, node.left, animations);
+        walk(node.left);
+      }
+    }
+
+    if (node.value >= lo && node.value <= hi) {
+      result.push(node.value);
+      animations.push({
+        type: 'update-status',
+        message: `${node.value} is in ${range}`,
+        duration: 700,
+      });
+      report(node, animations);
+    } else {
+      animations.push({
+        type: 'update-status',
+        message: `${node.value} is outside ${range}`,
+        duration: 700,
+      });
+    }
+
+    if (node.right) {
+      if (node.value >= hi) {
+        animations.push({
+          type: 'update-status',
+          message: `Right of ${node.value}: every key is > ${node.value} ≥ ${hi} - pruned`,
+          duration: 900,
+        });
+        prune(node.right, animations);
+      } else {
+        animations.push({
+          type: 'update-status',
+          message: `${node.value} < ${hi}, keys in range may be on the right - going right`,
+          duration: 700,
+        });
+        descend(node, node.right, animations);
+        walk(node.right);
+      }
+    }
+  };
+  if (tree.root) walk(tree.root);
+
+  const count = result.length;
+  const visitedNote = `(visited ${visited} node${visited === 1 ? '' : 's'})`;
+  animations.push({
+    type: 'update-status',
+    message: count === 0
+      ? `No keys in ${range} ${visitedNote}`
+      : `${count} key${count === 1 ? '' : 's'} in ${range} ${visitedNote}`,
+    duration: 1500,
+  });
+  return { result, animations };
+};
+
+/**
+ * Closest key to x on one side: kind is 'floor', 'ceiling', 'predecessor'
+ * or 'successor'
+ *
+ * @param {{root: object}} tree
+ * @returns {{result: (number|null), animations: Array}}
+ */
+export const nearestKey = (tree, kind, x) => {
+  const query = NEAREST_QUERIES[kind];
+  if (!query) throw new Error(`Unknown query "${kind}"`);
+  const {
+    name, largest, fits, symbol, opposite,
+  } = query;
+  const animations = [];
+  animations.push({
+    type: 'update-status',
+    message: `Finding the ${name} of ${x} (${largest ? 'largest' : 'smallest'} key ${symbol} ${x})`,
+    duration: 600,
+  });
+
+  let best = null;
+  let current = tree.root;
+  while (current) {
+    visit(current, animations);
+    animations.push({
+      type: 'pulse',
+      nodeId: current.id,
+      duration: 300,
+    });
+
+    // An exact match is its own floor and ceiling - nothing can be closer
+    if (current.value === x && fits(current.value, x)) {
+      best = current;
+      animations.push({
+        type: 'update-status',
+        message: `${x} is in the tree, so it is its own ${name}`,
+        duration: 800,
+      });
+      break;
+    }
+
+    // Keep a fitting key and look for a closer one on the side towards x;
+    // the other side is either too far from x or on the wrong side of it
+    const fitting = fits(current.value, x);
+    if (fitting) best = current;
+    const goLeft = fitting !== largest;
+    const [next, skipped] = goLeft
+      ? [current.left, current.right]
+      : [current.right, current.left];
+
+    const parts = [fitting
+      ? `${current.value} ${symbol} ${x}: best so far`
+      : `${current.value} ${opposite} ${x}: too ${largest ? 'large' : 'small'}`];
+    if (skipped) {
+      const side = goLeft ? 'right' : 'left';
+      parts.push(`everything ${side} of ${current.value} is ${fitting ? 'further from' : 'on the wrong side of'} ${x} - pruned`);
+    }
+    if (next) parts.push(`going ${goLeft ? 'left' : 'right'}`);
+    animations.push({
+      type: 'update-status',
+      message: parts.join(', '),
+      duration: 900,
+    });
+    prune(skipped, animations);
+
+    if (next) descend(current, next, animations);
+    current = next;
+  }
+
+  if (best) {
+    report(best, animations);
+    animations.push({
+      type: 'update-status',
+      message: `The ${name} of ${x} is ${best.value}`,
+      duration: 1200,
+    });
+    return { result: best.value, animations };
+  }
+
+  animations.push({
+    type: 'update-status',
+    message: tree.root
+      ? `${x} has no ${name} - no key is ${symbol} ${x}`
+      : 'The tree is empty',
+    duration: 1200,
+  });
+  animations.push({
+    type: 'show-value',
+    value: 'none',
+    duration: 400,
+  });
+  return { result: null, animations };
+};
+
+// Path of nodes from `from` down to the node holding value (both inclusive)
+const pathDown = (from, value) => {
+  const path = [];
+  let current = from;
+  while (current) {
+    path.push(current);
+    if (value === current.value) return path;
+    current = value < current.value ? current.left : current.right;
+  }
+  return null;
+};
+
+// Puts nodes and edges lit by one phase back to their normal look
+const clearHighlights = (nodes, edgeIds, animations) => {
+  nodes.forEach((node) => {
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'default',
+      sticky: true,
+      duration: 50,
+    });
+  });
+  edgeIds.forEach((edgeId) => {
+    animations.push({
+      type: 'highlight-edge',
+      edgeId,
+      state: 'default',
+      duration: 50,
+    });
+  });
+};
+
+/**
+ * Lowest common ancestor of a and b, their path through it and its length
+ *
+ * @param {{root: object}} tree
+ * @returns {{result: ({lca: number, distance: number, path: number[]}|null), animations: Array}}
+ */
+export const lowestCommonAncestor = (tree, a, b) => {
+  const animations = [];
+  animations.push({
+    type: 'update-status',
+    message: `Finding the lowest common ancestor of ${a} and ${b}`,
+    duration: 600,
+  });
+  const missing = [a, b].find((value) => !pathDown(tree.root, value));
+  if (missing !== undefined) {
+    animations.push({
+      type: 'update-status',
+      message: `${missing} is not in the tree`,
+      duration: 1000,
+    });
+    return { result: null, animations };
+  }
+
+  // 1. BST property: walk down while both values lie on the same side
+  const [lo, hi] = a <= b ? [a, b] : [b, a];
+  animations.push({
+    type: 'update-status',
+    message: 'With the BST property: walk down while both values are on the same side',
+    duration: 900,
+  });
+  const sideOf = (node) => {
+    if (hi < node.value) return 'left';
+    if (lo > node.value) return 'right';
+    return null;
+  };
+  let lca = tree.root;
+  const bstNodes = [lca];
+  const bstEdges = [];
+  visit(lca, animations);
+  let side = sideOf(lca);
+  while (side) {
+    animations.push({
+      type: 'update-status',
+      message: `${lo} and ${hi} are both ${side === 'left' ? '<' : '>'} ${lca.value} - going ${side}`,
+      duration: 800,
+    });
+    bstEdges.push(getEdgeId(lca.id, lca[side].id));
+    descend(lca, lca[side], animations);
+    lca = lca[side];
+    bstNodes.push(lca);
+    visit(lca, animations);
+    side = sideOf(lca);
+  }
+  animations.push({
+    type: 'update-status',
+    message: lca.value === lo || lca.value === hi
+      ? `${lca.value} is one of the two and the other is below it, so ${lca.value} is the LCA`
+      : `${lo} < ${lca.value} < ${hi}: the values split here, so ${lca.value} is the LCA`,
+    duration: 1000,
+  });
+  animations.push({
+    type: 'highlight-node',
+    nodeId: lca.id,
+    state: 'pivot',
+    sticky: true,
+    duration: 600,
+  });
+  animations.push({
+    type: 'update-status',
+    message: `BST method: LCA ${lca.value}, ${bstNodes.length} node${bstNodes.length === 1 ? '' : 's'} visited`,
+    duration: 1000,
+  });
+  clearHighlights(bstNodes, bstEdges, animations);
+
+  // 2. Any binary tree: search both subtrees of every node (postorder) and
+  // pass up whichever value was found; the node that hears from both sides wins
+  animations.push({
+    type: 'update-status',
+    message: 'Without the BST property: search both subtrees of every node',
+    duration: 900,
+  });
+  const generalNodes = [];
+  const generalEdges = [];
+  const search = (node) => {
+    generalNodes.push(node);
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'visited',
+      sticky: true,
+      duration: 250,
+    });
+    if (node.value === a || node.value === b) {
+      animations.push({
+        type: 'update-status',
+        message: `Found ${node.value} - passing it up`,
+        duration: 700,
+      });
+      return node;
+    }
+    const [left, right] = [node.left, node.right].map((child) => {
+      if (!child) return null;
+      generalEdges.push(getEdgeId(node.id, child.id));
+      descend(node, child, animations);
+      return search(child);
+    });
+    if (left && right) {
+      animations.push({
+        type: 'update-status',
+        message: `${left.value} came up on the left of ${node.value} and ${right.value} on the right - ${node.value} is the LCA`,
+        duration: 900,
+      });
+      return node;
+    }
+    const found = left || right;
+    if (found) {
+      animations.push({
+        type: 'update-status',
+        message: `Only one side of ${node.value} holds a value - passing ${found.value} up`,
+        duration: 700,
+      });
+    }
+    return found;
+  };
+  const general = search(tree.root);
+  animations.push({
+    type: 'update-status',
+    message: `General method: LCA ${general.value}, ${generalNodes.length} node${generalNodes.length === 1 ? '' : 's'} visited (BST method: ${bstNodes.length})`,
+    duration: 1200,
+  });
+  clearHighlights(generalNodes, generalEdges, animations);
+
+  // 3. The path a -> LCA -> b, lit node by node and edge by edge
+  const up = pathDown(lca, a).reverse();
+  const down = pathDown(lca, b).slice(1);
+  const path = [...up, ...down];
+  path.forEach((node, index) => {
+    if (index > 0) {
+      const previous = path[index - 1];
+      const [upper, lower] = index < up.length ? [node, previous] : [previous, node];
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(upper.id, lower.id),
+        state: 'path',
+        duration: 300,
+      });
+    }
+    let state = 'path';
+    if (node === lca) state = 'pivot';
+    if (index === 0 || index === path.length - 1) state = 'found';
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state,
+      sticky: true,
+      duration: 300,
+    });
+    animations.push({
+      type: 'show-value',
+      nodeId: node.id,
+      value: node.value,
+      duration: 300,
+    });
+  });
+
+  const distance = path.length - 1;
+  const edges = `${distance} edge${distance === 1 ? '' : 's'}`;
+  animations.push({
+    type: 'update-status',
+    message: `Distance between ${a} and ${b}: ${edges} (${up.length - 1} up to LCA ${lca.value}, ${down.length} down)`,
+    duration: 1500,
+  });
+  // Kept in the feed, which outlasts the status line once playback ends
+  animations.push({
+    type: 'show-value',
+    value: `= ${edges}`,
+    duration: 400,
+  });
+  return {
+    result: { lca: lca.value, distance, path: path.map((node) => node.value) },
+    animations,
+  };
+};
@@ -0,0 +1,242 @@
+/**
+ * Bulk Insert & Random Tree Generator
+ *
+ * - parseValueList: "5, 3 7 1..4" -> [5, 3, 7, 1, 2, 3, 4]
+ * - parseWordList: "Tea, ten to" -> ['tea', 'ten', 'to'] (for tries)
+ * - parseIntervalList: "[5, 20] [10, 30]" -> [[5, 20], [10, 30]] (for interval trees)
+ * - generateRandomValues: seeded random values, ordered so that inserting
+ *   them into a plain BST gives the requested shape
+ * - insertValues: inserts a list into any tree type and chains the
+ *   per-value animations into one sequence
+ */
+import { normalizeWord } from './trie.js';
+import { parseInterval, formatInterval } from './intervalTree.js';
+
+export const SHAPE_BIASES = ['balanced', 'left-skewed', 'right-skewed', 'zig-zag'];
+
+// Largest range a single "a..b" token may expand to
+const MAX_RANGE_LENGTH = 200;
+
+// Most values one bulk insert, build-heap or random tree may hold
+export const MAX_BULK_VALUES = 200;
+
+// Larger batches are inserted at once: every step of an animated batch is
+// turned into a frame up front, which takes seconds and hundreds of MB
+export const MAX_ANIMATED_VALUES = 100;
+
+const checkTotal = (values, noun) => {
+  if (values.length > MAX_BULK_VALUES) {
+    throw new Error(`That is ${values.length} ${noun} (at most ${MAX_BULK_VALUES} at once)`);
+  }
+  return values;
+};
+
+/**
+ * Parses comma/space separated integers and inclusive ranges (1..20, 20..1)
+ * Throws an Error naming the first token it cannot read
+ */
+export const parseValueList = (text) => {
+  const tokens = String(text).split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) throw new Error('Enter at least one value');
+
+  return checkTotal(tokens.flatMap((token) => {
+    const range = /^(-?\d+)\.\.(-?\d+)$/.exec(token);
+    if (range) {
+      const start = parseInt(range[1], 10);
+      const end = parseInt(range[2], 10);
+      const length = Math.abs(end - start) + 1;
+      if (length > MAX_RANGE_LENGTH) {
+        throw new Error(`Range ${token} has ${length} values (at most ${MAX_RANGE_LENGTH})`);
+      }
+      const step = start <= end ? 1 : -1;
+      return Array.from({ length }, (_, i) => start + i * step);
+    }
+
+    if (!/^-?\d+$/.test(token)) throw new Error(`"${token}" is not a number or range`);
+    return [parseInt(token, 10)];
+  }), 'values');
+};
+
+/**
+ * Parses comma/space separated words (letters only, lowercased)
+ * Throws an Error naming the first token that is not a word
+ */
+export const parseWordList = (text) => {
+  const tokens = String(text).split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) throw new Error('Enter at least one word');
+
+  return checkTotal(tokens.map((token) => {
+    const word = normalizeWord(token);
+    if (word === null) throw new Error(`"${token}" is not a word (letters a-z only)`);
+    return word;
+  }), 'words');
+};
+
+/**
+ * Parses bracketed intervals, separated by commas or spaces
+ * Throws an Error naming the first token that is not an interval
+ */
+export const parseIntervalList = (text) => {
+  const tokens = String(text).match(/\[[^\]]*\]?|[^\s,[\]]+/g) || [];
+  if (tokens.length === 0) throw new Error('Enter at least one interval');
+
+  return checkTotal(tokens.map((token) => {
+    const interval = token.startsWith('[') ? parseInterval(token) : null;
+    if (interval === null) throw new Error(`"${token}" is not an interval such as [5, 20]`);
+    return interval;
+  }), 'intervals');
+};
+
+/**
+ * Small deterministic PRNG (mulberry32) - same seed, same tree
+ * Returns a function producing floats in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0; // eslint-disable-line no-bitwise
+  return () => {
+    /* eslint-disable no-bitwise */
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    /* eslint-enable no-bitwise */
+  };
+};
+
+// Median first, then the medians of each half (breadth-first) -> balanced BST
+const balancedOrder = (sorted) => {
+  const order = [];
+  const queue = [[0, sorted.length - 1]];
+  while (queue.length > 0) {
+    const [low, high] = queue.shift();
+    if (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      order.push(sorted[mid]);
+      queue.push([low, mid - 1], [mid + 1, high]);
+    }
+  }
+  return order;
+};
+
+// Alternate largest/smallest remaining: every node hangs off the other side
+const zigZagOrder = (sorted) => {
+  const order = [];
+  let low = 0;
+  let high = sorted.length - 1;
+  while (low <= high) {
+    order.push(sorted[high]);
+    high -= 1;
+    if (low <= high) {
+      order.push(sorted[low]);
+      low += 1;
+    }
+  }
+  return order;
+};
+
+/**
+ * Distinct random integers in [min, max], ordered for the given shape bias
+ *
+ * @param {Object} options
+ * @param {number} options.count - How many values
+ * @param {number} options.min - Smallest allowed value
+ * @param {number} options.max - Largest allowed value
+ * @param {number} options.seed - PRNG seed
+ * @param {string} options.shape - One of SHAPE_BIASES
+ */
+export const generateRandomValues = ({
+  count, min, max, seed, shape = 'balanced',
+}) => {
+  if (!Number.isInteger(count) || count < 1) throw new Error('Count must be a positive whole number');
+  if (count > MAX_BULK_VALUES) throw new Error(`Count must be at most ${MAX_BULK_VALUES}`);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+    throw new Error('Value range must be two whole numbers with min ≤ max');
+  }
+  if (count > max - min + 1) {
+    throw new Error(`Cannot pick ${count} distinct values from ${min}..${max}`);
+  }
+  if (!SHAPE_BIASES.includes(shape)) throw new Error(`Unknown shape bias "${shape}"`);
+
+  const random = createSeededRandom(seed);
+  const picked = new Set();
+  while (picked.size < count) {
+    picked.add(min + Math.floor(random() * (max - min + 1)));
+  }
+  const sorted = [...picked].sort((a, b) => a - b);
+
+  switch (shape) {
+    case 'left-skewed':
+      return sorted.reverse();
+    case 'right-skewed':
+      return sorted;
+    case 'zig-zag':
+      return zigZagOrder(sorted);
+    case 'balanced':
+    default:
+      return balancedOrder(sorted);
+  }
+};
+
+const collectValues = (node, values) => {
+  if (!node) return values;
+  if (node.keys) {
+    // B-Tree node: several keys, any number of children
+    node.keys.forEach((key) => values.add(key));
+    node.children.forEach((child) => collectValues(child, values));
+    return values;
+  }
+  values.add(node.value);
+  if (node.children) {
+    // General rooted tree node: one value, any number of children
+    node.children.forEach((child) => collectValues(child, values));
+    return values;
+  }
+  collectValues(node.left, values);
+  collectValues(node.right, values);
+  return values;
+};
+
+/**
+ * Inserts every value in order; duplicates are skipped
+ * Animations of the individual inserts are chained, each introduced by a
+ * status step, so the whole batch plays back as one animation
+ *
+ * @returns {{ inserted: number[], skipped: number[], animations: Array }}
+ */
+export const insertValues = (tree, values) => {
+  // A trie spells its words along paths instead of storing them in nodes;
+  // intervals are compared as "start,end" text
+  let present;
+  if (tree.words) {
+    present = new Set(tree.words());
+  } else if (tree.intervals) {
+    present = new Set(tree.intervals().map(String));
+  } else {
+    present = collectValues(tree.root, new Set());
+  }
+  const inserted = [];
+  const skipped = [];
+  values.forEach((value) => {
+    const key = Array.isArray(value) ? String(value) : value;
+    if (present.has(key)) {
+      skipped.push(value);
+    } else {
+      present.add(key);
+      inserted.push(value);
+    }
+  });
+
+  const animations = [];
+  inserted.forEach((value, index) => {
+    const result = tree.insert(value);
+    animations.push({
+      type: 'update-status',
+      message: `Bulk insert ${index + 1}/${inserted.length}: ${Array.isArray(value) ? formatInterval(value) : value}`,
+      duration: 300,
+    });
+    animations.push(...result.animations);
+  });
+
+  return { inserted, skipped, animations };
+};
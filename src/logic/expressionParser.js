@@ -0,0 +1,157 @@
+/**
+ * Arithmetic expressions for the expression tree
+ *
+ * Grammar (usual precedence, ^ binds tightest and groups to the right):
+ *
+ *   expression := operand (operator operand)*
+ *   operand    := number | variable | "(" expression ")"
+ *   operator   := "+" | "-" | "*" | "/" | "^"
+ *
+ * A leading minus ("2 * -3", "-d", "-(a + b)") is read as 0 - operand, so
+ * the tree only has binary operators. Whatever the operand, it takes along
+ * only what ^ binds to it: "-3 ^ 2" and "-x ^ 2" are both 0 - (_ ^ 2).
+ * When the operand turns out to be a plain number the two fold into one
+ * negative literal, so "2 * -3" is still 2 * (-3).
+ * Parsing produces plain { value, left, right } nodes whose values are the
+ * token strings ('+', '3', 'x'), the same shape the tree itself uses.
+ */
+
+export const OPERATORS = {
+  '+': { precedence: 1, apply: (a, b) => a + b },
+  '-': { precedence: 1, apply: (a, b) => a - b },
+  '*': { precedence: 2, apply: (a, b) => a * b },
+  '/': { precedence: 2, apply: (a, b) => a / b },
+  '^': { precedence: 3, rightAssociative: true, apply: (a, b) => a ** b },
+};
+
+const TOKEN_PATTERNS = [
+  ['number', /^(?:\d+(?:\.\d+)?|\.\d+)/],
+  ['variable', /^[A-Za-z_]\w*/],
+  ['symbol', /^[-+*/^()]/],
+];
+
+export const isOperator = (value) => Object.prototype.hasOwnProperty.call(OPERATORS, value);
+
+export const isVariable = (value) => /^[A-Za-z_]\w*$/.test(value);
+
+// Splits the text into { text, kind, position } tokens (positions count from 1)
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index += 1;
+    } else {
+      const rest = text.slice(index);
+      const found = TOKEN_PATTERNS.find(([, pattern]) => pattern.test(rest));
+      if (!found) throw new Error(`Unexpected character "${text[index]}" at position ${index + 1}`);
+      const [kind, pattern] = found;
+      const [token] = pattern.exec(rest);
+      tokens.push({
+        text: kind === 'number' ? String(Number(token)) : token,
+        kind,
+        position: index + 1,
+      });
+      index += token.length;
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Parses an arithmetic expression into a tree of { value, left, right } nodes
+ * Throws an Error naming the position of the first problem
+ */
+export const parseExpression = (text) => {
+  const tokens = tokenize(String(text));
+  if (tokens.length === 0) throw new Error('Enter an expression, e.g. (3 + 4) * 5');
+  let index = 0;
+
+  const leaf = (value) => ({ value, left: null, right: null });
+
+  let parseBinary;
+  const parseOperand = () => {
+    const token = tokens[index];
+    if (!token) throw new Error('The expression ends too early - expected a number, variable or "("');
+    index += 1;
+    if (token.kind === 'number' || token.kind === 'variable') return leaf(token.text);
+    if (token.text === '-') {
+      const operand = parseBinary(OPERATORS['^'].precedence);
+      if (/^\d/.test(operand.value)) return leaf(String(-Number(operand.value)));
+      return { value: '-', left: leaf('0'), right: operand };
+    }
+    if (token.text === '(') {
+      const inner = parseBinary(1);
+      if (!tokens[index] || tokens[index].text !== ')') {
+        throw new Error(`Missing ")" for the "(" at position ${token.position}`);
+      }
+      index += 1;
+      return inner;
+    }
+    throw new Error(`Expected a number, variable or "(" at position ${token.position}, found "${token.text}"`);
+  };
+
+  // Precedence climbing: only operators binding at least as tightly as
+  // minPrecedence are taken into the current operand
+  parseBinary = (minPrecedence) => {
+    let left = parseOperand();
+    while (tokens[index] && isOperator(tokens[index].text)
+      && OPERATORS[tokens[index].text].precedence >= minPrecedence) {
+      const operator = OPERATORS[tokens[index].text];
+      const value = tokens[index].text;
+      index += 1;
+      const right = parseBinary(operator.rightAssociative
+        ? operator.precedence
+        : operator.precedence + 1);
+      left = { value, left, right };
+    }
+    return left;
+  };
+
+  const root = parseBinary(1);
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].text}" at position ${tokens[index].position}`);
+  }
+  return root;
+};
+
+/**
+ * Writes a tree back as infix text with only the parentheses its shape needs,
+ * so parsing the text again gives the same tree
+ *
+ * @param {Object} node - { value, left, right }
+ * @param {string} [gap=' '] - Put around each operator ('' for links)
+ */
+export const formatExpression = (node, gap = ' ') => {
+  if (!isOperator(node.value)) return node.value;
+
+  const { precedence, rightAssociative } = OPERATORS[node.value];
+  const side = (child, isRight) => {
+    const text = formatExpression(child, gap);
+    // A negative literal below ^ would read as 0 - (literal ^ ...) without them
+    if (!isOperator(child.value)) {
+      return child.value.startsWith('-') && node.value === '^' && !isRight ? `(${text})` : text;
+    }
+    const childPrecedence = OPERATORS[child.value].precedence;
+    // An equal-precedence child on the side the operator does not group
+    // towards has to keep its parentheses: a - (b - c), (a ^ b) ^ c
+    const needsParentheses = childPrecedence < precedence
+      || (childPrecedence === precedence && isRight !== Boolean(rightAssociative));
+    return needsParentheses ? `(${text})` : text;
+  };
+  return `${side(node.left, false)}${gap}${node.value}${gap}${side(node.right, true)}`;
+};
+
+/**
+ * Reads variable values such as "x = 2, y=0.5"
+ *
+ * @returns {Object<string, number>}
+ */
+export const parseVariables = (text) => String(text || '')
+  .split(/[,;]/)
+  .filter((part) => part.trim() !== '')
+  .reduce((variables, part) => {
+    const match = /^\s*([A-Za-z_]\w*)\s*=\s*(-?\d+(?:\.\d+)?)\s*$/.exec(part);
+    if (!match) throw new Error(`"${part.trim()}" is not a variable assignment (e.g. x = 2)`);
+    return { ...variables, [match[1]]: Number(match[2]) };
+  }, {});
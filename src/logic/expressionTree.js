@@ -0,0 +1,376 @@
+/**
+ * Expression Tree
+ *
+ * Key Properties:
+ * - Built from an arithmetic expression such as (3 + 4) * 5 - 2 / x
+ * - Every internal node is a binary operator, every leaf a number or variable
+ * - The shape encodes precedence and parentheses, so none are stored
+ *
+ * The three depth-first traversals read the expression back in the three
+ * classic notations: preorder gives prefix, postorder gives postfix, and
+ * inorder (with parentheses around every operator) gives fully
+ * parenthesized infix. Evaluation is a postorder walk: both operands are
+ * known before their operator is applied.
+ */
+import Node from './node.js';
+import { getEdgeId } from './utils.js';
+import {
+  createLayoutReposition,
+  createVisitSteps,
+  generateTraversal,
+} from './animations.js';
+import { layoutTidyTree } from './layout.js';
+import {
+  OPERATORS, isOperator, isVariable, parseExpression, formatExpression,
+} from './expressionParser.js';
+import { serializeTree, parseExpressionTreeFile } from './treeSerialization.js';
+
+// Results are shown on the nodes, so keep them short
+export const formatResult = (value) => String(Number(value.toFixed(4)));
+
+const NOTATIONS = {
+  preorder: 'Prefix notation (preorder)',
+  inorder: 'Fully parenthesized infix (inorder)',
+  postorder: 'Postfix notation (postorder)',
+};
+
+export default class ExpressionTree {
+  constructor() {
+    this.root = null;
+    this.nodeIdCounter = 0;
+  }
+
+  generateId() {
+    const id = `enode-${this.nodeIdCounter}`;
+    this.nodeIdCounter += 1;
+    return id;
+  }
+
+  getTreeData() {
+    const nodes = [];
+    const edges = [];
+
+    if (this.root) {
+      layoutTidyTree(this.root);
+      this._collectTreeData(this.root, nodes, edges);
+    }
+
+    return { nodes, edges };
+  }
+
+  _collectTreeData(node, nodes, edges) {
+    const data = {
+      id: node.id,
+      value: node.value,
+      x: node.x,
+      y: node.y,
+      color: null,
+      scale: node.scale || 1.0,
+    };
+    if (node.result !== undefined) data.result = node.result;
+    nodes.push(data);
+
+    [['left', node.left], ['right', node.right]].forEach(([type, child]) => {
+      if (!child) return;
+      edges.push({ from: node.id, to: child.id, type });
+      this._collectTreeData(child, nodes, edges);
+    });
+  }
+
+  // The expression as text, with only the parentheses it needs
+  toString() {
+    return this.root ? formatExpression(this.root) : '';
+  }
+
+  // Creates tree nodes for a parsed expression, numbering them in postorder
+  _createNodes(plain) {
+    if (!plain) return null;
+
+    const left = this._createNodes(plain.left);
+    const right = this._createNodes(plain.right);
+    const node = new Node(plain.value, this.generateId());
+    node.left = left;
+    node.right = right;
+    if (left) left.parent = node;
+    if (right) right.parent = node;
+    return node;
+  }
+
+  /**
+   * Replaces the tree with the one for `text`
+   * The animation assembles it bottom-up, the way a stack-based parser
+   * would: operands first, then each operator joining its two subtrees
+   * Throws an Error (with the position) if the text is not an expression
+   */
+  build(text) {
+    const plain = parseExpression(text);
+    this.root = this._createNodes(plain);
+
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Building the expression tree for ${this.toString()}`,
+      duration: 500,
+    });
+    animations.push(createLayoutReposition(this));
+
+    let count = 0;
+    const assemble = (node) => {
+      if (!node) return;
+      assemble(node.left);
+      assemble(node.right);
+      count += 1;
+      animations.push({
+        type: 'fade-in',
+        nodeId: node.id,
+        duration: 500,
+      });
+      if (!isOperator(node.value)) {
+        animations.push({
+          type: 'update-status',
+          message: `${isVariable(node.value) ? 'Variable' : 'Number'} ${node.value} becomes a leaf`,
+          duration: 500,
+        });
+        return;
+      }
+      [node.left, node.right].forEach((child) => {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, child.id),
+          state: 'path',
+          duration: 300,
+        });
+      });
+      animations.push({
+        type: 'update-status',
+        message: `"${node.value}" joins ${formatExpression(node.left)} and ${formatExpression(node.right)}`,
+        duration: 800,
+      });
+    };
+    assemble(this.root);
+
+    animations.push({
+      type: 'update-status',
+      message: `Built the expression tree for ${this.toString()} (${count} nodes)`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  // Emits one token of a notation: highlight its node, append it to the feed
+  static _emit(node, token, result, animations) {
+    animations.push(...createVisitSteps(node.id, token));
+    result.push(token);
+  }
+
+  _notation(order) {
+    const animations = [];
+    const result = [];
+
+    animations.push({
+      type: 'update-status',
+      message: `Starting ${order} traversal`,
+      duration: 500,
+    });
+
+    const visit = (node) => {
+      if (!node) return;
+      // Leaves never need parentheses, so only operators add them
+      const bracket = order === 'inorder' && isOperator(node.value);
+      if (order === 'preorder') ExpressionTree._emit(node, node.value, result, animations);
+      if (bracket) ExpressionTree._emit(node, '(', result, animations);
+      visit(node.left);
+      if (order === 'inorder') ExpressionTree._emit(node, node.value, result, animations);
+      visit(node.right);
+      if (bracket) ExpressionTree._emit(node, ')', result, animations);
+      if (order === 'postorder') ExpressionTree._emit(node, node.value, result, animations);
+    };
+    visit(this.root);
+
+    // Parentheses hug what they enclose: ((3 + 4) * 5)
+    const text = result.join(' ').replace(/\( /g, '(').replace(/ \)/g, ')');
+    animations.push({
+      type: 'update-status',
+      message: `${NOTATIONS[order]}: ${text}`,
+      duration: 1000,
+    });
+
+    return { result, animations };
+  }
+
+  preorderTraversal() {
+    return this._notation('preorder');
+  }
+
+  inorderTraversal() {
+    return this._notation('inorder');
+  }
+
+  postorderTraversal() {
+    return this._notation('postorder');
+  }
+
+  levelOrderTraversal() {
+    return generateTraversal(this.root, 'level-order', (node) => [node.left, node.right]);
+  }
+
+  /**
+   * Computes the value bottom-up (postorder); each node shows its result
+   * once both operands are known, and keeps it after the animation
+   * Stops at the first variable without a value or division by zero
+   *
+   * @param {Object<string, number>} [variables] - e.g. { x: 2 }
+   * @returns {{ result: number|null, animations: Array }}
+   */
+  evaluate(variables = {}) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Evaluating ${this.toString()} bottom-up`,
+      duration: 500,
+    });
+
+    // Results from an earlier evaluation are cleared first
+    const clear = (node) => {
+      if (!node) return;
+      const target = node;
+      if (target.result !== undefined) {
+        animations.push({
+          type: 'set-result',
+          nodeId: target.id,
+          result: null,
+          duration: 100,
+        });
+        delete target.result;
+      }
+      clear(target.left);
+      clear(target.right);
+    };
+    clear(this.root);
+
+    let failure = null;
+    const settle = (node, value, message) => {
+      const target = node;
+      target.result = formatResult(value);
+      animations.push({
+        type: 'set-result',
+        nodeId: target.id,
+        result: target.result,
+        duration: 300,
+      });
+      animations.push({
+        type: 'update-status',
+        message,
+        duration: 600,
+      });
+      return value;
+    };
+
+    const compute = (node) => {
+      if (failure) return null;
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'current',
+        duration: 300,
+      });
+
+      if (!isOperator(node.value)) {
+        if (!isVariable(node.value)) {
+          return settle(node, Number(node.value), `${node.value} is a number`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(variables, node.value)) {
+          failure = `${node.value} has no value - give one such as ${node.value} = 2`;
+          return null;
+        }
+        const value = variables[node.value];
+        return settle(node, value, `${node.value} = ${formatResult(value)}`);
+      }
+
+      const left = compute(node.left);
+      const right = compute(node.right);
+      if (failure) return null;
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'current',
+        duration: 300,
+      });
+      if (node.value === '/' && right === 0) {
+        failure = `Division by zero in ${formatExpression(node)}`;
+        return null;
+      }
+      const value = OPERATORS[node.value].apply(left, right);
+      const step = `${formatResult(left)} ${node.value} ${formatResult(right)} = ${formatResult(value)}`;
+      return settle(node, value, step);
+    };
+
+    const result = this.root ? compute(this.root) : null;
+    if (failure) {
+      animations.push({
+        type: 'update-status',
+        message: `Cannot evaluate: ${failure}`,
+        duration: 1000,
+      });
+      return { result: null, animations };
+    }
+    if (result === null) return { result: null, animations };
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: this.root.id,
+      state: 'found',
+      duration: 800,
+    });
+    animations.push({
+      type: 'show-value',
+      nodeId: this.root.id,
+      value: formatResult(result),
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `${this.toString()} = ${formatResult(result)}`,
+      duration: 1000,
+    });
+    return { result, animations };
+  }
+
+  // Deep copy that keeps node ids, positions and shown results (used for undo/redo)
+  safeClone() {
+    const newTree = new ExpressionTree();
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.root = this._safeCloneNode(this.root, null);
+    return newTree;
+  }
+
+  _safeCloneNode(node, parent) {
+    if (!node) return null;
+
+    const clone = new Node(node.value, node.id, node.x, node.y);
+    clone.parent = parent;
+    clone.left = this._safeCloneNode(node.left, clone);
+    clone.right = this._safeCloneNode(node.right, clone);
+    clone.scale = node.scale;
+    if (node.result !== undefined) clone.result = node.result;
+    return clone;
+  }
+
+  /**
+   * Plain object in the tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('ExpressionTree', this);
+  }
+
+  /**
+   * Builds a tree from a tree file (object or JSON text)
+   * Throws an Error describing the first problem if the file is invalid
+   */
+  static fromJSON(json) {
+    const { root } = parseExpressionTreeFile(json);
+    const tree = new ExpressionTree();
+    tree.root = tree._createNodes(root);
+    return tree;
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * Fenwick Tree (Binary Indexed Tree)
+ *
+ * Key Properties:
+ * - Built over an array a[1..n] (1-based, as usual for Fenwick trees)
+ * - tree[i] holds the sum of the last lowbit(i) entries up to i, where
+ *   lowbit(i) = i & -i is the lowest set bit: the range (i - lowbit(i), i]
+ * - There are no pointers: the tree is implicit in the binary indices
+ *
+ * A prefix sum a[1..i] adds tree[i] and strips the lowest set bit
+ * (i -= i & -i) until i reaches 0. Those steps follow parent links in the
+ * tree drawn here: node i hangs under i - lowbit(i), with a root 0 that
+ * covers nothing, so the depth of a node is the number of set bits in its
+ * index. A point update goes the other way (i += i & -i), through every
+ * node whose range contains the index.
+ *
+ * Time Complexity: build O(n log n), prefix sum O(log n), point update O(log n)
+ */
+import NaryTreeNode from './naryTreeNode.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition, generateTraversal } from './animations.js';
+import { LAYOUT_CONFIG, fitToCanvas } from './layout.js';
+import { parseValueList } from './bulkInsert.js';
+import { serializeTree, parseFenwickTreeFile } from './treeSerialization.js';
+
+// Same limit as segment trees: one column per index keeps the canvas readable
+export const MAX_FENWICK_VALUES = 32;
+// The lowest set bit of i: 6 (110₂) -> 2; two's complement makes -i flip every bit above it
+// eslint-disable-next-line no-bitwise
+export const lowbit = (i) => i & -i;
+
+// 6 -> "110₂", for the narration of the bit steps
+const binary = (i) => `${i.toString(2)}₂`;
+
+const countBits = (i) => i.toString(2).split('').filter((bit) => bit === '1').length;
+
+const rangeText = (node) => `[${node.lo}, ${node.hi}]`;
+
+// "a[5] + a[6]"; long ranges are shortened to their ends
+const termsText = (values, lo, hi) => {
+  if (hi - lo >= 6) return `a[${lo}] + … + a[${hi}]`;
+  const terms = [];
+  for (let i = lo; i <= hi; i += 1) terms.push(values[i - 1]);
+  return terms.join(' + ');
+};
+
+export default class FenwickTree {
+  constructor() {
+    this.root = null;
+    // nodes[i] is the node for index i; nodes[0] is the root
+    this.nodes = [];
+    this.array = [];
+    this.nodeIdCounter = 0;
+  }
+
+  generateId() {
+    const id = `fnode-${this.nodeIdCounter}`;
+    this.nodeIdCounter += 1;
+    return id;
+  }
+
+  get size() {
+    return this.array.length;
+  }
+
+  values() {
+    return [...this.array];
+  }
+
+  getTreeData() {
+    const nodes = [];
+    const edges = [];
+    if (!this.root) return { nodes, edges };
+
+    // One column per index and one row per set bit, so every node sits
+    // straight above its array cell and its parent is up and to the left
+    const column = LAYOUT_CONFIG.NODE_WIDTH + LAYOUT_CONFIG.SIBLING_GAP;
+    fitToCanvas(this.nodes.map((node, i) => ({
+      node,
+      x: i * column,
+      y: countBits(i) * LAYOUT_CONFIG.LEVEL_HEIGHT,
+    })));
+
+    this.nodes.forEach((node, i) => {
+      const data = {
+        id: node.id,
+        value: node.value,
+        x: node.x,
+        y: node.y,
+        color: null,
+        scale: node.scale || 1.0,
+      };
+      if (i > 0) {
+        data.interval = [node.lo, node.hi];
+        data.arrayIndex = i;
+        data.arrayValue = this.array[i - 1];
+        edges.push({
+          from: node.parent.id,
+          to: node.id,
+          type: 'child',
+          label: `−${lowbit(i)}`,
+        });
+      }
+      nodes.push(data);
+    });
+
+    return { nodes, edges };
+  }
+
+  _createNodes(values) {
+    this.array = [...values];
+    this.root = new NaryTreeNode(0, this.generateId());
+    this.nodes = [this.root];
+    for (let i = 1; i <= values.length; i += 1) {
+      const node = new NaryTreeNode(0, this.generateId());
+      node.lo = i - lowbit(i) + 1;
+      node.hi = i;
+      for (let j = node.lo; j <= i; j += 1) node.value += values[j - 1];
+      node.parent = this.nodes[i - lowbit(i)];
+      node.parent.children.push(node);
+      this.nodes.push(node);
+    }
+  }
+
+  /**
+   * Replaces the tree with one over `input` - an array of integers or text
+   * such as "5, 3 8 1..4" (see parseValueList)
+   * The animation adds the nodes in index order, each with the range it
+   * answers for
+   * Throws an Error if the values cannot be read
+   */
+  build(input) {
+    const values = Array.isArray(input) ? input : parseValueList(input);
+    if (values.length === 0) throw new Error('Enter at least one value');
+    if (values.length > MAX_FENWICK_VALUES) {
+      throw new Error(`A Fenwick tree holds at most ${MAX_FENWICK_VALUES} values (got ${values.length})`);
+    }
+    this._createNodes(values);
+
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Building a Fenwick tree over [${values.join(', ')}]`,
+      duration: 800,
+    });
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'fade-in',
+      nodeId: this.root.id,
+      duration: 400,
+    });
+    animations.push({
+      type: 'update-status',
+      message: 'Node 0 is the root: it covers nothing, and every prefix sum ends there',
+      duration: 800,
+    });
+
+    this.nodes.slice(1).forEach((node, offset) => {
+      const i = offset + 1;
+      animations.push({
+        type: 'fade-in',
+        nodeId: node.id,
+        duration: 400,
+      });
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.parent.id, node.id),
+        state: 'path',
+        duration: 200,
+      });
+      const terms = node.lo === node.hi ? '' : `${termsText(values, node.lo, node.hi)} = `;
+      animations.push({
+        type: 'update-status',
+        message: `tree[${i}]: ${i} = ${binary(i)}, lowbit ${lowbit(i)}, covers ${rangeText(node)} = ${terms}${node.value}`,
+        duration: 700,
+      });
+    });
+
+    animations.push({
+      type: 'update-status',
+      message: `Built a Fenwick tree over ${values.length} value${values.length === 1 ? '' : 's'}`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  // Status message when `index` is not an index of the array, else null
+  _checkIndex(index) {
+    if (this.size === 0) return 'Build the Fenwick tree first';
+    if (!Number.isInteger(index) || index < 1 || index > this.size) {
+      return `Index ${index} is outside the array (1..${this.size})`;
+    }
+    return null;
+  }
+
+  /**
+   * Sum of a[1..index]: adds tree[i] and strips the lowest set bit of i
+   * until it reaches 0, lighting the path up to the root
+   *
+   * @returns {{ result: number|null, animations: Array }}
+   */
+  prefixSum(index) {
+    const animations = [];
+    const problem = this._checkIndex(index);
+    if (problem) {
+      animations.push({
+        type: 'update-status',
+        message: problem,
+        duration: 1000,
+      });
+      return { result: null, animations };
+    }
+
+    animations.push({
+      type: 'update-status',
+      message: `Prefix sum of a[1..${index}]: add tree[i], then i -= i & -i until i is 0`,
+      duration: 800,
+    });
+
+    let sum = 0;
+    let steps = 0;
+    let i = index;
+    while (i > 0) {
+      const node = this.nodes[i];
+      const next = i - lowbit(i);
+      steps += 1;
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 400,
+      });
+      animations.push({
+        type: 'show-value',
+        nodeId: node.id,
+        value: `tree[${i}] = ${node.value}`,
+        duration: 400,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `i = ${i} (${binary(i)}) covers ${rangeText(node)}: sum = ${sum} + ${node.value} = ${sum + node.value}`,
+        duration: 700,
+      });
+      sum += node.value;
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.parent.id, node.id),
+        state: 'path',
+        duration: 300,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `i -= i & -i: ${i} - ${lowbit(i)} = ${next}`,
+        duration: 600,
+      });
+      i = next;
+    }
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: this.root.id,
+      state: 'path',
+      duration: 400,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Sum of a[1..${index}] = ${sum} (${steps} node${steps === 1 ? '' : 's'} added)`,
+      duration: 1500,
+    });
+    return { result: sum, animations };
+  }
+
+  /**
+   * a[index] += delta: every node whose range contains the index is found
+   * by adding the lowest set bit (i += i & -i) until i passes the end
+   */
+  add(index, delta) {
+    const animations = [];
+    const problem = this._checkIndex(index);
+    if (problem) {
+      animations.push({
+        type: 'update-status',
+        message: problem,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    const target = this.nodes[index];
+    const previous = this.array[index - 1];
+    this.array[index - 1] = previous + delta;
+    animations.push({
+      type: 'update-value',
+      nodeId: target.id,
+      arrayValue: this.array[index - 1],
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `a[${index}]: ${previous} → ${this.array[index - 1]}; now i += i & -i through every range containing ${index}`,
+      duration: 800,
+    });
+
+    const visited = [];
+    let i = index;
+    while (i <= this.size) {
+      const node = this.nodes[i];
+      const next = i + lowbit(i);
+      visited.push(i);
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 400,
+      });
+      node.value += delta;
+      animations.push({
+        type: 'update-value',
+        nodeId: node.id,
+        value: node.value,
+        duration: 400,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `i = ${i} (${binary(i)}) covers ${rangeText(node)}: tree[${i}] = ${node.value - delta} + ${delta} = ${node.value}`,
+        duration: 700,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `i += i & -i: ${i} + ${lowbit(i)} = ${next}${next > this.size ? ` > ${this.size}, done` : ''}`,
+        duration: 600,
+      });
+      i = next;
+    }
+
+    animations.push({
+      type: 'update-status',
+      message: `Added ${delta} to a[${index}]; updated tree[${visited.join('], tree[')}]`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  _traverse(order) {
+    return generateTraversal(this.root, order, (node) => node.children);
+  }
+
+  preorderTraversal() {
+    return this._traverse('preorder');
+  }
+
+  postorderTraversal() {
+    return this._traverse('postorder');
+  }
+
+  levelOrderTraversal() {
+    return this._traverse('level-order');
+  }
+
+  // Deep copy that keeps node ids and positions (used for undo/redo)
+  safeClone() {
+    const newTree = new FenwickTree();
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.array = [...this.array];
+    newTree.nodes = this.nodes.map((node) => {
+      const clone = new NaryTreeNode(node.value, node.id);
+      clone.x = node.x;
+      clone.y = node.y;
+      clone.scale = node.scale;
+      clone.lo = node.lo;
+      clone.hi = node.hi;
+      return clone;
+    });
+    newTree.nodes.forEach((clone, i) => {
+      if (i === 0) return;
+      const parent = newTree.nodes[i - lowbit(i)];
+      const target = clone;
+      target.parent = parent;
+      parent.children.push(clone);
+    });
+    newTree.root = newTree.nodes[0] || null;
+    return newTree;
+  }
+
+  /**
+   * Plain object in the tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('FenwickTree', this);
+  }
+
+  /**
+   * Builds a tree from a tree file (object or JSON text)
+   * Throws an Error describing the first problem if the file is invalid
+   */
+  static fromJSON(json) {
+    const { values } = parseFenwickTreeFile(json);
+    const tree = new FenwickTree();
+    if (values.length > 0) tree.build(values);
+    return tree;
+  }
+}
@@ -20,22 +20,75 @@ const CAPTURE_CONFIG = {
   },
 };
 
+// What an export captures: what is on screen right now, or the whole tree
+// as laid out (zoom and pan ignored)
+export const EXPORT_AREAS = {
+  VIEWPORT: 'viewport',
+  FULL_TREE: 'full',
+};
+
+// Pixel size of the capture; the full tree may overflow the visible canvas
+const getCaptureSize = (element, area) => {
+  const rect = element.getBoundingClientRect();
+  if (area === EXPORT_AREAS.VIEWPORT) {
+    return { width: Math.ceil(rect.width), height: Math.ceil(rect.height) };
+  }
+
+  const computedStyle = window.getComputedStyle(element);
+  const { scrollWidth, scrollHeight } = element;
+  return {
+    width: Math.max(
+      Math.ceil(rect.width),
+      scrollWidth,
+      parseInt(computedStyle.width, 10) || 0,
+    ),
+    height: Math.max(
+      Math.ceil(rect.height),
+      scrollHeight,
+      parseInt(computedStyle.height, 10) || 0,
+    ),
+  };
+};
+
+/**
+ * Runs a capture with the canvas zoom/pan temporarily removed when the
+ * full tree is requested; the viewport area captures the canvas as shown
+ */
+const captureArea = async (element, area, capture) => {
+  const layer = area === EXPORT_AREAS.FULL_TREE
+    ? element.querySelector('[data-viewport-layer]')
+    : null;
+  if (!layer) return capture();
+
+  const { transform, transition } = layer.style;
+  layer.style.transition = 'none';
+  layer.style.transform = 'none';
+  try {
+    return await capture();
+  } finally {
+    layer.style.transform = transform;
+    layer.style.transition = transition;
+  }
+};
+
 export const createGIFFromAnimation = async (
   captureRef,
   animationSteps,
   options = {},
 ) => {
   try {
-    const config = { ...GIF_CONFIG, ...options };
+    const { area = EXPORT_AREAS.FULL_TREE, ...gifOptions } = options;
+    const config = { ...GIF_CONFIG, ...gifOptions };
     const gif = new GIF(config);
 
     for (let i = 0; i < animationSteps.length; i++) {
       const step = animationSteps[i];
 
       // eslint-disable-next-line no-await-in-loop
-      const canvas = await htmlToImage.toCanvas(
+      const canvas = await captureArea(
         captureRef.current,
-        CAPTURE_CONFIG,
+        area,
+        () => htmlToImage.toCanvas(captureRef.current, CAPTURE_CONFIG),
       );
 
       gif.addFrame(canvas, { delay: step.duration || 1000 });
@@ -62,12 +115,14 @@ export const createGIFFromAnimation = async (
 
 export const createGIFFromTree = async (captureRef, options = {}) => {
   try {
-    const config = { ...GIF_CONFIG, ...options };
+    const { area = EXPORT_AREAS.FULL_TREE, ...gifOptions } = options;
+    const config = { ...GIF_CONFIG, ...gifOptions };
     const gif = new GIF(config);
 
-    const canvas = await htmlToImage.toCanvas(
+    const canvas = await captureArea(
       captureRef.current,
-      CAPTURE_CONFIG,
+      area,
+      () => htmlToImage.toCanvas(captureRef.current, CAPTURE_CONFIG),
     );
 
     for (let i = 0; i < 10; i++) {
@@ -95,23 +150,13 @@ export const createGIFFromLiveAnimation = async (
   options = {},
 ) => {
   try {
-    // Get actual canvas dimensions from the rendered element
-    const canvasElement = captureRef.current;
-    const rect = canvasElement.getBoundingClientRect();
-
-    // Use the larger of actual size or computed size to ensure we capture everything
-    const computedStyle = window.getComputedStyle(canvasElement);
-    const { scrollWidth, scrollHeight } = canvasElement;
+    const { area = EXPORT_AREAS.FULL_TREE, ...gifOptions } = options;
 
-    const actualWidth = Math.max(
-      Math.ceil(rect.width),
-      scrollWidth,
-      parseInt(computedStyle.width, 10) || 0,
-    );
-    const actualHeight = Math.max(
-      Math.ceil(rect.height),
-      scrollHeight,
-      parseInt(computedStyle.height, 10) || 0,
+    // Get actual canvas dimensions for the requested area
+    const canvasElement = captureRef.current;
+    const { width: actualWidth, height: actualHeight } = getCaptureSize(
+      canvasElement,
+      area,
     );
 
     // Use actual dimensions for GIF
@@ -119,7 +164,7 @@ export const createGIFFromLiveAnimation = async (
       ...GIF_CONFIG,
       width: actualWidth,
       height: actualHeight,
-      ...options,
+      ...gifOptions,
     };
     const gif = new GIF(config);
 
@@ -145,9 +190,10 @@ export const createGIFFromLiveAnimation = async (
         // Wait for DOM to settle and animations to complete
         await new Promise((resolve) => { setTimeout(resolve, 100); });
 
-        const canvas = await htmlToImage.toCanvas(
+        const canvas = await captureArea(
           captureRef.current,
-          enhancedCaptureConfig,
+          area,
+          () => htmlToImage.toCanvas(captureRef.current, enhancedCaptureConfig),
         );
         gif.addFrame(canvas, { delay });
 
@@ -181,16 +227,18 @@ export const createGIFFromTraversal = async (
   options = {},
 ) => {
   try {
-    const config = { ...GIF_CONFIG, ...options };
+    const { area = EXPORT_AREAS.FULL_TREE, ...gifOptions } = options;
+    const config = { ...GIF_CONFIG, ...gifOptions };
     const gif = new GIF(config);
 
     for (let i = 0; i < traversalSteps.length; i++) {
       const step = traversalSteps[i];
 
       // eslint-disable-next-line no-await-in-loop
-      const canvas = await htmlToImage.toCanvas(
+      const canvas = await captureArea(
         captureRef.current,
-        CAPTURE_CONFIG,
+        area,
+        () => htmlToImage.toCanvas(captureRef.current, CAPTURE_CONFIG),
       );
 
       gif.addFrame(canvas, { delay: step.duration || 500 });
@@ -226,23 +274,17 @@ function downloadBlob(blob, filename) {
   URL.revokeObjectURL(url);
 }
 
-export const exportTreeAsPNG = async (captureRef, filename = 'tree.png') => {
+export const exportTreeAsPNG = async (
+  captureRef,
+  filename = 'tree.png',
+  { area = EXPORT_AREAS.FULL_TREE } = {},
+) => {
   try {
-    // Get actual canvas dimensions
+    // Get actual canvas dimensions for the requested area
     const canvasElement = captureRef.current;
-    const rect = canvasElement.getBoundingClientRect();
-    const computedStyle = window.getComputedStyle(canvasElement);
-    const { scrollWidth, scrollHeight } = canvasElement;
-
-    const actualWidth = Math.max(
-      Math.ceil(rect.width),
-      scrollWidth,
-      parseInt(computedStyle.width, 10) || 0,
-    );
-    const actualHeight = Math.max(
-      Math.ceil(rect.height),
-      scrollHeight,
-      parseInt(computedStyle.height, 10) || 0,
+    const { width: actualWidth, height: actualHeight } = getCaptureSize(
+      canvasElement,
+      area,
     );
 
     // Enhanced capture config for full canvas
@@ -262,9 +304,10 @@ export const exportTreeAsPNG = async (captureRef, filename = 'tree.png') => {
       },
     };
 
-    const canvas = await htmlToImage.toCanvas(
-      captureRef.current,
-      enhancedConfig,
+    const canvas = await captureArea(
+      canvasElement,
+      area,
+      () => htmlToImage.toCanvas(canvasElement, enhancedConfig),
     );
     const link = document.createElement('a');
     link.download = filename;
@@ -278,23 +321,17 @@ export const exportTreeAsPNG = async (captureRef, filename = 'tree.png') => {
   }
 };
 
-export const exportTreeAsSVG = async (captureRef, filename = 'tree.svg') => {
+export const exportTreeAsSVG = async (
+  captureRef,
+  filename = 'tree.svg',
+  { area = EXPORT_AREAS.FULL_TREE } = {},
+) => {
   try {
-    // Get actual canvas dimensions
+    // Get actual canvas dimensions for the requested area
     const canvasElement = captureRef.current;
-    const rect = canvasElement.getBoundingClientRect();
-    const computedStyle = window.getComputedStyle(canvasElement);
-    const { scrollWidth, scrollHeight } = canvasElement;
-
-    const actualWidth = Math.max(
-      Math.ceil(rect.width),
-      scrollWidth,
-      parseInt(computedStyle.width, 10) || 0,
-    );
-    const actualHeight = Math.max(
-      Math.ceil(rect.height),
-      scrollHeight,
-      parseInt(computedStyle.height, 10) || 0,
+    const { width: actualWidth, height: actualHeight } = getCaptureSize(
+      canvasElement,
+      area,
     );
 
     // Enhanced capture config for full canvas
@@ -313,7 +350,11 @@ export const exportTreeAsSVG = async (captureRef, filename = 'tree.svg') => {
       },
     };
 
-    const svg = await htmlToImage.toSvg(captureRef.current, enhancedConfig);
+    const svg = await captureArea(
+      canvasElement,
+      area,
+      () => htmlToImage.toSvg(canvasElement, enhancedConfig),
+    );
     const link = document.createElement('a');
     link.download = filename;
     link.href = svg;
@@ -326,23 +367,17 @@ export const exportTreeAsSVG = async (captureRef, filename = 'tree.svg') => {
   }
 };
 
-export const exportTreeAsJPEG = async (captureRef, filename = 'tree.jpg') => {
+export const exportTreeAsJPEG = async (
+  captureRef,
+  filename = 'tree.jpg',
+  { area = EXPORT_AREAS.FULL_TREE } = {},
+) => {
   try {
-    // Get actual canvas dimensions
+    // Get actual canvas dimensions for the requested area
     const canvasElement = captureRef.current;
-    const rect = canvasElement.getBoundingClientRect();
-    const computedStyle = window.getComputedStyle(canvasElement);
-    const { scrollWidth, scrollHeight } = canvasElement;
-
-    const actualWidth = Math.max(
-      Math.ceil(rect.width),
-      scrollWidth,
-      parseInt(computedStyle.width, 10) || 0,
-    );
-    const actualHeight = Math.max(
-      Math.ceil(rect.height),
-      scrollHeight,
-      parseInt(computedStyle.height, 10) || 0,
+    const { width: actualWidth, height: actualHeight } = getCaptureSize(
+      canvasElement,
+      area,
     );
 
     // Enhanced capture config for full canvas
@@ -362,9 +397,10 @@ export const exportTreeAsJPEG = async (captureRef, filename = 'tree.jpg') => {
       },
     };
 
-    const canvas = await htmlToImage.toCanvas(
-      captureRef.current,
-      enhancedConfig,
+    const canvas = await captureArea(
+      canvasElement,
+      area,
+      () => htmlToImage.toCanvas(canvasElement, enhancedConfig),
     );
     const link = document.createElement('a');
     link.download = filename;
@@ -378,8 +414,15 @@ export const exportTreeAsJPEG = async (captureRef, filename = 'tree.jpg') => {
   }
 };
 
+// Saves the tree in the JSON file format from treeSerialization.js
+export const exportTreeAsJSON = (tree, filename = 'tree.json') => {
+  const text = JSON.stringify(tree.toJSON(), null, 2);
+  downloadBlob(new Blob([text], { type: 'application/json' }), filename);
+};
+
 export const getExportOptions = () => ({
   formats: ['PNG', 'JPEG', 'SVG', 'GIF'],
+  areas: Object.values(EXPORT_AREAS),
   gifOptions: {
     quality: [1, 10, 20, 30, 40, 50],
     width: [400, 600, 800, 1000, 1200],
@@ -0,0 +1,385 @@
+/**
+ * Huffman Coding Tree
+ *
+ * Key Properties:
+ * - Built greedily from symbol weights (how often each symbol occurs)
+ * - Every leaf is a symbol, every internal node weighs the sum of its children
+ * - The path from the root spells a leaf's code: 0 for left, 1 for right
+ * - No code is a prefix of another, and frequent symbols get the short codes
+ *
+ * Construction keeps a priority queue of trees ordered by weight: take the
+ * two lightest, join them under a new node and put that back, until one tree
+ * is left. Ties go to the tree that has waited longest, so the same input
+ * always gives the same tree. While building, the queue is drawn as a row of
+ * trees, lightest on the left.
+ */
+import Node from './node.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition, generateTraversal } from './animations.js';
+import { layoutTidyTree, LAYOUT_CONFIG } from './layout.js';
+import { serializeTree, parseHuffmanTreeFile } from './treeSerialization.js';
+
+// Symbols that would be invisible on a node
+const SYMBOL_NAMES = { ' ': '␣', '\n': '↵', '\t': '⇥' };
+
+export const formatSymbol = (symbol) => SYMBOL_NAMES[symbol] || symbol;
+
+/**
+ * Reads either a frequency table ("a:5, b:2" or "a=5 b=2") or plain text,
+ * whose characters are counted in order of first appearance
+ * Throws an Error describing the first problem
+ *
+ * @returns {{ kind: 'table'|'text', weights: Array<{ symbol: string, weight: number }> }}
+ */
+export const parseHuffmanInput = (text) => {
+  const input = String(text || '');
+  if (input.trim() === '') throw new Error('Enter some text or a frequency table such as a:5, b:2');
+
+  const tokens = input.trim().replace(/\s*[:=]\s*/g, ':').split(/[\s,;]+/);
+  if (!tokens.every((token) => /^[^:]+:[^:]+$/.test(token))) {
+    const counts = new Map();
+    [...input].forEach((symbol) => counts.set(symbol, (counts.get(symbol) || 0) + 1));
+    return {
+      kind: 'text',
+      weights: [...counts].map(([symbol, weight]) => ({ symbol, weight })),
+    };
+  }
+
+  const seen = new Set();
+  const weights = tokens.map((token) => {
+    const [symbol, weight] = token.split(':');
+    if (!/^\d+$/.test(weight) || Number(weight) === 0) {
+      throw new Error(`The weight of "${symbol}" must be a positive whole number, not "${weight}"`);
+    }
+    if (seen.has(symbol)) throw new Error(`Symbol "${symbol}" is listed twice`);
+    seen.add(symbol);
+    return { symbol, weight: Number(weight) };
+  });
+  return { kind: 'table', weights };
+};
+
+export default class HuffmanTree {
+  constructor() {
+    this.root = null;
+    // The priority queue of partial trees, only while building
+    this.forest = null;
+    this.weights = [];
+    this.nodeIdCounter = 0;
+  }
+
+  generateId() {
+    const id = `hnode-${this.nodeIdCounter}`;
+    this.nodeIdCounter += 1;
+    return id;
+  }
+
+  getTreeData() {
+    const nodes = [];
+    const edges = [];
+
+    if (this.forest && this.forest.length > 1) {
+      // Lay the queue out as the children of a hidden root, then lift every
+      // tree up one level so their roots share the top row
+      const queue = { forest: this.forest };
+      layoutTidyTree(queue, {
+        getChildren: (node) => (node === queue ? this.forest : [node.left, node.right]),
+      });
+      this.forest.forEach((tree) => this._collectTreeData(tree, nodes, edges, queue.scale));
+    } else if (this.forest || this.root) {
+      const root = this.forest ? this.forest[0] : this.root;
+      layoutTidyTree(root);
+      this._collectTreeData(root, nodes, edges, 0);
+    }
+
+    return { nodes, edges };
+  }
+
+  _collectTreeData(node, nodes, edges, lift) {
+    const data = {
+      id: node.id,
+      value: node.value,
+      x: node.x,
+      y: node.y - lift * LAYOUT_CONFIG.LEVEL_HEIGHT,
+      color: null,
+      scale: node.scale || 1.0,
+    };
+    if (node.symbol !== undefined) data.symbol = formatSymbol(node.symbol);
+    if (node.code !== undefined) data.code = node.code;
+    nodes.push(data);
+
+    [['left', node.left, '0'], ['right', node.right, '1']].forEach(([type, child, label]) => {
+      if (!child) return;
+      edges.push({
+        from: node.id, to: child.id, type, label,
+      });
+      this._collectTreeData(child, nodes, edges, lift);
+    });
+  }
+
+  // "a (5)" for a leaf, "ab (7)" for the tree joining a and b
+  static describe(node) {
+    const symbols = [];
+    const collect = (current) => {
+      if (!current) return;
+      if (current.symbol !== undefined) symbols.push(formatSymbol(current.symbol));
+      collect(current.left);
+      collect(current.right);
+    };
+    collect(node);
+    return `${symbols.join('')} (${node.value})`;
+  }
+
+  // Codes of every leaf, left to right: [{ symbol, weight, code }]
+  codes() {
+    const table = [];
+    const walk = (node, code) => {
+      if (!node) return;
+      if (node.symbol !== undefined) {
+        // A lone symbol still needs one bit
+        table.push({ symbol: node.symbol, weight: node.value, code: code || '0' });
+        return;
+      }
+      walk(node.left, `${code}0`);
+      walk(node.right, `${code}1`);
+    };
+    walk(this.root, '');
+    return table;
+  }
+
+  // Bits needed for the whole input with these codes
+  encodedLength() {
+    return this.codes().reduce((bits, { weight, code }) => bits + weight * code.length, 0);
+  }
+
+  /**
+   * Replaces the tree with the Huffman tree for `text` (see parseHuffmanInput)
+   * The animation counts the symbols, merges the two lightest trees until one
+   * is left, then reads off each code and the encoded length
+   * Throws an Error if the input cannot be read
+   */
+  build(text) {
+    const { kind, weights } = parseHuffmanInput(text);
+    return this._construct(weights, kind);
+  }
+
+  _construct(weights, kind) {
+    this.weights = weights.map(({ symbol, weight }) => ({ symbol, weight }));
+    this.root = null;
+
+    const animations = [];
+    const listing = weights.map(({ symbol, weight }) => `${formatSymbol(symbol)}:${weight}`).join(', ');
+    animations.push({
+      type: 'update-status',
+      message: kind === 'table' ? `Frequency table: ${listing}` : `Counting symbols: ${listing}`,
+      duration: 1000,
+    });
+
+    // Lightest first; equal weights keep their input order
+    const leaves = weights.map(({ symbol, weight }) => {
+      const leaf = new Node(weight, this.generateId());
+      leaf.symbol = symbol;
+      return leaf;
+    });
+    this.forest = [...leaves].sort((a, b) => a.value - b.value);
+    animations.push(createLayoutReposition(this));
+    this.forest.forEach((leaf) => {
+      animations.push({
+        type: 'fade-in',
+        nodeId: leaf.id,
+        duration: 200,
+      });
+    });
+    animations.push({
+      type: 'update-status',
+      message: leaves.length === 1
+        ? 'Only one symbol - its leaf is the whole tree'
+        : `The queue starts with ${leaves.length} leaves, lightest on the left`,
+      duration: 800,
+    });
+
+    while (this.forest.length > 1) {
+      const [left, right] = this.forest;
+      [left, right].forEach((node) => {
+        animations.push({
+          type: 'highlight-node',
+          nodeId: node.id,
+          state: 'pivot',
+          sticky: true,
+          duration: 300,
+        });
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Take the two lightest: ${HuffmanTree.describe(left)} and ${HuffmanTree.describe(right)}`,
+        duration: 800,
+      });
+
+      const parent = new Node(left.value + right.value, this.generateId());
+      parent.left = left;
+      parent.right = right;
+      left.parent = parent;
+      right.parent = parent;
+      // Behind every tree of the same weight that is already waiting
+      const rest = this.forest.slice(2);
+      const position = rest.filter((tree) => tree.value <= parent.value).length;
+      rest.splice(position, 0, parent);
+      this.forest = rest;
+
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'fade-in',
+        nodeId: parent.id,
+        duration: 400,
+      });
+      [left, right].forEach((node) => {
+        animations.push({
+          type: 'highlight-node',
+          nodeId: node.id,
+          state: 'default',
+          sticky: true,
+          duration: 100,
+        });
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Merge ${left.value} + ${right.value} → ${parent.value}; it goes back in the queue at position ${position + 1}`,
+        duration: 1000,
+      });
+    }
+
+    [this.root] = this.forest;
+    this.forest = null;
+    animations.push({
+      type: 'update-status',
+      message: 'One tree left - the Huffman tree is complete. Left edges read 0, right edges 1',
+      duration: 1000,
+    });
+
+    this._assignCodes(animations);
+    return { tree: this, animations };
+  }
+
+  // Walks to every leaf, lighting up the edges on the way down, and shows
+  // each code as it is reached; the codes stay on the leaves
+  _assignCodes(animations) {
+    const visit = (node, code) => {
+      if (node.symbol === undefined) {
+        [[node.left, '0'], [node.right, '1']].forEach(([child, bit]) => {
+          animations.push({
+            type: 'highlight-edge',
+            edgeId: getEdgeId(node.id, child.id),
+            state: 'path',
+            duration: 200,
+          });
+          visit(child, `${code}${bit}`);
+        });
+        return;
+      }
+
+      const leaf = node;
+      leaf.code = code || '0';
+      animations.push({
+        type: 'highlight-node',
+        nodeId: leaf.id,
+        state: 'found',
+        duration: 500,
+      });
+      animations.push({
+        type: 'show-value',
+        nodeId: leaf.id,
+        value: `${formatSymbol(leaf.symbol)}: ${leaf.code}`,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `${formatSymbol(leaf.symbol)} = ${leaf.code} (${leaf.code.length} bit${leaf.code.length === 1 ? '' : 's'} × ${leaf.value} = ${leaf.code.length * leaf.value})`,
+        duration: 800,
+      });
+    };
+    visit(this.root, '');
+
+    const bits = this.encodedLength();
+    const total = this.weights.reduce((sum, { weight }) => sum + weight, 0);
+    const fixedBits = Math.max(1, Math.ceil(Math.log2(this.weights.length)));
+    animations.push({
+      type: 'show-value',
+      nodeId: this.root.id,
+      value: `${bits} bits`,
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Encoded length: ${bits} bits (a fixed-length code needs ${fixedBits} × ${total} = ${fixedBits * total} bits)`,
+      duration: 1500,
+    });
+  }
+
+  // "a:5" for a leaf, just the weight for an internal node
+  static label(node) {
+    return node.symbol === undefined ? String(node.value) : `${formatSymbol(node.symbol)}:${node.value}`;
+  }
+
+  // Traversals name each node by its label, so leaves show their symbol
+  _traverse(order) {
+    return generateTraversal(this.root, order, (node) => [node.left, node.right], {
+      label: HuffmanTree.label,
+    });
+  }
+
+  preorderTraversal() {
+    return this._traverse('preorder');
+  }
+
+  inorderTraversal() {
+    return this._traverse('inorder');
+  }
+
+  postorderTraversal() {
+    return this._traverse('postorder');
+  }
+
+  levelOrderTraversal() {
+    return this._traverse('level-order');
+  }
+
+  // Deep copy that keeps node ids, positions and codes (used for undo/redo)
+  safeClone() {
+    const newTree = new HuffmanTree();
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.weights = this.weights.map(({ symbol, weight }) => ({ symbol, weight }));
+    newTree.root = this._safeCloneNode(this.root, null);
+    return newTree;
+  }
+
+  _safeCloneNode(node, parent) {
+    if (!node) return null;
+
+    const clone = new Node(node.value, node.id, node.x, node.y);
+    clone.parent = parent;
+    clone.left = this._safeCloneNode(node.left, clone);
+    clone.right = this._safeCloneNode(node.right, clone);
+    clone.scale = node.scale;
+    if (node.symbol !== undefined) clone.symbol = node.symbol;
+    if (node.code !== undefined) clone.code = node.code;
+    return clone;
+  }
+
+  /**
+   * Plain object in the tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('HuffmanTree', this);
+  }
+
+  /**
+   * Builds a tree from a tree file (object or JSON text) by repeating the
+   * construction from the stored weights
+   * Throws an Error describing the first problem if the file is invalid
+   */
+  static fromJSON(json) {
+    const { weights } = parseHuffmanTreeFile(json);
+    const tree = new HuffmanTree();
+    if (weights.length > 0) tree._construct(weights, 'table');
+    return tree;
+  }
+}
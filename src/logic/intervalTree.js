@@ -0,0 +1,605 @@
+/**
+ * Interval Tree (augmented Red-Black tree)
+ *
+ * Key Properties:
+ * - Every node stores a closed interval [start, end]
+ * - Nodes are ordered by start (ties broken by end), so the tree is a
+ *   Red-Black tree on the starts and stays O(log n) high
+ * - Every node also stores max: the largest end anywhere in its subtree
+ *
+ * max is what makes overlap queries fast. If the left subtree's max is below
+ * the query's start, no interval on the left reaches the query, and if a
+ * node starts after the query's end, nothing on its right can overlap it -
+ * both subtrees can be skipped without looking inside.
+ *
+ * max is repaired on the way down during an insert, after every rotation
+ * (only the two rotated nodes change) and on the path above a removed node.
+ *
+ * Time Complexity: insert/delete O(log n), find all k overlaps O(min(n, k log n))
+ */
+import Node from './node.js';
+import RedBlackTree from './redBlackTree.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition } from './animations.js';
+import { serializeTree, parseIntervalTreeFile } from './treeSerialization.js';
+import { updateSizesToRoot } from './orderStatistics.js';
+
+const RED = 'red';
+const BLACK = 'black';
+
+export const formatInterval = ([start, end]) => `[${start}, ${end}]`;
+
+/**
+ * Reads "[5, 20]", "5, 20" or "5 20" as [5, 20]
+ * Returns null unless it is two whole numbers with start ≤ end
+ */
+export const parseInterval = (text) => {
+  const match = /^\[?\s*(-?\d+)\s*(?:,\s*|\s+)(-?\d+)\s*\]?$/.exec(String(text).trim());
+  if (!match) return null;
+  const start = parseInt(match[1], 10);
+  const end = parseInt(match[2], 10);
+  return start <= end ? [start, end] : null;
+};
+
+// Order on [start, end]: by start, then by end
+const compareIntervals = (a, b) => a[0] - b[0] || a[1] - b[1];
+
+const intervalOf = (node) => [node.value, node.high];
+
+class IntervalTree extends RedBlackTree {
+  // Keys are intervals - App and ControlPanel read them as [start, end]
+  static get keyType() {
+    return 'interval';
+  }
+
+  _createNode([start, end]) {
+    const node = new Node(start, `inode-${this.nodeIdCounter}`);
+    this.nodeIdCounter += 1;
+    node.high = end;
+    node.max = end;
+    return node;
+  }
+
+  _collectTreeData(node, nodes, edges) {
+    if (!node) return;
+
+    nodes.push({
+      id: node.id,
+      value: node.value,
+      x: node.x,
+      y: node.y,
+      color: node.color,
+      height: node.height,
+      size: node.size,
+      scale: node.scale || 1.0,
+      interval: intervalOf(node),
+      max: node.max,
+    });
+
+    [['left', node.left], ['right', node.right]].forEach(([type, child]) => {
+      if (!child) return;
+      edges.push({ from: node.id, to: child.id, type });
+      this._collectTreeData(child, nodes, edges);
+    });
+  }
+
+  /**
+   * Intervals in order (by start, then end)
+   */
+  intervals() {
+    const result = [];
+    const visit = (node) => {
+      if (!node) return;
+      visit(node.left);
+      result.push(intervalOf(node));
+      visit(node.right);
+    };
+    visit(this.root);
+    return result;
+  }
+
+  // max = largest of the node's own end and its children's max, narrated
+  // step by step so the augmented field visibly follows every change
+  static _recomputeMax(node, animations) {
+    const parts = [node.high];
+    if (node.left) parts.push(node.left.max);
+    if (node.right) parts.push(node.right.max);
+    const max = Math.max(...parts);
+    const target = node;
+    target.max = max;
+
+    animations.push({
+      type: 'update-status',
+      message: `max of ${formatInterval(intervalOf(node))} = max(${parts.join(', ')}) = ${max}`,
+      duration: 600,
+    });
+    animations.push({
+      type: 'update-value',
+      nodeId: node.id,
+      max,
+      duration: 400,
+    });
+  }
+
+  // Only the two rotated nodes change subtrees, so only their max can change;
+  // the one that moved down goes first because the other now sits above it
+  rotateLeft(node, animations) {
+    super.rotateLeft(node, animations);
+    IntervalTree._recomputeMax(node, animations);
+    IntervalTree._recomputeMax(node.parent, animations);
+  }
+
+  rotateRight(node, animations) {
+    super.rotateRight(node, animations);
+    IntervalTree._recomputeMax(node, animations);
+    IntervalTree._recomputeMax(node.parent, animations);
+  }
+
+  insert(interval) {
+    const animations = [];
+    const [, end] = interval;
+    const label = formatInterval(interval);
+    animations.push({
+      type: 'update-status',
+      message: `Inserting ${label} into interval tree`,
+      duration: 500,
+    });
+
+    if (!this.root) {
+      const newNode = this._createNode(interval);
+      newNode.color = BLACK;
+      this.root = newNode;
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'highlight-node',
+        nodeId: newNode.id,
+        state: 'inserted',
+        duration: 500,
+      });
+      animations.push({
+        type: 'fade-in',
+        nodeId: newNode.id,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Inserted ${label} as black root, max ${newNode.max}`,
+        duration: 500,
+      });
+      return { tree: this, animations };
+    }
+
+    // Every node passed on the way down gains the new interval in its
+    // subtree, so its max is raised before moving on
+    let current = this.root;
+    let parent = null;
+    while (current) {
+      const order = compareIntervals(interval, intervalOf(current));
+      const currentLabel = formatInterval(intervalOf(current));
+      animations.push({
+        type: 'highlight-node',
+        nodeId: current.id,
+        state: 'path',
+        duration: 300,
+      });
+
+      if (order === 0) {
+        animations.push({
+          type: 'shake',
+          nodeId: current.id,
+          duration: 300,
+        });
+        animations.push({
+          type: 'update-status',
+          message: `${label} already exists, skipping`,
+          duration: 500,
+        });
+        return { tree: this, animations };
+      }
+
+      if (current.max < end) {
+        animations.push({
+          type: 'update-status',
+          message: `End ${end} > max ${current.max} of ${currentLabel}, raising its max`,
+          duration: 600,
+        });
+        animations.push({
+          type: 'update-value',
+          nodeId: current.id,
+          max: end,
+          duration: 400,
+        });
+        current.max = end;
+      }
+
+      parent = current;
+      const side = order < 0 ? 'left' : 'right';
+      animations.push({
+        type: 'update-status',
+        message: order < 0
+          ? `${label} starts before ${currentLabel}, going left`
+          : `${label} starts at or after ${currentLabel}, going right`,
+        duration: 500,
+      });
+      if (current[side]) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(current.id, current[side].id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      current = current[side];
+    }
+
+    const newNode = this._createNode(interval);
+    newNode.color = RED;
+    newNode.parent = parent;
+    if (compareIntervals(interval, intervalOf(parent)) < 0) {
+      parent.left = newNode;
+    } else {
+      parent.right = newNode;
+    }
+    updateSizesToRoot(parent);
+
+    animations.push({
+      type: 'highlight-edge',
+      edgeId: getEdgeId(parent.id, newNode.id),
+      state: 'path',
+      duration: 300,
+    });
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'highlight-node',
+      nodeId: newNode.id,
+      state: 'inserted',
+      duration: 500,
+    });
+    animations.push({
+      type: 'fade-in',
+      nodeId: newNode.id,
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Inserted ${label} as red node, checking balance...`,
+      duration: 500,
+    });
+
+    this._fixInsert(newNode, animations);
+
+    return { tree: this, animations };
+  }
+
+  // Same walk as RedBlackTree._findNodeWithPath, ordered on whole intervals
+  _findIntervalWithPath(interval, animations) {
+    let current = this.root;
+    let lastVisited = null;
+
+    while (current && compareIntervals(interval, intervalOf(current)) !== 0) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: current.id,
+        state: 'path',
+        duration: 300,
+      });
+      const next = compareIntervals(interval, intervalOf(current)) < 0
+        ? current.left
+        : current.right;
+      if (next) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(current.id, next.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      lastVisited = current;
+      current = next;
+    }
+
+    return { node: current, lastVisited };
+  }
+
+  delete(interval) {
+    const animations = [];
+    const label = formatInterval(interval);
+    animations.push({
+      type: 'update-status',
+      message: `Deleting ${label} from interval tree`,
+      duration: 500,
+    });
+
+    const { node, lastVisited } = this._findIntervalWithPath(interval, animations);
+    if (!node) {
+      if (lastVisited) {
+        animations.push({
+          type: 'shake',
+          nodeId: lastVisited.id,
+          duration: 300,
+        });
+      }
+      animations.push({
+        type: 'update-status',
+        message: `Interval ${label} not found`,
+        duration: 800,
+      });
+      return { tree: this, animations };
+    }
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'found',
+      duration: 500,
+    });
+
+    this._deleteNode(node, animations);
+
+    return { tree: this, animations };
+  }
+
+  // RedBlackTree._deleteNode, also moving the successor's end and repairing
+  // max above the node that left the tree before the colors are fixed
+  _deleteNode(node, animations) {
+    const replacement = !node.left || !node.right ? node : this._findMin(node.right);
+
+    animations.push({
+      type: 'fade-out',
+      nodeId: replacement.id,
+      duration: 500,
+    });
+
+    const replacementChild = replacement.left ? replacement.left : replacement.right;
+    if (replacementChild) {
+      replacementChild.parent = replacement.parent;
+    }
+
+    if (!replacement.parent) {
+      this.root = replacementChild;
+    } else if (replacement === replacement.parent.left) {
+      replacement.parent.left = replacementChild;
+    } else {
+      replacement.parent.right = replacementChild;
+    }
+    updateSizesToRoot(replacement.parent);
+
+    if (replacement !== node) {
+      const removed = formatInterval(intervalOf(node));
+      const target = node;
+      target.value = replacement.value;
+      target.high = replacement.high;
+      animations.push({
+        type: 'update-status',
+        message: `Replaced ${removed} with successor ${formatInterval(intervalOf(node))}`,
+        duration: 600,
+      });
+    }
+
+    animations.push(createLayoutReposition(this));
+
+    // `node` (if it took the successor's interval) lies on this path too
+    if (replacement.parent) {
+      animations.push({
+        type: 'update-status',
+        message: 'Repairing max on the path above the removed node',
+        duration: 500,
+      });
+      let current = replacement.parent;
+      while (current) {
+        IntervalTree._recomputeMax(current, animations);
+        current = current.parent;
+      }
+    }
+
+    // max is already right all the way up, and the fix-up only rotates
+    // (which redoes max for the two nodes involved) and recolors
+    if (replacement.color === BLACK) {
+      this._fixDelete(replacementChild, replacement.parent, animations);
+    }
+  }
+
+  search(interval) {
+    const animations = [];
+    const label = formatInterval(interval);
+    animations.push({
+      type: 'update-status',
+      message: `Searching for ${label} in interval tree`,
+      duration: 500,
+    });
+
+    const { node, lastVisited } = this._findIntervalWithPath(interval, animations);
+    if (node) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'found',
+        duration: 800,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Found ${label}!`,
+        duration: 800,
+      });
+    } else {
+      if (lastVisited) {
+        animations.push({
+          type: 'shake',
+          nodeId: lastVisited.id,
+          duration: 300,
+        });
+      }
+      animations.push({
+        type: 'update-status',
+        message: `Interval ${label} not found`,
+        duration: 800,
+      });
+    }
+    return { animations };
+  }
+
+  /**
+   * Every stored interval overlapping [lo, hi], in order. Visited nodes stay
+   * on the path, overlaps are marked found and subtrees ruled out by max (or
+   * by starting after hi) are greyed out as pruned without being entered
+   *
+   * @returns {{ result: number[][], animations: Array }}
+   */
+  findOverlapping(lo, hi) {
+    const animations = [];
+    const result = [];
+    const query = formatInterval([lo, hi]);
+    animations.push({
+      type: 'update-status',
+      message: `Finding intervals that overlap ${query}`,
+      duration: 600,
+    });
+
+    let visited = 0;
+    const prune = (subtree, reason) => {
+      animations.push({
+        type: 'update-status',
+        message: reason,
+        duration: 900,
+      });
+      const grey = (node) => {
+        if (!node) return;
+        animations.push({
+          type: 'highlight-node',
+          nodeId: node.id,
+          state: 'pruned',
+          sticky: true,
+          duration: 150,
+        });
+        grey(node.left);
+        grey(node.right);
+      };
+      grey(subtree);
+    };
+    const descend = (node, child) => {
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.id, child.id),
+        state: 'path',
+        duration: 300,
+      });
+    };
+
+    const visit = (node) => {
+      visited += 1;
+      const label = formatInterval(intervalOf(node));
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 300,
+      });
+
+      if (node.left) {
+        if (node.left.max < lo) {
+          prune(node.left, `Left of ${label}: max ${node.left.max} < ${lo}, nothing there reaches ${query} - pruned`);
+        } else {
+          animations.push({
+            type: 'update-status',
+            message: `Left of ${label}: max ${node.left.max} ≥ ${lo}, an overlap is possible - going left`,
+            duration: 700,
+          });
+          descend(node, node.left);
+          visit(node.left);
+        }
+      }
+
+      if (node.value <= hi && node.high >= lo) {
+        result.push(intervalOf(node));
+        animations.push({
+          type: 'highlight-node',
+          nodeId: node.id,
+          state: 'found',
+          sticky: true,
+          duration: 500,
+        });
+        animations.push({
+          type: 'update-status',
+          message: `${label} overlaps ${query}`,
+          duration: 700,
+        });
+        animations.push({
+          type: 'show-value',
+          nodeId: node.id,
+          value: label,
+          duration: 400,
+        });
+      } else {
+        animations.push({
+          type: 'update-status',
+          message: `${label} does not overlap ${query}`,
+          duration: 700,
+        });
+      }
+
+      if (node.right) {
+        if (node.value > hi) {
+          prune(node.right, `Right of ${label}: everything starts after ${node.value} > ${hi} - pruned`);
+        } else if (node.right.max < lo) {
+          prune(node.right, `Right of ${label}: max ${node.right.max} < ${lo}, nothing there reaches ${query} - pruned`);
+        } else {
+          animations.push({
+            type: 'update-status',
+            message: `Right of ${label}: max ${node.right.max} ≥ ${lo}, an overlap is possible - going right`,
+            duration: 700,
+          });
+          descend(node, node.right);
+          visit(node.right);
+        }
+      }
+    };
+    if (this.root) visit(this.root);
+
+    const count = result.length;
+    const visitedNote = `(visited ${visited} node${visited === 1 ? '' : 's'})`;
+    animations.push({
+      type: 'update-status',
+      message: count === 0
+        ? `No interval overlaps ${query} ${visitedNote}`
+        : `${count} interval${count === 1 ? '' : 's'} overlap${count === 1 ? 's' : ''} ${query} ${visitedNote}`,
+      duration: 1500,
+    });
+    return { result, animations };
+  }
+
+  safeClone() {
+    const newTree = new IntervalTree();
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.root = this._safeCloneNode(this.root);
+    return newTree;
+  }
+
+  _safeCloneNode(node) {
+    const cloned = super._safeCloneNode(node);
+    if (cloned) {
+      cloned.high = node.high;
+      cloned.max = node.max;
+    }
+    return cloned;
+  }
+
+  /**
+   * Plain object in the documented tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('IntervalTree', this);
+  }
+
+  /**
+   * Rebuilds a tree from toJSON() output (object or JSON text) by inserting
+   * the stored intervals again, in the stored order
+   * Throws an Error describing the first problem if the file is invalid
+   */
+  static fromJSON(json) {
+    const tree = new IntervalTree();
+    parseIntervalTreeFile(json).intervals.forEach((interval) => tree.insert(interval));
+    return tree;
+  }
+}
+
+export default IntervalTree;
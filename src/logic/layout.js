@@ -0,0 +1,183 @@
+/**
+ * Tidy Tree Layout (Reingold–Tilford)
+ *
+ * Shared by every tree type, so a BST, an AVL tree and a Red-Black tree with
+ * the same shape are drawn exactly the same way.
+ *
+ * How it works:
+ * 1. Lay out each child subtree on its own (bottom-up)
+ * 2. Place sibling subtrees left to right, pushing each one just far enough
+ *    that at EVERY depth it keeps a minimum gap from what is already placed
+ *    (the subtree "contours" - leftmost/rightmost x per level)
+ * 3. Centre the parent over its first and last child
+ * 4. Convert relative offsets to absolute positions, then fit the drawing
+ *    into the canvas
+ *
+ * Because only contours are compared, nodes can never overlap, and skewed
+ * trees stay narrow instead of reserving room for children that don't exist.
+ */
+
+export const LAYOUT_CONFIG = {
+  CANVAS_WIDTH: 1400,
+  CANVAS_HEIGHT: 700,
+  ROOT_Y: 100,
+  PADDING_X: 60,
+  PADDING_Y: 60,
+  NODE_WIDTH: 60,
+  SIBLING_GAP: 20,
+  LEVEL_HEIGHT: 80,
+  // Same safety margin the old positioner used so nodes never touch the border
+  SAFETY_MARGIN: 0.85,
+  // Multi-key nodes (B-Tree): one cell per key plus a little padding
+  KEY_WIDTH: 36,
+  KEY_PADDING: 16,
+  // Nodes labelled with text (Trie prefixes): room per character
+  CHAR_WIDTH: 9,
+};
+
+// Drawn width of a node holding `keyCount` keys; never narrower than a plain node
+export const getMultiKeyNodeWidth = (keyCount) => Math.max(
+  LAYOUT_CONFIG.NODE_WIDTH,
+  keyCount * LAYOUT_CONFIG.KEY_WIDTH + LAYOUT_CONFIG.KEY_PADDING,
+);
+
+// Drawn width of a node showing `text`; short labels keep the plain node size
+export const getLabelNodeWidth = (text) => Math.max(
+  LAYOUT_CONFIG.NODE_WIDTH,
+  String(text).length * LAYOUT_CONFIG.CHAR_WIDTH + LAYOUT_CONFIG.KEY_PADDING,
+);
+
+// Horizontal offset (from the node centre, unscaled) where child edge
+// `childIndex` leaves a multi-key node: the gap between keys i-1 and i
+export const getChildAnchorOffset = (keyCount, childIndex) => (
+  (childIndex - keyCount / 2) * LAYOUT_CONFIG.KEY_WIDTH
+);
+
+// Binary trees keep their empty slots so a lone child still leans left/right
+export const binaryChildren = (node) => [node.left, node.right];
+
+const defaultNodeWidth = () => LAYOUT_CONFIG.NODE_WIDTH;
+
+/**
+ * Lays out one subtree relative to its own root (x = 0)
+ * Records each child's offset from its parent in `offsets` and returns the
+ * subtree contour: [{ left, right }] for every depth below (and including) node
+ */
+const layoutSubtree = (node, options, offsets) => {
+  const { getChildren, getNodeWidth } = options;
+  const half = getNodeWidth(node) / 2;
+  const slots = getChildren(node);
+  const children = slots.filter(Boolean);
+
+  if (children.length === 0) {
+    return [{ left: -half, right: half }];
+  }
+
+  const contours = children.map((child) => layoutSubtree(child, options, offsets));
+
+  // Place subtrees left to right, each as close as the contours allow
+  const positions = [0];
+  const merged = contours[0].map((level) => ({ ...level }));
+
+  for (let i = 1; i < children.length; i += 1) {
+    const contour = contours[i];
+    const shared = Math.min(merged.length, contour.length);
+    let shift = -Infinity;
+    for (let depth = 0; depth < shared; depth += 1) {
+      shift = Math.max(
+        shift,
+        merged[depth].right + LAYOUT_CONFIG.SIBLING_GAP - contour[depth].left,
+      );
+    }
+    positions.push(shift);
+
+    contour.forEach((level, depth) => {
+      if (depth < merged.length) {
+        merged[depth].right = level.right + shift;
+      } else {
+        merged.push({ left: level.left + shift, right: level.right + shift });
+      }
+    });
+  }
+
+  // Centre the parent over its children; a lone binary child leans to its side
+  let center = (positions[0] + positions[positions.length - 1]) / 2;
+  if (slots.length === 2 && children.length === 1) {
+    const lean = (getNodeWidth(node) + LAYOUT_CONFIG.SIBLING_GAP) / 2;
+    center = slots[0] ? positions[0] + lean : positions[0] - lean;
+  }
+
+  children.forEach((child, i) => {
+    offsets.set(child, positions[i] - center);
+  });
+
+  return [
+    { left: -half, right: half },
+    ...merged.map((level) => ({ left: level.left - center, right: level.right - center })),
+  ];
+};
+
+/**
+ * Scales and centres a drawing into the canvas (sets x, y and scale on every
+ * node), with y = 0 on the root line
+ *
+ * @param {Array<{ node: Object, x: number, y: number }>} placed - Unscaled positions
+ * @param {Function} [getNodeWidth] - node => drawn width in px
+ */
+export const fitToCanvas = (placed, getNodeWidth = defaultNodeWidth) => {
+  if (placed.length === 0) return;
+
+  const minX = Math.min(...placed.map((p) => p.x - getNodeWidth(p.node) / 2));
+  const maxX = Math.max(...placed.map((p) => p.x + getNodeWidth(p.node) / 2));
+  const maxY = Math.max(...placed.map((p) => p.y));
+
+  const availableWidth = LAYOUT_CONFIG.CANVAS_WIDTH - 2 * LAYOUT_CONFIG.PADDING_X;
+  const availableHeight = LAYOUT_CONFIG.CANVAS_HEIGHT - LAYOUT_CONFIG.ROOT_Y
+    - LAYOUT_CONFIG.PADDING_Y;
+
+  let scale = 1.0;
+  if (maxX - minX > availableWidth) scale = Math.min(scale, availableWidth / (maxX - minX));
+  if (maxY > availableHeight) scale = Math.min(scale, availableHeight / maxY);
+  scale *= LAYOUT_CONFIG.SAFETY_MARGIN;
+
+  const midX = (minX + maxX) / 2;
+  placed.forEach(({ node, x, y }) => {
+    const target = node;
+    target.x = LAYOUT_CONFIG.CANVAS_WIDTH / 2 + (x - midX) * scale;
+    target.y = LAYOUT_CONFIG.ROOT_Y + y * scale;
+    target.scale = scale;
+  });
+};
+
+/**
+ * Positions every node of the tree in place (sets x, y and scale)
+ *
+ * @param {Object} root - Root node
+ * @param {Object} options
+ * @param {Function} options.getChildren - node => array of children (null = empty slot)
+ * @param {Function} options.getNodeWidth - node => drawn width in px (multi-key nodes are wider)
+ */
+export const layoutTidyTree = (root, options = {}) => {
+  if (!root) return;
+
+  const layoutOptions = {
+    getChildren: options.getChildren || binaryChildren,
+    getNodeWidth: options.getNodeWidth || defaultNodeWidth,
+  };
+
+  const offsets = new Map();
+  layoutSubtree(root, layoutOptions, offsets);
+
+  // Relative offsets -> absolute positions (root at x = 0, y = 0)
+  const placed = [];
+  const place = (node, x, depth) => {
+    placed.push({ node, x, y: depth * LAYOUT_CONFIG.LEVEL_HEIGHT });
+    layoutOptions.getChildren(node).filter(Boolean).forEach((child) => {
+      place(child, x + offsets.get(child), depth + 1);
+    });
+  };
+  place(root, 0, 0);
+
+  // Fit the drawing into the canvas, centred horizontally with the root on top
+  fitToCanvas(placed, layoutOptions.getNodeWidth);
+};
@@ -0,0 +1,464 @@
+/**
+ * General (n-ary) Rooted Tree
+ *
+ * Key Properties:
+ * - No ordering and no balance: every value is placed by naming its parent,
+ *   and a node may have any number of children (kept in insertion order)
+ * - Values are unique, so a value identifies its node
+ * - Deleting a value removes its whole subtree
+ *
+ * Besides preorder, postorder and level-order there is the Euler tour, which
+ * records a node on entry and again after returning from each child (2n - 1
+ * visits in total).
+ *
+ * The tree can also be drawn in its left-child/right-sibling form: the first
+ * child hangs to the left and the next sibling to the right, which is how
+ * any rooted tree maps onto a binary tree. Only the drawing changes; the
+ * tree itself stays the same.
+ */
+import NaryTreeNode from './naryTreeNode.js';
+import { getEdgeId } from './utils.js';
+import {
+  createLayoutReposition,
+  createVisitSteps,
+  generateTraversal,
+} from './animations.js';
+import { layoutTidyTree } from './layout.js';
+import { serializeTree, parseNaryTreeFile } from './treeSerialization.js';
+
+export const NARY_VIEWS = {
+  TREE: 'tree',
+  LCRS: 'lcrs',
+};
+
+const visitNode = (node, result, animations) => {
+  animations.push(...createVisitSteps(node.id, node.value));
+  result.push(node.value);
+};
+
+const countDescendants = (node) => node.children
+  .reduce((count, child) => count + 1 + countDescendants(child), 0);
+
+export default class NaryTree {
+  constructor(view = NARY_VIEWS.TREE) {
+    this.root = null;
+    this.nodeIdCounter = 0;
+    this.view = view;
+  }
+
+  generateId() {
+    const id = `nnode-${this.nodeIdCounter}`;
+    this.nodeIdCounter += 1;
+    return id;
+  }
+
+  getTreeData() {
+    const nodes = [];
+    const edges = [];
+
+    if (this.root) {
+      this._calculateTreeLayout();
+      this._collectTreeData(this.root, nodes, edges);
+    }
+
+    return { nodes, edges };
+  }
+
+  // Shared tidy layout: any fan-out in the tree view, first child / next
+  // sibling slots (leaning like a binary tree) in the left-child/right-sibling view
+  _calculateTreeLayout() {
+    layoutTidyTree(this.root, {
+      getChildren: this.view === NARY_VIEWS.LCRS
+        ? (node) => [node.children[0] || null, node.nextSibling()]
+        : (node) => node.children,
+    });
+  }
+
+  _collectTreeData(node, nodes, edges) {
+    nodes.push({
+      id: node.id,
+      value: node.value,
+      x: node.x,
+      y: node.y,
+      color: null,
+      scale: node.scale || 1.0,
+    });
+
+    if (this.view === NARY_VIEWS.LCRS) {
+      const [firstChild] = node.children;
+      const sibling = node.nextSibling();
+      if (firstChild) {
+        edges.push({ from: node.id, to: firstChild.id, type: 'left' });
+        this._collectTreeData(firstChild, nodes, edges);
+      }
+      if (sibling) {
+        edges.push({ from: node.id, to: sibling.id, type: 'right' });
+        this._collectTreeData(sibling, nodes, edges);
+      }
+      return;
+    }
+
+    node.children.forEach((child) => {
+      edges.push({ from: node.id, to: child.id, type: 'child' });
+      this._collectTreeData(child, nodes, edges);
+    });
+  }
+
+  findNode(value) {
+    const find = (node) => {
+      if (!node) return null;
+      if (node.value === value) return node;
+      return node.children.reduce((found, child) => found || find(child), null);
+    };
+    return find(this.root);
+  }
+
+  // Highlights the route from the root down to `node`
+  static _highlightPathTo(node, animations) {
+    const path = [];
+    for (let current = node; current; current = current.parent) path.unshift(current);
+    path.forEach((current, index) => {
+      if (index > 0) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(path[index - 1].id, current.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      animations.push({
+        type: 'highlight-node',
+        nodeId: current.id,
+        state: 'path',
+        duration: 300,
+      });
+    });
+  }
+
+  /**
+   * Adds `value` as the last child of `parentValue`
+   * With no parent given the value becomes the root of an empty tree, or
+   * a child of the root otherwise
+   *
+   * @param {number} value
+   * @param {number} [parentValue]
+   */
+  insert(value, parentValue) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: parentValue === undefined
+        ? `Inserting ${value}`
+        : `Inserting ${value} under ${parentValue}`,
+      duration: 500,
+    });
+
+    const existing = this.findNode(value);
+    if (existing) {
+      animations.push({
+        type: 'shake',
+        nodeId: existing.id,
+        duration: 300,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} already exists in the tree`,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    if (!this.root) {
+      this.root = new NaryTreeNode(value, this.generateId());
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'fade-in',
+        nodeId: this.root.id,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Inserted ${value} as root node`,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    let parent = this.root;
+    if (parentValue === undefined) {
+      animations.push({
+        type: 'update-status',
+        message: `No parent given - attaching ${value} under the root (${this.root.value})`,
+        duration: 600,
+      });
+    } else {
+      parent = this.findNode(parentValue);
+      if (!parent) {
+        animations.push({
+          type: 'update-status',
+          message: `Parent ${parentValue} not found - nothing inserted`,
+          duration: 1000,
+        });
+        return { tree: this, animations };
+      }
+    }
+
+    NaryTree._highlightPathTo(parent, animations);
+    const child = new NaryTreeNode(value, this.generateId());
+    child.parent = parent;
+    parent.children.push(child);
+
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'highlight-edge',
+      edgeId: getEdgeId(parent.id, child.id),
+      state: 'path',
+      duration: 300,
+    });
+    animations.push({
+      type: 'fade-in',
+      nodeId: child.id,
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Inserted ${value} as child ${parent.children.length} of ${parent.value}`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Depth-first (preorder) search - there is no ordering to prune with, so
+   * every node may have to be checked
+   */
+  search(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Searching for ${value} (no ordering - checking nodes in preorder)`,
+      duration: 500,
+    });
+
+    let checked = 0;
+    const visit = (node) => {
+      checked += 1;
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'searching',
+        duration: 300,
+      });
+      if (node.value === value) return node;
+      return node.children.reduce((found, child) => found || visit(child), null);
+    };
+    const found = this.root ? visit(this.root) : null;
+
+    if (!found) {
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} not found - checked all ${checked} nodes`,
+        duration: 800,
+      });
+      return { found: false, animations };
+    }
+
+    NaryTree._highlightPathTo(found, animations);
+    animations.push({
+      type: 'highlight-node',
+      nodeId: found.id,
+      state: 'found',
+      duration: 800,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Found ${value} after checking ${checked} node${checked === 1 ? '' : 's'}`,
+      duration: 800,
+    });
+    return { found: true, animations };
+  }
+
+  // Removes the node holding `value` together with its whole subtree
+  delete(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Deleting ${value}`,
+      duration: 500,
+    });
+
+    const node = this.findNode(value);
+    if (!node) {
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} not found`,
+        duration: 800,
+      });
+      return { tree: this, animations };
+    }
+
+    NaryTree._highlightPathTo(node, animations);
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'deleting',
+      duration: 600,
+    });
+
+    const descendants = countDescendants(node);
+    const fadeOut = (current) => {
+      animations.push({
+        type: 'fade-out',
+        nodeId: current.id,
+        duration: 500,
+      });
+      current.children.forEach(fadeOut);
+    };
+    fadeOut(node);
+
+    if (node.parent) {
+      node.parent.children = node.parent.children.filter((child) => child !== node);
+      node.parent = null;
+    } else {
+      this.root = null;
+    }
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'update-status',
+      message: descendants > 0
+        ? `Deleted ${value} and its ${descendants} descendant${descendants === 1 ? '' : 's'}`
+        : `Deleted ${value}`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Switches between the n-ary drawing and the left-child/right-sibling one
+   * Returns a single layout step that slides every node to its new place
+   */
+  setView(view) {
+    this.view = view;
+    const animations = [createLayoutReposition(this)];
+    animations.push({
+      type: 'update-status',
+      message: view === NARY_VIEWS.LCRS
+        ? 'Left-child/right-sibling view: each first child hangs left, each next sibling right'
+        : 'Back to the n-ary view: every child hangs below its parent',
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  preorderTraversal() {
+    return generateTraversal(this.root, 'preorder', (node) => node.children, {
+      startMessage: 'Starting preorder traversal (Node-Children)',
+    });
+  }
+
+  postorderTraversal() {
+    return generateTraversal(this.root, 'postorder', (node) => node.children, {
+      startMessage: 'Starting postorder traversal (Children-Node)',
+    });
+  }
+
+  levelOrderTraversal() {
+    return generateTraversal(this.root, 'level-order', (node) => node.children);
+  }
+
+  /**
+   * Walks around the tree, recording a node when it is entered and again
+   * each time the walk comes back up to it from a child (2n - 1 visits)
+   * Edges light up on the way down and change color on the way back
+   */
+  eulerTourTraversal() {
+    const animations = [];
+    const result = [];
+
+    animations.push({
+      type: 'update-status',
+      message: 'Starting Euler tour (record a node on entry and after each child)',
+      duration: 500,
+    });
+
+    const visit = (node) => {
+      visitNode(node, result, animations);
+      node.children.forEach((child) => {
+        const edgeId = getEdgeId(node.id, child.id);
+        animations.push({
+          type: 'highlight-edge',
+          edgeId,
+          state: 'current',
+          duration: 300,
+        });
+        visit(child);
+        animations.push({
+          type: 'highlight-edge',
+          edgeId,
+          state: 'visited',
+          duration: 300,
+        });
+        animations.push({
+          type: 'update-status',
+          message: `Back up from ${child.value} to ${node.value}`,
+          duration: 300,
+        });
+        visitNode(node, result, animations);
+      });
+    };
+    if (this.root) visit(this.root);
+
+    animations.push({
+      type: 'update-status',
+      message: `Euler tour complete (${result.length} visits): ${result.join(' → ')}`,
+      duration: 1000,
+    });
+
+    return { result, animations };
+  }
+
+  // Deep copy that keeps node ids, positions and the view (used for undo/redo)
+  safeClone() {
+    const newTree = new NaryTree(this.view);
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.root = this._safeCloneNode(this.root, null);
+    return newTree;
+  }
+
+  _safeCloneNode(node, parent) {
+    if (!node) return null;
+
+    const clone = new NaryTreeNode(node.value, node.id);
+    clone.parent = parent;
+    clone.children = node.children.map((child) => this._safeCloneNode(child, clone));
+    clone.x = node.x;
+    clone.y = node.y;
+    clone.scale = node.scale;
+    return clone;
+  }
+
+  /**
+   * Plain object in the tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('NaryTree', this);
+  }
+
+  /**
+   * Builds a tree from a tree file (object or JSON text)
+   * Throws an Error describing the first problem if the file is invalid
+   */
+  static fromJSON(json) {
+    const { root, nodeIdCounter } = parseNaryTreeFile(json, (counter) => `nnode-${counter}`);
+    const tree = new NaryTree();
+    const build = (plain, parent) => {
+      const node = new NaryTreeNode(plain.value, plain.id);
+      node.parent = parent;
+      node.children = plain.children.map((child) => build(child, node));
+      return node;
+    };
+    tree.root = root ? build(root, null) : null;
+    tree.nodeIdCounter = nodeIdCounter;
+    return tree;
+  }
+}
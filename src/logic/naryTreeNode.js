@@ -0,0 +1,22 @@
+// A node of a general rooted tree: any number of children, in the order
+// they were added
+class NaryTreeNode {
+  constructor(value, id) {
+    this.value = value;
+    this.id = id;
+    this.children = [];
+    this.parent = null;
+    this.x = 0;
+    this.y = 0;
+    this.scale = 1.0;
+  }
+
+  // The child added after this one under the same parent, if any
+  nextSibling() {
+    if (!this.parent) return null;
+    const { children } = this.parent;
+    return children[children.indexOf(this) + 1] || null;
+  }
+}
+
+export default NaryTreeNode;
@@ -6,6 +6,7 @@ class Node {
     this.right = null;
     this.parent = null;
     this.height = 1;
+    this.size = 1; // Nodes in this subtree, for order statistics
     this.color = 'red';
     this.x = x;
     this.y = y;
@@ -0,0 +1,231 @@
+/**
+ * Order Statistics on Subtree Sizes
+ *
+ * Shared by BST, AVLTree and RedBlackTree (and the trees built on them).
+ * Every node keeps `size` = 1 + size(left) + size(right), so its left
+ * subtree tells how many keys below it are smaller. That is enough to:
+ * - find the k-th smallest key: go left while k fits in the left subtree,
+ *   stop when k is one more than it, otherwise skip it and the node and go
+ *   right with the remainder
+ * - find the rank of x: every time the walk goes right, the node and its
+ *   left subtree are all smaller than x
+ *
+ * Both walk a single root-to-leaf path, so they are O(h) instead of the
+ * O(n) of counting through an inorder traversal.
+ *
+ * Sizes change wherever links change: after attaching or detaching a node
+ * (updateSizesToRoot on the parent) and in every rotation (updateSize on the
+ * two nodes that swapped places, lower one first).
+ */
+import { getEdgeId } from './utils.js';
+
+// Tree types (App's names) that keep sizes and offer these queries, and the
+// range, nearest-key and LCA queries of bstQueries.js
+export const ORDERED_QUERY_TYPES = ['BST', 'AVL', 'RBTree'];
+
+export const getSize = (node) => (node ? node.size : 0);
+
+export const updateSize = (node) => {
+  const target = node;
+  target.size = 1 + getSize(node.left) + getSize(node.right);
+};
+
+// Recomputes sizes from node up to the root after a node joined or left below it
+export const updateSizesToRoot = (node) => {
+  let current = node;
+  while (current) {
+    updateSize(current);
+    current = current.parent;
+  }
+};
+
+// 1 -> "1st", 2 -> "2nd", 11 -> "11th", 23 -> "23rd"
+export const ordinal = (n) => {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10];
+  return `${n}${!teen && suffix ? suffix : 'th'}`;
+};
+
+const visit = (node, animations) => {
+  animations.push({
+    type: 'highlight-node',
+    nodeId: node.id,
+    state: 'path',
+    duration: 300,
+  });
+  animations.push({
+    type: 'pulse',
+    nodeId: node.id,
+    duration: 300,
+  });
+};
+
+const follow = (node, next, animations) => {
+  if (next) {
+    animations.push({
+      type: 'highlight-edge',
+      edgeId: getEdgeId(node.id, next.id),
+      state: 'path',
+      duration: 300,
+    });
+  }
+};
+
+const report = (node, label, animations) => {
+  animations.push({
+    type: 'highlight-node',
+    nodeId: node.id,
+    state: 'found',
+    sticky: true,
+    duration: 500,
+  });
+  animations.push({
+    type: 'show-value',
+    nodeId: node.id,
+    value: label,
+    duration: 400,
+  });
+};
+
+/**
+ * Finds the k-th smallest key (1-based), narrating the size comparison at
+ * every node on the way down
+ *
+ * @param {{root: object}} tree - Any binary search tree whose nodes keep `size`
+ * @param {number} k
+ * @returns {{result: (number|null), animations: Array}}
+ */
+export const kthSmallest = (tree, k) => {
+  const animations = [];
+  const total = getSize(tree.root);
+  animations.push({
+    type: 'update-status',
+    message: `Finding the ${ordinal(k)} smallest of ${total} keys`,
+    duration: 500,
+  });
+
+  if (!Number.isInteger(k) || k < 1 || k > total) {
+    animations.push({
+      type: 'update-status',
+      message: total === 0
+        ? 'The tree is empty'
+        : `k must be between 1 and ${total}`,
+      duration: 1000,
+    });
+    return { result: null, animations };
+  }
+
+  let current = tree.root;
+  let remaining = k;
+  while (current) {
+    visit(current, animations);
+    const leftSize = getSize(current.left);
+
+    if (remaining <= leftSize) {
+      animations.push({
+        type: 'update-status',
+        message: `k = ${remaining}, left of ${current.value} has ${leftSize}: ${remaining} ≤ ${leftSize}, going left`,
+        duration: 800,
+      });
+      follow(current, current.left, animations);
+      current = current.left;
+    } else if (remaining === leftSize + 1) {
+      animations.push({
+        type: 'update-status',
+        message: `k = ${remaining} = ${leftSize} on the left + 1, so ${current.value} is the ${ordinal(k)} smallest`,
+        duration: 1000,
+      });
+      report(current, current.value, animations);
+      return { result: current.value, animations };
+    } else {
+      const skipped = leftSize + 1;
+      animations.push({
+        type: 'update-status',
+        message: `k = ${remaining} > ${leftSize} on the left + 1, skipping ${skipped} - going right with k = ${remaining - skipped}`,
+        duration: 800,
+      });
+      remaining -= skipped;
+      follow(current, current.right, animations);
+      current = current.right;
+    }
+  }
+
+  // Only reachable if the sizes are out of date
+  throw new Error(`Subtree sizes do not add up to ${total}`);
+};
+
+/**
+ * Rank of x: 1 + the number of keys smaller than x. Counts the node and its
+ * left subtree every time the walk turns right
+ *
+ * @param {{root: object}} tree - Any binary search tree whose nodes keep `size`
+ * @param {number} value
+ * @returns {{result: number, found: boolean, animations: Array}}
+ */
+export const rankOf = (tree, value) => {
+  const animations = [];
+  animations.push({
+    type: 'update-status',
+    message: `Finding the rank of ${value}`,
+    duration: 500,
+  });
+
+  let current = tree.root;
+  let lastVisited = null;
+  let smaller = 0;
+  while (current) {
+    visit(current, animations);
+    lastVisited = current;
+    const leftSize = getSize(current.left);
+
+    if (value === current.value) {
+      const rank = smaller + leftSize + 1;
+      animations.push({
+        type: 'update-status',
+        message: `Found ${value}: ${smaller} smaller above + ${leftSize} on its left = ${rank - 1} smaller, so rank ${rank}`,
+        duration: 1000,
+      });
+      report(current, `${value} is ${ordinal(rank)}`, animations);
+      return { result: rank, found: true, animations };
+    }
+
+    if (value < current.value) {
+      animations.push({
+        type: 'update-status',
+        message: `${value} < ${current.value}, going left - still ${smaller} smaller`,
+        duration: 800,
+      });
+      follow(current, current.left, animations);
+      current = current.left;
+    } else {
+      smaller += leftSize + 1;
+      animations.push({
+        type: 'update-status',
+        message: `${value} > ${current.value}: counting ${current.value} and the ${leftSize} on its left, ${smaller} smaller so far - going right`,
+        duration: 800,
+      });
+      follow(current, current.right, animations);
+      current = current.right;
+    }
+  }
+
+  if (lastVisited) {
+    animations.push({
+      type: 'shake',
+      nodeId: lastVisited.id,
+      duration: 300,
+    });
+  }
+  const rank = smaller + 1;
+  animations.push({
+    type: 'update-status',
+    message: `${value} is not in the tree; ${smaller} keys are smaller, so it would rank ${rank}`,
+    duration: 1000,
+  });
+  animations.push({
+    type: 'show-value',
+    value: `${value} would be ${ordinal(rank)}`,
+    duration: 400,
+  });
+  return { result: rank, found: false, animations };
+};
@@ -23,6 +23,14 @@
  * Had to reference CLRS textbook multiple times to get it right.
  */
 import Node from './node.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition, generateTraversal } from './animations.js';
+import { layoutTidyTree } from './layout.js';
+import { serializeTree, parseTreeFile } from './treeSerialization.js';
+import {
+  updateSize, updateSizesToRoot, kthSmallest, rankOf,
+} from './orderStatistics.js';
+import { rangeQuery, nearestKey, lowestCommonAncestor } from './bstQueries.js';
 
 // Color constants for better readability
 const RED = 'red';
@@ -46,161 +54,9 @@ class RedBlackTree {
     return { nodes, edges };
   }
 
+  // Shared tidy-tree layout (see layout.js)
   _calculateTreeLayout() {
-    if (!this.root) return;
-
-    const treeInfo = this._getTreeInfo(this.root);
-    const canvasWidth = 1400;
-    const canvasHeight = 700;
-    const paddingX = 60;
-    const paddingY = 60;
-    const rootX = canvasWidth / 2;
-    const rootY = 100;
-
-    this.root.x = rootX;
-    this.root.y = rootY;
-
-    this._positionSubtree(
-      this.root,
-      rootX,
-      rootY,
-      treeInfo.maxWidth,
-      treeInfo.maxHeight,
-    );
-
-    const bounds = this._getTreeBounds(this.root);
-    const leftExtent = rootX - bounds.minX;
-    const rightExtent = bounds.maxX - rootX;
-    const bottomExtent = bounds.maxY - rootY;
-
-    const availableLeft = rootX - paddingX;
-    const availableRight = canvasWidth - rootX - paddingX;
-    const availableBottom = canvasHeight - rootY - paddingY;
-
-    let scaleX = 1.0;
-    let scaleY = 1.0;
-
-    if (leftExtent > 0) {
-      const leftScale = availableLeft / leftExtent;
-      scaleX = Math.min(scaleX, leftScale);
-    }
-
-    if (rightExtent > 0) {
-      const rightScale = availableRight / rightExtent;
-      scaleX = Math.min(scaleX, rightScale);
-    }
-
-    if (bottomExtent > 0) {
-      scaleY = availableBottom / bottomExtent;
-    }
-
-    const finalScale = Math.min(scaleX, scaleY, 1.0) * 0.85;
-    this._scaleTree(this.root, rootX, rootY, finalScale);
-  }
-
-  _getTreeInfo(node) {
-    if (!node) return { maxWidth: 0, maxHeight: 0 };
-
-    const leftInfo = this._getTreeInfo(node.left);
-    const rightInfo = this._getTreeInfo(node.right);
-
-    return {
-      maxWidth: Math.max(leftInfo.maxWidth, rightInfo.maxWidth) + 1,
-      maxHeight: Math.max(leftInfo.maxHeight, rightInfo.maxHeight) + 1,
-    };
-  }
-
-  _positionSubtree(node, parentX, parentY, maxWidth, maxHeight) {
-    if (!node) return;
-
-    const horizontalSpacing = 50;
-    const verticalSpacing = 60;
-
-    if (node.left) {
-      const heightFactor = Math.min(maxHeight - 1, 2);
-      const leftOffset = Math.max(
-        horizontalSpacing,
-        (2 ** heightFactor * horizontalSpacing) / 2,
-      );
-      const leftChild = node.left;
-      leftChild.x = parentX - leftOffset;
-      leftChild.y = parentY + verticalSpacing;
-
-      this._positionSubtree(
-        leftChild,
-        leftChild.x,
-        leftChild.y,
-        maxWidth - 1,
-        maxHeight - 1,
-      );
-    }
-
-    if (node.right) {
-      const heightFactor = Math.min(maxHeight - 1, 2);
-      const rightOffset = Math.max(
-        horizontalSpacing,
-        (2 ** heightFactor * horizontalSpacing) / 2,
-      );
-      const rightChild = node.right;
-      rightChild.x = parentX + rightOffset;
-      rightChild.y = parentY + verticalSpacing;
-
-      this._positionSubtree(
-        rightChild,
-        rightChild.x,
-        rightChild.y,
-        maxWidth - 1,
-        maxHeight - 1,
-      );
-    }
-  }
-
-  _getTreeBounds(node) {
-    if (!node) {
-      return {
-        minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity,
-      };
-    }
-
-    let minX = node.x;
-    let maxX = node.x;
-    let minY = node.y;
-    let maxY = node.y;
-
-    if (node.left) {
-      const leftBounds = this._getTreeBounds(node.left);
-      minX = Math.min(minX, leftBounds.minX);
-      maxX = Math.max(maxX, leftBounds.maxX);
-      minY = Math.min(minY, leftBounds.minY);
-      maxY = Math.max(maxY, leftBounds.maxY);
-    }
-
-    if (node.right) {
-      const rightBounds = this._getTreeBounds(node.right);
-      minX = Math.min(minX, rightBounds.minX);
-      maxX = Math.max(maxX, rightBounds.maxX);
-      minY = Math.min(minY, rightBounds.minY);
-      maxY = Math.max(maxY, rightBounds.maxY);
-    }
-
-    return {
-      minX,
-      maxX,
-      minY,
-      maxY,
-    };
-  }
-
-  _scaleTree(node, centerX, centerY, scale) {
-    if (!node) return;
-
-    const targetNode = node;
-    targetNode.x = centerX + (node.x - centerX) * scale;
-    targetNode.y = centerY + (node.y - centerY) * scale;
-    targetNode.scale = scale;
-
-    this._scaleTree(node.left, centerX, centerY, scale);
-    this._scaleTree(node.right, centerX, centerY, scale);
+    layoutTidyTree(this.root);
   }
 
   _collectTreeData(node, nodes, edges) {
@@ -213,6 +69,7 @@ class RedBlackTree {
       y: node.y,
       color: node.color,
       height: node.height,
+      size: node.size,
       scale: node.scale || 1.0,
     });
 
@@ -262,6 +119,10 @@ class RedBlackTree {
 
     rightChild.left = node;
     node.parent = rightChild;
+    updateSize(node);
+    updateSize(rightChild);
+
+    animations.push(createLayoutReposition(this));
 
     animations.push({
       type: 'highlight-node',
@@ -297,6 +158,10 @@ class RedBlackTree {
 
     leftChild.right = node;
     node.parent = leftChild;
+    updateSize(node);
+    updateSize(leftChild);
+
+    animations.push(createLayoutReposition(this));
 
     animations.push({
       type: 'highlight-node',
@@ -324,6 +189,7 @@ class RedBlackTree {
     if (!this.root) {
       newNode.color = BLACK; // Root is always black
       this.root = newNode;
+      animations.push(createLayoutReposition(this));
 
       animations.push({
         type: 'highlight-node',
@@ -332,6 +198,12 @@ class RedBlackTree {
         duration: 500,
       });
 
+      animations.push({
+        type: 'fade-in',
+        nodeId: newNode.id,
+        duration: 500,
+      });
+
       animations.push({
         type: 'recolor-node',
         nodeId: newNode.id,
@@ -358,7 +230,7 @@ class RedBlackTree {
       animations.push({
         type: 'highlight-node',
         nodeId: current.id,
-        state: 'visiting',
+        state: 'path',
         duration: 300,
       });
 
@@ -368,6 +240,14 @@ class RedBlackTree {
           message: `${value} < ${current.value}, going left`,
           duration: 500,
         });
+        if (current.left) {
+          animations.push({
+            type: 'highlight-edge',
+            edgeId: getEdgeId(current.id, current.left.id),
+            state: 'path',
+            duration: 300,
+          });
+        }
         current = current.left;
       } else if (value > current.value) {
         animations.push({
@@ -375,8 +255,21 @@ class RedBlackTree {
           message: `${value} > ${current.value}, going right`,
           duration: 500,
         });
+        if (current.right) {
+          animations.push({
+            type: 'highlight-edge',
+            edgeId: getEdgeId(current.id, current.right.id),
+            state: 'path',
+            duration: 300,
+          });
+        }
         current = current.right;
       } else {
+        animations.push({
+          type: 'shake',
+          nodeId: current.id,
+          duration: 300,
+        });
         animations.push({
           type: 'update-status',
           message: `${value} already exists, skipping`,
@@ -393,6 +286,15 @@ class RedBlackTree {
     } else {
       parent.right = newNode;
     }
+    updateSizesToRoot(parent);
+
+    animations.push({
+      type: 'highlight-edge',
+      edgeId: getEdgeId(parent.id, newNode.id),
+      state: 'path',
+      duration: 300,
+    });
+    animations.push(createLayoutReposition(this));
 
     animations.push({
       type: 'highlight-node',
@@ -401,6 +303,12 @@ class RedBlackTree {
       duration: 500,
     });
 
+    animations.push({
+      type: 'fade-in',
+      nodeId: newNode.id,
+      duration: 500,
+    });
+
     animations.push({
       type: 'recolor-node',
       nodeId: newNode.id,
@@ -611,9 +519,16 @@ class RedBlackTree {
       duration: 500,
     });
 
-    const node = this._findNode(this.root, value);
+    const { node, lastVisited } = this._findNodeWithPath(value, animations);
 
     if (!node) {
+      if (lastVisited) {
+        animations.push({
+          type: 'shake',
+          nodeId: lastVisited.id,
+          duration: 300,
+        });
+      }
       animations.push({
         type: 'update-status',
         message: `Value ${value} not found`,
@@ -648,6 +563,34 @@ class RedBlackTree {
     return null;
   }
 
+  // Same walk as _findNode, but tints every node and edge on the way down
+  _findNodeWithPath(value, animations) {
+    let current = this.root;
+    let lastVisited = null;
+
+    while (current && value !== current.value) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: current.id,
+        state: 'path',
+        duration: 300,
+      });
+      const next = value < current.value ? current.left : current.right;
+      if (next) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(current.id, next.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      lastVisited = current;
+      current = next;
+    }
+
+    return { node: current, lastVisited };
+  }
+
   _deleteNode(node, animations) {
     let replacement;
 
@@ -657,6 +600,13 @@ class RedBlackTree {
       replacement = this._findMin(node.right);
     }
 
+    // The replacement is the node that physically leaves the tree
+    animations.push({
+      type: 'fade-out',
+      nodeId: replacement.id,
+      duration: 500,
+    });
+
     const replacementChild = replacement.left ? replacement.left : replacement.right;
 
     if (replacementChild) {
@@ -670,6 +620,7 @@ class RedBlackTree {
     } else {
       replacement.parent.right = replacementChild;
     }
+    updateSizesToRoot(replacement.parent);
 
     if (replacement !== node) {
       node.value = replacement.value;
@@ -680,19 +631,24 @@ class RedBlackTree {
       });
     }
 
-    if (replacement.color === BLACK && replacementChild) {
-      this._fixDelete(replacementChild, animations);
+    animations.push(createLayoutReposition(this));
+
+    // A black node left, so its side is one black short - even when nothing
+    // took its place, which is why the fix-up is told the parent as well
+    if (replacement.color === BLACK) {
+      this._fixDelete(replacementChild, replacement.parent, animations);
     }
   }
 
-  _fixDelete(node, animations) {
-    while (node !== this.root && node.color === BLACK) {
-      if (node === node.parent.left) {
-        let sibling = node.parent.right;
+  // node may be null (the empty slot a black leaf left); parent is where it hangs
+  _fixDelete(node, parent, animations) {
+    while (node !== this.root && (!node || node.color === BLACK)) {
+      if (node === parent.left) {
+        let sibling = parent.right;
 
         if (sibling.color === RED) {
           sibling.color = BLACK;
-          node.parent.color = RED;
+          parent.color = RED;
 
           animations.push({
             type: 'recolor-node',
@@ -703,13 +659,13 @@ class RedBlackTree {
 
           animations.push({
             type: 'recolor-node',
-            nodeId: node.parent.id,
+            nodeId: parent.id,
             color: RED,
             duration: 500,
           });
 
-          this.rotateLeft(node.parent, animations);
-          sibling = node.parent.right;
+          this.rotateLeft(parent, animations);
+          sibling = parent.right;
         }
 
         if ((!sibling.left || sibling.left.color === BLACK)
@@ -723,7 +679,8 @@ class RedBlackTree {
             duration: 500,
           });
 
-          node = node.parent;
+          node = parent;
+          parent = node.parent;
         } else {
           if (!sibling.right || sibling.right.color === BLACK) {
             if (sibling.left) sibling.left.color = BLACK;
@@ -746,24 +703,24 @@ class RedBlackTree {
             });
 
             this.rotateRight(sibling, animations);
-            sibling = node.parent.right;
+            sibling = parent.right;
           }
 
-          sibling.color = node.parent.color;
-          node.parent.color = BLACK;
+          sibling.color = parent.color;
+          parent.color = BLACK;
 
           if (sibling.right) sibling.right.color = BLACK;
 
           animations.push({
             type: 'recolor-node',
             nodeId: sibling.id,
-            color: node.parent.color,
+            color: sibling.color,
             duration: 500,
           });
 
           animations.push({
             type: 'recolor-node',
-            nodeId: node.parent.id,
+            nodeId: parent.id,
             color: BLACK,
             duration: 500,
           });
@@ -777,16 +734,16 @@ class RedBlackTree {
             });
           }
 
-          this.rotateLeft(node.parent, animations);
+          this.rotateLeft(parent, animations);
           node = this.root;
         }
       } else {
         // Mirror cases
-        let sibling = node.parent.left;
+        let sibling = parent.left;
 
         if (sibling.color === RED) {
           sibling.color = BLACK;
-          node.parent.color = RED;
+          parent.color = RED;
 
           animations.push({
             type: 'recolor-node',
@@ -797,13 +754,13 @@ class RedBlackTree {
 
           animations.push({
             type: 'recolor-node',
-            nodeId: node.parent.id,
+            nodeId: parent.id,
             color: RED,
             duration: 500,
           });
 
-          this.rotateRight(node.parent, animations);
-          sibling = node.parent.left;
+          this.rotateRight(parent, animations);
+          sibling = parent.left;
         }
 
         if ((!sibling.right || sibling.right.color === BLACK)
@@ -817,7 +774,8 @@ class RedBlackTree {
             duration: 500,
           });
 
-          node = node.parent;
+          node = parent;
+          parent = node.parent;
         } else {
           if (!sibling.left || sibling.left.color === BLACK) {
             if (sibling.right) sibling.right.color = BLACK;
@@ -840,24 +798,24 @@ class RedBlackTree {
             });
 
             this.rotateLeft(sibling, animations);
-            sibling = node.parent.left;
+            sibling = parent.left;
           }
 
-          sibling.color = node.parent.color;
-          node.parent.color = BLACK;
+          sibling.color = parent.color;
+          parent.color = BLACK;
 
           if (sibling.left) sibling.left.color = BLACK;
 
           animations.push({
             type: 'recolor-node',
             nodeId: sibling.id,
-            color: node.parent.color,
+            color: sibling.color,
             duration: 500,
           });
 
           animations.push({
             type: 'recolor-node',
-            nodeId: node.parent.id,
+            nodeId: parent.id,
             color: BLACK,
             duration: 500,
           });
@@ -871,7 +829,7 @@ class RedBlackTree {
             });
           }
 
-          this.rotateRight(node.parent, animations);
+          this.rotateRight(parent, animations);
           node = this.root;
         }
       }
@@ -899,8 +857,15 @@ class RedBlackTree {
     return { animations };
   }
 
-  _searchNode(node, value, animations) {
+  _searchNode(node, value, animations, parent = null) {
     if (!node) {
+      if (parent) {
+        animations.push({
+          type: 'shake',
+          nodeId: parent.id,
+          duration: 300,
+        });
+      }
       animations.push({
         type: 'update-status',
         message: `Value ${value} not found`,
@@ -912,7 +877,12 @@ class RedBlackTree {
     animations.push({
       type: 'highlight-node',
       nodeId: node.id,
-      state: 'visiting',
+      state: 'path',
+      duration: 300,
+    });
+    animations.push({
+      type: 'pulse',
+      nodeId: node.id,
       duration: 300,
     });
 
@@ -937,7 +907,15 @@ class RedBlackTree {
         message: `${value} < ${node.value}, going left`,
         duration: 500,
       });
-      return this._searchNode(node.left, value, animations);
+      if (node.left) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, node.left.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      return this._searchNode(node.left, value, animations, node);
     }
 
     animations.push({
@@ -945,7 +923,66 @@ class RedBlackTree {
       message: `${value} > ${node.value}, going right`,
       duration: 500,
     });
-    return this._searchNode(node.right, value, animations);
+    if (node.right) {
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.id, node.right.id),
+        state: 'path',
+        duration: 300,
+      });
+    }
+    return this._searchNode(node.right, value, animations, node);
+  }
+
+  /**
+   * k-th smallest value (1-based), read off the subtree sizes
+   * See orderStatistics.js - Time: O(log n)
+   */
+  kthSmallest(k) {
+    return kthSmallest(this, k);
+  }
+
+  /**
+   * Rank of a value: 1 + how many values are smaller (also for absent values)
+   */
+  rank(value) {
+    return rankOf(this, value);
+  }
+
+  /**
+   * Every value in [lo, hi], skipping subtrees that lie outside it
+   * See bstQueries.js - Time: O(h + number of values reported)
+   */
+  rangeQuery(lo, hi) {
+    return rangeQuery(this, lo, hi);
+  }
+
+  // Largest value ≤ x
+  floor(x) {
+    return nearestKey(this, 'floor', x);
+  }
+
+  // Smallest value ≥ x
+  ceiling(x) {
+    return nearestKey(this, 'ceiling', x);
+  }
+
+  // Largest value < x (x need not be in the tree)
+  predecessor(x) {
+    return nearestKey(this, 'predecessor', x);
+  }
+
+  // Smallest value > x (x need not be in the tree)
+  successor(x) {
+    return nearestKey(this, 'successor', x);
+  }
+
+  /**
+   * Lowest common ancestor of a and b - by the BST property, then by the
+   * general binary tree search for comparison - and the path between them
+   */
+  lowestCommonAncestor(a, b) {
+    return lowestCommonAncestor(this, a, b);
   }
 
   // Traversal methods
@@ -1076,6 +1113,13 @@ class RedBlackTree {
     result.push(node.value);
   }
 
+  /**
+   * Level-order traversal (Breadth-First) using a FIFO queue
+   */
+  levelOrderTraversal() {
+    return generateTraversal(this.root, 'level-order', (node) => [node.left, node.right]);
+  }
+
   safeClone() {
     const newTree = new RedBlackTree();
     newTree.nodeIdCounter = this.nodeIdCounter;
@@ -1088,6 +1132,7 @@ class RedBlackTree {
 
     const cloned = new Node(node.value, node.id, node.x, node.y);
     cloned.height = node.height;
+    cloned.size = node.size;
     cloned.color = node.color;
     cloned.scale = node.scale;
 
@@ -1099,6 +1144,26 @@ class RedBlackTree {
 
     return cloned;
   }
+
+  /**
+   * Plain object in the documented tree file format (see treeSerialization.js)
+   * Also lets JSON.stringify(tree) produce a file that fromJSON() can read
+   */
+  toJSON() {
+    return serializeTree('RBTree', this);
+  }
+
+  /**
+   * Rebuilds a tree from toJSON() output (object or JSON text)
+   * Throws an Error naming the offending node if the file breaks BST ordering or a Red-Black rule
+   */
+  static fromJSON(json) {
+    const tree = new RedBlackTree();
+    const { root, nodeIdCounter } = parseTreeFile(json, 'RBTree', (counter) => counter);
+    tree.root = root;
+    tree.nodeIdCounter = nodeIdCounter;
+    return tree;
+  }
 }
 
 export default RedBlackTree;
@@ -0,0 +1,415 @@
+/**
+ * Segment Tree
+ *
+ * Key Properties:
+ * - Built over an array a[0..n-1]; every node covers an interval [l, r]
+ * - A leaf covers one index, an internal node [l, r] splits at m = (l + r) / 2
+ *   into [l, m] and [m + 1, r]
+ * - Every node stores the combine (sum, min, max or gcd) of its interval
+ *
+ * A range query only looks at nodes that overlap the range: a node inside
+ * it answers for its whole interval, a node outside it is pruned, and only
+ * partially covered nodes send the query on to both children. A point update
+ * changes one leaf and recomputes the nodes on its path back to the root.
+ *
+ * Time Complexity: build O(n), range query O(log n), point update O(log n)
+ */
+import Node from './node.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition, generateTraversal } from './animations.js';
+import { layoutTidyTree } from './layout.js';
+import { parseValueList } from './bulkInsert.js';
+import { serializeTree, parseSegmentTreeFile } from './treeSerialization.js';
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+// `show` writes one combine step for the narration
+export const COMBINES = {
+  sum: { apply: (a, b) => a + b, show: (a, b) => `${a} + ${b}` },
+  min: { apply: Math.min, show: (a, b) => `min(${a}, ${b})` },
+  max: { apply: Math.max, show: (a, b) => `max(${a}, ${b})` },
+  gcd: { apply: gcd, show: (a, b) => `gcd(${a}, ${b})` },
+};
+export const SEGMENT_COMBINES = Object.keys(COMBINES);
+export const DEFAULT_COMBINE = 'sum';
+
+// Keeps the tree (2n - 1 nodes) and the array row readable on the canvas
+export const MAX_SEGMENT_VALUES = 32;
+
+const intervalText = (node) => `[${node.lo}, ${node.hi}]`;
+
+export default class SegmentTree {
+  constructor(combine = DEFAULT_COMBINE) {
+    if (!SEGMENT_COMBINES.includes(combine)) {
+      throw new Error(`Unknown combine function "${combine}" (expected ${SEGMENT_COMBINES.join(', ')})`);
+    }
+    this.combine = combine;
+    this.root = null;
+    this.size = 0;
+    this.nodeIdCounter = 0;
+  }
+
+  generateId() {
+    const id = `snode-${this.nodeIdCounter}`;
+    this.nodeIdCounter += 1;
+    return id;
+  }
+
+  describe() {
+    return `${this.combine} segment tree`;
+  }
+
+  // The array, read back from the leaves
+  values() {
+    const values = [];
+    const collect = (node) => {
+      if (!node) return;
+      if (node.lo === node.hi) values.push(node.value);
+      collect(node.left);
+      collect(node.right);
+    };
+    collect(this.root);
+    return values;
+  }
+
+  getTreeData() {
+    const nodes = [];
+    const edges = [];
+
+    if (this.root) {
+      layoutTidyTree(this.root);
+      this._collectTreeData(this.root, nodes, edges);
+    }
+
+    return { nodes, edges };
+  }
+
+  _collectTreeData(node, nodes, edges) {
+    const data = {
+      id: node.id,
+      value: node.value,
+      x: node.x,
+      y: node.y,
+      color: null,
+      scale: node.scale || 1.0,
+      interval: [node.lo, node.hi],
+    };
+    // Leaves double as the cells of the array drawn under the tree
+    if (node.lo === node.hi) data.arrayIndex = node.lo;
+    nodes.push(data);
+
+    [['left', node.left], ['right', node.right]].forEach(([type, child]) => {
+      if (!child) return;
+      edges.push({ from: node.id, to: child.id, type });
+      this._collectTreeData(child, nodes, edges);
+    });
+  }
+
+  _createNodes(values, lo, hi) {
+    const node = new Node(values[lo], this.generateId());
+    node.lo = lo;
+    node.hi = hi;
+    if (lo === hi) return node;
+
+    const mid = Math.floor((lo + hi) / 2);
+    node.left = this._createNodes(values, lo, mid);
+    node.right = this._createNodes(values, mid + 1, hi);
+    node.left.parent = node;
+    node.right.parent = node;
+    node.value = COMBINES[this.combine].apply(node.left.value, node.right.value);
+    return node;
+  }
+
+  /**
+   * Replaces the tree with one over `input` - an array of integers or text
+   * such as "5, 3 8 1..4" (see parseValueList)
+   * The animation builds it bottom-up: leaves first, then every node as
+   * soon as both halves of its interval are known
+   * Throws an Error if the values cannot be read
+   */
+  build(input) {
+    const values = Array.isArray(input) ? input : parseValueList(input);
+    if (values.length === 0) throw new Error('Enter at least one value');
+    if (values.length > MAX_SEGMENT_VALUES) {
+      throw new Error(`A segment tree holds at most ${MAX_SEGMENT_VALUES} values (got ${values.length})`);
+    }
+    const { show } = COMBINES[this.combine];
+    this.root = this._createNodes(values, 0, values.length - 1);
+    this.size = values.length;
+
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Building a ${this.describe()} over [${values.join(', ')}]`,
+      duration: 800,
+    });
+    animations.push(createLayoutReposition(this));
+
+    let count = 0;
+    const assemble = (node) => {
+      if (!node) return;
+      assemble(node.left);
+      assemble(node.right);
+      count += 1;
+      animations.push({
+        type: 'fade-in',
+        nodeId: node.id,
+        duration: 400,
+      });
+      if (node.lo === node.hi) {
+        animations.push({
+          type: 'update-status',
+          message: `Leaf ${intervalText(node)} holds a[${node.lo}] = ${node.value}`,
+          duration: 500,
+        });
+        return;
+      }
+      [node.left, node.right].forEach((child) => {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, child.id),
+          state: 'path',
+          duration: 200,
+        });
+      });
+      animations.push({
+        type: 'update-status',
+        message: `${intervalText(node)} = ${show(node.left.value, node.right.value)} = ${node.value}`,
+        duration: 800,
+      });
+    };
+    assemble(this.root);
+
+    animations.push({
+      type: 'update-status',
+      message: `Built a ${this.describe()}: ${count} nodes over ${values.length} values`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Sets a[index] = value: walks down to the leaf, then recomputes every
+   * node on the way back up to the root
+   */
+  update(index, value) {
+    const animations = [];
+    if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+      animations.push({
+        type: 'update-status',
+        message: this.size === 0
+          ? 'Build the segment tree first'
+          : `Index ${index} is outside the array (0..${this.size - 1})`,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    const { show } = COMBINES[this.combine];
+    const path = [];
+    let node = this.root;
+    while (node) {
+      path.push(node);
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 400,
+      });
+      if (node.lo === node.hi) break;
+      const next = index <= node.left.hi ? node.left : node.right;
+      animations.push({
+        type: 'update-status',
+        message: `Index ${index} is in ${intervalText(next)} - go ${next === node.left ? 'left' : 'right'}`,
+        duration: 600,
+      });
+      node = next;
+    }
+
+    const leaf = path.pop();
+    const previous = leaf.value;
+    leaf.value = value;
+    animations.push({
+      type: 'update-value',
+      nodeId: leaf.id,
+      value,
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `a[${index}]: ${previous} → ${value}`,
+      duration: 800,
+    });
+
+    path.reverse().forEach((ancestor) => {
+      const target = ancestor;
+      target.value = COMBINES[this.combine].apply(target.left.value, target.right.value);
+      animations.push({
+        type: 'highlight-node',
+        nodeId: target.id,
+        state: 'current',
+        duration: 300,
+      });
+      animations.push({
+        type: 'update-value',
+        nodeId: target.id,
+        value: target.value,
+        duration: 400,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `${intervalText(target)} = ${show(target.left.value, target.right.value)} = ${target.value}`,
+        duration: 600,
+      });
+    });
+
+    animations.push({
+      type: 'update-status',
+      message: `Updated a[${index}] to ${value}; ${path.length} node${path.length === 1 ? '' : 's'} above it recomputed`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Combine of a[lo..hi]; every visited node is marked covered (answers for
+   * its whole interval), partial (split further) or pruned (outside)
+   *
+   * @returns {{ result: number|null, animations: Array }}
+   */
+  query(lo, hi) {
+    const animations = [];
+    let problem = null;
+    if (this.size === 0) {
+      problem = 'Build the segment tree first';
+    } else if (!Number.isInteger(lo) || !Number.isInteger(hi) || lo < 0 || hi >= this.size) {
+      problem = `The range [${lo}, ${hi}] must lie within 0..${this.size - 1}`;
+    } else if (lo > hi) {
+      problem = `The range [${lo}, ${hi}] is empty - its start is after its end`;
+    }
+    if (problem) {
+      animations.push({
+        type: 'update-status',
+        message: problem,
+        duration: 1000,
+      });
+      return { result: null, animations };
+    }
+
+    const { apply, show } = COMBINES[this.combine];
+    const range = `[${lo}, ${hi}]`;
+    let visited = 0;
+    const mark = (node, state, message) => {
+      visited += 1;
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state,
+        sticky: true,
+        duration: 400,
+      });
+      animations.push({
+        type: 'update-status',
+        message,
+        duration: 700,
+      });
+    };
+
+    const visit = (node) => {
+      if (node.hi < lo || node.lo > hi) {
+        mark(node, 'pruned', `${intervalText(node)} lies outside ${range} - pruned`);
+        return null;
+      }
+      if (lo <= node.lo && node.hi <= hi) {
+        mark(node, 'covered', `${intervalText(node)} lies inside ${range} - use its ${this.combine} ${node.value}`);
+        animations.push({
+          type: 'show-value',
+          nodeId: node.id,
+          value: `${intervalText(node)} → ${node.value}`,
+          duration: 400,
+        });
+        return node.value;
+      }
+
+      mark(node, 'partial', `${intervalText(node)} overlaps ${range} only partly - ask both halves`);
+      const left = visit(node.left);
+      const right = visit(node.right);
+      if (left === null || right === null) return left === null ? right : left;
+      const combined = apply(left, right);
+      animations.push({
+        type: 'update-status',
+        message: `${intervalText(node)} answers ${show(left, right)} = ${combined}`,
+        duration: 700,
+      });
+      return combined;
+    };
+    const result = visit(this.root);
+
+    animations.push({
+      type: 'update-status',
+      message: `${this.combine} of a[${lo}..${hi}] = ${result} (visited ${visited} of ${2 * this.size - 1} nodes)`,
+      duration: 1500,
+    });
+    return { result, animations };
+  }
+
+  _traverse(order) {
+    return generateTraversal(this.root, order, (node) => [node.left, node.right]);
+  }
+
+  preorderTraversal() {
+    return this._traverse('preorder');
+  }
+
+  inorderTraversal() {
+    return this._traverse('inorder');
+  }
+
+  postorderTraversal() {
+    return this._traverse('postorder');
+  }
+
+  levelOrderTraversal() {
+    return this._traverse('level-order');
+  }
+
+  // Deep copy that keeps node ids and positions (used for undo/redo)
+  safeClone() {
+    const newTree = new SegmentTree(this.combine);
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.size = this.size;
+    newTree.root = this._safeCloneNode(this.root, null);
+    return newTree;
+  }
+
+  _safeCloneNode(node, parent) {
+    if (!node) return null;
+
+    const clone = new Node(node.value, node.id, node.x, node.y);
+    clone.parent = parent;
+    clone.lo = node.lo;
+    clone.hi = node.hi;
+    clone.left = this._safeCloneNode(node.left, clone);
+    clone.right = this._safeCloneNode(node.right, clone);
+    clone.scale = node.scale;
+    return clone;
+  }
+
+  /**
+   * Plain object in the tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('SegmentTree', this);
+  }
+
+  /**
+   * Builds a tree from a tree file (object or JSON text)
+   * Throws an Error describing the first problem if the file is invalid
+   */
+  static fromJSON(json) {
+    const { combine, values } = parseSegmentTreeFile(json);
+    const tree = new SegmentTree(combine);
+    if (values.length > 0) tree.build(values);
+    return tree;
+  }
+}
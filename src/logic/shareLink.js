@@ -0,0 +1,439 @@
+/**
+ * Shareable links - the current tree lives in the URL hash
+ *
+ *   #type=BST&tree=5,3,7
+ *   #type=RBTree&tree=10b,5r,15r
+ *
+ * `tree` is the preorder of the node values. A preorder uniquely determines a
+ * binary search tree, so it captures the exact structure (not just the set of
+ * values) and AVL heights can be recomputed. Red-Black nodes carry their color
+ * as an r/b suffix and Treap nodes their priority after a colon, with the
+ * priority seed alongside:
+ *
+ *   #type=Treap&seed=42&draws=3&tree=5:87,3:12,8:40
+ *
+ * B-Trees are written level by level instead, with the
+ * minimum degree alongside:
+ *
+ *   #type=BTree&t=2&tree=20;5,10|30
+ *
+ * (`;` between levels, `|` between nodes, `,` between the keys of a node;
+ * each node takes keys + 1 children from the next level, left to right).
+ * Binary heaps list their backing array in index order,
+ *
+ *   #type=BinaryHeap&kind=min&tree=1,3,2,7
+ *
+ * and tries their words:
+ *
+ *   #type=Trie&tree=tea,ten,to
+ *
+ * General rooted trees nest each node's children in parentheses:
+ *
+ *   #type=NaryTree&tree=1(2,3(5,6),4)
+ *
+ * Expression trees are written as the expression itself, without spaces
+ * (a + is escaped as %2B and a / as %2F):
+ *
+ *   #type=ExpressionTree&tree=(3%2B4)*5-2%2Fx
+ *
+ * Huffman trees list the weights they were built from, each symbol
+ * percent-encoded once so that a space, comma or colon survives:
+ *
+ *   #type=HuffmanTree&tree=a:5,b:2,r:2,c:1,d:1
+ *   #type=HuffmanTree&tree=a:2,%20:1,%2C:1
+ *
+ * Segment trees list their array, with the combine function alongside:
+ *
+ *   #type=SegmentTree&combine=sum&tree=5,3,8,6
+ *
+ * Fenwick trees list their array, a[1] first:
+ *
+ *   #type=FenwickTree&tree=5,3,8,6
+ *
+ * Interval trees list their intervals in preorder as start:end pairs:
+ *
+ *   #type=IntervalTree&tree=10:30,5:20,15:18
+ *
+ * Decoding produces a tree file object (treeSerialization.js)
+ * so a hand-edited link is validated exactly like an opened JSON file.
+ */
+import { TREE_FILE_FORMAT, TREE_FILE_VERSION } from './treeSerialization.js';
+import { formatExpression } from './expressionParser.js';
+
+const COLOR_CODES = { red: 'r', black: 'b' };
+const COLOR_NAMES = { r: 'red', b: 'black' };
+
+const preorder = (node, out) => {
+  if (!node) return out;
+  out.push(node);
+  preorder(node.left, out);
+  preorder(node.right, out);
+  return out;
+};
+
+const bTreeLevels = (root) => {
+  const levels = [];
+  let level = [root];
+  while (level.length > 0) {
+    levels.push(level.map((node) => node.keys.join(',')).join('|'));
+    level = level.flatMap((node) => node.children);
+  }
+  return levels.join(';');
+};
+
+const naryTerm = (node) => (node.children.length > 0
+  ? `${node.value}(${node.children.map(naryTerm).join(',')})`
+  : `${node.value}`);
+
+// URLSearchParams escapes these; they are safe in a fragment and easier to read
+const unescapeSeparators = (query) => query
+  .replace(/%2C/g, ',')
+  .replace(/%7C/g, '|')
+  .replace(/%3B/g, ';')
+  .replace(/%3A/g, ':')
+  .replace(/%28/g, '(')
+  .replace(/%29/g, ')');
+
+/**
+ * Hash string ('' for an empty tree) describing the tree and its type
+ */
+export const encodeTreeHash = (type, tree) => {
+  if (!tree.root) return '';
+
+  if (type === 'BTree') {
+    const params = new URLSearchParams({
+      type,
+      t: String(tree.minDegree),
+      tree: bTreeLevels(tree.root),
+    });
+    return `#${unescapeSeparators(params.toString())}`;
+  }
+
+  if (type === 'BinaryHeap') {
+    const params = new URLSearchParams({ type, kind: tree.kind, tree: tree.values().join(',') });
+    return `#${unescapeSeparators(params.toString())}`;
+  }
+
+  if (type === 'SegmentTree') {
+    const params = new URLSearchParams({ type, combine: tree.combine, tree: tree.values().join(',') });
+    return `#${unescapeSeparators(params.toString())}`;
+  }
+
+  if (type === 'FenwickTree') {
+    const params = new URLSearchParams({ type, tree: tree.values().join(',') });
+    return `#${unescapeSeparators(params.toString())}`;
+  }
+
+  if (type === 'IntervalTree') {
+    const intervals = preorder(tree.root, []).map((node) => `${node.value}:${node.high}`);
+    const params = new URLSearchParams({ type, tree: intervals.join(',') });
+    return `#${unescapeSeparators(params.toString())}`;
+  }
+
+  if (type === 'Trie') {
+    const params = new URLSearchParams({ type, tree: tree.words().join(',') });
+    return `#${unescapeSeparators(params.toString())}`;
+  }
+
+  if (type === 'NaryTree') {
+    const params = new URLSearchParams({ type, tree: naryTerm(tree.root) });
+    return `#${unescapeSeparators(params.toString())}`;
+  }
+
+  if (type === 'ExpressionTree') {
+    const params = new URLSearchParams({ type, tree: formatExpression(tree.root, '') });
+    return `#${unescapeSeparators(params.toString())}`;
+  }
+
+  // Written by hand: each symbol is escaped exactly once, so a , or : inside
+  // one stays escaped while the separators between them do not
+  if (type === 'HuffmanTree') {
+    const weights = tree.weights
+      .map(({ symbol, weight }) => `${encodeURIComponent(symbol)}:${weight}`)
+      .join(',');
+    return `#type=${type}&tree=${weights}`;
+  }
+
+  const tokens = preorder(tree.root, []).map((node) => {
+    if (type === 'RBTree') return `${node.value}${COLOR_CODES[node.color]}`;
+    if (type === 'Treap') return `${node.value}:${node.priority}`;
+    return `${node.value}`;
+  });
+  const params = new URLSearchParams({ type });
+  if (type === 'Treap') {
+    params.set('seed', String(tree.seed));
+    params.set('draws', String(tree.priorityDraws));
+  }
+  params.set('tree', tokens.join(','));
+  // Keep the commas readable in the address bar
+  return `#${unescapeSeparators(params.toString())}`;
+};
+
+const parseToken = (token, type) => {
+  const match = /^(-?\d+(?:\.\d+)?)(?:([rb])|:(-?\d+(?:\.\d+)?))?$/.exec(token.trim());
+  if (!match) throw new Error(`Invalid tree link: "${token}" is not a node value`);
+
+  const node = { value: Number(match[1]), left: null, right: null };
+  if (type === 'RBTree') {
+    if (!match[2]) throw new Error(`Invalid tree link: "${token}" has no r/b color suffix`);
+    node.color = COLOR_NAMES[match[2]];
+  }
+  if (type === 'Treap') {
+    if (match[3] === undefined) throw new Error(`Invalid tree link: "${token}" has no :priority suffix`);
+    node.priority = Number(match[3]);
+  }
+  return node;
+};
+
+// Rebuilds the tree shape from a BST preorder (values bounded by ancestors)
+const fromPreorder = (nodes) => {
+  let index = 0;
+  const build = (low, high) => {
+    if (index >= nodes.length) return null;
+    const node = nodes[index];
+    if (node.value <= low || node.value >= high) return null;
+
+    index += 1;
+    node.left = build(low, node.value);
+    node.right = build(node.value, high);
+    return node;
+  };
+
+  const root = build(-Infinity, Infinity);
+  if (index < nodes.length) {
+    throw new Error(
+      `Invalid tree link: ${nodes[index].value} cannot follow the values before it in a preorder`,
+    );
+  }
+  return root;
+};
+
+const parseKey = (token) => {
+  if (!/^-?\d+(?:\.\d+)?$/.test(token.trim())) {
+    throw new Error(`Invalid tree link: "${token}" is not a key`);
+  }
+  return Number(token);
+};
+
+// Hands each node of a level keys + 1 children from the next level
+const fromBTreeLevels = (text) => {
+  const levels = text.split(';').map((level) => level.split('|').map((node) => ({
+    keys: node.split(',').filter((token) => token.trim() !== '').map(parseKey),
+    children: [],
+  })));
+  if (levels[0].length !== 1) throw new Error('Invalid tree link: the first level must be a single root node');
+
+  for (let depth = 1; depth < levels.length; depth += 1) {
+    const parents = levels[depth - 1];
+    const expected = parents.reduce((sum, parent) => sum + parent.keys.length + 1, 0);
+    if (levels[depth].length !== expected) {
+      throw new Error(`Invalid tree link: level ${depth} has ${levels[depth].length} nodes (expected ${expected})`);
+    }
+    let next = 0;
+    for (let i = 0; i < parents.length; i += 1) {
+      parents[i].children = levels[depth].slice(next, next + parents[i].keys.length + 1);
+      next += parents[i].keys.length + 1;
+    }
+  }
+  return levels[0][0];
+};
+
+// Reads value(child,child,...) terms, children nested to any depth
+const fromNaryTerm = (text) => {
+  let index = 0;
+  const term = () => {
+    const match = /^-?\d+(?:\.\d+)?/.exec(text.slice(index));
+    if (!match) throw new Error(`Invalid tree link: expected a node value at "${text.slice(index)}"`);
+    index += match[0].length;
+    const node = { value: Number(match[0]), children: [] };
+    if (text[index] === '(') {
+      index += 1;
+      node.children.push(term());
+      while (text[index] === ',') {
+        index += 1;
+        node.children.push(term());
+      }
+      if (text[index] !== ')') throw new Error(`Invalid tree link: missing ")" after the children of ${node.value}`);
+      index += 1;
+    }
+    return node;
+  };
+
+  const root = term();
+  if (index < text.length) throw new Error(`Invalid tree link: unexpected "${text.slice(index)}" after the root`);
+  return root;
+};
+
+const parseWeightToken = (token) => {
+  const match = /^([^:]+):(\d+)$/.exec(token.trim());
+  if (!match) throw new Error(`Invalid tree link: "${token}" is not a symbol:weight pair`);
+  let symbol;
+  try {
+    symbol = decodeURIComponent(match[1]);
+  } catch (error) {
+    throw new Error(`Invalid tree link: "${match[1]}" is not a valid symbol`);
+  }
+  return { symbol, weight: Number(match[2]) };
+};
+
+const parseIntervalToken = (token) => {
+  const match = /^(-?\d+):(-?\d+)$/.exec(token.trim());
+  if (!match) throw new Error(`Invalid tree link: "${token}" is not a start:end interval`);
+  return [Number(match[1]), Number(match[2])];
+};
+
+// A hash parameter as written, before URLSearchParams unescapes it (null if absent)
+const rawParam = (hash, name) => {
+  const part = String(hash || '').replace(/^#/, '').split('&')
+    .find((entry) => entry.startsWith(`${name}=`));
+  return part === undefined ? null : part.slice(name.length + 1);
+};
+
+/**
+ * Reads a location hash; returns null when it does not describe a tree,
+ * otherwise { type, file } where file can be passed to Tree.fromJSON()
+ * Throws an Error if the link is present but malformed
+ */
+export const decodeTreeHash = (hash) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const type = params.get('type');
+  const tree = params.get('tree');
+  if (type === null && tree === null) return null;
+  if (type === null) throw new Error('Invalid tree link: missing "type"');
+
+  if (type === 'BTree') {
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        minDegree: Number(params.get('t')),
+        root: tree ? fromBTreeLevels(tree) : null,
+      },
+    };
+  }
+
+  if (type === 'ExpressionTree') {
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        expression: tree,
+      },
+    };
+  }
+
+  if (type === 'NaryTree') {
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        root: tree ? fromNaryTerm(tree.replace(/\s+/g, '')) : null,
+      },
+    };
+  }
+
+  // Symbols are unescaped one by one, after splitting on the separators
+  if (type === 'HuffmanTree') {
+    const weights = (rawParam(hash, 'tree') || '').split(',').filter((token) => token.trim() !== '');
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        weights: weights.map(parseWeightToken),
+      },
+    };
+  }
+
+  const tokens = tree ? tree.split(',').filter((token) => token.trim() !== '') : [];
+
+  if (type === 'BinaryHeap') {
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        kind: params.get('kind'),
+        items: tokens.map((token) => ({ value: parseKey(token) })),
+      },
+    };
+  }
+
+  if (type === 'SegmentTree') {
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        combine: params.get('combine'),
+        values: tokens.map(parseKey),
+      },
+    };
+  }
+
+  if (type === 'FenwickTree') {
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        values: tokens.map(parseKey),
+      },
+    };
+  }
+
+  if (type === 'IntervalTree') {
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        intervals: tokens.map(parseIntervalToken),
+      },
+    };
+  }
+
+  if (type === 'Trie') {
+    return {
+      type,
+      file: {
+        format: TREE_FILE_FORMAT,
+        version: TREE_FILE_VERSION,
+        type,
+        words: tokens.map((token) => token.trim()),
+      },
+    };
+  }
+
+  const root = fromPreorder(tokens.map((token) => parseToken(token, type)));
+  const file = {
+    format: TREE_FILE_FORMAT,
+    version: TREE_FILE_VERSION,
+    type,
+    root,
+  };
+  if (type === 'Treap') {
+    if (params.has('seed')) file.seed = Number(params.get('seed'));
+    if (params.has('draws')) file.priorityDraws = Number(params.get('draws'));
+  }
+  return { type, file };
+};
+
+/**
+ * Mirrors the tree into the address bar without adding a history entry
+ */
+export const writeTreeHash = (type, tree) => {
+  const { pathname, search } = window.location;
+  window.history.replaceState(null, '', `${pathname}${search}${encodeTreeHash(type, tree)}`);
+};
@@ -0,0 +1,342 @@
+/**
+ * Splay Tree Implementation (Self-Adjusting Binary Search Tree)
+ *
+ * Invented by Sleator and Tarjan (1985)
+ *
+ * Key Properties:
+ * - All BST properties hold, but there is no balance condition at all
+ * - Every access (search, insert, delete) "splays" the node it touched to
+ *   the root with a sequence of zig, zig-zig and zig-zag steps
+ * - Recently used values stay near the top, and splaying roughly halves the
+ *   depth of every node on the access path
+ *
+ * Time Complexity: O(log n) amortized - a single operation can take O(n),
+ * but any sequence of m operations takes O(m log n) in total
+ *
+ * Traversals, layout, cloning and the rotation helpers are inherited from BST.
+ */
+import Node from './node.js';
+import BST from './tree.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition } from './animations.js';
+import { serializeTree, parseTreeFile } from './treeSerialization.js';
+import { updateSize, updateSizesToRoot } from './orderStatistics.js';
+
+export const SPLAY_STEPS = {
+  ZIG: 'zig',
+  ZIG_ZIG: 'zig-zig',
+  ZIG_ZAG: 'zig-zag',
+};
+
+class SplayTree extends BST {
+  /**
+   * Splays `node` upward until its parent is `stop` (null = to the root)
+   *
+   * - Zig: parent is the target - one rotation
+   * - Zig-zig: node and parent lean the same way - rotate the grandparent
+   *   first, then the parent
+   * - Zig-zag: they lean opposite ways - rotate the parent, then the
+   *   grandparent
+   *
+   * Each case is announced by an update-status step carrying `splayStep`
+   */
+  _splay(node, animations, stop = null) {
+    while (node.parent !== stop) {
+      const { parent } = node;
+      const grandparent = parent.parent;
+      const side = parent.left === node ? 'left' : 'right';
+
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'current',
+        duration: 400,
+      });
+
+      if (grandparent === stop) {
+        animations.push({
+          type: 'update-status',
+          message: `Zig: ${node.value} is the ${side} child of ${parent.value} - rotate ${side === 'left' ? 'right' : 'left'} at ${parent.value}`,
+          splayStep: SPLAY_STEPS.ZIG,
+          duration: 800,
+        });
+        this._rotateUp(node, animations);
+      } else if ((grandparent.left === parent) === (side === 'left')) {
+        animations.push({
+          type: 'update-status',
+          message: `Zig-zig: ${node.value} and ${parent.value} are both ${side} children - rotate at ${grandparent.value}, then at ${parent.value}`,
+          splayStep: SPLAY_STEPS.ZIG_ZIG,
+          duration: 800,
+        });
+        this._rotateUp(parent, animations);
+        this._rotateUp(node, animations);
+      } else {
+        animations.push({
+          type: 'update-status',
+          message: `Zig-zag: ${node.value} is a ${side} child, ${parent.value} is not - rotate at ${parent.value}, then at ${grandparent.value}`,
+          splayStep: SPLAY_STEPS.ZIG_ZAG,
+          duration: 800,
+        });
+        this._rotateUp(node, animations);
+        this._rotateUp(node, animations);
+      }
+    }
+  }
+
+  /**
+   * Walks down from the root like a BST search, highlighting the path
+   * Returns the node holding `value`, or the last node visited (null only
+   * for an empty tree) with `found: false`
+   */
+  _descend(value, animations) {
+    let current = this.root;
+    let last = null;
+
+    while (current) {
+      last = current;
+      animations.push({
+        type: 'highlight-node',
+        nodeId: current.id,
+        state: 'path',
+        duration: 300,
+      });
+      if (value === current.value) return { node: current, found: true };
+
+      const next = value < current.value ? current.left : current.right;
+      if (!next) break;
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(current.id, next.id),
+        state: 'path',
+        duration: 300,
+      });
+      current = next;
+    }
+
+    return { node: last, found: false };
+  }
+
+  insert(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Inserting ${value} into splay tree`,
+      duration: 500,
+    });
+
+    if (!this.root) {
+      this.root = new Node(value, this.generateId());
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'fade-in',
+        nodeId: this.root.id,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Inserted ${value} as root node`,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    const { node, found } = this._descend(value, animations);
+    if (found) {
+      // Still an access: the existing node is splayed
+      animations.push({
+        type: 'shake',
+        nodeId: node.id,
+        duration: 300,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} already exists - splaying it to the root`,
+        duration: 800,
+      });
+      this._splay(node, animations);
+      return { tree: this, animations };
+    }
+
+    const newNode = new Node(value, this.generateId());
+    newNode.parent = node;
+    if (value < node.value) {
+      node.left = newNode;
+    } else {
+      node.right = newNode;
+    }
+    updateSizesToRoot(node);
+    animations.push({
+      type: 'highlight-edge',
+      edgeId: getEdgeId(node.id, newNode.id),
+      state: 'path',
+      duration: 300,
+    });
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'fade-in',
+      nodeId: newNode.id,
+      duration: 500,
+    });
+
+    this._splay(newNode, animations);
+    animations.push({
+      type: 'update-status',
+      message: `Inserted ${value} and splayed it to the root`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  search(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Searching for ${value} in splay tree`,
+      duration: 500,
+    });
+
+    const { node, found } = this._descend(value, animations);
+    if (!node) {
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} not found`,
+        duration: 800,
+      });
+      return { found: false, animations };
+    }
+
+    if (found) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'found',
+        duration: 800,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Found ${value} - splaying it to the root`,
+        duration: 800,
+      });
+    } else {
+      // A miss splays the last node on the search path instead
+      animations.push({
+        type: 'shake',
+        nodeId: node.id,
+        duration: 300,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} not found - splaying the last node visited (${node.value})`,
+        duration: 800,
+      });
+    }
+
+    this._splay(node, animations);
+    return { found, animations };
+  }
+
+  /**
+   * Splay the target to the root, splay the largest value of its left
+   * subtree up beneath it (that node then has no right child), and let it
+   * take over the right subtree
+   */
+  delete(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Deleting ${value} from splay tree`,
+      duration: 500,
+    });
+
+    const { node, found } = this._descend(value, animations);
+    if (!found) {
+      if (node) {
+        animations.push({
+          type: 'shake',
+          nodeId: node.id,
+          duration: 300,
+        });
+        animations.push({
+          type: 'update-status',
+          message: `Value ${value} not found - splaying the last node visited (${node.value})`,
+          duration: 800,
+        });
+        this._splay(node, animations);
+      } else {
+        animations.push({
+          type: 'update-status',
+          message: `Value ${value} not found`,
+          duration: 800,
+        });
+      }
+      return { tree: this, animations };
+    }
+
+    this._splay(node, animations);
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'deleting',
+      duration: 600,
+    });
+
+    let replacement = node.right;
+    if (node.left) {
+      let max = node.left;
+      while (max.right) max = max.right;
+      animations.push({
+        type: 'update-status',
+        message: `Splay ${max.value}, the largest value left of ${value}, up to join the two subtrees`,
+        duration: 800,
+      });
+      this._splay(max, animations, node);
+      max.right = node.right;
+      if (max.right) max.right.parent = max;
+      updateSize(max);
+      replacement = max;
+    }
+
+    animations.push({
+      type: 'fade-out',
+      nodeId: node.id,
+      duration: 500,
+    });
+    this.root = replacement;
+    if (this.root) this.root.parent = null;
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'update-status',
+      message: `Deleted ${value}`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  safeClone() {
+    const newTree = new SplayTree();
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.root = this._safeCloneNode(this.root);
+    return newTree;
+  }
+
+  /**
+   * Plain object in the documented tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('SplayTree', this);
+  }
+
+  /**
+   * Rebuilds a tree from toJSON() output (object or JSON text)
+   * Any valid BST shape is a valid splay tree
+   */
+  static fromJSON(json) {
+    const tree = new SplayTree();
+    const { root, nodeIdCounter } = parseTreeFile(json, 'SplayTree', (counter) => `node-${counter}`);
+    tree.root = root;
+    tree.nodeIdCounter = nodeIdCounter;
+    return tree;
+  }
+}
+
+export default SplayTree;
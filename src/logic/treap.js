@@ -0,0 +1,296 @@
+/**
+ * Treap Implementation (randomized Binary Search Tree)
+ *
+ * "Tree" + "heap", Seidel and Aragon (1989)
+ *
+ * Key Properties:
+ * - Keys follow BST order
+ * - Every node also has a priority, and priorities follow max-heap order:
+ *   a parent's priority is never smaller than its children's
+ * - With random priorities the shape is that of a BST built by inserting
+ *   the keys in random order, so the expected height is O(log n) no matter
+ *   in which order the keys actually arrive
+ *
+ * Priorities come from a seeded generator (see createSeededRandom), so the
+ * same seed and the same inserts always give the same tree. A priority can
+ * also be given explicitly per insert.
+ *
+ * Traversals, layout, cloning and rotations are inherited from BST.
+ */
+import Node from './node.js';
+import BST from './tree.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition } from './animations.js';
+import { createSeededRandom } from './bulkInsert.js';
+import { serializeTree, parseTreeFile } from './treeSerialization.js';
+import { updateSizesToRoot } from './orderStatistics.js';
+
+export const TREAP_PRIORITY_RANGE = { MIN: 1, MAX: 99 };
+
+export const createTreapSeed = () => Math.floor(Math.random() * 100000);
+
+// Priority number `index` drawn from `seed` - depends only on the two, so a
+// cloned or reloaded treap continues the same sequence
+const drawPriority = (seed, index) => {
+  const { MIN, MAX } = TREAP_PRIORITY_RANGE;
+  const random = createSeededRandom(seed + index * 7919);
+  return MIN + Math.floor(random() * (MAX - MIN + 1));
+};
+
+class Treap extends BST {
+  constructor(seed = createTreapSeed()) {
+    super();
+    this.seed = seed;
+    this.priorityDraws = 0;
+  }
+
+  // Priorities are drawn under the keys
+  static nodeFields(node) {
+    return { ...BST.nodeFields(node), priority: node.priority };
+  }
+
+  // Restarts the priority sequence; existing nodes keep their priorities
+  reseed(seed) {
+    this.seed = seed;
+    this.priorityDraws = 0;
+  }
+
+  nextPriority() {
+    const priority = drawPriority(this.seed, this.priorityDraws);
+    this.priorityDraws += 1;
+    return priority;
+  }
+
+  /**
+   * BST insert, then rotate the new node up while its priority beats its
+   * parent's (restores heap order)
+   *
+   * @param {number} value
+   * @param {number} [priority] - Explicit priority; drawn from the seed if omitted
+   */
+  insert(value, priority) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Inserting ${value} into treap`,
+      duration: 500,
+    });
+
+    let parent = null;
+    let current = this.root;
+    while (current) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: current.id,
+        state: 'path',
+        duration: 300,
+      });
+      if (value === current.value) {
+        animations.push({
+          type: 'shake',
+          nodeId: current.id,
+          duration: 300,
+        });
+        animations.push({
+          type: 'update-status',
+          message: `Value ${value} already exists in the tree`,
+          duration: 1000,
+        });
+        return { tree: this, animations };
+      }
+
+      parent = current;
+      current = value < current.value ? current.left : current.right;
+      if (current) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(parent.id, current.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+    }
+
+    const newNode = new Node(value, this.generateId());
+    newNode.priority = priority === undefined ? this.nextPriority() : priority;
+    newNode.parent = parent;
+    if (!parent) {
+      this.root = newNode;
+    } else if (value < parent.value) {
+      parent.left = newNode;
+    } else {
+      parent.right = newNode;
+    }
+    updateSizesToRoot(parent);
+
+    if (parent) {
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(parent.id, newNode.id),
+        state: 'path',
+        duration: 300,
+      });
+    }
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'fade-in',
+      nodeId: newNode.id,
+      duration: 500,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Placed ${value} as a leaf with priority ${newNode.priority}`,
+      duration: 800,
+    });
+
+    while (newNode.parent && newNode.parent.priority < newNode.priority) {
+      const above = newNode.parent;
+      animations.push({
+        type: 'highlight-node',
+        nodeId: above.id,
+        state: 'current',
+        duration: 400,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Heap order broken: priority ${newNode.priority} of ${value} > priority ${above.priority} of ${above.value} - rotate ${value} up`,
+        duration: 800,
+      });
+      this._rotateUp(newNode, animations);
+    }
+
+    animations.push({
+      type: 'update-status',
+      message: `Inserted ${value} (priority ${newNode.priority})`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Rotates the target down - always lifting its higher-priority child, so
+   * heap order holds everywhere else - until it is a leaf, then cuts it off
+   */
+  delete(value) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Deleting ${value} from treap`,
+      duration: 500,
+    });
+
+    let node = this.root;
+    while (node && node.value !== value) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 300,
+      });
+      const next = value < node.value ? node.left : node.right;
+      if (!next) {
+        animations.push({
+          type: 'shake',
+          nodeId: node.id,
+          duration: 300,
+        });
+      } else {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, next.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+      node = next;
+    }
+
+    if (!node) {
+      animations.push({
+        type: 'update-status',
+        message: `Value ${value} not found`,
+        duration: 800,
+      });
+      return { tree: this, animations };
+    }
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'deleting',
+      duration: 600,
+    });
+
+    while (node.left || node.right) {
+      const lifted = !node.right
+        || (node.left && node.left.priority > node.right.priority)
+        ? node.left
+        : node.right;
+      animations.push({
+        type: 'update-status',
+        message: `Rotate ${lifted.value} (priority ${lifted.priority}) up - ${value} sinks one level`,
+        duration: 800,
+      });
+      this._rotateUp(lifted, animations);
+    }
+
+    animations.push({
+      type: 'update-status',
+      message: `${value} is a leaf now - remove it`,
+      duration: 800,
+    });
+    animations.push({
+      type: 'fade-out',
+      nodeId: node.id,
+      duration: 500,
+    });
+    this._replaceChild(node.parent, node, null);
+    updateSizesToRoot(node.parent);
+    node.parent = null;
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'update-status',
+      message: `Deleted ${value}`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  safeClone() {
+    const newTree = new Treap(this.seed);
+    newTree.priorityDraws = this.priorityDraws;
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.root = this._safeCloneNode(this.root);
+    return newTree;
+  }
+
+  _safeCloneNode(node) {
+    const cloned = super._safeCloneNode(node);
+    if (cloned) cloned.priority = node.priority;
+    return cloned;
+  }
+
+  /**
+   * Plain object in the documented tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('Treap', this);
+  }
+
+  /**
+   * Rebuilds a treap from toJSON() output (object or JSON text)
+   * Throws an Error naming the offending node if BST or heap order is broken
+   */
+  static fromJSON(json) {
+    const {
+      root, nodeIdCounter, seed, priorityDraws,
+    } = parseTreeFile(json, 'Treap', (counter) => `node-${counter}`);
+    const tree = new Treap(seed === undefined ? createTreapSeed() : seed);
+    tree.priorityDraws = priorityDraws || 0;
+    tree.root = root;
+    tree.nodeIdCounter = nodeIdCounter;
+    return tree;
+  }
+}
+
+export default Treap;
@@ -1,4 +1,12 @@
 import Node from './node.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition, generateTraversal } from './animations.js';
+import { layoutTidyTree } from './layout.js';
+import { serializeTree, parseTreeFile } from './treeSerialization.js';
+import {
+  updateSize, updateSizesToRoot, kthSmallest, rankOf,
+} from './orderStatistics.js';
+import { rangeQuery, nearestKey, lowestCommonAncestor } from './bstQueries.js';
 
 /**
  * Binary Search Tree Implementation
@@ -38,202 +46,25 @@ export default class BST {
   }
 
   /**
-   * Calculates positions for all nodes in the tree
-   *
-   * This was tricky to implement! The algorithm:
-   * 1. Position root at center-top
-   * 2. Recursively position all children
-   * 3. Calculate if tree overflows canvas
-   * 4. Scale down everything if needed to fit
-   *
-   * Key challenge: Keeping root fixed while scaling children around it
+   * Positions every node with the shared tidy-tree layout (see layout.js)
+   * No overlaps at any depth, parents centred over their children
    */
   _calculateTreeLayout() {
-    if (!this.root) return;
-
-    const treeInfo = this._getTreeInfo(this.root);
-
-    // Canvas dimensions - tuned to fit most screens
-    const canvasWidth = 1400;
-    const canvasHeight = 700;
-    const paddingX = 60; // Space from edges
-    const paddingY = 60;
-
-    // Root stays fixed at center-top - never moves even when scaling
-    const rootX = canvasWidth / 2;
-    const rootY = 100;
-
-    this.root.x = rootX;
-    this.root.y = rootY;
-
-    // Position all nodes relative to root
-    this._positionSubtree(
-      this.root,
-      rootX,
-      rootY,
-      treeInfo.maxWidth,
-      treeInfo.maxHeight,
-    );
-
-    // Now check if tree fits within canvas bounds
-    const bounds = this._getTreeBounds(this.root);
-
-    // Calculate how far the tree extends from root in each direction
-    const leftExtent = rootX - bounds.minX; // Distance to leftmost node
-    const rightExtent = bounds.maxX - rootX; // Distance to rightmost node
-    const bottomExtent = bounds.maxY - rootY; // Distance to bottom
-
-    // Calculate available space in each direction (accounting for padding)
-    const availableLeft = rootX - paddingX;
-    const availableRight = canvasWidth - rootX - paddingX;
-    const availableBottom = canvasHeight - rootY - paddingY;
-
-    // Determine scale factors needed to fit tree
-    let scaleX = 1.0;
-    let scaleY = 1.0;
-
-    // Check if left side overflows - if yes, scale it down
-    if (leftExtent > 0) {
-      const leftScale = availableLeft / leftExtent;
-      scaleX = Math.min(scaleX, leftScale);
-    }
-
-    // Check if right side overflows
-    if (rightExtent > 0) {
-      const rightScale = availableRight / rightExtent;
-      scaleX = Math.min(scaleX, rightScale);
-    }
-
-    // Check if bottom overflows
-    if (bottomExtent > 0) {
-      scaleY = availableBottom / bottomExtent;
-    }
-
-    // Take the most restrictive scale factor
-    // Multiply by 0.85 for safety margin (prevents edge cases touching borders)
-    const finalScale = Math.min(scaleX, scaleY, 1.0) * 0.85;
-
-    // Scale all nodes around the fixed root position
-    // This shrinks children while keeping root at same spot
-    this._scaleTree(this.root, rootX, rootY, finalScale);
+    layoutTidyTree(this.root);
   }
 
-  _getTreeInfo(node) {
-    if (!node) return { maxWidth: 0, maxHeight: 0 };
-
-    const leftInfo = this._getTreeInfo(node.left);
-    const rightInfo = this._getTreeInfo(node.right);
-
-    return {
-      maxWidth: Math.max(leftInfo.maxWidth, rightInfo.maxWidth) + 1,
-      maxHeight: Math.max(leftInfo.maxHeight, rightInfo.maxHeight) + 1,
-    };
-  }
-
-  _positionSubtree(node, parentX, parentY, maxWidth, maxHeight) {
-    if (!node) return;
-
-    const horizontalSpacing = 50;
-    const verticalSpacing = 60;
-
-    if (node.left) {
-      // Use a more moderate spacing formula that doesn't grow too aggressively
-      const heightFactor = Math.min(maxHeight - 1, 2);
-      const leftOffset = Math.max(
-        horizontalSpacing,
-        (2 ** heightFactor * horizontalSpacing) / 2,
-      );
-      const leftChild = node.left;
-      leftChild.x = parentX - leftOffset;
-      leftChild.y = parentY + verticalSpacing;
-      this._positionSubtree(
-        leftChild,
-        leftChild.x,
-        leftChild.y,
-        maxWidth - 1,
-        maxHeight - 1,
-      );
-    }
-
-    if (node.right) {
-      // Use a more moderate spacing formula that doesn't grow too aggressively
-      const heightFactor = Math.min(maxHeight - 1, 2);
-      const rightOffset = Math.max(
-        horizontalSpacing,
-        (2 ** heightFactor * horizontalSpacing) / 2,
-      );
-      const rightChild = node.right;
-      rightChild.x = parentX + rightOffset;
-      rightChild.y = parentY + verticalSpacing;
-      this._positionSubtree(
-        rightChild,
-        rightChild.x,
-        rightChild.y,
-        maxWidth - 1,
-        maxHeight - 1,
-      );
-    }
-  }
-
-  _getTreeBounds(node) {
-    if (!node) {
-      return {
-        minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity,
-      };
-    }
-
-    let minX = node.x;
-    let maxX = node.x;
-    let minY = node.y;
-    let maxY = node.y;
-
-    if (node.left) {
-      const leftBounds = this._getTreeBounds(node.left);
-      minX = Math.min(minX, leftBounds.minX);
-      maxX = Math.max(maxX, leftBounds.maxX);
-      minY = Math.min(minY, leftBounds.minY);
-      maxY = Math.max(maxY, leftBounds.maxY);
-    }
-
-    if (node.right) {
-      const rightBounds = this._getTreeBounds(node.right);
-      minX = Math.min(minX, rightBounds.minX);
-      maxX = Math.max(maxX, rightBounds.maxX);
-      minY = Math.min(minY, rightBounds.minY);
-      maxY = Math.max(maxY, rightBounds.maxY);
-    }
-
+  /**
+   * What the canvas shows on a node besides its value and position
+   * Subclasses that store more on their nodes extend this
+   */
+  static nodeFields(node) {
     return {
-      minX, maxX, minY, maxY,
+      color: node.color,
+      height: node.height,
+      size: node.size,
     };
   }
 
-  _scaleTree(node, centerX, centerY, scale) {
-    if (!node) return;
-
-    const targetNode = node;
-    // Scale position relative to center
-    targetNode.x = centerX + (node.x - centerX) * scale;
-    targetNode.y = centerY + (node.y - centerY) * scale;
-
-    // Store scale factor for rendering
-    targetNode.scale = scale;
-
-    this._scaleTree(node.left, centerX, centerY, scale);
-    this._scaleTree(node.right, centerX, centerY, scale);
-  }
-
-  _translateTree(node, offsetX, offsetY) {
-    if (!node) return;
-
-    const targetNode = node;
-    targetNode.x += offsetX;
-    targetNode.y += offsetY;
-
-    this._translateTree(node.left, offsetX, offsetY);
-    this._translateTree(node.right, offsetX, offsetY);
-  }
-
   _collectTreeData(node, nodes, edges) {
     if (!node) return;
 
@@ -242,8 +73,7 @@ export default class BST {
       value: node.value,
       x: node.x,
       y: node.y,
-      color: node.color,
-      height: node.height,
+      ...this.constructor.nodeFields(node),
       scale: node.scale || 1.0,
     });
 
@@ -274,6 +104,12 @@ export default class BST {
       this.root = newNode;
       this.root.x = 400;
       this.root.y = 50;
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'fade-in',
+        nodeId: newNode.id,
+        duration: 500,
+      });
       animations.push({
         type: 'update-status',
         message: `Inserted ${value} as root node`,
@@ -287,6 +123,12 @@ export default class BST {
 
     while (current) {
       path.push(current);
+      animations.push({
+        type: 'highlight-node',
+        nodeId: current.id,
+        state: 'path',
+        duration: 300,
+      });
 
       if (value < current.value) {
         if (!current.left) {
@@ -294,7 +136,20 @@ export default class BST {
           current.left = newNode;
           newNode.parent = current;
           BST.positionNode(newNode, current, 'left');
+          updateSizesToRoot(current);
 
+          animations.push({
+            type: 'highlight-edge',
+            edgeId: getEdgeId(current.id, newNode.id),
+            state: 'path',
+            duration: 300,
+          });
+          animations.push(createLayoutReposition(this));
+          animations.push({
+            type: 'fade-in',
+            nodeId: newNode.id,
+            duration: 500,
+          });
           animations.push({
             type: 'update-status',
             message: `Inserted ${value} successfully`,
@@ -302,6 +157,12 @@ export default class BST {
           });
           return { tree: this, animations };
         }
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(current.id, current.left.id),
+          state: 'path',
+          duration: 300,
+        });
         current = current.left;
       } else if (value > current.value) {
         if (!current.right) {
@@ -309,7 +170,20 @@ export default class BST {
           current.right = newNode;
           newNode.parent = current;
           BST.positionNode(newNode, current, 'right');
+          updateSizesToRoot(current);
 
+          animations.push({
+            type: 'highlight-edge',
+            edgeId: getEdgeId(current.id, newNode.id),
+            state: 'path',
+            duration: 300,
+          });
+          animations.push(createLayoutReposition(this));
+          animations.push({
+            type: 'fade-in',
+            nodeId: newNode.id,
+            duration: 500,
+          });
           animations.push({
             type: 'update-status',
             message: `Inserted ${value} successfully`,
@@ -317,8 +191,19 @@ export default class BST {
           });
           return { tree: this, animations };
         }
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(current.id, current.right.id),
+          state: 'path',
+          duration: 300,
+        });
         current = current.right;
       } else {
+        animations.push({
+          type: 'shake',
+          nodeId: current.id,
+          duration: 300,
+        });
         animations.push({
           type: 'update-status',
           message: `Value ${value} already exists in the tree`,
@@ -376,7 +261,21 @@ export default class BST {
     });
 
     let current = this.root;
+    let lastVisited = null;
     while (current) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: current.id,
+        state: 'path',
+        duration: 300,
+      });
+      animations.push({
+        type: 'pulse',
+        nodeId: current.id,
+        duration: 300,
+      });
+      lastVisited = current;
+
       // Found it!
       if (value === current.value) {
         animations.push({
@@ -393,14 +292,26 @@ export default class BST {
         return { found: true, animations };
       }
       // Go left or right based on BST property
-      if (value < current.value) {
-        current = current.left;
-      } else {
-        current = current.right;
+      const next = value < current.value ? current.left : current.right;
+      if (next) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(current.id, next.id),
+          state: 'path',
+          duration: 300,
+        });
       }
+      current = next;
     }
 
     // Reached null - value not in tree
+    if (lastVisited) {
+      animations.push({
+        type: 'shake',
+        nodeId: lastVisited.id,
+        duration: 300,
+      });
+    }
     animations.push({
       type: 'update-status',
       message: `${value} not found in the tree`,
@@ -409,6 +320,58 @@ export default class BST {
     return { found: false, animations };
   }
 
+  /**
+   * k-th smallest value (1-based), read off the subtree sizes
+   * See orderStatistics.js - Time: O(h)
+   */
+  kthSmallest(k) {
+    return kthSmallest(this, k);
+  }
+
+  /**
+   * Rank of a value: 1 + how many values are smaller (also for absent values)
+   * Time: O(h)
+   */
+  rank(value) {
+    return rankOf(this, value);
+  }
+
+  /**
+   * Every value in [lo, hi], skipping subtrees that lie outside it
+   * See bstQueries.js - Time: O(h + number of values reported)
+   */
+  rangeQuery(lo, hi) {
+    return rangeQuery(this, lo, hi);
+  }
+
+  // Largest value ≤ x
+  floor(x) {
+    return nearestKey(this, 'floor', x);
+  }
+
+  // Smallest value ≥ x
+  ceiling(x) {
+    return nearestKey(this, 'ceiling', x);
+  }
+
+  // Largest value < x (x need not be in the tree)
+  predecessor(x) {
+    return nearestKey(this, 'predecessor', x);
+  }
+
+  // Smallest value > x (x need not be in the tree)
+  successor(x) {
+    return nearestKey(this, 'successor', x);
+  }
+
+  /**
+   * Lowest common ancestor of a and b - by the BST property, then by the
+   * general binary tree search for comparison - and the path between them
+   */
+  lowestCommonAncestor(a, b) {
+    return lowestCommonAncestor(this, a, b);
+  }
+
   /**
    * Delete a value from the BST
    * Handles three cases: leaf, one child, two children
@@ -427,6 +390,11 @@ export default class BST {
     const result = this._deleteNode(this.root, value, animations);
     this.root = result.node;
 
+    // Only re-layout when a node actually left the tree
+    if (animations.some((step) => step.type === 'fade-out')) {
+      animations.push(createLayoutReposition(this));
+    }
+
     animations.push({
       type: 'update-status',
       message: `Deleted ${value} successfully`,
@@ -440,9 +408,16 @@ export default class BST {
    * Recursive helper for deletion
    * This implements the standard BST delete algorithm with three cases
    */
-  _deleteNode(node, value, animations) {
-    // Base case: value not found
+  _deleteNode(node, value, animations, parent = null) {
+    // Base case: value not found - shake the node where the search ended
     if (!node) {
+      if (parent) {
+        animations.push({
+          type: 'shake',
+          nodeId: parent.id,
+          duration: 300,
+        });
+      }
       animations.push({
         type: 'update-status',
         message: `${value} not found for deletion`,
@@ -453,13 +428,31 @@ export default class BST {
 
     const targetNode = node;
 
-    // Recursive case: search for the value
+    // Recursive case: search for the value, tinting the path on the way down
+    if (value !== node.value) {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 300,
+      });
+      const next = value < node.value ? node.left : node.right;
+      if (next) {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, next.id),
+          state: 'path',
+          duration: 300,
+        });
+      }
+    }
+
     if (value < node.value) {
-      const result = this._deleteNode(node.left, value, animations);
+      const result = this._deleteNode(node.left, value, animations, node);
       targetNode.left = result.node;
       if (targetNode.left) targetNode.left.parent = targetNode;
     } else if (value > node.value) {
-      const result = this._deleteNode(node.right, value, animations);
+      const result = this._deleteNode(node.right, value, animations, node);
       targetNode.right = result.node;
       if (targetNode.right) targetNode.right.parent = targetNode;
     } else {
@@ -473,6 +466,11 @@ export default class BST {
 
       // CASE 1: Leaf node (no children) - just remove it
       if (!node.left && !node.right) {
+        animations.push({
+          type: 'fade-out',
+          nodeId: node.id,
+          duration: 500,
+        });
         animations.push({
           type: 'update-status',
           message: `Deleting leaf node ${value}`,
@@ -483,6 +481,11 @@ export default class BST {
 
       // CASE 2a: Only right child - replace with right child
       if (!node.left) {
+        animations.push({
+          type: 'fade-out',
+          nodeId: node.id,
+          duration: 500,
+        });
         animations.push({
           type: 'update-status',
           message: `Deleting ${value} (only right child)`,
@@ -494,6 +497,11 @@ export default class BST {
 
       // CASE 2b: Only left child - replace with left child
       if (!node.right) {
+        animations.push({
+          type: 'fade-out',
+          nodeId: node.id,
+          duration: 500,
+        });
         animations.push({
           type: 'update-status',
           message: `Deleting ${value} (only left child)`,
@@ -523,14 +531,101 @@ export default class BST {
       // Copy successor's value to current node
       targetNode.value = minNode.value;
 
-      const result = this._deleteNode(targetNode.right, minNode.value, animations);
+      const result = this._deleteNode(targetNode.right, minNode.value, animations, node);
       targetNode.right = result.node;
       if (targetNode.right) targetNode.right.parent = targetNode;
     }
 
+    // One node fewer somewhere below
+    updateSize(targetNode);
     return { node };
   }
 
+  // Point parent (or the root) at newChild in place of oldChild
+  _replaceChild(parent, oldChild, newChild) {
+    if (!parent) {
+      if (this.root === oldChild) this.root = newChild;
+    } else if (parent.left === oldChild) {
+      parent.left = newChild;
+    } else if (parent.right === oldChild) {
+      parent.right = newChild;
+    }
+  }
+
+  /**
+   * Right Rotation - x (the left child of y) moves up
+   * Shared by the self-adjusting subclasses (SplayTree, Treap); follows the
+   * avl.js pattern: relink, snapshot the layout for the slide, highlight
+   *
+   *     y            x
+   *    / \          / \
+   *   x  T3   -->  T1  y
+   *  / \              / \
+   * T1 T2            T2 T3
+   */
+  rotateRight(y, animations) {
+    const x = y.left;
+    const T2 = x.right;
+
+    x.right = y;
+    y.left = T2;
+
+    if (T2) T2.parent = y;
+    x.parent = y.parent;
+    y.parent = x;
+    this._replaceChild(x.parent, y, x);
+    updateSize(y);
+    updateSize(x);
+
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'highlight-node',
+      nodeId: x.id,
+      state: 'pivot',
+      duration: 600,
+    });
+
+    return x;
+  }
+
+  /**
+   * Left Rotation - y (the right child of x) moves up
+   * Mirror image of rotateRight
+   */
+  rotateLeft(x, animations) {
+    const y = x.right;
+    const T2 = y.left;
+
+    y.left = x;
+    x.right = T2;
+
+    if (T2) T2.parent = x;
+    y.parent = x.parent;
+    x.parent = y;
+    this._replaceChild(y.parent, x, y);
+    updateSize(x);
+    updateSize(y);
+
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'highlight-node',
+      nodeId: y.id,
+      state: 'pivot',
+      duration: 600,
+    });
+
+    return y;
+  }
+
+  // Rotates node above its parent, whichever side it is on
+  _rotateUp(node, animations) {
+    if (node.parent.left === node) {
+      this.rotateRight(node.parent, animations);
+    } else {
+      this.rotateLeft(node.parent, animations);
+    }
+  }
+
   static findMin(node) {
     let current = node;
     while (current.left) {
@@ -696,6 +791,18 @@ export default class BST {
     result.push(node.value);
   }
 
+  /**
+   * Level-order Traversal (Breadth-First)
+   * Unlike the three traversals above this one is NOT recursive - it uses a queue!
+   * Dequeue a node, visit it, then enqueue its children (left first)
+   * The queue loop is shared with every tree type: see generateTraversal
+   * Result: nodes level by level, left to right
+   * Time: O(n), Space: O(w) where w is the widest level
+   */
+  levelOrderTraversal() {
+    return generateTraversal(this.root, 'level-order', (node) => [node.left, node.right]);
+  }
+
   clone() {
     const newTree = new BST();
     newTree.nodeIdCounter = this.nodeIdCounter;
@@ -708,6 +815,7 @@ export default class BST {
 
     const cloned = new Node(node.value, node.id, node.x, node.y);
     cloned.height = node.height;
+    cloned.size = node.size;
     cloned.color = node.color;
     cloned.scale = node.scale;
     cloned.left = this._cloneNode(node.left);
@@ -724,6 +832,7 @@ export default class BST {
 
     const cloned = new Node(node.value, node.id, node.x, node.y);
     cloned.height = node.height;
+    cloned.size = node.size;
     cloned.color = node.color;
     cloned.scale = node.scale;
     cloned.left = this._cloneNodeWithIds(node.left);
@@ -747,6 +856,7 @@ export default class BST {
 
     const cloned = new Node(node.value, node.id, node.x, node.y);
     cloned.height = node.height;
+    cloned.size = node.size;
     cloned.color = node.color;
     cloned.scale = node.scale;
 
@@ -758,4 +868,24 @@ export default class BST {
 
     return cloned;
   }
+
+  /**
+   * Plain object in the documented tree file format (see treeSerialization.js)
+   * Also lets JSON.stringify(tree) produce a file that fromJSON() can read
+   */
+  toJSON() {
+    return serializeTree('BST', this);
+  }
+
+  /**
+   * Rebuilds a tree from toJSON() output (object or JSON text)
+   * Throws an Error naming the offending node if the file breaks BST ordering
+   */
+  static fromJSON(json) {
+    const tree = new BST();
+    const { root, nodeIdCounter } = parseTreeFile(json, 'BST', (counter) => `node-${counter}`);
+    tree.root = root;
+    tree.nodeIdCounter = nodeIdCounter;
+    return tree;
+  }
 }
@@ -0,0 +1,807 @@
+/**
+ * Tree File Format (JSON)
+ *
+ * Shared by BST, AVLTree, RedBlackTree, SplayTree and Treap (`toJSON` / `fromJSON`).
+ *
+ * {
+ *   "format": "tree-visualizer",
+ *   "version": 1,
+ *   "type": "BST" | "AVL" | "RBTree" | "SplayTree" | "Treap",
+ *   "seed": 42, "priorityDraws": 3, // Treap only (optional) - where the priority sequence stands
+ *   "nodeIdCounter": 4,             // optional - next id the tree hands out
+ *   "root": {                       // null for an empty tree
+ *     "id": "node-0",               // optional - "node-N" (BST/Splay) or a number (AVL/RB)
+ *     "value": 5,
+ *     "height": 2,                  // AVL only (optional, a leaf has height 1)
+ *     "color": "black",             // RBTree only ("red" | "black", required)
+ *     "priority": 87,               // Treap only (number, required)
+ *     "left": { ... } | null,
+ *     "right": { ... } | null
+ *   }
+ * }
+ *
+ * B-Trees ("type": "BTree") store multi-key nodes instead:
+ *
+ *   "minDegree": 2,                 // t - every node holds t-1 .. 2t-1 keys
+ *   "root": {
+ *     "id": "bnode-0",              // optional
+ *     "keys": [10, 20],
+ *     "children": [ { ... }, ... ]  // [] for a leaf, otherwise keys.length + 1
+ *   }
+ *
+ * Binary heaps ("type": "BinaryHeap") store their backing array:
+ *
+ *   "kind": "min",                  // "min" | "max"
+ *   "items": [                      // index 0 is the root, children of i at 2i+1 / 2i+2
+ *     { "id": "node-3", "value": 1 },  // id optional
+ *     ...
+ *   ]
+ *
+ * Tries ("type": "Trie") store their words - the words alone fix the shape:
+ *
+ *   "words": ["tea", "ten", "to"]   // lowercase letters a-z, no duplicates
+ *
+ * General rooted trees ("type": "NaryTree") keep their children in order:
+ *
+ *   "root": {
+ *     "id": "nnode-0",              // optional
+ *     "value": 1,                   // unique across the tree
+ *     "children": [ { ... }, ... ]  // [] for a leaf
+ *   }
+ *
+ * Expression trees ("type": "ExpressionTree") store the expression as text:
+ *
+ *   "expression": "(3 + 4) * 5 - 2 / x"  // null for an empty tree
+ *
+ * Huffman trees ("type": "HuffmanTree") store the symbol weights they were
+ * built from - construction is deterministic, so the weights fix the tree:
+ *
+ *   "weights": [                    // [] for an empty tree
+ *     { "symbol": "a", "weight": 5 },  // symbol: non-empty string, weight: positive integer
+ *     ...
+ *   ]
+ *
+ * Segment trees ("type": "SegmentTree") store the array and the combine
+ * function; the nodes are rebuilt from them:
+ *
+ *   "combine": "sum",               // "sum" | "min" | "max" | "gcd"
+ *   "values": [5, 3, 8, 6]          // integers, [] for an empty tree
+ *
+ * Fenwick trees ("type": "FenwickTree") store only the array, a[1] first:
+ *
+ *   "values": [5, 3, 8, 6]          // integers, [] for an empty tree
+ *
+ * Interval trees ("type": "IntervalTree") store their intervals in preorder;
+ * loading inserts them again in that order, and max is recomputed:
+ *
+ *   "intervals": [[10, 30], [5, 20], [15, 18]]  // [start, end] integers, start ≤ end
+ *
+ * Positions are not stored - the layout is recomputed after loading.
+ * Loading validates everything up front (structure, BST ordering, AVL
+ * balance/heights, Red-Black rules, Treap and binary heap order, B-Tree key
+ * counts and leaf depth, trie words, unique n-ary values, expression syntax, Huffman weights,
+ * segment and Fenwick tree arrays, intervals)
+ * and throws an Error naming the exact node, e.g. "root.left.right (value 9)",
+ * instead of loading a broken tree.
+ */
+import Node from './node.js';
+import { updateSize } from './orderStatistics.js';
+import { parseExpression, formatExpression } from './expressionParser.js';
+
+export const TREE_FILE_FORMAT = 'tree-visualizer';
+export const TREE_FILE_VERSION = 1;
+export const TREE_FILE_TYPES = [
+  'BST', 'AVL', 'RBTree', 'SplayTree', 'Treap', 'BTree', 'BinaryHeap', 'Trie', 'NaryTree',
+  'ExpressionTree', 'HuffmanTree', 'SegmentTree', 'FenwickTree', 'IntervalTree',
+];
+
+const HEAP_KINDS = ['min', 'max'];
+const SEGMENT_COMBINES = ['sum', 'min', 'max', 'gcd'];
+// Segment and Fenwick trees draw one column per array entry
+const MAX_ARRAY_VALUES = 32;
+
+const fail = (message) => {
+  throw new Error(`Invalid tree file: ${message}`);
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describeNode = (path, node) => `${path} (value ${node.value})`;
+
+const serializeNode = (node, type) => {
+  if (!node) return null;
+
+  const data = { id: node.id, value: node.value };
+  if (type === 'AVL') data.height = node.height;
+  if (type === 'RBTree') data.color = node.color;
+  if (type === 'Treap') data.priority = node.priority;
+  data.left = serializeNode(node.left, type);
+  data.right = serializeNode(node.right, type);
+  return data;
+};
+
+const serializeBTreeNode = (node) => ({
+  id: node.id,
+  keys: [...node.keys],
+  children: node.children.map(serializeBTreeNode),
+});
+
+const preorderIntervals = (node, out) => {
+  if (!node) return out;
+  out.push([node.value, node.high]);
+  preorderIntervals(node.left, out);
+  preorderIntervals(node.right, out);
+  return out;
+};
+
+const serializeNaryNode = (node) => ({
+  id: node.id,
+  value: node.value,
+  children: node.children.map(serializeNaryNode),
+});
+
+/**
+ * Plain JSON-ready object for a tree of the given type
+ */
+export const serializeTree = (type, tree) => {
+  if (type === 'BTree') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      minDegree: tree.minDegree,
+      nodeIdCounter: tree.nodeIdCounter,
+      root: tree.root ? serializeBTreeNode(tree.root) : null,
+    };
+  }
+
+  if (type === 'BinaryHeap') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      kind: tree.kind,
+      nodeIdCounter: tree.nodeIdCounter,
+      items: tree.items.map((node) => ({ id: node.id, value: node.value })),
+    };
+  }
+
+  if (type === 'Trie') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      words: tree.words(),
+    };
+  }
+
+  if (type === 'ExpressionTree') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      expression: tree.root ? formatExpression(tree.root) : null,
+    };
+  }
+
+  if (type === 'HuffmanTree') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      weights: tree.root ? tree.weights.map(({ symbol, weight }) => ({ symbol, weight })) : [],
+    };
+  }
+
+  if (type === 'SegmentTree') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      combine: tree.combine,
+      values: tree.values(),
+    };
+  }
+
+  if (type === 'FenwickTree') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      values: tree.values(),
+    };
+  }
+
+  if (type === 'IntervalTree') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      intervals: preorderIntervals(tree.root, []),
+    };
+  }
+
+  if (type === 'NaryTree') {
+    return {
+      format: TREE_FILE_FORMAT,
+      version: TREE_FILE_VERSION,
+      type,
+      nodeIdCounter: tree.nodeIdCounter,
+      root: tree.root ? serializeNaryNode(tree.root) : null,
+    };
+  }
+
+  const file = {
+    format: TREE_FILE_FORMAT,
+    version: TREE_FILE_VERSION,
+    type,
+    nodeIdCounter: tree.nodeIdCounter,
+  };
+  if (type === 'Treap') {
+    file.seed = tree.seed;
+    file.priorityDraws = tree.priorityDraws;
+  }
+  file.root = serializeNode(tree.root, type);
+  return file;
+};
+
+// Accepts the parsed object or the raw file text
+const toObject = (json) => {
+  if (typeof json !== 'string') return json;
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return fail(`not valid JSON (${error.message})`);
+  }
+};
+
+/**
+ * Checks the file header and returns the tree type it contains
+ */
+export const readTreeFileType = (json) => {
+  const data = toObject(json);
+  if (!isPlainObject(data)) fail('expected a JSON object at the top level');
+  if (data.format !== TREE_FILE_FORMAT) {
+    fail(`"format" must be "${TREE_FILE_FORMAT}"`);
+  }
+  if (data.version !== TREE_FILE_VERSION) {
+    fail(`unsupported version ${JSON.stringify(data.version)} (expected ${TREE_FILE_VERSION})`);
+  }
+  if (!TREE_FILE_TYPES.includes(data.type)) {
+    fail(`unknown tree type ${JSON.stringify(data.type)} (expected one of ${TREE_FILE_TYPES.join(', ')})`);
+  }
+  return data.type;
+};
+
+// Shape of a single node; recursion happens in checkStructure
+const checkNodeShape = (node, path, type) => {
+  if (!isPlainObject(node)) fail(`${path} must be an object or null`);
+  if (typeof node.value !== 'number' || !Number.isFinite(node.value)) {
+    fail(`${path} has no numeric "value"`);
+  }
+  if (node.id !== undefined && typeof node.id !== 'string' && typeof node.id !== 'number') {
+    fail(`${describeNode(path, node)} has an "id" that is neither a string nor a number`);
+  }
+  if (type === 'AVL' && node.height !== undefined && !Number.isInteger(node.height)) {
+    fail(`${describeNode(path, node)} has a non-integer "height"`);
+  }
+  if (type === 'RBTree' && node.color !== 'red' && node.color !== 'black') {
+    fail(`${describeNode(path, node)} must have "color" "red" or "black"`);
+  }
+  if (type === 'Treap' && (typeof node.priority !== 'number' || !Number.isFinite(node.priority))) {
+    fail(`${describeNode(path, node)} must have a numeric "priority"`);
+  }
+};
+
+const checkStructure = (node, path, type, seenIds) => {
+  if (node === null || node === undefined) return;
+
+  checkNodeShape(node, path, type);
+  if (node.id !== undefined) {
+    if (seenIds.has(node.id)) fail(`${describeNode(path, node)} reuses id ${JSON.stringify(node.id)}`);
+    seenIds.add(node.id);
+  }
+  checkStructure(node.left, `${path}.left`, type, seenIds);
+  checkStructure(node.right, `${path}.right`, type, seenIds);
+};
+
+// Every value must sit strictly between the bounds set by its ancestors
+const checkOrdering = (node, path, low, high) => {
+  if (!node) return;
+
+  if (low !== null && node.value <= low.value) {
+    fail(`${describeNode(path, node)} breaks BST ordering: must be greater than ${low.value} (${low.path})`);
+  }
+  if (high !== null && node.value >= high.value) {
+    fail(`${describeNode(path, node)} breaks BST ordering: must be less than ${high.value} (${high.path})`);
+  }
+  const bound = { value: node.value, path };
+  checkOrdering(node.left, `${path}.left`, low, bound);
+  checkOrdering(node.right, `${path}.right`, bound, high);
+};
+
+// Returns the subtree height (leaf = 1, matching AVLTree.getHeight)
+const checkAVL = (node, path) => {
+  if (!node) return 0;
+
+  const left = checkAVL(node.left, `${path}.left`);
+  const right = checkAVL(node.right, `${path}.right`);
+  const height = 1 + Math.max(left, right);
+  if (node.height !== undefined && node.height !== height) {
+    fail(`${describeNode(path, node)} stores height ${node.height} but its subtree has height ${height}`);
+  }
+  if (Math.abs(left - right) > 1) {
+    fail(`${describeNode(path, node)} is not AVL-balanced: balance factor ${left - right}`);
+  }
+  return height;
+};
+
+// Returns the black-height of the subtree (null leaves count as 1)
+const checkRedBlack = (node, path) => {
+  if (!node) return 1;
+
+  if (node.color === 'red') {
+    [['left', node.left], ['right', node.right]].forEach(([side, child]) => {
+      if (child && child.color === 'red') {
+        fail(`${describeNode(path, node)} is red and has a red ${side} child (${child.value})`);
+      }
+    });
+  }
+
+  const left = checkRedBlack(node.left, `${path}.left`);
+  const right = checkRedBlack(node.right, `${path}.right`);
+  if (left !== right) {
+    fail(`${describeNode(path, node)} has unequal black-heights: left ${left}, right ${right}`);
+  }
+  return left + (node.color === 'black' ? 1 : 0);
+};
+
+// Max-heap order on priorities: no child outranks its parent
+const checkHeapOrder = (node, path) => {
+  if (!node) return;
+
+  [['left', node.left], ['right', node.right]].forEach(([side, child]) => {
+    if (child && child.priority > node.priority) {
+      const childInfo = `${side} child (${child.value}) has priority ${child.priority}`;
+      fail(`${describeNode(path, node)} breaks heap order: priority ${node.priority}, but its ${childInfo}`);
+    }
+  });
+  checkHeapOrder(node.left, `${path}.left`);
+  checkHeapOrder(node.right, `${path}.right`);
+};
+
+// Numeric part of an id ("node-7" -> 7, 7 -> 7), used to keep new ids unique
+const idNumber = (id) => {
+  if (typeof id === 'number') return id;
+  const match = /(\d+)$/.exec(String(id));
+  return match ? Number(match[1]) : -1;
+};
+
+const collectIds = (node, ids) => {
+  if (!node) return ids;
+  if (node.id !== undefined) ids.push(node.id);
+  collectIds(node.left, ids);
+  collectIds(node.right, ids);
+  return ids;
+};
+
+const describeBNode = (path, node) => `${path} (keys ${node.keys.join(', ')})`;
+
+/**
+ * Checks one B-Tree node and its subtree: key counts, key order within the
+ * bounds set by the ancestors, child counts and ids
+ * Returns the depth of its leaves so the caller can compare siblings
+ */
+const checkBTreeNode = (node, path, context) => {
+  const {
+    minDegree, low, high, isRoot, seenIds,
+  } = context;
+  if (!isPlainObject(node)) fail(`${path} must be an object`);
+  if (!Array.isArray(node.keys) || node.keys.some((key) => typeof key !== 'number' || !Number.isFinite(key))) {
+    fail(`${path} must have a "keys" array of numbers`);
+  }
+  if (!Array.isArray(node.children)) fail(`${describeBNode(path, node)} must have a "children" array`);
+  if (node.id !== undefined) {
+    if (typeof node.id !== 'string' && typeof node.id !== 'number') {
+      fail(`${describeBNode(path, node)} has an "id" that is neither a string nor a number`);
+    }
+    if (seenIds.has(node.id)) fail(`${describeBNode(path, node)} reuses id ${JSON.stringify(node.id)}`);
+    seenIds.add(node.id);
+  }
+
+  const minKeys = isRoot ? 1 : minDegree - 1;
+  const maxKeys = 2 * minDegree - 1;
+  if (node.keys.length < minKeys || node.keys.length > maxKeys) {
+    fail(`${path} has ${node.keys.length} keys (expected ${minKeys}..${maxKeys} for minimum degree ${minDegree})`);
+  }
+  node.keys.forEach((key, index) => {
+    if (index > 0 && key <= node.keys[index - 1]) {
+      fail(`${describeBNode(path, node)} keys must be in increasing order`);
+    }
+    if ((low !== null && key <= low) || (high !== null && key >= high)) {
+      const range = `${low === null ? '-∞' : low} and ${high === null ? '∞' : high}`;
+      fail(`${describeBNode(path, node)} key ${key} must lie between ${range}`);
+    }
+  });
+
+  if (node.children.length === 0) return 0;
+  if (node.children.length !== node.keys.length + 1) {
+    fail(`${describeBNode(path, node)} has ${node.children.length} children (expected ${node.keys.length + 1})`);
+  }
+  const depths = node.children.map((child, index) => checkBTreeNode(child, `${path}.children[${index}]`, {
+    minDegree,
+    low: index === 0 ? low : node.keys[index - 1],
+    high: index === node.keys.length ? high : node.keys[index],
+    isRoot: false,
+    seenIds,
+  }));
+  if (depths.some((depth) => depth !== depths[0])) {
+    fail(`${describeBNode(path, node)} has leaves at different depths`);
+  }
+  return depths[0] + 1;
+};
+
+/**
+ * Validates a B-Tree file and returns plain { id, keys, children } nodes
+ * (ids filled in for nodes saved without one)
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @param {Function} createId - counter => id, for nodes saved without one
+ * @returns {{ minDegree: number, root: Object|null, nodeIdCounter: number }}
+ */
+export const parseBTreeFile = (json, createId) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'BTree') fail(`file contains a ${fileType} tree, not a BTree tree`);
+  if (!Number.isInteger(data.minDegree) || data.minDegree < 2) {
+    fail('"minDegree" must be an integer of at least 2');
+  }
+  if (data.nodeIdCounter !== undefined
+    && (!Number.isInteger(data.nodeIdCounter) || data.nodeIdCounter < 0)) {
+    fail('"nodeIdCounter" must be a non-negative integer');
+  }
+
+  const { root, minDegree } = data;
+  const ids = [];
+  if (root !== null && root !== undefined) {
+    const seenIds = new Set();
+    checkBTreeNode(root, 'root', {
+      minDegree, low: null, high: null, isRoot: true, seenIds,
+    });
+    ids.push(...seenIds);
+  }
+
+  let nodeIdCounter = Math.max(data.nodeIdCounter || 0, ...ids.map((id) => idNumber(id) + 1));
+  const build = (plain) => {
+    let { id } = plain;
+    if (id === undefined) {
+      id = createId(nodeIdCounter);
+      nodeIdCounter += 1;
+    }
+    return { id, keys: [...plain.keys], children: plain.children.map(build) };
+  };
+
+  return { minDegree, root: root ? build(root) : null, nodeIdCounter };
+};
+
+/**
+ * Validates a binary heap file: item shape, unique ids and heap order
+ * (every item against its parent at (i - 1) / 2)
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @param {Function} createId - counter => id, for items saved without one
+ * @returns {{ kind: string, items: Array<{ id, value }>, nodeIdCounter: number }}
+ */
+export const parseHeapFile = (json, createId) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'BinaryHeap') fail(`file contains a ${fileType} tree, not a BinaryHeap tree`);
+  if (!HEAP_KINDS.includes(data.kind)) fail('"kind" must be "min" or "max"');
+  if (!Array.isArray(data.items)) fail('"items" must be an array');
+  if (data.nodeIdCounter !== undefined
+    && (!Number.isInteger(data.nodeIdCounter) || data.nodeIdCounter < 0)) {
+    fail('"nodeIdCounter" must be a non-negative integer');
+  }
+
+  const seenIds = new Set();
+  data.items.forEach((item, index) => {
+    const path = `items[${index}]`;
+    checkNodeShape(item, path, 'BinaryHeap');
+    if (item.id !== undefined) {
+      if (seenIds.has(item.id)) fail(`${describeNode(path, item)} reuses id ${JSON.stringify(item.id)}`);
+      seenIds.add(item.id);
+    }
+    if (index > 0) {
+      const parent = data.items[Math.floor((index - 1) / 2)];
+      const misplaced = data.kind === 'min' ? item.value < parent.value : item.value > parent.value;
+      if (misplaced) {
+        const relation = data.kind === 'min' ? 'smaller' : 'larger';
+        fail(`${describeNode(path, item)} breaks ${data.kind}-heap order: ${relation} than its parent (${parent.value})`);
+      }
+    }
+  });
+
+  let nodeIdCounter = Math.max(
+    data.nodeIdCounter || 0,
+    ...[...seenIds].map((id) => idNumber(id) + 1),
+  );
+  const items = data.items.map((item) => {
+    let { id } = item;
+    if (id === undefined) {
+      id = createId(nodeIdCounter);
+      nodeIdCounter += 1;
+    }
+    return { id, value: item.value };
+  });
+
+  return { kind: data.kind, items, nodeIdCounter };
+};
+
+/**
+ * Validates a trie file: a list of distinct lowercase words
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @returns {{ words: string[] }}
+ */
+export const parseTrieFile = (json) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'Trie') fail(`file contains a ${fileType} tree, not a Trie tree`);
+  if (!Array.isArray(data.words)) fail('"words" must be an array');
+
+  const seen = new Set();
+  data.words.forEach((word, index) => {
+    if (typeof word !== 'string' || !/^[a-z]+$/.test(word)) {
+      fail(`words[${index}] (${JSON.stringify(word)}) must be a word of lowercase letters a-z`);
+    }
+    if (seen.has(word)) fail(`words[${index}] repeats "${word}"`);
+    seen.add(word);
+  });
+
+  return { words: [...data.words] };
+};
+
+/**
+ * Validates a general rooted tree file: node shape, children arrays,
+ * unique values and unique ids
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @param {Function} createId - counter => id, for nodes saved without one
+ * @returns {{ root: Object|null, nodeIdCounter: number }}
+ */
+export const parseNaryTreeFile = (json, createId) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'NaryTree') fail(`file contains a ${fileType} tree, not a NaryTree tree`);
+  if (data.nodeIdCounter !== undefined
+    && (!Number.isInteger(data.nodeIdCounter) || data.nodeIdCounter < 0)) {
+    fail('"nodeIdCounter" must be a non-negative integer');
+  }
+
+  const seenIds = new Set();
+  const seenValues = new Map();
+  const check = (node, path) => {
+    checkNodeShape(node, path, 'NaryTree');
+    if (!Array.isArray(node.children)) fail(`${describeNode(path, node)} must have a "children" array`);
+    if (seenValues.has(node.value)) {
+      fail(`${describeNode(path, node)} repeats the value of ${seenValues.get(node.value)}`);
+    }
+    seenValues.set(node.value, path);
+    if (node.id !== undefined) {
+      if (seenIds.has(node.id)) fail(`${describeNode(path, node)} reuses id ${JSON.stringify(node.id)}`);
+      seenIds.add(node.id);
+    }
+    node.children.forEach((child, index) => check(child, `${path}.children[${index}]`));
+  };
+  const { root } = data;
+  if (root !== null && root !== undefined) check(root, 'root');
+
+  let nodeIdCounter = Math.max(
+    data.nodeIdCounter || 0,
+    ...[...seenIds].map((id) => idNumber(id) + 1),
+  );
+  const build = (plain) => {
+    let { id } = plain;
+    if (id === undefined) {
+      id = createId(nodeIdCounter);
+      nodeIdCounter += 1;
+    }
+    return { id, value: plain.value, children: plain.children.map(build) };
+  };
+
+  return { root: root ? build(root) : null, nodeIdCounter };
+};
+
+/**
+ * Validates an expression tree file by parsing its expression
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @returns {{ root: Object|null }} plain { value, left, right } nodes
+ */
+export const parseExpressionTreeFile = (json) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'ExpressionTree') fail(`file contains a ${fileType} tree, not an ExpressionTree tree`);
+  if (data.expression === null || data.expression === undefined) return { root: null };
+  if (typeof data.expression !== 'string') fail('"expression" must be a string or null');
+
+  try {
+    return { root: parseExpression(data.expression) };
+  } catch (error) {
+    return fail(`"expression" ${JSON.stringify(data.expression)}: ${error.message}`);
+  }
+};
+
+/**
+ * Validates a Huffman tree file: distinct symbols with positive whole weights
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @returns {{ weights: Array<{ symbol: string, weight: number }> }}
+ */
+export const parseHuffmanTreeFile = (json) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'HuffmanTree') fail(`file contains a ${fileType} tree, not a HuffmanTree tree`);
+  if (!Array.isArray(data.weights)) fail('"weights" must be an array');
+
+  const seen = new Set();
+  const weights = data.weights.map((entry, index) => {
+    if (!isPlainObject(entry) || typeof entry.symbol !== 'string' || entry.symbol === '') {
+      fail(`weights[${index}] must have a non-empty "symbol" string`);
+    }
+    if (!Number.isInteger(entry.weight) || entry.weight < 1) {
+      fail(`weights[${index}] (symbol ${JSON.stringify(entry.symbol)}) must have a positive whole "weight"`);
+    }
+    if (seen.has(entry.symbol)) fail(`weights[${index}] repeats the symbol ${JSON.stringify(entry.symbol)}`);
+    seen.add(entry.symbol);
+    return { symbol: entry.symbol, weight: entry.weight };
+  });
+
+  return { weights };
+};
+
+// The "values" array of a segment or Fenwick tree file
+const readValueArray = (data) => {
+  if (!Array.isArray(data.values)) fail('"values" must be an array');
+  if (data.values.length > MAX_ARRAY_VALUES) {
+    fail(`"values" has ${data.values.length} entries (at most ${MAX_ARRAY_VALUES})`);
+  }
+  data.values.forEach((value, index) => {
+    if (!Number.isInteger(value)) fail(`values[${index}] (${JSON.stringify(value)}) must be an integer`);
+  });
+  return [...data.values];
+};
+
+/**
+ * Validates a segment tree file: a known combine function and an integer array
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @returns {{ combine: string, values: number[] }}
+ */
+export const parseSegmentTreeFile = (json) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'SegmentTree') fail(`file contains a ${fileType} tree, not a SegmentTree tree`);
+  if (!SEGMENT_COMBINES.includes(data.combine)) {
+    fail(`"combine" must be one of ${SEGMENT_COMBINES.join(', ')}`);
+  }
+
+  return { combine: data.combine, values: readValueArray(data) };
+};
+
+/**
+ * Validates a Fenwick tree file: an integer array, a[1] first
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @returns {{ values: number[] }}
+ */
+export const parseFenwickTreeFile = (json) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'FenwickTree') fail(`file contains a ${fileType} tree, not a FenwickTree tree`);
+
+  return { values: readValueArray(data) };
+};
+
+/**
+ * Validates an interval tree file: distinct [start, end] pairs of integers
+ * with start ≤ end
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @returns {{ intervals: number[][] }}
+ */
+export const parseIntervalTreeFile = (json) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== 'IntervalTree') fail(`file contains a ${fileType} tree, not an IntervalTree tree`);
+  if (!Array.isArray(data.intervals)) fail('"intervals" must be an array');
+
+  const seen = new Set();
+  const intervals = data.intervals.map((interval, index) => {
+    const path = `intervals[${index}]`;
+    if (!Array.isArray(interval) || interval.length !== 2 || !interval.every(Number.isInteger)) {
+      fail(`${path} (${JSON.stringify(interval)}) must be a [start, end] pair of integers`);
+    }
+    const [start, end] = interval;
+    if (start > end) fail(`${path} [${start}, ${end}] ends before it starts`);
+    if (seen.has(`${start},${end}`)) fail(`${path} repeats [${start}, ${end}]`);
+    seen.add(`${start},${end}`);
+    return [start, end];
+  });
+
+  return { intervals };
+};
+
+/**
+ * Validates a tree file for the given type and rebuilds its nodes
+ *
+ * @param {string|Object} json - File text or parsed object
+ * @param {string} type - 'BST' | 'AVL' | 'RBTree'
+ * @param {Function} createId - counter => id, for nodes saved without one
+ * @returns {{ root: Node|null, nodeIdCounter: number, seed?: number, priorityDraws?: number }}
+ */
+export const parseTreeFile = (json, type, createId) => {
+  const data = toObject(json);
+  const fileType = readTreeFileType(data);
+  if (fileType !== type) fail(`file contains a ${fileType} tree, not a ${type} tree`);
+
+  const { root } = data;
+  if (root !== null && root !== undefined) {
+    checkStructure(root, 'root', type, new Set());
+    checkOrdering(root, 'root', null, null);
+    if (type === 'AVL') checkAVL(root, 'root');
+    if (type === 'RBTree') {
+      if (root.color !== 'black') fail(`${describeNode('root', root)} must be black`);
+      checkRedBlack(root, 'root');
+    }
+    if (type === 'Treap') checkHeapOrder(root, 'root');
+  }
+
+  if (data.nodeIdCounter !== undefined
+    && (!Number.isInteger(data.nodeIdCounter) || data.nodeIdCounter < 0)) {
+    fail('"nodeIdCounter" must be a non-negative integer');
+  }
+
+  // Never hand out an id that is already in the file
+  let nodeIdCounter = Math.max(
+    data.nodeIdCounter || 0,
+    ...collectIds(root, []).map((id) => idNumber(id) + 1),
+  );
+
+  const build = (plain) => {
+    if (!plain) return null;
+
+    let { id } = plain;
+    if (id === undefined) {
+      id = createId(nodeIdCounter);
+      nodeIdCounter += 1;
+    }
+    const node = new Node(plain.value, id);
+    node.left = build(plain.left);
+    node.right = build(plain.right);
+    if (node.left) node.left.parent = node;
+    if (node.right) node.right.parent = node;
+    updateSize(node);
+    if (type === 'AVL') {
+      node.height = 1 + Math.max(
+        node.left ? node.left.height : 0,
+        node.right ? node.right.height : 0,
+      );
+    }
+    if (type === 'RBTree') node.color = plain.color;
+    if (type === 'Treap') node.priority = plain.priority;
+    return node;
+  };
+
+  const parsed = { root: build(root), nodeIdCounter };
+  if (type === 'Treap') {
+    if (data.seed !== undefined && !Number.isInteger(data.seed)) fail('"seed" must be an integer');
+    if (data.priorityDraws !== undefined
+      && (!Number.isInteger(data.priorityDraws) || data.priorityDraws < 0)) {
+      fail('"priorityDraws" must be a non-negative integer');
+    }
+    parsed.seed = data.seed;
+    parsed.priorityDraws = data.priorityDraws;
+  }
+  return parsed;
+};
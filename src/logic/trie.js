@@ -0,0 +1,549 @@
+/**
+ * Trie Implementation (prefix tree)
+ *
+ * Key Properties:
+ * - Keys are words, not numbers: every edge carries one character and the
+ *   path from the root down to a node spells a prefix
+ * - Words that share a prefix share its nodes; a node is marked as a word
+ *   end when the prefix it spells was inserted as a word
+ * - Children are kept in alphabetical order, so a depth-first walk meets
+ *   the words in lexicographic order
+ *
+ * Words are lowercase letters a-z (see normalizeWord). Canvas nodes carry
+ * the prefix they spell as `value` plus a `wordEnd` flag, and edges carry
+ * their character as `label`.
+ *
+ * Time Complexity: insert / delete / search O(m) for a word of length m,
+ * no matter how many words are stored
+ */
+import TrieNode from './trieNode.js';
+import { getEdgeId } from './utils.js';
+import { createLayoutReposition, generateTraversal } from './animations.js';
+import { layoutTidyTree, getLabelNodeWidth } from './layout.js';
+import { serializeTree, parseTrieFile } from './treeSerialization.js';
+
+/**
+ * Lowercased word if `text` is one (letters a-z only), otherwise null
+ */
+export const normalizeWord = (text) => {
+  const word = String(text).trim().toLowerCase();
+  return /^[a-z]+$/.test(word) ? word : null;
+};
+
+// Status messages name the root instead of quoting an empty prefix
+const describePrefix = (prefix) => (prefix ? `"${prefix}"` : 'the root');
+
+// Node-level traversals report each node as the prefix it spells
+const prefixLabel = (node) => node.prefix || '(root)';
+
+export default class Trie {
+  constructor() {
+    this.root = null;
+    this.nodeIdCounter = 0;
+  }
+
+  // Keys are words - App and ControlPanel switch to text input for them
+  static get keyType() {
+    return 'string';
+  }
+
+  generateId() {
+    const id = `tnode-${this.nodeIdCounter}`;
+    this.nodeIdCounter += 1;
+    return id;
+  }
+
+  getTreeData() {
+    const nodes = [];
+    const edges = [];
+
+    if (this.root) {
+      this._calculateTreeLayout();
+      this._collectTreeData(this.root, nodes, edges);
+    }
+
+    return { nodes, edges };
+  }
+
+  // Shared tidy layout; nodes showing long prefixes reserve more room
+  _calculateTreeLayout() {
+    layoutTidyTree(this.root, {
+      getChildren: (node) => node.children,
+      getNodeWidth: (node) => getLabelNodeWidth(node.prefix),
+    });
+  }
+
+  _collectTreeData(node, nodes, edges) {
+    nodes.push({
+      id: node.id,
+      value: node.prefix,
+      x: node.x,
+      y: node.y,
+      color: null,
+      scale: node.scale || 1.0,
+      wordEnd: node.isWord,
+    });
+
+    node.children.forEach((child) => {
+      edges.push({
+        from: node.id,
+        to: child.id,
+        type: 'child',
+        label: child.char,
+      });
+      this._collectTreeData(child, nodes, edges);
+    });
+  }
+
+  // Every stored word, in lexicographic order
+  words() {
+    const words = [];
+    const collect = (node) => {
+      if (node.isWord) words.push(node.prefix);
+      node.children.forEach(collect);
+    };
+    if (this.root) collect(this.root);
+    return words;
+  }
+
+  contains(word) {
+    let node = this.root;
+    for (let i = 0; node && i < word.length; i += 1) node = node.getChild(word[i]);
+    return Boolean(node && node.isWord);
+  }
+
+  /**
+   * Follows `text` down from the root one character at a time, highlighting
+   * every node and edge taken
+   * Returns the nodes visited (root first) and how many characters matched
+   */
+  _follow(text, animations) {
+    const path = [];
+    let node = this.root;
+    let matched = 0;
+
+    while (node) {
+      path.push(node);
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: 'path',
+        duration: 300,
+      });
+      const child = matched < text.length ? node.getChild(text[matched]) : null;
+      if (!child) break;
+
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.id, child.id),
+        state: 'path',
+        duration: 300,
+      });
+      node = child;
+      matched += 1;
+    }
+
+    return { path, matched };
+  }
+
+  // Narrates why `word` is not stored, given where _follow() stopped
+  static _reportMissing(word, path, matched, animations) {
+    const last = path[path.length - 1];
+    if (!last) {
+      animations.push({
+        type: 'update-status',
+        message: `Word "${word}" not found`,
+        duration: 800,
+      });
+      return;
+    }
+
+    animations.push({
+      type: 'shake',
+      nodeId: last.id,
+      duration: 300,
+    });
+    animations.push({
+      type: 'update-status',
+      message: matched < word.length
+        ? `No edge "${word[matched]}" below ${describePrefix(last.prefix)} - "${word}" is not in the trie`
+        : `"${word}" is only a prefix of other words, not a stored word`,
+      duration: 800,
+    });
+  }
+
+  /**
+   * Follows the existing prefix of `word`, hangs one new node per missing
+   * character below it and marks the last node as a word end
+   */
+  insert(word) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Inserting "${word}" into trie`,
+      duration: 500,
+    });
+
+    if (!this.root) {
+      this.root = new TrieNode(this.generateId());
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'fade-in',
+        nodeId: this.root.id,
+        duration: 500,
+      });
+    }
+
+    const { path, matched } = this._follow(word, animations);
+    let node = path[path.length - 1];
+    if (matched === word.length && node.isWord) {
+      animations.push({
+        type: 'shake',
+        nodeId: node.id,
+        duration: 300,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Word "${word}" already exists in the trie`,
+        duration: 1000,
+      });
+      return { tree: this, animations };
+    }
+
+    if (matched > 0) {
+      animations.push({
+        type: 'update-status',
+        message: `Prefix "${word.slice(0, matched)}" is already in the trie`,
+        duration: 600,
+      });
+    }
+
+    for (let i = matched; i < word.length; i += 1) {
+      const child = node.addChild(new TrieNode(this.generateId(), word.slice(0, i + 1)));
+      animations.push(createLayoutReposition(this));
+      animations.push({
+        type: 'highlight-edge',
+        edgeId: getEdgeId(node.id, child.id),
+        state: 'path',
+        duration: 300,
+      });
+      animations.push({
+        type: 'fade-in',
+        nodeId: child.id,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Added edge "${word[i]}" below ${describePrefix(node.prefix)}`,
+        duration: 600,
+      });
+      node = child;
+    }
+
+    node.isWord = true;
+    // The layout step carries the new word-end mark to the canvas
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'found',
+      duration: 600,
+    });
+    animations.push({
+      type: 'update-status',
+      message: matched === word.length
+        ? `"${word}" was already a prefix - marked it as a word`
+        : `Inserted "${word}"`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  search(word) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Searching for "${word}" in trie`,
+      duration: 500,
+    });
+
+    const { path, matched } = this._follow(word, animations);
+    const node = path[path.length - 1];
+    if (matched < word.length || !node.isWord) {
+      Trie._reportMissing(word, path, matched, animations);
+      return { found: false, animations };
+    }
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'found',
+      duration: 800,
+    });
+    animations.push({
+      type: 'update-status',
+      message: `Found "${word}"`,
+      duration: 800,
+    });
+    return { found: true, animations };
+  }
+
+  /**
+   * Clears the word-end mark, then prunes bottom-up every node that no
+   * longer leads to a word (stops at a word end or a node with other children)
+   */
+  delete(word) {
+    const animations = [];
+    animations.push({
+      type: 'update-status',
+      message: `Deleting "${word}" from trie`,
+      duration: 500,
+    });
+
+    const { path, matched } = this._follow(word, animations);
+    const node = path[path.length - 1];
+    if (matched < word.length || !node.isWord) {
+      Trie._reportMissing(word, path, matched, animations);
+      return { tree: this, animations };
+    }
+
+    animations.push({
+      type: 'highlight-node',
+      nodeId: node.id,
+      state: 'deleting',
+      duration: 600,
+    });
+    node.isWord = false;
+    animations.push({
+      type: 'update-status',
+      message: `Unmarked "${word}" as a word`,
+      duration: 800,
+    });
+
+    let pruned = path.length - 1;
+    while (pruned > 0 && path[pruned].isLeaf() && !path[pruned].isWord) {
+      const current = path[pruned];
+      animations.push({
+        type: 'fade-out',
+        nodeId: current.id,
+        duration: 500,
+      });
+      animations.push({
+        type: 'update-status',
+        message: `Removed "${current.prefix}" - no other word runs through it`,
+        duration: 600,
+      });
+      path[pruned - 1].removeChild(current);
+      pruned -= 1;
+    }
+
+    if (pruned === 0 && this.root.isLeaf()) {
+      // The last word is gone, and with it the root
+      animations.push({
+        type: 'fade-out',
+        nodeId: this.root.id,
+        duration: 500,
+      });
+      this.root = null;
+    } else if (pruned < path.length - 1) {
+      animations.push({
+        type: 'update-status',
+        message: `${describePrefix(path[pruned].prefix)} still ends or leads to another word - stop pruning`,
+        duration: 600,
+      });
+    }
+
+    animations.push(createLayoutReposition(this));
+    animations.push({
+      type: 'update-status',
+      message: `Deleted "${word}"`,
+      duration: 1000,
+    });
+    return { tree: this, animations };
+  }
+
+  /**
+   * Finds every stored word that starts with `prefix`
+   * The subtree below the prefix stays tinted and each completion stays
+   * highlighted as found, in lexicographic order
+   *
+   * @returns {{ result: string[], animations: Array }}
+   */
+  prefixSearch(prefix) {
+    const animations = [];
+    const result = [];
+    animations.push({
+      type: 'update-status',
+      message: `Looking for words that start with "${prefix}"`,
+      duration: 500,
+    });
+
+    const { path, matched } = this._follow(prefix, animations);
+    const start = path[path.length - 1];
+    if (matched < prefix.length) {
+      if (start) {
+        animations.push({
+          type: 'shake',
+          nodeId: start.id,
+          duration: 300,
+        });
+      }
+      animations.push({
+        type: 'update-status',
+        message: `No word starts with "${prefix}"`,
+        duration: 800,
+      });
+      return { result, animations };
+    }
+
+    animations.push({
+      type: 'update-status',
+      message: `Reached "${prefix}" - every word end below it is a completion`,
+      duration: 600,
+    });
+
+    const collect = (node) => {
+      if (node.isWord) {
+        animations.push({
+          type: 'highlight-node',
+          nodeId: node.id,
+          state: 'found',
+          sticky: true,
+          duration: 500,
+        });
+        animations.push({
+          type: 'show-value',
+          nodeId: node.id,
+          value: node.prefix,
+          duration: 500,
+        });
+        result.push(node.prefix);
+      }
+      node.children.forEach((child) => {
+        animations.push({
+          type: 'highlight-edge',
+          edgeId: getEdgeId(node.id, child.id),
+          state: 'path',
+          duration: 300,
+        });
+        animations.push({
+          type: 'highlight-node',
+          nodeId: child.id,
+          state: 'path',
+          duration: 300,
+        });
+        collect(child);
+      });
+    };
+    collect(start);
+
+    animations.push({
+      type: 'update-status',
+      message: `${result.length} word${result.length === 1 ? '' : 's'} start with "${prefix}": ${result.join(', ')}`,
+      duration: 1000,
+    });
+    return { result, animations };
+  }
+
+  /**
+   * Lists every word in lexicographic order: a depth-first walk that takes
+   * the edges of each node alphabetically and reports each word end
+   */
+  lexicographicTraversal() {
+    const animations = [];
+    const result = [];
+
+    animations.push({
+      type: 'update-status',
+      message: 'Listing words in lexicographic order',
+      duration: 500,
+    });
+
+    const visit = (node) => {
+      animations.push({
+        type: 'highlight-node',
+        nodeId: node.id,
+        state: node.isWord ? 'found' : 'visited',
+        duration: 400,
+      });
+      if (node.isWord) {
+        animations.push({
+          type: 'show-value',
+          nodeId: node.id,
+          value: node.prefix,
+          duration: 500,
+        });
+        result.push(node.prefix);
+      }
+      node.children.forEach(visit);
+    };
+    if (this.root) visit(this.root);
+
+    animations.push({
+      type: 'update-status',
+      message: `Word listing complete: ${result.join(' → ')}`,
+      duration: 1000,
+    });
+
+    return { result, animations };
+  }
+
+  preorderTraversal() {
+    return generateTraversal(this.root, 'preorder', (node) => node.children, {
+      label: prefixLabel,
+      startMessage: 'Starting preorder traversal (Node-Children)',
+    });
+  }
+
+  postorderTraversal() {
+    return generateTraversal(this.root, 'postorder', (node) => node.children, {
+      label: prefixLabel,
+      startMessage: 'Starting postorder traversal (Children-Node)',
+    });
+  }
+
+  levelOrderTraversal() {
+    return generateTraversal(this.root, 'level-order', (node) => node.children, {
+      label: prefixLabel,
+    });
+  }
+
+  // Deep copy that keeps node ids and positions (used for undo/redo)
+  safeClone() {
+    const newTree = new Trie();
+    newTree.nodeIdCounter = this.nodeIdCounter;
+    newTree.root = this._safeCloneNode(this.root);
+    return newTree;
+  }
+
+  _safeCloneNode(node) {
+    if (!node) return null;
+
+    const clone = new TrieNode(node.id, node.prefix);
+    clone.isWord = node.isWord;
+    clone.children = node.children.map((child) => this._safeCloneNode(child));
+    clone.x = node.x;
+    clone.y = node.y;
+    clone.scale = node.scale;
+    return clone;
+  }
+
+  /**
+   * Plain object in the tree file format (see treeSerialization.js)
+   */
+  toJSON() {
+    return serializeTree('Trie', this);
+  }
+
+  /**
+   * Builds a trie from a tree file (object or JSON text) by inserting its
+   * words - the words alone determine the shape
+   * Throws an Error describing the first problem if the file is invalid
+   */
+  static fromJSON(json) {
+    const { words } = parseTrieFile(json);
+    const tree = new Trie();
+    words.forEach((word) => tree.insert(word));
+    return tree;
+  }
+}
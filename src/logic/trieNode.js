@@ -0,0 +1,40 @@
+// A trie node stands for the prefix spelled by the edges from the root down
+// to it; `char` is the label of the edge leading in (empty for the root).
+// Children stay sorted by char, so a left-to-right walk is alphabetical.
+class TrieNode {
+  constructor(id, prefix = '') {
+    this.id = id;
+    this.prefix = prefix;
+    this.char = prefix.slice(-1);
+    this.children = [];
+    this.isWord = false;
+    this.x = 0;
+    this.y = 0;
+    this.scale = 1.0;
+  }
+
+  getChild(char) {
+    return this.children.find((child) => child.char === char) || null;
+  }
+
+  // Inserts `child` at its alphabetical position
+  addChild(child) {
+    const index = this.children.findIndex((other) => other.char > child.char);
+    if (index === -1) {
+      this.children.push(child);
+    } else {
+      this.children.splice(index, 0, child);
+    }
+    return child;
+  }
+
+  removeChild(child) {
+    this.children = this.children.filter((other) => other !== child);
+  }
+
+  isLeaf() {
+    return this.children.length === 0;
+  }
+}
+
+export default TrieNode;
@@ -107,6 +107,9 @@ export const isPointInCircle = (pointX, pointY, circleX, circleY, radius) => {
   return distance <= radius;
 };
 
+// Edges are keyed by their endpoints so animation steps can refer to them
+export const getEdgeId = (fromId, toId) => `${fromId}-${toId}`;
+
 export const lerp = (start, end, factor) => start + (end - start) * factor;
 
 export const easingFunctions = {
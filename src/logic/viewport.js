@@ -0,0 +1,115 @@
+/**
+ * Canvas Viewport (zoom & pan)
+ *
+ * The canvas draws the tree in layout coordinates and puts a single
+ * `translate(x, y) scale(zoom)` transform on top, so zooming and panning
+ * never touch node positions. A view is a plain { zoom, x, y } object and
+ * every helper below returns a new one.
+ */
+
+import { LAYOUT_CONFIG, getMultiKeyNodeWidth } from './layout.js';
+
+export const VIEWPORT_CONFIG = {
+  MIN_ZOOM: 0.25,
+  MAX_ZOOM: 4,
+  // "Fit to view" never blows a small tree up beyond this
+  FIT_MAX_ZOOM: 1.5,
+  ZOOM_STEP: 1.2,
+  WHEEL_SENSITIVITY: 0.0015,
+  FIT_PADDING: 40,
+  // Follow mode only pans once the node gets this close to the edge
+  FOLLOW_MARGIN: 80,
+};
+
+export const DEFAULT_VIEW = { zoom: 1, x: 0, y: 0 };
+
+export const clampZoom = (zoom) => Math.min(
+  VIEWPORT_CONFIG.MAX_ZOOM,
+  Math.max(VIEWPORT_CONFIG.MIN_ZOOM, zoom),
+);
+
+export const getViewTransform = (view) => `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`;
+
+/**
+ * Zooms by `factor` while keeping the canvas point under `point` fixed
+ * (the cursor for wheel zoom, the finger midpoint for pinch)
+ */
+export const zoomAt = (view, factor, point) => {
+  const zoom = clampZoom(view.zoom * factor);
+  const ratio = zoom / view.zoom;
+  return {
+    zoom,
+    x: point.x - (point.x - view.x) * ratio,
+    y: point.y - (point.y - view.y) * ratio,
+  };
+};
+
+export const panBy = (view, dx, dy) => ({ ...view, x: view.x + dx, y: view.y + dy });
+
+// Wheel deltas are in pixels; scrolling up (negative delta) zooms in
+export const getWheelZoomFactor = (deltaY) => Math.exp(-deltaY * VIEWPORT_CONFIG.WHEEL_SENSITIVITY);
+
+/**
+ * Bounding box of the drawn nodes in layout coordinates, including node size
+ */
+export const getNodeBounds = (nodes) => {
+  if (!nodes || nodes.length === 0) return null;
+
+  const radius = (node) => (LAYOUT_CONFIG.NODE_WIDTH / 2) * (node.scale || 1);
+  // Multi-key (B-Tree) nodes are wider than they are tall
+  const halfWidth = (node) => (node.keys
+    ? (getMultiKeyNodeWidth(node.keys.length) / 2) * (node.scale || 1)
+    : radius(node));
+  return {
+    minX: Math.min(...nodes.map((n) => n.x - halfWidth(n))),
+    maxX: Math.max(...nodes.map((n) => n.x + halfWidth(n))),
+    minY: Math.min(...nodes.map((n) => n.y - radius(n))),
+    maxY: Math.max(...nodes.map((n) => n.y + radius(n))),
+  };
+};
+
+/**
+ * View that centres every node inside a viewport of the given size
+ */
+export const fitToView = (nodes, width, height) => {
+  const bounds = getNodeBounds(nodes);
+  if (!bounds || width <= 0 || height <= 0) return DEFAULT_VIEW;
+
+  const padding = VIEWPORT_CONFIG.FIT_PADDING;
+  const treeWidth = Math.max(1, bounds.maxX - bounds.minX);
+  const treeHeight = Math.max(1, bounds.maxY - bounds.minY);
+  const zoom = clampZoom(Math.min(
+    VIEWPORT_CONFIG.FIT_MAX_ZOOM,
+    (width - 2 * padding) / treeWidth,
+    (height - 2 * padding) / treeHeight,
+  ));
+
+  const centerX = (bounds.minX + bounds.maxX) / 2;
+  const centerY = (bounds.minY + bounds.maxY) / 2;
+  return {
+    zoom,
+    x: width / 2 - centerX * zoom,
+    y: height / 2 - centerY * zoom,
+  };
+};
+
+/**
+ * Pans just enough to bring a node back into view; returns the same view
+ * object when the node is already comfortably visible
+ */
+export const followNode = (view, node, width, height) => {
+  if (!node || width <= 0 || height <= 0) return view;
+
+  const margin = Math.min(VIEWPORT_CONFIG.FOLLOW_MARGIN, width / 4, height / 4);
+  const screenX = node.x * view.zoom + view.x;
+  const screenY = node.y * view.zoom + view.y;
+  const visible = screenX >= margin && screenX <= width - margin
+    && screenY >= margin && screenY <= height - margin;
+  if (visible) return view;
+
+  return {
+    ...view,
+    x: width / 2 - node.x * view.zoom,
+    y: height / 2 - node.y * view.zoom,
+  };
+};
@@ -1,9 +1,24 @@
 import React from 'react';
-import { describe, it, expect } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import {
+  describe, it, expect, vi, beforeEach, afterEach,
+} from 'vitest';
+import {
+  render, screen, fireEvent, within, act, cleanup,
+} from '@testing-library/react';
 import App from '../src/App';
+import RedBlackTree from '../src/logic/redBlackTree';
 
 describe('App integration', () => {
+  // The tree is mirrored into the URL hash, which would carry over between tests
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  // Labels are tied to inputs by id, so earlier renders must not linger
+  afterEach(() => {
+    cleanup();
+  });
+
   it('inserts values and performs inorder traversal', () => {
     render(<App />);
     const insertInput = screen.getByPlaceholderText(/Value to insert/i);
@@ -17,4 +32,593 @@ describe('App integration', () => {
     fireEvent.click(screen.getByRole('button', { name: /inorder/i }));
     expect(screen.getByText(/Inorder/i)).toBeInTheDocument();
   });
+
+  it('pauses playback and steps backward and forward', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+
+    fireEvent.change(app.getByPlaceholderText(/Value to insert/i), {
+      target: { value: '5' },
+    });
+    fireEvent.click(app.getByRole('button', { name: /insert/i }));
+    act(() => { vi.advanceTimersByTime(0); });
+
+    fireEvent.click(app.getByRole('button', { name: 'Pause' }));
+    expect(app.getByText('Paused')).toBeInTheDocument();
+    const total = app.getByLabelText('Animation timeline').getAttribute('max');
+    expect(app.getByText(`Step 1 / ${total}`)).toBeInTheDocument();
+
+    fireEvent.click(app.getByRole('button', { name: 'Step backward' }));
+    expect(app.getByText(`Step 0 / ${total}`)).toBeInTheDocument();
+
+    fireEvent.click(app.getByRole('button', { name: 'Step forward' }));
+    expect(app.getByText(`Step 1 / ${total}`)).toBeInTheDocument();
+
+    // Nothing advances on its own while paused
+    act(() => { vi.advanceTimersByTime(5000); });
+    expect(app.getByText(`Step 1 / ${total}`)).toBeInTheDocument();
+
+    fireEvent.click(app.getByRole('button', { name: 'Resume' }));
+    for (let i = 0; i < 10; i += 1) {
+      act(() => { vi.advanceTimersByTime(2000); });
+    }
+    expect(app.queryByText('Paused')).not.toBeInTheDocument();
+    expect(app.getByText('Animation complete')).toBeInTheDocument();
+    vi.useRealTimers();
+  });
+
+  it('scrubs the animation timeline to an earlier step and pauses', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const insertInput = app.getByPlaceholderText(/Value to insert/i);
+    const insertBtn = app.getByRole('button', { name: /insert/i });
+
+    ['5', '3'].forEach((v) => {
+      fireEvent.change(insertInput, { target: { value: v } });
+      fireEvent.click(insertBtn);
+      // Each playback step schedules the next one after a render
+      for (let i = 0; i < 10; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    });
+    expect(app.queryByLabelText('Animation timeline')).not.toBeInTheDocument();
+
+    fireEvent.change(app.getByPlaceholderText(/Value to search/i), {
+      target: { value: '3' },
+    });
+    fireEvent.click(app.getByRole('button', { name: /search/i }));
+    act(() => { vi.advanceTimersByTime(0); });
+
+    const slider = app.getByLabelText('Animation timeline');
+    const total = Number(slider.getAttribute('max'));
+    expect(total).toBeGreaterThan(1);
+
+    fireEvent.change(slider, { target: { value: '0' } });
+    expect(app.getByText('Paused')).toBeInTheDocument();
+    expect(app.getByText(`Step 0 / ${total}`)).toBeInTheDocument();
+
+    fireEvent.change(slider, { target: { value: String(total) } });
+    expect(app.getByText(`Step ${total} / ${total}`)).toBeInTheDocument();
+    vi.useRealTimers();
+  });
+
+  it('opens a saved tree file, switching to its tree type', async () => {
+    const { container } = render(<App />);
+    const app = within(container);
+
+    const saved = new RedBlackTree();
+    [10, 5, 15].forEach((v) => saved.insert(v));
+    const good = new File([JSON.stringify(saved)], 'rb.json', { type: 'application/json' });
+
+    fireEvent.change(app.getByLabelText('Open tree file'), { target: { files: [good] } });
+    expect(await app.findByText('Opened RBTree tree from rb.json')).toBeInTheDocument();
+    expect(app.getAllByRole('combobox')[0]).toHaveValue('RBTree');
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(3);
+
+    const broken = new File(
+      ['{"format":"tree-visualizer","version":1,"type":"BST","root":{"value":5,"left":{"value":9}}}'],
+      'bad.json',
+      { type: 'application/json' },
+    );
+    fireEvent.change(app.getByLabelText('Open tree file'), { target: { files: [broken] } });
+    expect(await app.findByText(/Could not open bad\.json: Invalid tree file: root\.left \(value 9\) breaks BST ordering/))
+      .toBeInTheDocument();
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(3);
+  });
+
+  it('restores a tree from the link and keeps the hash in sync', async () => {
+    vi.useFakeTimers();
+    window.history.replaceState(null, '', '/#type=AVL&tree=5,3,7');
+    const { container } = render(<App />);
+    const app = within(container);
+
+    expect(app.getByText('Loaded AVL tree from link')).toBeInTheDocument();
+    expect(app.getAllByRole('combobox')[0]).toHaveValue('AVL');
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(3);
+
+    fireEvent.change(app.getByPlaceholderText(/Value to delete/i), { target: { value: '7' } });
+    fireEvent.click(app.getByRole('button', { name: /delete/i }));
+    expect(window.location.hash).toBe('#type=AVL&tree=5,3');
+
+    for (let i = 0; i < 10; i += 1) {
+      act(() => { vi.advanceTimersByTime(2000); });
+    }
+    fireEvent.click(app.getByRole('button', { name: /undo/i }));
+    expect(window.location.hash).toBe('#type=AVL&tree=5,3,7');
+    vi.useRealTimers();
+
+    const writeText = vi.fn().mockResolvedValue(undefined);
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    fireEvent.click(app.getByRole('button', { name: /copy link/i }));
+    expect(await app.findByText('Link copied to clipboard')).toBeInTheDocument();
+    expect(writeText).toHaveBeenCalledWith(`${window.location.origin}/#type=AVL&tree=5,3,7`);
+    delete navigator.clipboard;
+  });
+
+  it('bulk inserts instantly as a single undo entry', () => {
+    const { container } = render(<App />);
+    const app = within(container);
+
+    fireEvent.click(app.getByLabelText('Animate each insert'));
+    fireEvent.change(app.getByLabelText('Values to add'), { target: { value: '50, 30 70 1..3 30' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+
+    expect(app.getByText('Bulk insert: inserted 6 values, skipped 1 duplicate (30)')).toBeInTheDocument();
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(6);
+
+    fireEvent.click(app.getByRole('button', { name: /undo/i }));
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(0);
+  });
+
+  it('inserts large batches at once even with animation on', () => {
+    const { container } = render(<App />);
+    const app = within(container);
+
+    fireEvent.change(app.getByLabelText('Values to add'), { target: { value: '1..101' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+    expect(app.queryByText('Animating...')).not.toBeInTheDocument();
+    expect(app.getByText(/inserted 101 values - shown at once/)).toBeInTheDocument();
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(101);
+
+    fireEvent.change(app.getByLabelText('Values to add'), { target: { value: '1..200 201..400' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+    expect(app.getByText('That is 400 values (at most 200 at once)')).toBeInTheDocument();
+
+    // Submitted directly, as the browser would stop a click at the input's max
+    fireEvent.change(app.getByLabelText('Count'), { target: { value: '500' } });
+    fireEvent.submit(app.getByLabelText('Count').closest('form'));
+    expect(app.getByText('Count must be at most 200')).toBeInTheDocument();
+  });
+
+  it('animates a seeded random tree from an empty canvas', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+
+    fireEvent.change(app.getByLabelText('Count'), { target: { value: '5' } });
+    fireEvent.change(app.getByLabelText('Seed'), { target: { value: '11' } });
+    fireEvent.change(app.getByLabelText('Shape bias'), { target: { value: 'right-skewed' } });
+    fireEvent.click(app.getByRole('button', { name: /generate/i }));
+
+    expect(app.getByText('Animating...')).toBeInTheDocument();
+    for (let i = 0; i < 80; i += 1) {
+      act(() => { vi.advanceTimersByTime(2000); });
+    }
+    expect(app.queryByText('Animating...')).not.toBeInTheDocument();
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(5);
+    expect(app.getByText(/Random right-skewed tree \(seed 11\): inserted 5 values/)).toBeInTheDocument();
+    vi.useRealTimers();
+  });
+
+  it('builds a B-Tree and rebuilds it with another minimum degree', () => {
+    const { container } = render(<App />);
+    const app = within(container);
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'BTree' } });
+    fireEvent.click(app.getByLabelText('Animate each insert'));
+    fireEvent.change(app.getByLabelText('Values to add'), { target: { value: '1..10' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+
+    // t = 2: root [4], then [2] [6 8], then five leaves
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(8);
+    expect(container.querySelector('[data-value="6 | 8"]')).not.toBeNull();
+    expect(window.location.hash).toBe('#type=BTree&t=2&tree=4;2|6,8;1|3|5|7|9,10');
+
+    fireEvent.change(app.getByRole('combobox', { name: /minimum degree/i }), { target: { value: '5' } });
+    expect(app.getByText('Rebuilt B-Tree with minimum degree 5')).toBeInTheDocument();
+    // Up to 9 keys per node: one split, three nodes
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(3);
+
+    fireEvent.click(app.getByRole('button', { name: /undo/i }));
+    expect(container.querySelectorAll('[data-node-id]')).toHaveLength(8);
+    expect(app.getByRole('combobox', { name: /minimum degree/i })).toHaveValue('2');
+  });
+
+  it('inserts into a treap with an explicit priority and shows it under the key', () => {
+    vi.useFakeTimers();
+    window.history.replaceState(null, '', '/#type=Treap&seed=42&draws=2&tree=50:60,30:20');
+    const { container } = render(<App />);
+    const app = within(container);
+    expect(app.getByText('Priority seed (now 42)')).toBeInTheDocument();
+
+    fireEvent.change(app.getByPlaceholderText(/Value to insert/i), { target: { value: '40' } });
+    fireEvent.change(app.getByLabelText('Priority (optional)'), { target: { value: '90' } });
+    fireEvent.click(app.getByRole('button', { name: /^insert$/i }));
+    for (let i = 0; i < 40; i += 1) {
+      act(() => { vi.advanceTimersByTime(2000); });
+    }
+
+    // 40 outranks both nodes and is rotated all the way up
+    expect(window.location.hash).toBe('#type=Treap&seed=42&draws=2&tree=40:90,30:20,50:60');
+    expect(app.getByText('p90')).toBeInTheDocument();
+    vi.useRealTimers();
+  });
+
+  it('builds a heap, extracts its top and undoes the extract', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'BinaryHeap' } });
+    fireEvent.click(app.getByLabelText('Animate each insert'));
+    fireEvent.change(app.getByLabelText('Values to add'), { target: { value: '9 4 7 1' } });
+    fireEvent.click(app.getByRole('button', { name: 'Build heap' }));
+
+    expect(app.getByText('Built a min-heap from 4 values')).toBeInTheDocument();
+    expect(window.location.hash).toBe('#type=BinaryHeap&kind=min&tree=1,4,7,9');
+    const cells = () => [...container.querySelectorAll('[data-heap-index]')]
+      .map((cell) => cell.firstChild.textContent);
+    expect(cells()).toEqual(['1', '4', '7', '9']);
+
+    fireEvent.click(app.getByRole('button', { name: 'Extract min' }));
+    for (let i = 0; i < 40; i += 1) {
+      act(() => { vi.advanceTimersByTime(2000); });
+    }
+    expect(cells()).toEqual(['4', '9', '7']);
+
+    fireEvent.change(app.getByRole('combobox', { name: /heap order/i }), { target: { value: 'max' } });
+    expect(app.getByText('Rebuilt as a max-heap')).toBeInTheDocument();
+    expect(cells()).toEqual(['9', '4', '7']);
+
+    fireEvent.click(app.getByRole('button', { name: /undo/i }));
+    expect(cells()).toEqual(['4', '9', '7']);
+    fireEvent.click(app.getByRole('button', { name: /undo/i }));
+    expect(cells()).toEqual(['1', '4', '7', '9']);
+    vi.useRealTimers();
+  });
+
+  it('builds a trie from words and lists the completions of a prefix', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'Trie' } });
+    fireEvent.click(app.getByLabelText('Animate each insert'));
+    fireEvent.change(app.getByLabelText('Words to add'), { target: { value: 'to, Tea ten inn' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+    expect(window.location.hash).toBe('#type=Trie&tree=inn,tea,ten,to');
+
+    fireEvent.change(app.getByPlaceholderText('Word to insert'), { target: { value: 't3n' } });
+    fireEvent.click(app.getByRole('button', { name: /^insert$/i }));
+    expect(app.getByText('Please enter a word (letters a-z only)')).toBeInTheDocument();
+
+    fireEvent.change(app.getByPlaceholderText('Prefix to complete'), { target: { value: 'TE' } });
+    fireEvent.click(app.getByRole('button', { name: 'Complete' }));
+    for (let i = 0; i < 40; i += 1) {
+      act(() => { vi.advanceTimersByTime(2000); });
+    }
+    expect(app.getByText('Words starting with "te":')).toBeInTheDocument();
+    // Completions show up twice (node and status feed), other words once
+    expect(app.getAllByText('tea')).toHaveLength(2);
+    expect(app.getAllByText('ten')).toHaveLength(2);
+    expect(app.getAllByText('to')).toHaveLength(1);
+    vi.useRealTimers();
+  });
+
+  it('grows a general tree under chosen parents and redraws it as left-child/right-sibling', () => {
+    vi.useFakeTimers();
+    window.history.replaceState(null, '', '/#type=NaryTree&tree=1(2,3)');
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getByPlaceholderText('Value to insert'), { target: { value: '5' } });
+    fireEvent.change(app.getByLabelText('Parent value (optional)'), { target: { value: '3' } });
+    fireEvent.click(app.getByRole('button', { name: /^insert$/i }));
+    settle();
+    expect(window.location.hash).toBe('#type=NaryTree&tree=1(2,3(5))');
+    expect(app.getByText('5')).toBeInTheDocument();
+
+    fireEvent.change(app.getByRole('combobox', { name: 'Drawing' }), { target: { value: 'lcrs' } });
+    settle();
+    expect(app.getByRole('combobox', { name: 'Drawing' })).toHaveValue('lcrs');
+
+    fireEvent.click(app.getByRole('button', { name: 'Euler Tour' }));
+    settle();
+    // Every visit lands in the status feed: 1 → 2 → 1 → 3 → 5 → 3 → 1
+    expect(app.getByText('Euler-tour:')).toBeInTheDocument();
+    expect(app.getAllByText('1')).toHaveLength(1 + 3);
+    expect(app.getAllByText('3')).toHaveLength(1 + 2);
+    vi.useRealTimers();
+  });
+
+  it('builds an expression tree, reads its notations and evaluates it', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'ExpressionTree' } });
+    fireEvent.change(app.getByLabelText('Expression'), { target: { value: '(3 + 4) * 5 -' } });
+    fireEvent.click(app.getByRole('button', { name: 'Build' }));
+    expect(app.getByText(/^Could not read the expression: The expression ends too early/))
+      .toBeInTheDocument();
+
+    fireEvent.change(app.getByLabelText('Expression'), { target: { value: '(3 + 4) * 5 - 2 / x' } });
+    fireEvent.click(app.getByRole('button', { name: 'Build' }));
+    settle();
+    expect(window.location.hash).toBe('#type=ExpressionTree&tree=(3%2B4)*5-2%2Fx');
+
+    fireEvent.click(app.getByRole('button', { name: 'Postorder' }));
+    settle();
+    expect(app.getByText('Postfix (postorder):')).toBeInTheDocument();
+
+    fireEvent.change(app.getByLabelText('Variable values'), { target: { value: 'x = 4' } });
+    fireEvent.click(app.getByRole('button', { name: 'Evaluate' }));
+    settle();
+    expect(app.getByText('Value:')).toBeInTheDocument();
+    expect(container.querySelector('[data-value="-"] [data-result]')).toHaveTextContent('= 34.5');
+    vi.useRealTimers();
+  });
+
+  it('builds a Huffman tree and shows its code table', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'HuffmanTree' } });
+    fireEvent.change(app.getByLabelText('Text or frequency table'), { target: { value: 'a:5, b:0' } });
+    fireEvent.click(app.getByRole('button', { name: 'Build' }));
+    expect(app.getByText(/^Could not read the input: The weight of "b" must be a positive whole number/))
+      .toBeInTheDocument();
+
+    fireEvent.change(app.getByLabelText('Text or frequency table'), { target: { value: 'abracadabra' } });
+    fireEvent.click(app.getByRole('button', { name: 'Build' }));
+    // The merges and the code read-out make a long animation
+    settle();
+    settle();
+    expect(window.location.hash).toBe('#type=HuffmanTree&tree=a:5,b:2,r:2,c:1,d:1');
+    expect(app.getByText('Huffman codes:')).toBeInTheDocument();
+    expect(app.getByText('c: 100')).toBeInTheDocument();
+
+    const table = app.getByRole('table', { name: 'Code table' });
+    expect(within(table).getByText('23 bits')).toBeInTheDocument();
+    expect(table.querySelector('[data-symbol="a"]')).toHaveTextContent('a505');
+
+    fireEvent.click(app.getByRole('button', { name: /Undo/ }));
+    expect(app.queryByRole('table', { name: 'Code table' })).toBeNull();
+    vi.useRealTimers();
+  });
+
+  it('builds, updates and queries a segment tree', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'SegmentTree' } });
+    fireEvent.change(app.getByLabelText('Array values'), { target: { value: '5, 3, 8, 6' } });
+    fireEvent.click(app.getByRole('button', { name: 'Build' }));
+    settle();
+    expect(window.location.hash).toBe('#type=SegmentTree&combine=sum&tree=5,3,8,6');
+    const cells = () => [...app.getByLabelText('Array').querySelectorAll('[data-array-index]')]
+      .map((cell) => cell.textContent);
+    expect(cells()).toEqual(['50', '31', '82', '63']);
+
+    fireEvent.change(app.getByLabelText('Index to update'), { target: { value: '1' } });
+    fireEvent.change(app.getByLabelText('New value'), { target: { value: '7' } });
+    fireEvent.click(app.getByRole('button', { name: 'Update' }));
+    settle();
+    expect(cells()).toEqual(['50', '71', '82', '63']);
+    expect(window.location.hash).toBe('#type=SegmentTree&combine=sum&tree=5,7,8,6');
+
+    fireEvent.change(app.getByLabelText('Range start'), { target: { value: '1' } });
+    fireEvent.change(app.getByLabelText('Range end'), { target: { value: '2' } });
+    fireEvent.click(app.getByRole('button', { name: 'Query' }));
+    settle();
+    expect(app.getByText('sum of [1, 2]:')).toBeInTheDocument();
+    expect(app.getByText('[1, 1] → 7')).toBeInTheDocument();
+
+    fireEvent.change(app.getByLabelText('Combine'), { target: { value: 'max' } });
+    expect(window.location.hash).toBe('#type=SegmentTree&combine=max&tree=5,7,8,6');
+
+    fireEvent.click(app.getByRole('button', { name: /Undo/ }));
+    expect(window.location.hash).toBe('#type=SegmentTree&combine=sum&tree=5,7,8,6');
+    vi.useRealTimers();
+  });
+
+  it('builds a Fenwick tree, adds to an entry and sums a prefix', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'FenwickTree' } });
+    fireEvent.change(app.getByLabelText('Array values'), { target: { value: '5, 3, 8, 6' } });
+    fireEvent.click(app.getByRole('button', { name: 'Build' }));
+    settle();
+    expect(window.location.hash).toBe('#type=FenwickTree&tree=5,3,8,6');
+
+    fireEvent.change(app.getByLabelText('Index to add to'), { target: { value: '2' } });
+    fireEvent.change(app.getByLabelText('Amount to add'), { target: { value: '4' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add' }));
+    settle();
+    expect(window.location.hash).toBe('#type=FenwickTree&tree=5,7,8,6');
+    const cells = [...app.getByLabelText('Array').querySelectorAll('[data-array-index]')]
+      .map((cell) => cell.textContent);
+    expect(cells).toEqual(['51', '72', '83', '64']);
+
+    fireEvent.change(app.getByLabelText('Prefix end'), { target: { value: '3' } });
+    fireEvent.click(app.getByRole('button', { name: 'Prefix sum' }));
+    settle();
+    expect(app.getByText('Sum of a[1..3]:')).toBeInTheDocument();
+    expect(app.getByText('tree[2] = 12')).toBeInTheDocument();
+
+    fireEvent.click(app.getByRole('button', { name: /Undo/ }));
+    expect(window.location.hash).toBe('#type=FenwickTree&tree=5,3,8,6');
+    vi.useRealTimers();
+  });
+
+  it('inserts intervals and lists the ones overlapping a query', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'IntervalTree' } });
+    fireEvent.change(app.getByPlaceholderText('Interval to insert'), { target: { value: '20 5' } });
+    fireEvent.click(app.getByRole('button', { name: 'Insert' }));
+    expect(app.getByText('Please enter an interval such as [5, 20] (start ≤ end)')).toBeInTheDocument();
+
+    fireEvent.change(app.getByLabelText('Intervals to add'), {
+      target: { value: '[10, 30] [5, 20] [15, 18] [5, 20]' },
+    });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+    settle();
+    expect(app.getByText(/inserted 3 values, skipped 1 duplicate \(\[5, 20\]\)/)).toBeInTheDocument();
+    expect(window.location.hash).toBe('#type=IntervalTree&tree=10:30,5:20,15:18');
+
+    fireEvent.change(app.getByLabelText('Query interval'), { target: { value: '[19, 25]' } });
+    fireEvent.click(app.getByRole('button', { name: 'Find overlapping' }));
+    settle();
+    expect(app.getByText('Overlapping [19, 25]:')).toBeInTheDocument();
+    // Overlaps show up twice (node and status feed), the rest once
+    expect(app.getAllByText('[5, 20]')).toHaveLength(2);
+    expect(app.getAllByText('[10, 30]')).toHaveLength(2);
+    expect(app.getAllByText('[15, 18]')).toHaveLength(1);
+    vi.useRealTimers();
+  });
+
+  it('badges subtree sizes and finds the k-th smallest and the rank of a value', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getAllByRole('combobox')[0], { target: { value: 'RBTree' } });
+    fireEvent.change(app.getByLabelText('Values to add'), { target: { value: '10 20 30 40 50' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+    // Five animated Red-Black inserts outlast one settle
+    settle();
+    settle();
+    const sizes = [...container.querySelectorAll('[data-size]')]
+      .map((badge) => Number(badge.dataset.size))
+      .sort((a, b) => a - b);
+    expect(sizes).toEqual([1, 1, 1, 3, 5]);
+
+    fireEvent.change(app.getByLabelText('k'), { target: { value: '2' } });
+    fireEvent.click(app.getByRole('button', { name: 'Find k-th smallest' }));
+    settle();
+    expect(app.getByText('2nd smallest:')).toBeInTheDocument();
+    // The answer shows up twice (node and status feed)
+    expect(app.getAllByText('20')).toHaveLength(2);
+
+    fireEvent.change(app.getByLabelText('Value to rank'), { target: { value: '45' } });
+    fireEvent.click(app.getByRole('button', { name: 'Rank of x' }));
+    settle();
+    expect(app.getByText('Rank of 45:')).toBeInTheDocument();
+    expect(app.getByText('45 would be 5th')).toBeInTheDocument();
+    vi.useRealTimers();
+  });
+
+  it('lists a key range and the floor of a value in the status feed', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getByLabelText('Values to add'), { target: { value: '50 30 70 40' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+    settle();
+
+    fireEvent.change(app.getByLabelText('Range low'), { target: { value: '35' } });
+    fireEvent.change(app.getByLabelText('Range high'), { target: { value: '60' } });
+    fireEvent.click(app.getByRole('button', { name: 'Range query' }));
+    settle();
+    expect(app.getByText('Keys in [35, 60]:')).toBeInTheDocument();
+    // Reported keys show up twice (node and status feed), the rest once
+    expect(app.getAllByText('40')).toHaveLength(2);
+    expect(app.getAllByText('50')).toHaveLength(2);
+    expect(app.getAllByText('30')).toHaveLength(1);
+
+    fireEvent.change(app.getByLabelText('Nearest to'), { target: { value: '69' } });
+    fireEvent.click(app.getByRole('button', { name: 'Floor' }));
+    settle();
+    expect(app.getByText('Floor of 69:')).toBeInTheDocument();
+    expect(app.getAllByText('50')).toHaveLength(2);
+    expect(app.getAllByText('40')).toHaveLength(1);
+    vi.useRealTimers();
+  });
+
+  it('walks the path between two values and shows its length', () => {
+    vi.useFakeTimers();
+    const { container } = render(<App />);
+    const app = within(container);
+    const settle = () => {
+      for (let i = 0; i < 40; i += 1) {
+        act(() => { vi.advanceTimersByTime(2000); });
+      }
+    };
+
+    fireEvent.change(app.getByLabelText('Values to add'), { target: { value: '50 30 70 40 80' } });
+    fireEvent.click(app.getByRole('button', { name: 'Add all' }));
+    settle();
+
+    fireEvent.change(app.getByLabelText('First value'), { target: { value: '40' } });
+    fireEvent.change(app.getByLabelText('Second value'), { target: { value: '70' } });
+    fireEvent.click(app.getByRole('button', { name: 'Find LCA' }));
+    settle();
+    expect(app.getByText('Path from 40 to 70:')).toBeInTheDocument();
+    expect(app.getAllByText('= 3 edges')).toHaveLength(2);
+    // Nodes on the path show up twice (node and status feed), the rest once
+    expect(app.getAllByText('30')).toHaveLength(2);
+    expect(app.getAllByText('50')).toHaveLength(2);
+    expect(app.getAllByText('80')).toHaveLength(1);
+    vi.useRealTimers();
+  });
 });
@@ -2,26 +2,67 @@ import React from 'react';
 import {
   describe, it, expect, vi,
 } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import {
+  render, screen, fireEvent, within,
+} from '@testing-library/react';
 import ControlPanel from '../src/components/ControlPanel/ControlPanel';
 
 describe('ControlPanel integration', () => {
   const baseProps = () => ({
     isAnimating: false,
     treeType: 'BST',
+    keyType: 'number',
     onTreeTypeChange: vi.fn(),
+    bTreeDegree: 2,
+    onBTreeDegreeChange: vi.fn(),
+    treapSeed: 42,
+    onTreapSeedChange: vi.fn(),
+    heapKind: 'min',
+    onHeapKindChange: vi.fn(),
+    naryView: 'tree',
+    onNaryViewChange: vi.fn(),
+    segmentCombine: 'sum',
+    onSegmentCombineChange: vi.fn(),
+    onSegmentUpdate: vi.fn(),
+    onSegmentQuery: vi.fn(),
+    onFenwickAdd: vi.fn(),
+    onFenwickPrefixSum: vi.fn(),
+    onFindOverlapping: vi.fn(),
+    onKthSmallest: vi.fn(),
+    onRank: vi.fn(),
+    onRangeQuery: vi.fn(),
+    onNearestKey: vi.fn(),
+    onLowestCommonAncestor: vi.fn(),
     onInsert: vi.fn(),
     onDelete: vi.fn(),
     onSearch: vi.fn(),
+    onPrefixSearch: vi.fn(),
+    onBuildFromText: vi.fn(),
+    onEvaluate: vi.fn(),
+    onExtract: vi.fn(),
+    onBulkInsert: vi.fn(),
+    onBuildHeap: vi.fn(),
+    onGenerateRandom: vi.fn(),
     onTraverse: vi.fn(),
     onUndo: vi.fn(),
     onRedo: vi.fn(),
     onClear: vi.fn(),
     onStopAndReset: vi.fn(),
+    onPause: vi.fn(),
+    onResume: vi.fn(),
+    onStepForward: vi.fn(),
+    onStepBackward: vi.fn(),
     onSpeedChange: vi.fn(),
     onExportGif: vi.fn(),
     onExportImage: vi.fn(),
+    onSaveTree: vi.fn(),
+    onOpenTree: vi.fn(),
+    onCopyLink: vi.fn(),
     isTraversing: false,
+    isPaused: false,
+    isRecordingGif: false,
+    playbackIndex: 0,
+    playbackLength: 0,
     traversalCompleted: false,
     undoDisabled: false,
     redoDisabled: false,
@@ -63,6 +104,14 @@ describe('ControlPanel integration', () => {
     expect(preorders.some((b) => b.disabled)).toBe(true);
   });
 
+  it('requests a level-order traversal', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container } = render(<ControlPanel {...props} />);
+    fireEvent.click(within(container).getByRole('button', { name: /level order/i }));
+    expect(props.onTraverse).toHaveBeenCalledWith('level-order');
+  });
+
   it('speed slider is associated with label', () => {
     const props = baseProps();
     // eslint-disable-next-line react/jsx-props-no-spreading
@@ -70,4 +119,329 @@ describe('ControlPanel integration', () => {
     const sliders = screen.getAllByLabelText(/Animation Speed/i);
     expect(sliders.length).toBeGreaterThan(0);
   });
+
+  it('shows playback controls while animating', () => {
+    const props = baseProps();
+    props.isAnimating = true;
+    props.isPaused = true;
+    props.playbackIndex = 2;
+    props.playbackLength = 5;
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+
+    expect(panel.getByText('Paused')).toBeInTheDocument();
+    expect(panel.getByText('Step 2 / 5')).toBeInTheDocument();
+    fireEvent.click(panel.getByRole('button', { name: 'Step backward' }));
+    fireEvent.click(panel.getByRole('button', { name: 'Step forward' }));
+    fireEvent.click(panel.getByRole('button', { name: 'Resume' }));
+    expect(props.onStepBackward).toHaveBeenCalled();
+    expect(props.onStepForward).toHaveBeenCalled();
+    expect(props.onResume).toHaveBeenCalled();
+  });
+
+  it('passes the chosen export area along with the image format', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+
+    fireEvent.click(panel.getByRole('button', { name: /export image/i }));
+    expect(props.onExportImage).toHaveBeenLastCalledWith('png', 'full');
+
+    fireEvent.change(panel.getByLabelText('Export area'), { target: { value: 'viewport' } });
+    fireEvent.click(panel.getByRole('button', { name: /export image/i }));
+    expect(props.onExportImage).toHaveBeenLastCalledWith('png', 'viewport');
+  });
+
+  it('saves the tree and hands a chosen file to onOpenTree', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+
+    fireEvent.click(panel.getByRole('button', { name: /save json/i }));
+    expect(props.onSaveTree).toHaveBeenCalled();
+
+    const file = new File(['{}'], 'tree.json', { type: 'application/json' });
+    fireEvent.change(panel.getByLabelText('Open tree file'), { target: { files: [file] } });
+    expect(props.onOpenTree).toHaveBeenCalledWith(file);
+  });
+
+  it('offers a minimum degree choice only for B-Trees', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container, rerender } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+    expect(panel.queryByText(/minimum degree/i)).toBeNull();
+
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    rerender(<ControlPanel {...props} treeType="BTree" />);
+    fireEvent.change(panel.getByRole('combobox', { name: /minimum degree/i }), { target: { value: '3' } });
+    expect(props.onBTreeDegreeChange).toHaveBeenCalledWith(3);
+  });
+
+  it('takes an optional priority and a new seed for treaps', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container, rerender } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+    expect(panel.queryByLabelText('Priority (optional)')).toBeNull();
+
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    rerender(<ControlPanel {...props} treeType="Treap" />);
+    fireEvent.change(panel.getByPlaceholderText(/Value to insert/i), { target: { value: '5' } });
+    fireEvent.change(panel.getByLabelText('Priority (optional)'), { target: { value: '70' } });
+    fireEvent.click(panel.getByRole('button', { name: /^insert$/i }));
+    expect(props.onInsert).toHaveBeenCalledWith('5', '70');
+
+    fireEvent.change(panel.getByPlaceholderText(/Value to insert/i), { target: { value: '6' } });
+    fireEvent.click(panel.getByRole('button', { name: /^insert$/i }));
+    expect(props.onInsert).toHaveBeenLastCalledWith('6');
+
+    fireEvent.change(panel.getByLabelText(/Priority seed \(now 42\)/), { target: { value: '7' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Reseed' }));
+    expect(props.onTreapSeedChange).toHaveBeenCalledWith(7);
+  });
+
+  it('offers heap order, extract, build-heap and heapsort for binary heaps', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container, rerender } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+    expect(panel.queryByRole('button', { name: /extract/i })).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Heapsort' })).toBeNull();
+
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    rerender(<ControlPanel {...props} treeType="BinaryHeap" heapKind="max" />);
+    fireEvent.change(panel.getByRole('combobox', { name: /heap order/i }), { target: { value: 'min' } });
+    expect(props.onHeapKindChange).toHaveBeenCalledWith('min');
+
+    fireEvent.click(panel.getByRole('button', { name: 'Extract max' }));
+    expect(props.onExtract).toHaveBeenCalled();
+
+    fireEvent.change(panel.getByLabelText('Values to add'), { target: { value: '4 1 3' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Build heap' }));
+    expect(props.onBuildHeap).toHaveBeenCalledWith('4 1 3', true);
+
+    fireEvent.click(panel.getByRole('button', { name: 'Heapsort' }));
+    expect(props.onTraverse).toHaveBeenCalledWith('heapsort');
+  });
+
+  it('takes words, prefix completion and a word listing for tries', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container, rerender } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+    expect(panel.queryByPlaceholderText('Prefix to complete')).toBeNull();
+
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    rerender(<ControlPanel {...props} treeType="Trie" keyType="string" />);
+    const insertInput = panel.getByPlaceholderText('Word to insert');
+    expect(insertInput).toHaveAttribute('type', 'text');
+    fireEvent.change(insertInput, { target: { value: 'tea' } });
+    fireEvent.click(panel.getByRole('button', { name: /^insert$/i }));
+    expect(props.onInsert).toHaveBeenCalledWith('tea');
+
+    fireEvent.change(panel.getByPlaceholderText('Prefix to complete'), { target: { value: 'te' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Complete' }));
+    expect(props.onPrefixSearch).toHaveBeenCalledWith('te');
+
+    expect(panel.getByLabelText('Words to add')).toBeInTheDocument();
+    // Random trees are numeric, and a trie has no inorder
+    expect(panel.queryByRole('button', { name: /generate/i })).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Inorder' })).toBeNull();
+    fireEvent.click(panel.getByRole('button', { name: 'Words A–Z' }));
+    expect(props.onTraverse).toHaveBeenCalledWith('words');
+  });
+
+  it('takes a parent, a drawing and an Euler tour for general trees', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container, rerender } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+    expect(panel.queryByLabelText('Parent value (optional)')).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Euler Tour' })).toBeNull();
+
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    rerender(<ControlPanel {...props} treeType="NaryTree" />);
+    fireEvent.change(panel.getByPlaceholderText('Value to insert'), { target: { value: '7' } });
+    fireEvent.change(panel.getByLabelText('Parent value (optional)'), { target: { value: '3' } });
+    fireEvent.click(panel.getByRole('button', { name: /^insert$/i }));
+    expect(props.onInsert).toHaveBeenCalledWith('7', '3');
+    expect(panel.getByLabelText('Parent value (optional)')).toHaveValue(null);
+
+    fireEvent.change(panel.getByPlaceholderText('Value to insert'), { target: { value: '8' } });
+    fireEvent.click(panel.getByRole('button', { name: /^insert$/i }));
+    expect(props.onInsert).toHaveBeenLastCalledWith('8');
+
+    fireEvent.change(panel.getByRole('combobox', { name: 'Drawing' }), { target: { value: 'lcrs' } });
+    expect(props.onNaryViewChange).toHaveBeenCalledWith('lcrs');
+
+    expect(panel.queryByRole('button', { name: /generate/i })).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Inorder' })).toBeNull();
+    fireEvent.click(panel.getByRole('button', { name: 'Euler Tour' }));
+    expect(props.onTraverse).toHaveBeenCalledWith('euler-tour');
+  });
+
+  it('builds and evaluates expressions instead of inserting keys', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container, rerender } = render(<ControlPanel {...props} />);
+    const panel = within(container);
+    expect(panel.queryByLabelText('Expression')).toBeNull();
+
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    rerender(<ControlPanel {...props} treeType="ExpressionTree" />);
+    expect(panel.queryByPlaceholderText('Value to insert')).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Add all' })).toBeNull();
+
+    fireEvent.change(panel.getByLabelText('Expression'), { target: { value: '(3 + 4) * x' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Build' }));
+    expect(props.onBuildFromText).toHaveBeenCalledWith('(3 + 4) * x');
+    // Kept so it can be edited and rebuilt
+    expect(panel.getByLabelText('Expression')).toHaveValue('(3 + 4) * x');
+
+    fireEvent.change(panel.getByLabelText('Variable values'), { target: { value: 'x = 2' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Evaluate' }));
+    expect(props.onEvaluate).toHaveBeenCalledWith('x = 2');
+  });
+
+  it('builds a Huffman tree from text or a frequency table', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container, rerender } = render(<ControlPanel {...props} treeType="ExpressionTree" />);
+    const panel = within(container);
+    fireEvent.change(panel.getByLabelText('Expression'), { target: { value: '1 + 2' } });
+
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    rerender(<ControlPanel {...props} treeType="HuffmanTree" />);
+    expect(panel.queryByPlaceholderText('Value to insert')).toBeNull();
+    expect(panel.queryByLabelText('Variable values')).toBeNull();
+    // Each tree type keeps its own text
+    expect(panel.getByLabelText('Text or frequency table')).toHaveValue('');
+
+    fireEvent.change(panel.getByLabelText('Text or frequency table'), { target: { value: 'a:5, b:2' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Build' }));
+    expect(props.onBuildFromText).toHaveBeenCalledWith('a:5, b:2');
+  });
+
+  it('builds, updates and queries a segment tree', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container } = render(<ControlPanel {...props} treeType="SegmentTree" />);
+    const panel = within(container);
+    expect(panel.queryByPlaceholderText('Value to insert')).toBeNull();
+
+    fireEvent.change(panel.getByLabelText('Combine'), { target: { value: 'gcd' } });
+    expect(props.onSegmentCombineChange).toHaveBeenCalledWith('gcd');
+
+    fireEvent.change(panel.getByLabelText('Array values'), { target: { value: '5, 3, 8, 6' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Build' }));
+    expect(props.onBuildFromText).toHaveBeenCalledWith('5, 3, 8, 6');
+
+    const update = panel.getByRole('button', { name: 'Update' });
+    expect(update).toBeDisabled();
+    fireEvent.change(panel.getByLabelText('Index to update'), { target: { value: '2' } });
+    fireEvent.change(panel.getByLabelText('New value'), { target: { value: '10' } });
+    fireEvent.click(update);
+    expect(props.onSegmentUpdate).toHaveBeenCalledWith('2', '10');
+    expect(panel.getByLabelText('Index to update')).toHaveValue(null);
+
+    fireEvent.change(panel.getByLabelText('Range start'), { target: { value: '1' } });
+    fireEvent.change(panel.getByLabelText('Range end'), { target: { value: '3' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Query' }));
+    expect(props.onSegmentQuery).toHaveBeenCalledWith('1', '3');
+    // The range stays for the next query
+    expect(panel.getByLabelText('Range start')).toHaveValue(1);
+  });
+
+  it('adds to an entry and sums a prefix of a Fenwick tree', () => {
+    const props = baseProps();
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    const { container } = render(<ControlPanel {...props} treeType="FenwickTree" />);
+    const panel = within(container);
+    expect(panel.queryByRole('button', { name: 'Inorder' })).toBeNull();
+    expect(panel.queryByLabelText('Combine')).toBeNull();
+
+    fireEvent.change(panel.getByLabelText('Index to add to'), { target: { value: '3' } });
+    fireEvent.change(panel.getByLabelText('Amount to add'), { target: { value: '-2' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Add' }));
+    expect(props.onFenwickAdd).toHaveBeenCalledWith('3', '-2');
+
+    fireEvent.change(panel.getByLabelText('Prefix end'), { target: { value: '5' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Prefix sum' }));
+    expect(props.onFenwickPrefixSum).toHaveBeenCalledWith('5');
+  });
+
+  it('takes intervals as keys and finds overlaps in an interval tree', () => {
+    const props = baseProps();
+    const { container } = render(
+      // eslint-disable-next-line react/jsx-props-no-spreading
+      <ControlPanel {...props} treeType="IntervalTree" keyType="interval" />,
+    );
+    const panel = within(container);
+
+    const insert = panel.getByPlaceholderText('Interval to insert');
+    expect(insert).toHaveAttribute('type', 'text');
+    expect(insert).not.toHaveAttribute('min');
+    fireEvent.change(insert, { target: { value: '[5, 20]' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Insert' }));
+    expect(props.onInsert).toHaveBeenCalledWith('[5, 20]');
+
+    fireEvent.change(panel.getByLabelText('Intervals to add'), { target: { value: '[1, 3] [2, 9]' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Add all' }));
+    expect(props.onBulkInsert).toHaveBeenCalledWith('[1, 3] [2, 9]', true);
+    // Random shapes are made of numbers
+    expect(panel.queryByRole('button', { name: /Generate/ })).toBeNull();
+
+    fireEvent.change(panel.getByLabelText('Query interval'), { target: { value: '[12, 18]' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Find overlapping' }));
+    expect(props.onFindOverlapping).toHaveBeenCalledWith('[12, 18]');
+    expect(panel.getByLabelText('Query interval')).toHaveValue('[12, 18]');
+  });
+
+  it('offers the ordered queries only on BST, AVL and Red-Black trees', () => {
+    const props = baseProps();
+    const { container, rerender } = render(
+      // eslint-disable-next-line react/jsx-props-no-spreading
+      <ControlPanel {...props} treeType="AVL" />,
+    );
+    const panel = within(container);
+
+    fireEvent.change(panel.getByLabelText('k'), { target: { value: '3' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Find k-th smallest' }));
+    expect(props.onKthSmallest).toHaveBeenCalledWith('3');
+    expect(panel.getByLabelText('k')).toHaveValue(3);
+
+    fireEvent.change(panel.getByLabelText('Value to rank'), { target: { value: '42' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Rank of x' }));
+    expect(props.onRank).toHaveBeenCalledWith('42');
+
+    fireEvent.change(panel.getByLabelText('Range low'), { target: { value: '10' } });
+    fireEvent.change(panel.getByLabelText('Range high'), { target: { value: '40' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Range query' }));
+    expect(props.onRangeQuery).toHaveBeenCalledWith('10', '40');
+
+    fireEvent.change(panel.getByLabelText('Nearest to'), { target: { value: '25' } });
+    ['Floor', 'Ceiling', 'Predecessor', 'Successor'].forEach((name) => {
+      fireEvent.click(panel.getByRole('button', { name }));
+    });
+    expect(props.onNearestKey.mock.calls).toEqual([
+      ['floor', '25'], ['ceiling', '25'], ['predecessor', '25'], ['successor', '25'],
+    ]);
+
+    fireEvent.change(panel.getByLabelText('First value'), { target: { value: '20' } });
+    fireEvent.change(panel.getByLabelText('Second value'), { target: { value: '35' } });
+    fireEvent.click(panel.getByRole('button', { name: 'Find LCA' }));
+    expect(props.onLowestCommonAncestor).toHaveBeenCalledWith('20', '35');
+
+    // eslint-disable-next-line react/jsx-props-no-spreading
+    rerender(<ControlPanel {...props} treeType="Treap" />);
+    expect(panel.queryByRole('button', { name: 'Find k-th smallest' })).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Rank of x' })).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Range query' })).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Floor' })).toBeNull();
+    expect(panel.queryByRole('button', { name: 'Find LCA' })).toBeNull();
+  });
 });
@@ -1,7 +1,19 @@
 import React from 'react';
-import { describe, it, expect } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import {
+  describe, it, expect, vi,
+} from 'vitest';
+import {
+  render, screen, fireEvent, within,
+} from '@testing-library/react';
 import BST from '../src/logic/tree';
+import BTree from '../src/logic/bTree';
+import BinaryHeap from '../src/logic/binaryHeap';
+import Trie from '../src/logic/trie';
+import ExpressionTree from '../src/logic/expressionTree';
+import HuffmanTree from '../src/logic/huffmanTree';
+import SegmentTree from '../src/logic/segmentTree';
+import FenwickTree from '../src/logic/fenwickTree';
+import IntervalTree from '../src/logic/intervalTree';
 import VisualizationCanvas from '../src/components/VisualizationCanvas/VisualizationCanvas';
 
 describe('VisualizationCanvas integration', () => {
@@ -28,4 +40,365 @@ describe('VisualizationCanvas integration', () => {
     expect(screen.getByText('3')).toBeInTheDocument();
     expect(screen.getByText('7')).toBeInTheDocument();
   });
+
+  it('shows the BFS queue panel during a level-order traversal', () => {
+    const bst = new BST();
+    [5, 3, 7].forEach((v) => bst.insert(v));
+
+    const ref = { current: document.createElement('div') };
+    render(
+      <VisualizationCanvas
+        treeData={bst.getTreeData()}
+        captureRef={ref}
+        traversalQueue={[{ nodeId: 'node-1', value: 3 }, { nodeId: 'node-2', value: 7 }]}
+        statusMessage=""
+      />,
+    );
+
+    const panel = screen.getByLabelText('BFS queue');
+    expect(panel).toHaveTextContent('Queue (front → back):');
+    expect(panel).toHaveTextContent('37');
+  });
+
+  it('renders a colored timeline tick per animation step and seeks on drag', () => {
+    const bst = new BST();
+    [5, 3].forEach((v) => bst.insert(v));
+    const { animations } = bst.insert(7);
+    const onSeek = vi.fn();
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas
+        treeData={bst.getTreeData()}
+        captureRef={ref}
+        statusMessage=""
+        animationQueue={animations}
+        currentAnimationIndex={2}
+        onSeek={onSeek}
+      />,
+    );
+
+    const ticks = container.querySelectorAll('[data-step-type]');
+    expect(ticks).toHaveLength(animations.length);
+    expect(ticks[0].getAttribute('data-step-type')).toBe(animations[0].type);
+    const slider = within(container).getByLabelText('Animation timeline');
+    expect(slider).toHaveAttribute('aria-valuetext', `Step 2 of ${animations.length}`);
+
+    fireEvent.change(slider, { target: { value: '0' } });
+    expect(onSeek).toHaveBeenCalledWith(0);
+  });
+
+  it('passes node effects and edge highlights down to nodes and edges', () => {
+    const bst = new BST();
+    [5, 3].forEach((v) => bst.insert(v));
+    const rootId = bst.root.id;
+    const childId = bst.root.left.id;
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas
+        treeData={bst.getTreeData()}
+        captureRef={ref}
+        statusMessage=""
+        edgeHighlights={{ [`${rootId}-${childId}`]: 'current' }}
+        nodeEffects={{ [childId]: 'fade-in', [rootId]: 'shake' }}
+      />,
+    );
+
+    expect(container.querySelector(`[data-node-id="${childId}"]`)).toHaveAttribute('data-effect', 'fade-in');
+    expect(container.querySelector(`[data-node-id="${rootId}"]`)).toHaveAttribute('data-effect', 'shake');
+    expect(container.querySelector('[data-edge-type="left"]')).toHaveAttribute('data-highlight', 'current');
+  });
+
+  it('starts a reposition step from the old coordinates', () => {
+    const bst = new BST();
+    [5, 3].forEach((v) => bst.insert(v));
+    const treeData = bst.getTreeData();
+    const child = treeData.nodes[1];
+    const step = {
+      type: 'reposition',
+      duration: 800,
+      nodeUpdates: [{
+        nodeId: child.id, oldX: 100, oldY: 200, newX: child.x, newY: child.y,
+      }],
+      edges: treeData.edges,
+    };
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas
+        treeData={treeData}
+        captureRef={ref}
+        statusMessage=""
+        currentAnimationStep={step}
+      />,
+    );
+
+    const node = container.querySelector(`[data-node-id="${child.id}"]`);
+    expect(node.style.left).toBe('100px');
+    expect(node.style.top).toBe('200px');
+  });
+
+  describe('zoom and pan', () => {
+    const renderCanvas = (props = {}) => {
+      const bst = new BST();
+      [5, 3, 7].forEach((v) => bst.insert(v));
+      const ref = { current: null };
+      const utils = render(
+        <VisualizationCanvas
+          treeData={bst.getTreeData()}
+          captureRef={ref}
+          statusMessage=""
+          // eslint-disable-next-line react/jsx-props-no-spreading
+          {...props}
+        />,
+      );
+      vi.spyOn(ref.current, 'getBoundingClientRect').mockReturnValue({
+        left: 0, top: 0, width: 800, height: 600, right: 800, bottom: 600,
+      });
+      const layer = utils.container.querySelector('[data-viewport-layer]');
+      return { ...utils, bst, layer };
+    };
+
+    it('zooms with the mouse wheel and the toolbar buttons', () => {
+      const { container, layer } = renderCanvas();
+      const toolbar = within(container).getByRole('toolbar', { name: 'Zoom and pan' });
+
+      fireEvent.wheel(layer, { deltaY: -200, clientX: 400, clientY: 300 });
+      expect(layer.style.transform).toMatch(/scale\(1\.3/);
+
+      fireEvent.click(within(toolbar).getByTitle('Reset zoom'));
+      expect(layer.style.transform).toBe('translate(0px, 0px) scale(1)');
+
+      fireEvent.click(within(toolbar).getByLabelText('Zoom in'));
+      expect(within(toolbar).getByTitle('Reset zoom')).toHaveTextContent('120%');
+    });
+
+    it('pans when the canvas is dragged', () => {
+      const { layer } = renderCanvas();
+
+      fireEvent.pointerDown(layer, {
+        pointerId: 1, pointerType: 'mouse', button: 0, clientX: 100, clientY: 100,
+      });
+      fireEvent.pointerMove(layer, { pointerId: 1, clientX: 140, clientY: 90 });
+      fireEvent.pointerUp(layer, { pointerId: 1 });
+
+      expect(layer.style.transform).toBe('translate(40px, -10px) scale(1)');
+    });
+
+    it('fits the whole tree into the canvas', () => {
+      const { container, layer } = renderCanvas();
+
+      fireEvent.click(within(container).getByRole('button', { name: 'Fit to view' }));
+
+      const [, x, y, zoom] = layer.style.transform.match(
+        /translate\((-?[\d.]+)px, (-?[\d.]+)px\) scale\(([\d.]+)\)/,
+      ).map(Number);
+      container.querySelectorAll('[data-node-id]').forEach((node) => {
+        const screenX = parseFloat(node.style.left) * zoom + x;
+        const screenY = parseFloat(node.style.top) * zoom + y;
+        expect(screenX).toBeGreaterThan(0);
+        expect(screenX).toBeLessThan(800);
+        expect(screenY).toBeGreaterThan(0);
+        expect(screenY).toBeLessThan(600);
+      });
+    });
+
+    it('pans to the highlighted node when it is off screen, unless follow is off', () => {
+      const { container, bst, rerender } = renderCanvas();
+      const layer = container.querySelector('[data-viewport-layer]');
+      const { right } = bst.root;
+      const step = { type: 'highlight-node', nodeId: right.id, state: 'path' };
+      const canvas = (props) => (
+        <VisualizationCanvas
+          treeData={bst.getTreeData()}
+          captureRef={{ current: layer.parentElement }}
+          statusMessage=""
+          // eslint-disable-next-line react/jsx-props-no-spreading
+          {...props}
+        />
+      );
+
+      // The right child sits at x > 700, outside the 800px-wide canvas margin
+      rerender(canvas({ currentAnimationStep: step }));
+      expect(layer.style.transform).toBe(`translate(${400 - right.x}px, ${300 - right.y}px) scale(1)`);
+
+      fireEvent.click(within(container).getByTitle('Reset zoom'));
+      fireEvent.click(within(container).getByRole('checkbox'));
+      rerender(canvas({ currentAnimationStep: { ...step } }));
+      expect(layer.style.transform).toBe('translate(0px, 0px) scale(1)');
+    });
+  });
+
+  it('draws one cell per key for B-Tree nodes and marks the active key', () => {
+    const tree = new BTree(2);
+    [10, 20, 30].forEach((v) => tree.insert(v));
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas
+        treeData={tree.getTreeData()}
+        captureRef={ref}
+        currentAnimationStep={{
+          type: 'highlight-node', nodeId: tree.root.id, state: 'path', keyIndex: 1,
+        }}
+        statusMessage=""
+      />,
+    );
+
+    const cells = container.querySelectorAll('[data-key]');
+    expect([...cells].map((cell) => cell.textContent)).toEqual(['10', '20', '30']);
+    expect(cells[1].className).toMatch(/activeKey/);
+    expect(cells[0].className).not.toMatch(/activeKey/);
+  });
+
+  it('shows the heap array and lights up both cells of a swap', () => {
+    const heap = new BinaryHeap('min');
+    [5, 3, 8].forEach((v) => heap.insert(v));
+    const { animations } = heap.insert(1);
+    // The last swap (1 up into the root) matches the heap's final layout
+    const swap = animations.filter((step) => step.swap).pop();
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas
+        treeData={heap.getTreeData()}
+        captureRef={ref}
+        currentAnimationStep={swap}
+        statusMessage=""
+      />,
+    );
+
+    const cells = container.querySelectorAll('[data-heap-index]');
+    expect([...cells].map((cell) => cell.firstChild.textContent)).toEqual(['1', '3', '8', '5']);
+    const swapped = [...cells].filter((cell) => cell.dataset.state === 'swap');
+    expect(swapped.map((cell) => cell.dataset.heapIndex)).toEqual(
+      ['0', '1'],
+    );
+    expect(swap.swap.indices).toEqual([1, 0]);
+  });
+
+  it('shows no heap array for other trees', () => {
+    const bst = new BST();
+    [5, 3].forEach((v) => bst.insert(v));
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas treeData={bst.getTreeData()} captureRef={ref} statusMessage="" />,
+    );
+    expect(container.querySelector('[aria-label="Heap array"]')).toBeNull();
+  });
+
+  it('labels trie edges with their character and rings word ends', () => {
+    const trie = new Trie();
+    ['to', 'tea'].forEach((word) => trie.insert(word));
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas treeData={trie.getTreeData()} captureRef={ref} statusMessage="" />,
+    );
+
+    const labels = [...container.querySelectorAll('[data-edge-type="child"]')]
+      .map((edge) => edge.textContent);
+    expect(labels).toEqual(['t', 'e', 'a', 'o']);
+    const wordEnds = [...container.querySelectorAll('[data-word-end="true"]')]
+      .map((node) => node.dataset.value);
+    expect(wordEnds).toEqual(['tea', 'to']);
+    expect(container.querySelector('[data-value="te"]').dataset.wordEnd).toBe('false');
+  });
+
+  it('shows evaluated results under expression tree nodes', () => {
+    const tree = new ExpressionTree();
+    tree.build('(3 + 4) * 5');
+    tree.evaluate();
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas treeData={tree.getTreeData()} captureRef={ref} statusMessage="" />,
+    );
+    const results = [...container.querySelectorAll('[data-result]')]
+      .map((badge) => badge.textContent);
+    expect(results).toEqual(['= 35', '= 7', '= 3', '= 4', '= 5']);
+  });
+
+  it('labels Huffman edges 0/1 and shows each leaf with its symbol', () => {
+    const tree = new HuffmanTree();
+    tree.build('a:3, b:1, c:1');
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas treeData={tree.getTreeData()} captureRef={ref} statusMessage="" />,
+    );
+    const labels = [...container.querySelectorAll('[data-edge-type]')]
+      .map((edge) => edge.textContent);
+    expect(labels).toEqual(['0', '0', '1', '1']);
+    const leaves = [...container.querySelectorAll('[data-node-id][data-symbol]')]
+      .map((node) => node.textContent);
+    expect(leaves).toEqual(['1b', '1c', '3a']);
+
+    const rows = [...within(container).getByRole('table', { name: 'Code table' }).querySelectorAll('tbody tr')]
+      .map((row) => row.textContent);
+    // Symbol, weight, code, bits - most frequent first
+    expect(rows).toEqual(['a313', 'b1002', 'c1012']);
+  });
+
+  it('shows segment intervals and draws the array under the leaves', () => {
+    const tree = new SegmentTree();
+    tree.build([5, 3, 8]);
+    const treeData = tree.getTreeData();
+    const leaf = treeData.nodes.find((node) => node.arrayIndex === 1);
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas
+        treeData={treeData}
+        captureRef={ref}
+        statusMessage=""
+        nodeHighlights={{ [leaf.id]: 'covered' }}
+      />,
+    );
+    const intervals = [...container.querySelectorAll('[title="Interval"]')]
+      .map((label) => label.textContent);
+    expect(intervals).toEqual(['[0, 2]', '[0, 1]', '[0, 0]', '[1, 1]', '[2, 2]']);
+
+    const cells = [...within(container).getByLabelText('Array').querySelectorAll('[data-array-index]')];
+    // Value, then index
+    expect(cells.map((cell) => cell.textContent)).toEqual(['50', '31', '82']);
+    expect(cells[1]).toHaveAttribute('data-state', 'covered');
+    // Each cell sits under its leaf
+    expect(cells[1].style.left).toBe(`${leaf.x}px`);
+  });
+
+  it('draws a Fenwick tree above its array, each cell showing a[i]', () => {
+    const tree = new FenwickTree();
+    tree.build([5, 3, 8]);
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas treeData={tree.getTreeData()} captureRef={ref} statusMessage="" />,
+    );
+    const nodes = [...container.querySelectorAll('[data-node-id]')].map((node) => node.textContent);
+    // Range totals with their ranges; the root covers nothing
+    expect(nodes).toEqual(['0', '5[1, 1]', '8[1, 2]', '8[3, 3]']);
+    const labels = [...container.querySelectorAll('[data-edge-type]')].map((edge) => edge.textContent);
+    expect(labels).toEqual(['−1', '−2', '−1']);
+
+    const cells = [...within(container).getByLabelText('Array').querySelectorAll('[data-array-index]')];
+    expect(cells.map((cell) => cell.textContent)).toEqual(['51', '32', '83']);
+  });
+
+  it('shows each interval tree node with its interval and subtree max', () => {
+    const tree = new IntervalTree();
+    [[10, 30], [5, 20], [15, 40]].forEach((interval) => tree.insert(interval));
+
+    const ref = { current: document.createElement('div') };
+    const { container } = render(
+      <VisualizationCanvas treeData={tree.getTreeData()} captureRef={ref} statusMessage="" />,
+    );
+    const intervals = [...container.querySelectorAll('[title="Interval"]')]
+      .map((label) => label.textContent);
+    expect(intervals).toEqual(['[10, 30]', '[5, 20]', '[15, 40]']);
+    const maxes = [...container.querySelectorAll('[data-max]')].map((badge) => badge.textContent);
+    expect(maxes).toEqual(['max 40', 'max 20', 'max 40']);
+  });
 });
@@ -4,7 +4,12 @@ import {
   generateSearchAnimation,
   generateTraversalAnimation,
   validateAnimationStep,
+  buildAnimationFrames,
+  createAnimationFrame,
+  createLayoutReposition,
+  createTraversalSteps,
 } from '../src/logic/animations';
+import AVLTree from '../src/logic/avl';
 
 describe('animations integration', () => {
   it('generates search animations with found status', () => {
@@ -21,4 +26,171 @@ describe('animations integration', () => {
     const first = validateAnimationStep(animations[0]);
     expect(first.valid).toBe(true);
   });
+
+  it('builds one playback frame per step without touching the tree', () => {
+    const bst = new BST();
+    [5, 3, 7].forEach((v) => bst.insert(v));
+    const treeData = bst.getTreeData();
+    const { animations } = bst.levelOrderTraversal();
+
+    const frames = buildAnimationFrames(createAnimationFrame({ treeData }), animations);
+    expect(frames.length).toBe(animations.length + 1);
+    expect(frames[0].statusFeed).toEqual([]);
+    expect(frames[frames.length - 1].statusFeed).toEqual(['5', '3', '7']);
+
+    // Going back is just reading an earlier frame
+    const firstVisit = frames.findIndex((f) => f.currentValue === 5);
+    expect(frames[firstVisit - 1].currentValue).toBeNull();
+    expect(frames[firstVisit].traversalQueue.map((q) => q.value)).toEqual([]);
+  });
+
+  it('applies recolor steps to the frame only', () => {
+    const bst = new BST();
+    bst.insert(5);
+    const treeData = bst.getTreeData();
+    const [frame0, frame1] = buildAnimationFrames(createAnimationFrame({ treeData }), [
+      { type: 'recolor-node', nodeId: bst.root.id, color: 'black' },
+    ]);
+    expect(frame0.treeData.nodes[0].color).toBe('red');
+    expect(frame1.treeData.nodes[0].color).toBe('black');
+    expect(bst.root.color).toBe('red');
+  });
+
+  it('hides nodes until their fade-in and keeps pulses to a single step', () => {
+    const bst = new BST();
+    bst.insert(5);
+    const { animations } = bst.insert(3);
+    const frames = buildAnimationFrames(
+      createAnimationFrame({ treeData: bst.getTreeData() }),
+      [
+        ...animations,
+        { type: 'pulse', nodeId: bst.root.id },
+        { type: 'update-status', message: 'done' },
+      ],
+    );
+    const newId = bst.root.left.id;
+    const fadeIndex = animations.findIndex((a) => a.type === 'fade-in') + 1;
+
+    expect(frames[0].nodeEffects[newId]).toBe('hidden');
+    expect(frames[fadeIndex].nodeEffects[newId]).toBe('fade-in');
+    expect(frames[frames.length - 2].nodeEffects[bst.root.id]).toBe('pulse');
+    expect(frames[frames.length - 1].nodeEffects[bst.root.id]).toBeUndefined();
+    expect(frames[frames.length - 1].nodeEffects[newId]).toBe('fade-in');
+  });
+
+  it('tracks edge highlights per edge id', () => {
+    const bst = new BST();
+    [5, 3].forEach((v) => bst.insert(v));
+    const edgeId = `${bst.root.id}-${bst.root.left.id}`;
+    const [, lit, cleared] = buildAnimationFrames(
+      createAnimationFrame({ treeData: bst.getTreeData() }),
+      [
+        { type: 'highlight-edge', edgeId, state: 'current' },
+        { type: 'highlight-edge', edgeId, state: 'default' },
+      ],
+    );
+    expect(lit.edgeHighlights).toEqual({ [edgeId]: 'current' });
+    expect(cleared.edgeHighlights).toEqual({});
+  });
+
+  it('keeps path-highlighted nodes tinted for the rest of the operation', () => {
+    const bst = new BST();
+    [5, 3, 4].forEach((v) => bst.insert(v));
+    const { animations } = bst.search(4);
+    const frames = buildAnimationFrames(
+      createAnimationFrame({ treeData: bst.getTreeData() }),
+      animations,
+    );
+    const last = frames[frames.length - 1];
+
+    expect(last.nodeHighlights).toEqual({
+      [bst.root.id]: 'path',
+      [bst.root.left.id]: 'path',
+      [bst.root.left.right.id]: 'path',
+    });
+    expect(Object.values(last.edgeHighlights)).toEqual(['path', 'path']);
+  });
+
+  it('describes a re-layout with old and new coordinates plus the new edges', () => {
+    const avl = new AVLTree();
+    [10, 20].forEach((v) => avl.insert(v));
+    const before = createAnimationFrame({ treeData: avl.getTreeData() });
+    const { animations } = avl.insert(30);
+
+    // The left rotation at 10 moves 20 up to the root
+    const rotation = animations.filter((a) => a.type === 'reposition').pop();
+    const twenty = rotation.nodeUpdates.find((u) => u.value === 20);
+    expect(twenty.oldY).toBeGreaterThan(twenty.newY);
+    expect(rotation.edges).toEqual(avl.getTreeData().edges);
+
+    const frames = buildAnimationFrames(before, animations);
+    const last = frames[frames.length - 1].treeData;
+    expect(last.nodes.map((n) => n.value).sort()).toEqual([10, 20, 30]);
+    expect(last.edges).toEqual(avl.getTreeData().edges);
+  });
+
+  it('lets never-laid-out nodes appear in place', () => {
+    const bst = new BST();
+    bst.insert(5);
+    bst.getTreeData();
+    const step = bst.insert(3).animations.find((a) => a.type === 'reposition');
+    const added = step.nodeUpdates.find((u) => u.value === 3);
+    expect(added.oldX).toBe(added.newX);
+  });
+
+  it('only lists the nodes a re-layout moved or changed', () => {
+    const bst = new BST();
+    [50, 30, 70, 20, 40, 60, 80].forEach((v) => bst.insert(v));
+    const before = createAnimationFrame({ treeData: bst.getTreeData() });
+    const { animations } = bst.insert(65);
+    const step = animations.find((a) => a.type === 'reposition');
+
+    // 65 is new and 50, 70 and 60 count one more node below them; nothing moves
+    expect(step.nodeUpdates.map((u) => u.value)).toEqual([50, 70, 60, 65]);
+    expect(step.nodeIds).toHaveLength(8);
+
+    const last = buildAnimationFrames(before, animations).pop().treeData;
+    const thirty = before.treeData.nodes.find((node) => node.value === 30);
+    expect(last.nodes.find((node) => node.value === 30)).toBe(thirty);
+    expect(last.nodes.find((node) => node.value === 50).size).toBe(8);
+    expect(createLayoutReposition(bst).nodeUpdates).toEqual([]);
+  });
+
+  it('carries every field a node shows through a re-layout', () => {
+    const avl = new AVLTree();
+    [10, 20].forEach((v) => avl.insert(v));
+    // Stands in for whatever the next tree type puts on its nodes
+    const tree = {
+      root: avl.root,
+      getTreeData: () => {
+        const data = avl.getTreeData();
+        return { ...data, nodes: data.nodes.map((node) => ({ ...node, badge: `#${node.value}` })) };
+      },
+    };
+    const step = createLayoutReposition(tree);
+    expect(step.nodeUpdates.map((u) => u.badge)).toEqual(['#10', '#20']);
+
+    const before = createAnimationFrame({ treeData: avl.getTreeData() });
+    const [, after] = buildAnimationFrames(before, [step]);
+    expect(after.treeData.nodes).toEqual(tree.getTreeData().nodes);
+  });
+
+  it('walks any tree shape through a children accessor', () => {
+    // 1 has children 2 and 3; 2 has only a right child, 4
+    const node = (id, children = []) => ({ id, value: id, children });
+    const root = node(1, [node(2, [null, node(4)]), node(3)]);
+    const walk = (order) => createTraversalSteps(root, order, (n) => n.children).result;
+
+    expect(walk('preorder')).toEqual([1, 2, 4, 3]);
+    expect(walk('inorder')).toEqual([2, 4, 1, 3]);
+    expect(walk('postorder')).toEqual([4, 2, 3, 1]);
+    expect(walk('level-order')).toEqual([1, 2, 3, 4]);
+
+    const label = (n) => `#${n.id}`;
+    const { animations } = createTraversalSteps(root, 'level-order', (n) => n.children, label);
+    expect(animations.filter((s) => s.type === 'enqueue').map((s) => s.value))
+      .toEqual(['#1', '#2', '#3', '#4']);
+    expect(createTraversalSteps(null, 'preorder', (n) => n.children))
+      .toEqual({ result: [], animations: [] });
+  });
 });
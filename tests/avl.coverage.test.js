@@ -18,6 +18,24 @@ describe('AVL Tree - Coverage Tests', () => {
   });
 
   describe('Insert Operations', () => {
+    it('should tint the descent path down to the new node', () => {
+      [10, 5, 15].forEach((v) => tree.insert(v));
+      const { animations } = tree.insert(12);
+      const edges = animations
+        .filter((a) => a.type === 'highlight-edge' && a.state === 'path')
+        .map((a) => a.edgeId);
+      const { right } = tree.root;
+      expect(edges).toEqual([`${tree.root.id}-${right.id}`, `${right.id}-${right.left.id}`]);
+    });
+
+    it('should fade in new nodes and shake on duplicates', () => {
+      const result = tree.insert(10);
+      expect(result.animations).toContainEqual(expect.objectContaining({ type: 'fade-in', nodeId: tree.root.id }));
+
+      const duplicate = tree.insert(10);
+      expect(duplicate.animations).toContainEqual(expect.objectContaining({ type: 'shake', nodeId: tree.root.id }));
+    });
+
     it('should insert into empty tree', () => {
       const result = tree.insert(10);
       expect(result.tree.root).toBeTruthy();
@@ -84,6 +102,16 @@ describe('AVL Tree - Coverage Tests', () => {
   });
 
   describe('Delete Operations', () => {
+    it('should fade out the removed node and shake on a missing value', () => {
+      [10, 5, 15].forEach((v) => tree.insert(v));
+      const leafId = tree.root.left.id;
+      const result = tree.delete(5);
+      expect(result.animations).toContainEqual(expect.objectContaining({ type: 'fade-out', nodeId: leafId }));
+
+      const missing = tree.delete(99);
+      expect(missing.animations.some((a) => a.type === 'shake')).toBe(true);
+    });
+
     it('should delete from tree', () => {
       tree.insert(10);
       tree.insert(5);
@@ -109,6 +137,17 @@ describe('AVL Tree - Coverage Tests', () => {
   });
 
   describe('Search Operations', () => {
+    it('should pulse visited nodes and shake where a missing value runs out', () => {
+      [10, 5, 15].forEach((v) => tree.insert(v));
+      const found = tree.search(5);
+      expect(found.animations.filter((a) => a.type === 'pulse')).toHaveLength(2);
+      expect(found.animations.some((a) => a.type === 'highlight-edge')).toBe(true);
+
+      const missing = tree.search(20);
+      const shake = missing.animations.find((a) => a.type === 'shake');
+      expect(shake.nodeId).toBe(tree.root.right.id);
+    });
+
     it('should search in tree', () => {
       tree.insert(10);
       tree.insert(5);
@@ -160,6 +199,17 @@ describe('AVL Tree - Coverage Tests', () => {
       const inorder = tree.inorderTraversal();
       expect(inorder.result).toEqual([]);
     });
+
+    it('should perform level-order traversal with queue steps', () => {
+      [30, 20, 10, 25, 40].forEach((v) => tree.insert(v));
+
+      const result = tree.levelOrderTraversal();
+      expect(result.result).toEqual([20, 10, 30, 25, 40]);
+      const enqueues = result.animations.filter((a) => a.type === 'enqueue');
+      const dequeues = result.animations.filter((a) => a.type === 'dequeue');
+      expect(enqueues.length).toBe(5);
+      expect(dequeues.length).toBe(5);
+    });
   });
 
   describe('Tree Properties', () => {
@@ -0,0 +1,206 @@
+import { describe, it, expect } from 'vitest';
+import BTree from '../src/logic/bTree';
+import { buildAnimationFrames, createAnimationFrame } from '../src/logic/animations';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+
+// Keys per level, e.g. [[[4]], [[2], [6, 8]], ...]
+const levels = (tree) => {
+  const result = [];
+  let level = tree.root ? [tree.root] : [];
+  while (level.length > 0) {
+    result.push(level.map((node) => node.keys));
+    level = level.flatMap((node) => node.children);
+  }
+  return result;
+};
+
+// Throws if any B-Tree property is broken; returns the leaf depth
+const checkInvariants = (tree) => {
+  const t = tree.minDegree;
+  const visit = (node, low, high, isRoot) => {
+    expect(node.keys.length).toBeGreaterThanOrEqual(isRoot ? 1 : t - 1);
+    expect(node.keys.length).toBeLessThanOrEqual(2 * t - 1);
+    node.keys.forEach((key, i) => {
+      if (i > 0) expect(key).toBeGreaterThan(node.keys[i - 1]);
+      expect(key).toBeGreaterThan(low);
+      expect(key).toBeLessThan(high);
+    });
+    if (node.isLeaf()) return 0;
+    expect(node.children).toHaveLength(node.keys.length + 1);
+    const depths = node.children.map((child, i) => visit(
+      child,
+      i === 0 ? low : node.keys[i - 1],
+      i === node.keys.length ? high : node.keys[i],
+      false,
+    ));
+    expect(new Set(depths).size).toBe(1);
+    return depths[0] + 1;
+  };
+  return tree.root ? visit(tree.root, -Infinity, Infinity, true) : -1;
+};
+
+const build = (values, minDegree = 2) => {
+  const tree = new BTree(minDegree);
+  values.forEach((v) => tree.insert(v));
+  return tree;
+};
+
+describe('BTree', () => {
+  it('splits full nodes on the way down (t = 2)', () => {
+    const tree = build([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(levels(tree)).toEqual([
+      [[4]],
+      [[2], [6, 8]],
+      [[1], [3], [5], [7], [9, 10]],
+    ]);
+    checkInvariants(tree);
+  });
+
+  it('rejects an invalid minimum degree', () => {
+    expect(() => new BTree(1)).toThrow(/minimum degree/);
+  });
+
+  it('announces splits and fades in the new sibling', () => {
+    const tree = build([1, 2, 3]);
+    const { animations } = tree.insert(4);
+    const messages = animations.filter((s) => s.type === 'update-status').map((s) => s.message);
+    expect(messages[0]).toMatch(/Root \[1, 2, 3\] is full/);
+    expect(messages).toContain('Split: median 2 moves up, [1] and [3] become siblings');
+    expect(animations.find((s) => s.type === 'highlight-node' && s.state === 'pivot').keyIndex).toBe(1);
+    const fadeIns = animations.filter((s) => s.type === 'fade-in').map((s) => s.nodeId);
+    expect(fadeIns).toEqual(expect.arrayContaining([tree.root.id, tree.root.children[1].id]));
+  });
+
+  it('shakes on a duplicate without changing the tree', () => {
+    const tree = build([1, 2, 3]);
+    const { animations } = tree.insert(2);
+    expect(animations.some((s) => s.type === 'shake')).toBe(true);
+    expect(levels(tree)).toEqual([[[1, 2, 3]]]);
+  });
+
+  it('searches key by key and reports the matching key index', () => {
+    const tree = build([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    const hit = tree.search(10);
+    expect(hit.found).toBe(true);
+    const found = hit.animations.find((s) => s.state === 'found');
+    expect(found).toMatchObject({ nodeId: tree.root.children[1].children[2].id, keyIndex: 1 });
+
+    expect(tree.search(11).found).toBe(false);
+  });
+
+  it('borrows from a sibling when the child to enter has t-1 keys', () => {
+    const tree = build([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    const { animations } = tree.delete(7);
+    expect(animations.some((s) => /Borrow: 8 moves down/.test(s.message))).toBe(true);
+    expect(levels(tree)).toEqual([
+      [[4]],
+      [[2], [6, 9]],
+      [[1], [3], [5], [8], [10]],
+    ]);
+    checkInvariants(tree);
+  });
+
+  it('merges siblings and shrinks the root when it empties', () => {
+    const tree = build([1, 2, 3, 4]);
+    tree.delete(4);
+    const { animations } = tree.delete(3);
+    expect(animations.some((s) => /Merge: \[1\] \+ 2 \+ \[3\]/.test(s.message))).toBe(true);
+    expect(animations.some((s) => s.message === 'Root is empty - the tree shrinks by one level')).toBe(true);
+    expect(levels(tree)).toEqual([[[1, 2]]]);
+
+    tree.delete(1);
+    tree.delete(2);
+    expect(tree.root).toBeNull();
+  });
+
+  it('replaces an internal key with its predecessor or successor', () => {
+    const tree = build([10, 20, 30, 40, 50, 60, 70], 3);
+    const { animations } = tree.delete(30);
+    expect(animations.some((s) => /Replace 30 with its (predecessor|successor)/.test(s.message))).toBe(true);
+    expect(tree.keys()).toEqual([10, 20, 40, 50, 60, 70]);
+    checkInvariants(tree);
+  });
+
+  it('keeps every B-Tree property through random inserts and deletes', () => {
+    [2, 3, 4].forEach((t) => {
+      const tree = new BTree(t);
+      const present = new Set();
+      let seed = t;
+      const next = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed;
+      };
+      for (let i = 0; i < 300; i += 1) {
+        const value = next() % 60;
+        if (next() % 3 === 0) {
+          tree.delete(value);
+          present.delete(value);
+        } else {
+          tree.insert(value);
+          present.add(value);
+        }
+        checkInvariants(tree);
+      }
+      expect(tree.keys()).toEqual([...present].sort((a, b) => a - b));
+    });
+  });
+
+  it('visits keys in order and nodes in pre/post/level order', () => {
+    const tree = build([1, 2, 3, 4, 5, 6]);
+    expect(tree.inorderTraversal().result).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(tree.preorderTraversal().result).toEqual(['[2, 4]', '[1]', '[3]', '[5, 6]']);
+    expect(tree.postorderTraversal().result).toEqual(['[1]', '[3]', '[5, 6]', '[2, 4]']);
+
+    const level = tree.levelOrderTraversal();
+    expect(level.result).toEqual(['[2, 4]', '[1]', '[3]', '[5, 6]']);
+    expect(level.animations.filter((s) => s.type === 'enqueue')).toHaveLength(4);
+  });
+
+  it('exposes keys and child indices for the canvas', () => {
+    const tree = build([1, 2, 3, 4, 5, 6]);
+    const { nodes, edges } = tree.getTreeData();
+    const root = nodes.find((n) => n.id === tree.root.id);
+    expect(root).toMatchObject({ keys: [2, 4], value: '2 | 4' });
+    expect(edges.map((e) => e.childIndex)).toEqual([0, 1, 2]);
+    expect(edges.every((e) => e.type === 'child')).toBe(true);
+
+    // Children never overlap even though nodes differ in width
+    const leaves = nodes.filter((n) => n.id !== tree.root.id).sort((a, b) => a.x - b.x);
+    leaves.slice(1).forEach((leaf, i) => expect(leaf.x).toBeGreaterThan(leaves[i].x));
+  });
+
+  it('carries changed keys through reposition frames', () => {
+    const tree = build([1, 2]);
+    const start = tree.getTreeData();
+    const { animations } = tree.insert(3);
+    const frames = buildAnimationFrames(createAnimationFrame({ treeData: start }), animations);
+    const last = frames[frames.length - 1].treeData.nodes[0];
+    expect(last.keys).toEqual([1, 2, 3]);
+  });
+
+  it('round-trips through JSON and shareable links', () => {
+    const tree = build([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    const copy = BTree.fromJSON(JSON.stringify(tree.toJSON()));
+    expect(levels(copy)).toEqual(levels(tree));
+    expect(copy.minDegree).toBe(2);
+
+    const hash = encodeTreeHash('BTree', tree);
+    expect(hash).toBe('#type=BTree&t=2&tree=4;2|6,8;1|3|5|7|9,10');
+    const shared = BTree.fromJSON(decodeTreeHash(hash).file);
+    expect(levels(shared)).toEqual(levels(tree));
+  });
+
+  it('refuses files that break B-Tree rules', () => {
+    const file = build([1, 2, 3, 4]).toJSON();
+    file.root.children[1].keys = [3, 4, 5, 6];
+    expect(() => BTree.fromJSON(file)).toThrow('root.children[1] has 4 keys (expected 1..3 for minimum degree 2)');
+
+    const unbalanced = build([1, 2, 3, 4]).toJSON();
+    unbalanced.root.children[0].children = [
+      { keys: [0], children: [] },
+      { keys: [1.5], children: [] },
+    ];
+    unbalanced.root.children[0].keys = [1];
+    expect(() => BTree.fromJSON(unbalanced)).toThrow(/leaves at different depths/);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import BinaryHeap from '../src/logic/binaryHeap';
+import BST from '../src/logic/tree';
+import Treap from '../src/logic/treap';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+import { messages, lastFrame } from './helpers';
+
+// Array order of the heap a frame draws, read from the canvas slots
+const drawnArray = (frame) => [...frame.treeData.nodes]
+  .sort((a, b) => a.heapIndex - b.heapIndex)
+  .map((node) => node.value);
+
+// Swapped slots of each swap step, in order
+const swapIndices = (animations) => animations
+  .filter((step) => step.swap)
+  .map((step) => step.swap.indices);
+
+// Heap order against the parent slot, and links that match the array
+const checkHeap = (heap) => {
+  heap.items.forEach((node, index) => {
+    expect(node.heapIndex).toBe(index);
+    expect(node.left).toBe(heap.items[2 * index + 1] || null);
+    expect(node.right).toBe(heap.items[2 * index + 2] || null);
+    if (index > 0) {
+      const parent = heap.items[Math.floor((index - 1) / 2)];
+      expect(node.parent).toBe(parent);
+      if (heap.kind === 'min') expect(parent.value).toBeLessThanOrEqual(node.value);
+      else expect(parent.value).toBeGreaterThanOrEqual(node.value);
+    }
+  });
+  expect(heap.root).toBe(heap.items[0] || null);
+};
+
+describe('BinaryHeap', () => {
+  it('sifts a new value up, one swap step per exchange', () => {
+    const heap = new BinaryHeap('min');
+    [5, 3, 8].forEach((v) => heap.insert(v));
+    expect(heap.values()).toEqual([3, 5, 8]);
+
+    const { animations } = heap.insert(1);
+    expect(heap.values()).toEqual([1, 3, 8, 5]);
+    checkHeap(heap);
+
+    expect(swapIndices(animations)).toEqual([[3, 1], [1, 0]]);
+    // A swap is a full layout step, so the canvas slides both nodes
+    const swap = animations.find((step) => step.swap);
+    expect(swap.type).toBe('reposition');
+    expect(swap.edges).toBeDefined();
+    expect(messages(animations)).toContain('Sift up: 1 (index 3) < parent 5 (index 1) - swap');
+  });
+
+  it('keeps duplicates and orders a max-heap the other way', () => {
+    const heap = new BinaryHeap('max');
+    [4, 9, 4, 1, 9].forEach((v) => heap.insert(v));
+    expect(heap.items).toHaveLength(5);
+    expect(heap.root.value).toBe(9);
+    checkHeap(heap);
+  });
+
+  it('extracts the top and sifts the last element down', () => {
+    const heap = new BinaryHeap('min');
+    [1, 3, 2, 7, 4].forEach((v) => heap.insert(v));
+
+    const { value, animations } = heap.extract();
+    expect(value).toBe(1);
+    expect(heap.values()).toEqual([2, 3, 4, 7]);
+    checkHeap(heap);
+    expect(messages(animations)[0]).toBe('Extracting the minimum: 1');
+    // Top with the last slot, then the last element sinks to the smaller child
+    expect(swapIndices(animations)).toEqual([[0, 4], [0, 2]]);
+    expect(animations.some((step) => step.type === 'fade-out')).toBe(true);
+
+    expect(new BinaryHeap().extract().value).toBeNull();
+  });
+
+  it('builds a heap bottom-up in place', () => {
+    const heap = new BinaryHeap('max');
+    const empty = new BinaryHeap('max');
+    const { animations } = heap.buildHeap([1, 2, 3, 4, 5, 6, 7]);
+    expect(heap.values()).toEqual([7, 5, 6, 4, 2, 1, 3]);
+    checkHeap(heap);
+    // Internal nodes only, last one first; the root's 1 sinks two levels
+    expect(swapIndices(animations)).toEqual([[2, 6], [1, 4], [0, 2], [2, 5]]);
+    expect(drawnArray(lastFrame(empty, animations))).toEqual(heap.values());
+  });
+
+  it('heapsorts a copy and leaves the heap alone', () => {
+    const heap = new BinaryHeap('min');
+    heap.buildHeap([9, 4, 7, 1, 8, 2]);
+    const before = heap.values();
+
+    const { result, animations } = heap.heapSort();
+    expect(result).toEqual([1, 2, 4, 7, 8, 9]);
+    expect(heap.values()).toEqual(before);
+    expect(animations.filter((step) => step.type === 'show-value').map((step) => step.value))
+      .toEqual(result);
+  });
+
+  it('deletes any value and restores order in either direction', () => {
+    const heap = new BinaryHeap('min');
+    heap.buildHeap([1, 10, 2, 11, 12, 3, 4]);
+    // The last element (4) moves into 11's slot and must go up, not down
+    heap.delete(11);
+    expect(heap.values()).toEqual([1, 4, 2, 10, 12, 3]);
+    checkHeap(heap);
+
+    const { animations } = heap.delete(99);
+    expect(messages(animations)).toContain('Value 99 not found');
+    expect(heap.items).toHaveLength(6);
+  });
+
+  it('prunes subtrees that cannot contain the value while searching', () => {
+    const heap = new BinaryHeap('min');
+    heap.buildHeap([1, 5, 2, 6, 7, 3, 4]);
+
+    const { found, animations } = heap.search(4);
+    expect(found).toBe(true);
+    expect(messages(animations)).toContain(
+      '4 < 5, so the subtree at index 1 cannot contain it - skip',
+    );
+    const visited = animations.filter((step) => step.state === 'path').map((step) => step.nodeId);
+    expect(visited).toHaveLength(5);
+    expect(heap.search(0).found).toBe(false);
+  });
+
+  it('gives canvas nodes their array index and keeps the array in files and links', () => {
+    const heap = new BinaryHeap('max');
+    heap.buildHeap([3, 9, 5]);
+    expect(heap.getTreeData().nodes.map((node) => [node.value, node.heapIndex]))
+      .toEqual([[9, 0], [3, 1], [5, 2]]);
+    expect(heap.getTreeData().nodes.every((node) => node.size === undefined)).toBe(true);
+
+    // Only the heap and the treap put their own fields on canvas nodes
+    const bst = new BST();
+    bst.insert(1);
+    const treap = new Treap(1);
+    treap.insert(1, 50);
+    expect(bst.getTreeData().nodes[0]).not.toHaveProperty('heapIndex');
+    expect(bst.getTreeData().nodes[0]).not.toHaveProperty('priority');
+    expect(treap.getTreeData().nodes[0]).toMatchObject({ priority: 50, size: 1 });
+    expect(treap.getTreeData().nodes[0]).not.toHaveProperty('heapIndex');
+
+    const copy = BinaryHeap.fromJSON(JSON.stringify(heap));
+    expect(copy.kind).toBe('max');
+    expect(copy.values()).toEqual([9, 3, 5]);
+    expect(copy.items.map((node) => node.id)).toEqual(heap.items.map((node) => node.id));
+
+    const hash = encodeTreeHash('BinaryHeap', heap);
+    expect(hash).toBe('#type=BinaryHeap&kind=max&tree=9,3,5');
+    expect(BinaryHeap.fromJSON(decodeTreeHash(hash).file).values()).toEqual([9, 3, 5]);
+  });
+
+  it('refuses files that break heap order', () => {
+    const file = {
+      format: 'tree-visualizer',
+      version: 1,
+      type: 'BinaryHeap',
+      kind: 'min',
+      items: [{ value: 2 }, { value: 5 }, { value: 1 }],
+    };
+    expect(() => BinaryHeap.fromJSON(file)).toThrow(
+      'Invalid tree file: items[2] (value 1) breaks min-heap order: smaller than its parent (2)',
+    );
+    expect(() => BinaryHeap.fromJSON({ ...file, kind: 'middle' })).toThrow('"kind" must be "min" or "max"');
+  });
+
+  it('clones without sharing nodes, so undo keeps the old array', () => {
+    const heap = new BinaryHeap('min');
+    [5, 3].forEach((v) => heap.insert(v));
+    const clone = heap.safeClone();
+    heap.insert(1);
+    expect(clone.values()).toEqual([3, 5]);
+    checkHeap(clone);
+    clone.insert(4);
+    expect(clone.items.map((node) => node.id)).toEqual(['node-1', 'node-0', 'node-2']);
+  });
+});
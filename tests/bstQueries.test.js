@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import BST from '../src/logic/tree';
+import AVLTree from '../src/logic/avl';
+import RedBlackTree from '../src/logic/redBlackTree';
+import { nearestKey } from '../src/logic/bstQueries';
+import { createSeededRandom } from '../src/logic/bulkInsert';
+import { messages, insertAll, lastFrame } from './helpers';
+
+const SAMPLE = [50, 30, 70, 20, 40, 60, 80, 35];
+
+const buildTree = (TreeClass = BST, values = SAMPLE) => insertAll(TreeClass, values);
+
+// Values of the nodes a query steps onto, in order
+const descent = (tree, animations) => {
+  const values = Object.fromEntries(tree.getTreeData().nodes
+    .map((node) => [node.id, node.value]));
+  return animations
+    .filter((step) => step.type === 'highlight-node' && step.state === 'path')
+    .map((step) => values[step.nodeId]);
+};
+
+const statesByValue = (tree, frame) => Object.fromEntries(tree.getTreeData().nodes
+  .map((node) => [node.value, frame.nodeHighlights[node.id]]));
+
+describe('rangeQuery', () => {
+  it('reports the keys in range in order and prunes subtrees outside it', () => {
+    const tree = buildTree();
+    const { result, animations } = tree.rangeQuery(33, 55);
+    expect(result).toEqual([35, 40, 50]);
+    expect(messages(animations)).toContain('3 keys in [33, 55] (visited 6 nodes)');
+
+    const last = lastFrame(tree, animations);
+    expect(last.statusFeed).toEqual(['35', '40', '50']);
+    const states = statesByValue(tree, last);
+    expect(states[20]).toBe('pruned');
+    expect(states[80]).toBe('pruned');
+    expect(states[40]).toBe('found');
+    expect(states[30]).toBe('path');
+
+    const right = tree.rangeQuery(1, 10);
+    expect(right.result).toEqual([]);
+    expect(messages(right.animations)).toContain('Right of 50: every key is > 50 ≥ 10 - pruned');
+    expect(messages(right.animations)).toContain('No keys in [1, 10] (visited 3 nodes)');
+    expect(messages(tree.rangeQuery(9, 3).animations))
+      .toContain('The range [9, 3] is empty - its start is after its end');
+  });
+});
+
+describe('floor, ceiling, predecessor and successor', () => {
+  it('keeps the best candidate on the way down and prunes the other side', () => {
+    const tree = buildTree();
+    const { result, animations } = tree.floor(38);
+    expect(result).toBe(35);
+    expect(descent(tree, animations)).toEqual([50, 30, 40, 35]);
+    expect(messages(animations)).toContain(
+      '30 ≤ 38: best so far, everything left of 30 is further from 38 - pruned, going right',
+    );
+    const last = lastFrame(tree, animations);
+    expect(last.statusFeed).toEqual(['35']);
+    const states = statesByValue(tree, last);
+    expect(states[35]).toBe('found');
+    expect([states[20], states[60], states[70], states[80]]).toEqual(Array(4).fill('pruned'));
+
+    expect(messages(tree.ceiling(40).animations)).toContain('40 is in the tree, so it is its own ceiling');
+    expect(tree.successor(40).result).toBe(50);
+    expect(tree.predecessor(50).result).toBe(40);
+    expect(tree.successor(35).result).toBe(40);
+  });
+
+  it('says when there is no such key', () => {
+    const tree = buildTree();
+    const none = tree.predecessor(20);
+    expect(none.result).toBeNull();
+    expect(messages(none.animations)).toContain('20 has no predecessor - no key is < 20');
+    expect(lastFrame(tree, none.animations).statusFeed).toEqual(['none']);
+    expect(tree.successor(80).result).toBeNull();
+    expect(messages(new AVLTree().ceiling(3).animations)).toContain('The tree is empty');
+    expect(() => nearestKey(tree, 'nearest', 3)).toThrow('Unknown query "nearest"');
+  });
+
+  [BST, AVLTree, RedBlackTree].forEach((TreeClass) => {
+    it(`match a sorted scan on a ${TreeClass.name}`, () => {
+      const random = createSeededRandom(11);
+      const values = Array.from({ length: 40 }, () => Math.floor(random() * 100));
+      const tree = buildTree(TreeClass, values);
+      const sorted = [...new Set(values)].sort((a, b) => a - b);
+      const last = (list) => (list.length ? list[list.length - 1] : null);
+
+      for (let x = -1; x <= 101; x += 3) {
+        expect(tree.floor(x).result).toBe(last(sorted.filter((key) => key <= x)));
+        expect(tree.ceiling(x).result).toBe(sorted.find((key) => key >= x) ?? null);
+        expect(tree.predecessor(x).result).toBe(last(sorted.filter((key) => key < x)));
+        expect(tree.successor(x).result).toBe(sorted.find((key) => key > x) ?? null);
+        expect(tree.rangeQuery(x, x + 20).result)
+          .toEqual(sorted.filter((key) => key >= x && key <= x + 20));
+      }
+    });
+  });
+});
+
+describe('lowestCommonAncestor', () => {
+  it('finds the split point, compares with the general search and lights the path', () => {
+    const tree = buildTree();
+    const { result, animations } = tree.lowestCommonAncestor(35, 20);
+    expect(result).toEqual({ lca: 30, distance: 3, path: [35, 40, 30, 20] });
+    // The BST method stops where the values split, right below the root
+    expect(descent(tree, animations).slice(0, 2)).toEqual([50, 30]);
+    expect(messages(animations)).toEqual(expect.arrayContaining([
+      'BST method: LCA 30, 2 nodes visited',
+      'General method: LCA 30, 8 nodes visited (BST method: 2)',
+    ]));
+
+    const last = lastFrame(tree, animations);
+    expect(last.statusFeed).toEqual(['35', '40', '30', '20', '= 3 edges']);
+    const states = statesByValue(tree, last);
+    expect([states[35], states[40], states[30], states[20]])
+      .toEqual(['found', 'path', 'pivot', 'found']);
+    // Both comparison passes were cleared before the path was drawn
+    expect([states[50], states[70], states[80]]).toEqual(['default', 'default', 'default']);
+    const lit = Object.keys(last.edgeHighlights);
+    expect(lit).toHaveLength(3);
+    const ids = Object.fromEntries(tree.getTreeData().nodes.map((node) => [node.value, node.id]));
+    expect(lit).toEqual(expect.arrayContaining([
+      `${ids[30]}-${ids[20]}`, `${ids[30]}-${ids[40]}`, `${ids[40]}-${ids[35]}`,
+    ]));
+  });
+
+  it('handles an ancestor, a repeated value and a missing value', () => {
+    const tree = buildTree();
+    const ancestor = tree.lowestCommonAncestor(70, 60);
+    expect(ancestor.result).toEqual({ lca: 70, distance: 1, path: [70, 60] });
+    expect(messages(ancestor.animations))
+      .toContain('70 is one of the two and the other is below it, so 70 is the LCA');
+    expect(tree.lowestCommonAncestor(40, 40).result).toEqual({ lca: 40, distance: 0, path: [40] });
+
+    const missing = tree.lowestCommonAncestor(40, 41);
+    expect(missing.result).toBeNull();
+    expect(messages(missing.animations)).toContain('41 is not in the tree');
+  });
+
+  [BST, AVLTree, RedBlackTree].forEach((TreeClass) => {
+    it(`agrees with the depths of both values on a ${TreeClass.name}`, () => {
+      const tree = buildTree(TreeClass, [8, 3, 10, 1, 6, 14, 4, 7, 13, 2, 5, 9, 11, 12]);
+      const ancestors = (value) => {
+        const found = [];
+        let node = tree.root;
+        while (node) {
+          found.push(node.value);
+          if (node.value === value) break;
+          node = value < node.value ? node.left : node.right;
+        }
+        return found;
+      };
+      [[2, 5], [1, 14], [12, 9], [4, 7], [13, 13]].forEach(([a, b]) => {
+        const [pathA, pathB] = [ancestors(a), ancestors(b)];
+        const shared = pathA.filter((value, index) => pathB[index] === value);
+        const { lca, distance } = tree.lowestCommonAncestor(a, b).result;
+        expect(lca).toBe(shared[shared.length - 1]);
+        expect(distance).toBe(pathA.length + pathB.length - 2 * shared.length);
+      });
+    });
+  });
+});
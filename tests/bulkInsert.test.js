@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import BST from '../src/logic/tree';
+import AVLTree from '../src/logic/avl';
+import {
+  parseValueList,
+  generateRandomValues,
+  insertValues,
+} from '../src/logic/bulkInsert';
+
+const height = (node) => (node ? 1 + Math.max(height(node.left), height(node.right)) : 0);
+
+const buildBST = (values) => {
+  const bst = new BST();
+  values.forEach((v) => bst.insert(v));
+  return bst;
+};
+
+describe('bulk insert', () => {
+  it('parses comma/space separated values and ranges', () => {
+    expect(parseValueList('5, 3 7,,  -2')).toEqual([5, 3, 7, -2]);
+    expect(parseValueList('1..4 10 3..1')).toEqual([1, 2, 3, 4, 10, 3, 2, 1]);
+  });
+
+  it('rejects tokens it cannot read', () => {
+    expect(() => parseValueList('   ')).toThrow('Enter at least one value');
+    expect(() => parseValueList('5, x')).toThrow('"x" is not a number or range');
+    expect(() => parseValueList('1..1000')).toThrow('Range 1..1000 has 1000 values');
+    expect(parseValueList('1..200')).toHaveLength(200);
+    expect(() => parseValueList('1..200 201..400 401..600'))
+      .toThrow('That is 600 values (at most 200 at once)');
+    expect(() => parseValueList('1..200 0')).toThrow('That is 201 values');
+  });
+
+  it('generates the same values for the same seed', () => {
+    const options = {
+      count: 12, min: 1, max: 99, seed: 42, shape: 'balanced',
+    };
+    const first = generateRandomValues(options);
+    expect(generateRandomValues(options)).toEqual(first);
+    expect(new Set(first).size).toBe(12);
+    first.forEach((v) => {
+      expect(v).toBeGreaterThanOrEqual(1);
+      expect(v).toBeLessThanOrEqual(99);
+    });
+    expect(generateRandomValues({ ...options, seed: 43 })).not.toEqual(first);
+  });
+
+  it('orders values so a BST takes the requested shape', () => {
+    const options = {
+      count: 15, min: 1, max: 500, seed: 7,
+    };
+
+    expect(height(buildBST(generateRandomValues({ ...options, shape: 'balanced' })).root)).toBe(4);
+
+    const left = buildBST(generateRandomValues({ ...options, shape: 'left-skewed' }));
+    expect(height(left.root)).toBe(15);
+    expect(left.root.right).toBeNull();
+
+    const right = buildBST(generateRandomValues({ ...options, shape: 'right-skewed' }));
+    expect(height(right.root)).toBe(15);
+    expect(right.root.left).toBeNull();
+
+    // Zig-zag: a single path that changes direction at every level
+    let node = buildBST(generateRandomValues({ ...options, shape: 'zig-zag' })).root;
+    const sides = [];
+    while (node.left || node.right) {
+      expect(node.left && node.right).toBeFalsy();
+      sides.push(node.left ? 'L' : 'R');
+      node = node.left || node.right;
+    }
+    expect(sides.join('')).toBe('LRLRLRLRLRLRLR');
+  });
+
+  it('rejects impossible generator options', () => {
+    expect(() => generateRandomValues({
+      count: 20, min: 1, max: 10, seed: 1, shape: 'balanced',
+    })).toThrow('Cannot pick 20 distinct values from 1..10');
+    expect(() => generateRandomValues({
+      count: 0, min: 1, max: 10, seed: 1, shape: 'balanced',
+    })).toThrow('Count must be a positive whole number');
+    expect(() => generateRandomValues({
+      count: 201, min: 1, max: 1000, seed: 1, shape: 'balanced',
+    })).toThrow('Count must be at most 200');
+  });
+
+  it('skips duplicates and chains the insert animations', () => {
+    const avl = new AVLTree();
+    avl.insert(3);
+    const { inserted, skipped, animations } = insertValues(avl, [1, 2, 3, 2, 4]);
+
+    expect(inserted).toEqual([1, 2, 4]);
+    expect(skipped).toEqual([3, 2]);
+    const statuses = animations.filter((step) => step.message && step.message.startsWith('Bulk insert'));
+    expect(statuses.map((step) => step.message)).toEqual([
+      'Bulk insert 1/3: 1',
+      'Bulk insert 2/3: 2',
+      'Bulk insert 3/3: 4',
+    ]);
+    expect(animations.filter((step) => step.type === 'fade-in')).toHaveLength(3);
+    expect(avl.getTreeData().nodes).toHaveLength(4);
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import ExpressionTree from '../src/logic/expressionTree';
+import { parseExpression, formatExpression, parseVariables } from '../src/logic/expressionParser';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+
+import { messages, buildFrom, lastFrame } from './helpers';
+
+const buildTree = (text) => buildFrom(ExpressionTree, text);
+
+const SAMPLE = '(3 + 4) * 5 - 2 / x';
+
+describe('expression parser', () => {
+  it('follows precedence, associativity and parentheses', () => {
+    expect(formatExpression(parseExpression('3+4*5'))).toBe('3 + 4 * 5');
+    expect(formatExpression(parseExpression('(3+4)*5'))).toBe('(3 + 4) * 5');
+    expect(formatExpression(parseExpression('a - (b - c)'))).toBe('a - (b - c)');
+    expect(formatExpression(parseExpression('(a - b) - c'))).toBe('a - b - c');
+    expect(formatExpression(parseExpression('2 ^ 3 ^ 2'))).toBe('2 ^ 3 ^ 2');
+    expect(formatExpression(parseExpression('(2 ^ 3) ^ 2'))).toBe('(2 ^ 3) ^ 2');
+    expect(formatExpression(parseExpression('2 * -3.50'))).toBe('2 * -3.5');
+    expect(formatExpression(parseExpression(SAMPLE), '')).toBe('(3+4)*5-2/x');
+
+    const root = parseExpression('2 ^ 3 ^ 2');
+    expect(root.right.value).toBe('^');
+  });
+
+  it('reads a leading minus as 0 minus its operand, whatever the operand', () => {
+    expect(formatExpression(parseExpression('a*(b+c)/-d'))).toBe('a * (b + c) / (0 - d)');
+    expect(formatExpression(parseExpression('-(a+b)'))).toBe('0 - (a + b)');
+    expect(formatExpression(parseExpression('-x ^ 2'))).toBe('0 - x ^ 2');
+    expect(formatExpression(parseExpression('- -3'))).toBe('0 - -3');
+
+    const tree = buildTree('2 * -(x - 5)');
+    expect(tree.evaluate({ x: 2 }).result).toBe(6);
+    expect(buildTree('-x ^ 2').evaluate({ x: 3 }).result).toBe(-9);
+    expect(() => parseExpression('3 * -')).toThrow('The expression ends too early');
+  });
+
+  it('gives a minus the same precedence before a number as before a variable', () => {
+    expect(buildTree('-3 ^ 2').evaluate({}).result).toBe(-9);
+    expect(buildTree('-x ^ 2').evaluate({ x: 3 }).result).toBe(-9);
+    expect(formatExpression(parseExpression('-3 ^ 2'))).toBe('0 - 3 ^ 2');
+    expect(buildTree('(-3) ^ 2').evaluate({}).result).toBe(9);
+    expect(buildTree('(-x) ^ 2').evaluate({ x: 3 }).result).toBe(9);
+
+    // A lone negative number is still one literal, and keeps its parentheses below ^
+    expect(parseExpression('2 * -3')).toEqual({
+      value: '*',
+      left: { value: '2', left: null, right: null },
+      right: { value: '-3', left: null, right: null },
+    });
+    const squared = parseExpression('(-3) ^ 2');
+    expect(formatExpression(squared)).toBe('(-3) ^ 2');
+    expect(parseExpression(formatExpression(squared))).toEqual(squared);
+  });
+
+  it('points at the first syntax error', () => {
+    expect(() => parseExpression('')).toThrow('Enter an expression, e.g. (3 + 4) * 5');
+    expect(() => parseExpression('3 + ')).toThrow('The expression ends too early');
+    expect(() => parseExpression('(3 + 4')).toThrow('Missing ")" for the "(" at position 1');
+    expect(() => parseExpression('3 + * 4')).toThrow('Expected a number, variable or "(" at position 5, found "*"');
+    expect(() => parseExpression('3 4')).toThrow('Unexpected "4" at position 3');
+    expect(() => parseExpression('3 % 4')).toThrow('Unexpected character "%" at position 3');
+  });
+
+  it('reads variable assignments', () => {
+    expect(parseVariables('x = 2, y=-0.5')).toEqual({ x: 2, y: -0.5 });
+    expect(parseVariables('  ')).toEqual({});
+    expect(() => parseVariables('x: 2')).toThrow('"x: 2" is not a variable assignment (e.g. x = 2)');
+  });
+});
+
+describe('ExpressionTree', () => {
+  it('builds operators over operands, bottom-up', () => {
+    const tree = new ExpressionTree();
+    const { animations } = tree.build(SAMPLE);
+    const { nodes, edges } = tree.getTreeData();
+
+    expect(nodes.map((node) => node.value)).toEqual(['-', '*', '+', '3', '4', '5', '/', '2', 'x']);
+    expect(edges).toHaveLength(8);
+    expect(tree.root.left.left.value).toBe('+');
+    expect([tree.root.left.right.value, tree.root.right.left.value, tree.root.right.right.value])
+      .toEqual(['5', '2', 'x']);
+    expect(messages(animations).pop()).toBe('Built the expression tree for (3 + 4) * 5 - 2 / x (9 nodes)');
+    // Nodes appear in postorder, operands before their operator
+    const order = animations.filter((step) => step.type === 'fade-in').map((step) => step.nodeId);
+    const values = Object.fromEntries(nodes.map((node) => [node.id, node.value]));
+    expect(order.map((id) => values[id])).toEqual(['3', '4', '+', '5', '*', '2', 'x', '/', '-']);
+
+    expect(() => tree.build('3 +')).toThrow('The expression ends too early');
+  });
+
+  it('reads prefix, fully parenthesized infix and postfix notation', () => {
+    const tree = buildTree(SAMPLE);
+
+    const prefix = tree.preorderTraversal();
+    expect(prefix.result).toEqual(['-', '*', '+', '3', '4', '5', '/', '2', 'x']);
+    expect(messages(prefix.animations)).toContain('Prefix notation (preorder): - * + 3 4 5 / 2 x');
+
+    const infix = tree.inorderTraversal();
+    expect(messages(infix.animations))
+      .toContain('Fully parenthesized infix (inorder): (((3 + 4) * 5) - (2 / x))');
+    expect(lastFrame(tree, infix.animations).statusFeed.join(' ')).toBe('( ( ( 3 + 4 ) * 5 ) - ( 2 / x ) )');
+
+    const postfix = tree.postorderTraversal();
+    expect(postfix.result).toEqual(['3', '4', '+', '5', '*', '2', 'x', '/', '-']);
+    expect(messages(postfix.animations)).toContain('Postfix notation (postorder): 3 4 + 5 * 2 x / -');
+    expect(tree.levelOrderTraversal().result).toEqual(['-', '*', '/', '+', '5', '2', 'x', '3', '4']);
+  });
+
+  it('evaluates bottom-up and shows every intermediate result', () => {
+    const tree = buildTree(SAMPLE);
+    const { result, animations } = tree.evaluate({ x: 4 });
+    expect(result).toBe(34.5);
+    // Each operator gets its result only after both of its operands
+    const operators = Object.fromEntries(tree.getTreeData().nodes
+      .filter((node) => '+-*/^'.includes(node.value))
+      .map((node) => [node.id, node.value]));
+    expect(animations
+      .filter((step) => step.type === 'set-result' && operators[step.nodeId])
+      .map((step) => `${operators[step.nodeId]} ${step.result}`))
+      .toEqual(['+ 7', '* 35', '/ 0.5', '- 34.5']);
+
+    const last = lastFrame(tree, animations);
+    const shown = Object.fromEntries(last.treeData.nodes.map((node) => [node.value, node.result]));
+    expect(shown).toMatchObject({
+      '+': '7', '*': '35', '/': '0.5', '-': '34.5',
+    });
+    expect(last.statusFeed).toEqual(['34.5']);
+    // Results stay on the tree once the animation is over
+    expect(tree.getTreeData().nodes[0].result).toBe('34.5');
+  });
+
+  it('stops at a missing variable or a division by zero', () => {
+    const tree = buildTree(SAMPLE);
+    tree.evaluate({ x: 4 });
+
+    const missing = tree.evaluate();
+    expect(missing.result).toBeNull();
+    expect(messages(missing.animations))
+      .toContain('Cannot evaluate: x has no value - give one such as x = 2');
+    // The earlier results are cleared before anything else happens
+    expect(missing.animations[1]).toMatchObject({ type: 'set-result', result: null });
+
+    const zero = tree.evaluate({ x: 0 });
+    expect(zero.result).toBeNull();
+    expect(messages(zero.animations)).toContain('Cannot evaluate: Division by zero in 2 / x');
+    expect(buildTree('2 ^ 10').evaluate().result).toBe(1024);
+  });
+
+  it('clones independently and round-trips through JSON and share links', () => {
+    const tree = buildTree(SAMPLE);
+    const copy = tree.safeClone();
+    copy.build('1 + 2');
+    expect(tree.toString()).toBe(SAMPLE);
+    expect(copy.root.id).not.toBe(tree.root.id);
+
+    const file = tree.toJSON();
+    expect(file.expression).toBe(SAMPLE);
+    expect(ExpressionTree.fromJSON(JSON.stringify(file)).postorderTraversal().result)
+      .toEqual(['3', '4', '+', '5', '*', '2', 'x', '/', '-']);
+    expect(() => ExpressionTree.fromJSON({ ...file, expression: '3 +' }))
+      .toThrow('Invalid tree file: "expression" "3 +": The expression ends too early');
+    expect(ExpressionTree.fromJSON({ ...file, expression: null }).root).toBeNull();
+
+    const hash = encodeTreeHash('ExpressionTree', tree);
+    expect(hash).toBe('#type=ExpressionTree&tree=(3%2B4)*5-2%2Fx');
+    expect(ExpressionTree.fromJSON(decodeTreeHash(hash).file).toString()).toBe(SAMPLE);
+  });
+});
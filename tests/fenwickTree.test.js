@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import FenwickTree, { lowbit } from '../src/logic/fenwickTree';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+
+import { messages, buildFrom, lastFrame } from './helpers';
+
+const buildTree = (values) => buildFrom(FenwickTree, values);
+
+const SAMPLE = [5, 3, 8, 6, 1, 4];
+
+// Node i must hold the sum of a over its range [i - lowbit(i) + 1, i]
+const checkRanges = (tree) => {
+  const values = tree.values();
+  tree.getTreeData().nodes.slice(1).forEach((node, i) => {
+    const [low, high] = node.interval;
+    expect(high).toBe(i + 1);
+    expect(low).toBe(high - lowbit(high) + 1);
+    expect(node.value).toBe(values.slice(low - 1, high).reduce((sum, v) => sum + v, 0));
+  });
+};
+
+// Running sums of the array: the answer to prefixSum(i) at index i - 1
+const runningSums = (values) => values.map((_, i) => values
+  .slice(0, i + 1)
+  .reduce((sum, v) => sum + v, 0));
+
+describe('FenwickTree', () => {
+  it('gives every index the range of its lowest set bit', () => {
+    expect([1, 2, 3, 4, 6, 12].map(lowbit)).toEqual([1, 2, 1, 4, 2, 4]);
+
+    const tree = new FenwickTree();
+    const { animations } = tree.build('5, 3 8 6, 1, 4');
+    const { nodes, edges } = tree.getTreeData();
+
+    expect(nodes.map((node) => node.value)).toEqual([0, 5, 8, 8, 22, 1, 5]);
+    expect(nodes.slice(1).map((node) => node.interval.join('-')))
+      .toEqual(['1-1', '1-2', '3-3', '1-4', '5-5', '5-6']);
+    expect(nodes.slice(1).map((node) => node.arrayValue)).toEqual(SAMPLE);
+    expect(nodes[0].arrayIndex).toBeUndefined();
+    // Node i hangs under i - lowbit(i); the edge says how far it jumps
+    const ids = nodes.map((node) => node.id);
+    expect(edges.map((edge) => `${ids.indexOf(edge.from)}>${ids.indexOf(edge.to)} ${edge.label}`))
+      .toEqual(['0>1 −1', '0>2 −2', '2>3 −1', '0>4 −4', '4>5 −1', '4>6 −2']);
+    // One row per set bit, one column per index
+    expect(nodes[3].y).toBeGreaterThan(nodes[2].y);
+    expect(nodes[4].y).toBe(nodes[1].y);
+    const xs = nodes.map((node) => node.x);
+    expect(xs).toEqual([...xs].sort((a, b) => a - b));
+
+    checkRanges(tree);
+    expect(messages(animations)).toContain(
+      'tree[4]: 4 = 100₂, lowbit 4, covers [1, 4] = 5 + 3 + 8 + 6 = 22',
+    );
+    expect(messages(buildTree(Array(8).fill(1)).build(Array(8).fill(1)).animations))
+      .toContain('tree[8]: 8 = 1000₂, lowbit 8, covers [1, 8] = a[1] + … + a[8] = 8');
+
+    expect(() => tree.build('')).toThrow('Enter at least one value');
+    expect(() => tree.build(Array(33).fill(1)))
+      .toThrow('A Fenwick tree holds at most 32 values (got 33)');
+  });
+
+  it('sums a prefix by stripping the lowest set bit', () => {
+    const tree = buildTree(SAMPLE);
+    const { result, animations } = tree.prefixSum(6);
+
+    expect(result).toBe(27);
+    expect(messages(animations)).toContain('i -= i & -i: 6 - 2 = 4');
+    const last = lastFrame(tree, animations);
+    expect(last.statusFeed).toEqual(['tree[6] = 5', 'tree[4] = 22']);
+    // The walk is the path from node 6 up to the root
+    const [root, , , , four, , six] = tree.nodes;
+    expect([root, four, six].map((node) => last.nodeHighlights[node.id]))
+      .toEqual(['path', 'path', 'path']);
+    expect(Object.keys(last.edgeHighlights)).toHaveLength(2);
+
+    expect(SAMPLE.map((_, i) => tree.prefixSum(i + 1).result)).toEqual(runningSums(SAMPLE));
+    expect(messages(tree.prefixSum(7).animations)).toEqual(['Index 7 is outside the array (1..6)']);
+    expect(messages(new FenwickTree().prefixSum(1).animations))
+      .toEqual(['Build the Fenwick tree first']);
+  });
+
+  it('adds to an entry by adding the lowest set bit', () => {
+    const tree = buildTree(SAMPLE);
+    const { animations } = tree.add(1, 2);
+
+    expect(tree.values()).toEqual([7, 3, 8, 6, 1, 4]);
+    expect(tree.nodes.map((node) => node.value)).toEqual([0, 7, 10, 8, 24, 1, 5]);
+    checkRanges(tree);
+    // The array cell changes first, then every range containing index 1: 1, 2, 4
+    const updates = animations.filter((step) => step.type === 'update-value');
+    expect(updates.map((step) => tree.nodes.findIndex((node) => node.id === step.nodeId)))
+      .toEqual([1, 1, 2, 4]);
+    expect(updates[0].arrayValue).toBe(7);
+    expect(messages(animations)).toContain('i += i & -i: 4 + 4 = 8 > 6, done');
+    const last = lastFrame(buildTree(SAMPLE), animations);
+    expect(last.treeData.nodes.map((node) => node.value)).toEqual([0, 7, 10, 8, 24, 1, 5]);
+    expect(last.treeData.nodes[1].arrayValue).toBe(7);
+    expect(SAMPLE.map((_, i) => tree.prefixSum(i + 1).result))
+      .toEqual(runningSums(tree.values()));
+
+    expect(messages(tree.add(0, 1).animations)).toEqual(['Index 0 is outside the array (1..6)']);
+  });
+
+  it('traverses the implied tree', () => {
+    const tree = buildTree([1, 2, 3, 4]);
+    expect(tree.preorderTraversal().result).toEqual([0, 1, 3, 3, 10]);
+    expect(tree.postorderTraversal().result).toEqual([1, 3, 3, 10, 0]);
+    expect(tree.levelOrderTraversal().result).toEqual([0, 1, 3, 10, 3]);
+  });
+
+  it('clones independently and round-trips through JSON and share links', () => {
+    const tree = buildTree(SAMPLE);
+    const copy = tree.safeClone();
+    copy.add(2, 10);
+    expect(tree.prefixSum(6).result).toBe(27);
+    expect(copy.prefixSum(6).result).toBe(37);
+    expect(copy.root.id).toBe(tree.root.id);
+
+    const file = tree.toJSON();
+    expect(file).toMatchObject({ type: 'FenwickTree', values: SAMPLE });
+    expect(FenwickTree.fromJSON(JSON.stringify(file)).prefixSum(3).result).toBe(16);
+    expect(() => FenwickTree.fromJSON({ ...file, values: [1, 2.5] }))
+      .toThrow('values[1] (2.5) must be an integer');
+    expect(FenwickTree.fromJSON({ ...file, values: [] }).root).toBeNull();
+
+    const hash = encodeTreeHash('FenwickTree', tree);
+    expect(hash).toBe('#type=FenwickTree&tree=5,3,8,6,1,4');
+    expect(FenwickTree.fromJSON(decodeTreeHash(hash).file).values()).toEqual(SAMPLE);
+  });
+});
@@ -8,6 +8,7 @@ import {
   exportTreeAsPNG,
   exportTreeAsSVG,
   exportTreeAsJPEG,
+  EXPORT_AREAS,
 } from '../src/logic/gifExport';
 
 vi.mock('gif.js', () => ({
@@ -71,4 +72,25 @@ describe('gifExport integration with mocks', () => {
     expect(append).toHaveBeenCalled();
     expect(remove).toHaveBeenCalled();
   });
+
+  it('exports the full tree with the canvas zoom/pan removed', async () => {
+    const element = document.createElement('div');
+    const layer = document.createElement('div');
+    layer.setAttribute('data-viewport-layer', '');
+    layer.style.transform = 'translate(40px, 0px) scale(2)';
+    element.appendChild(layer);
+
+    let transformDuringCapture = null;
+    htmlToImage.toCanvas.mockImplementation(async () => {
+      transformDuringCapture = layer.style.transform;
+      return document.createElement('canvas');
+    });
+
+    await exportTreeAsPNG({ current: element }, 'tree.png', { area: EXPORT_AREAS.FULL_TREE });
+    expect(transformDuringCapture).toBe('none');
+    expect(layer.style.transform).toBe('translate(40px, 0px) scale(2)');
+
+    await exportTreeAsPNG({ current: element }, 'tree.png', { area: EXPORT_AREAS.VIEWPORT });
+    expect(transformDuringCapture).toBe('translate(40px, 0px) scale(2)');
+  });
 });
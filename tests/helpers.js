@@ -0,0 +1,28 @@
+import { buildAnimationFrames, createAnimationFrame } from '../src/logic/animations';
+
+// Fixtures shared by the tree tests
+
+// Status messages of an operation, in order
+export const messages = (animations) => animations
+  .filter((step) => step.type === 'update-status')
+  .map((step) => step.message);
+
+// A new tree (constructor arguments after the values) with each value inserted in turn
+export const insertAll = (TreeClass, values, ...args) => {
+  const tree = new TreeClass(...args);
+  values.forEach((value) => tree.insert(value));
+  return tree;
+};
+
+// A new tree built in one go from its input: text, an array of values...
+export const buildFrom = (TreeClass, input, ...args) => {
+  const tree = new TreeClass(...args);
+  tree.build(input);
+  return tree;
+};
+
+// Last frame of an operation played from what the tree draws right now
+export const lastFrame = (tree, animations) => buildAnimationFrames(
+  createAnimationFrame({ treeData: tree.getTreeData() }),
+  animations,
+).pop();
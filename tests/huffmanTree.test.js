@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import HuffmanTree, { parseHuffmanInput } from '../src/logic/huffmanTree';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+
+import { messages, buildFrom, lastFrame } from './helpers';
+
+const buildTree = (text) => buildFrom(HuffmanTree, text);
+
+// Nested [left, right] pairs down to the leaf symbols
+const shape = (node) => (node.symbol === undefined
+  ? [shape(node.left), shape(node.right)]
+  : node.symbol);
+
+// Every internal weight must be the sum of its children's; returns that weight
+const checkWeights = (node) => {
+  if (node.symbol !== undefined) return node.value;
+  const weight = checkWeights(node.left) + checkWeights(node.right);
+  expect(node.value).toBe(weight);
+  return weight;
+};
+
+const codeMap = (tree) => Object.fromEntries(
+  tree.codes().map(({ symbol, code }) => [symbol, code]),
+);
+
+describe('Huffman input', () => {
+  it('counts the characters of plain text in order of appearance', () => {
+    expect(parseHuffmanInput('abracadabra')).toEqual({
+      kind: 'text',
+      weights: [
+        { symbol: 'a', weight: 5 },
+        { symbol: 'b', weight: 2 },
+        { symbol: 'r', weight: 2 },
+        { symbol: 'c', weight: 1 },
+        { symbol: 'd', weight: 1 },
+      ],
+    });
+    // Only a text where every word is symbol:weight counts as a table
+    expect(parseHuffmanInput('ratio 3:2').kind).toBe('text');
+  });
+
+  it('reads frequency tables and rejects bad weights', () => {
+    const expected = [{ symbol: 'a', weight: 5 }, { symbol: 'th', weight: 12 }];
+    expect(parseHuffmanInput('a:5, th:12').weights).toEqual(expected);
+    expect(parseHuffmanInput('a = 5 th=12').weights).toEqual(expected);
+
+    expect(() => parseHuffmanInput('  ')).toThrow('Enter some text or a frequency table such as a:5, b:2');
+    expect(() => parseHuffmanInput('a:5, b:x')).toThrow('The weight of "b" must be a positive whole number, not "x"');
+    expect(() => parseHuffmanInput('a:5, b:0')).toThrow('The weight of "b" must be a positive whole number');
+    expect(() => parseHuffmanInput('a:5, a:2')).toThrow('Symbol "a" is listed twice');
+  });
+});
+
+describe('HuffmanTree', () => {
+  it('merges the two lightest trees until one is left', () => {
+    const tree = new HuffmanTree();
+    const { animations } = tree.build('abracadabra');
+
+    // The merged c+d waits behind the b and r already in the queue, so b and r pair up next
+    expect(shape(tree.root)).toEqual(['a', [['c', 'd'], ['b', 'r']]]);
+    expect(checkWeights(tree.root)).toBe(11);
+    expect(messages(animations)).toContain('Take the two lightest: b (2) and r (2)');
+    expect(tree.forest).toBeNull();
+
+    const { nodes, edges } = tree.getTreeData();
+    expect(nodes).toHaveLength(9);
+    expect(edges.map((edge) => edge.label)).toEqual(['0', '1', '0', '0', '1', '1', '0', '1']);
+  });
+
+  it('draws the queue as a row of trees, lightest first', () => {
+    const { animations } = new HuffmanTree().build('a:5, b:2, r:2, c:1, d:1');
+    const [first, second] = animations.filter((step) => step.type === 'reposition');
+    const row = (step) => step.nodeUpdates
+      .filter((update) => update.newY === Math.min(...step.nodeUpdates.map((u) => u.newY)))
+      .sort((a, b) => a.newX - b.newX)
+      .map((update) => update.value);
+
+    expect(row(first)).toEqual([1, 1, 2, 2, 5]);
+    expect(row(second)).toEqual([2, 2, 2, 5]);
+    // c and d now hang under their new parent
+    expect(second.nodeUpdates.find((update) => update.symbol === 'c').newY)
+      .toBeGreaterThan(Math.min(...second.nodeUpdates.map((update) => update.newY)));
+  });
+
+  it('reads off prefix-free codes and the encoded length', () => {
+    const tree = new HuffmanTree();
+    const { animations } = tree.build('abracadabra');
+
+    expect(codeMap(tree)).toEqual({
+      a: '0', c: '100', d: '101', b: '110', r: '111',
+    });
+    expect(tree.encodedLength()).toBe(23);
+    // Code length times weight, summed over the leaves
+    expect(tree.codes().reduce((bits, { code, weight }) => bits + code.length * weight, 0))
+      .toBe(23);
+    expect(messages(animations))
+      .toContain('Encoded length: 23 bits (a fixed-length code needs 3 × 11 = 33 bits)');
+
+    expect(lastFrame(new HuffmanTree(), animations).statusFeed)
+      .toEqual(['a: 0', 'c: 100', 'd: 101', 'b: 110', 'r: 111', '23 bits']);
+    // The codes stay on the leaves for the code table
+    const leaf = tree.getTreeData().nodes.find((node) => node.symbol === 'r');
+    expect(leaf.code).toBe('111');
+  });
+
+  it('shows spaces visibly and gives a lone symbol a one-bit code', () => {
+    const spaced = buildTree('a a');
+    const symbols = spaced.getTreeData().nodes.map((node) => node.symbol).filter(Boolean);
+    expect(symbols).toEqual(['␣', 'a']);
+
+    const single = new HuffmanTree();
+    const { animations } = single.build('aaaa');
+    expect(messages(animations)).toContain('Only one symbol - its leaf is the whole tree');
+    expect(single.codes()).toEqual([{ symbol: 'a', weight: 4, code: '0' }]);
+    expect(single.encodedLength()).toBe(4);
+  });
+
+  it('walks the finished tree in every traversal order', () => {
+    const tree = buildTree('a:3, b:1, c:1');
+    expect(tree.preorderTraversal().result).toEqual(['5', '2', 'b:1', 'c:1', 'a:3']);
+    expect(tree.inorderTraversal().result).toEqual(['b:1', '2', 'c:1', '5', 'a:3']);
+    expect(tree.postorderTraversal().result).toEqual(['b:1', 'c:1', '2', 'a:3', '5']);
+    expect(tree.levelOrderTraversal().result).toEqual(['5', '2', 'a:3', 'b:1', 'c:1']);
+  });
+
+  it('clones independently and round-trips through JSON and share links', () => {
+    const tree = buildTree('abracadabra');
+    const copy = tree.safeClone();
+    copy.build('xy');
+    expect(codeMap(tree).a).toBe('0');
+    expect(copy.root.id).not.toBe(tree.root.id);
+
+    const file = tree.toJSON();
+    expect(file.weights[0]).toEqual({ symbol: 'a', weight: 5 });
+    expect(codeMap(HuffmanTree.fromJSON(JSON.stringify(file)))).toEqual(codeMap(tree));
+    expect(() => HuffmanTree.fromJSON({ ...file, weights: [{ symbol: 'a', weight: 1.5 }] }))
+      .toThrow('Invalid tree file: weights[0] (symbol "a") must have a positive whole "weight"');
+    expect(HuffmanTree.fromJSON({ ...file, weights: [] }).root).toBeNull();
+
+    const hash = encodeTreeHash('HuffmanTree', tree);
+    expect(hash).toBe('#type=HuffmanTree&tree=a:5,b:2,r:2,c:1,d:1');
+    expect(codeMap(HuffmanTree.fromJSON(decodeTreeHash(hash).file))).toEqual(codeMap(tree));
+
+    // Separators and spaces inside symbols survive the link
+    const punctuated = buildTree('a, b:c');
+    const link = encodeTreeHash('HuffmanTree', punctuated);
+    expect(link).toBe('#type=HuffmanTree&tree=a:1,%2C:1,%20:1,b:1,%3A:1,c:1');
+    const loaded = HuffmanTree.fromJSON(decodeTreeHash(link).file);
+    expect(loaded.weights).toEqual(punctuated.weights);
+  });
+});
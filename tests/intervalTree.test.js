@@ -0,0 +1,207 @@
+import { describe, it, expect } from 'vitest';
+import IntervalTree, { parseInterval, formatInterval } from '../src/logic/intervalTree';
+import { parseIntervalList, insertValues } from '../src/logic/bulkInsert';
+import { buildAnimationFrames, createAnimationFrame } from '../src/logic/animations';
+import { messages, insertAll, lastFrame } from './helpers';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+
+const buildTree = (intervals) => insertAll(IntervalTree, intervals);
+
+// Every max must be the largest end in its subtree; returns that end
+const checkMax = (node) => {
+  if (!node) return -Infinity;
+  const max = Math.max(node.high, checkMax(node.left), checkMax(node.right));
+  expect(node.max).toBe(max);
+  return max;
+};
+
+// Returns the black-height, failing on a red node with a red child
+const blackHeight = (node) => {
+  if (!node) return 1;
+  if (node.color === 'red') {
+    expect([node.left, node.right].some((child) => child && child.color === 'red')).toBe(false);
+  }
+  const left = blackHeight(node.left);
+  expect(blackHeight(node.right)).toBe(left);
+  return left + (node.color === 'black' ? 1 : 0);
+};
+
+const SAMPLE = [[15, 20], [10, 30], [17, 19], [5, 20], [12, 15], [30, 40]];
+
+describe('interval parsing', () => {
+  it('reads one interval or a list of bracketed ones', () => {
+    expect(parseInterval('[5, 20]')).toEqual([5, 20]);
+    expect(parseInterval(' 5 20 ')).toEqual([5, 20]);
+    expect(parseInterval('-3,-3')).toEqual([-3, -3]);
+    expect(parseInterval('[20, 5]')).toBeNull();
+    expect(parseInterval('5')).toBeNull();
+    expect(formatInterval([5, 20])).toBe('[5, 20]');
+
+    expect(parseIntervalList('[5, 20] [10,30], [1 2]')).toEqual([[5, 20], [10, 30], [1, 2]]);
+    expect(() => parseIntervalList(' ')).toThrow('Enter at least one interval');
+    expect(() => parseIntervalList('[5, 20] 7')).toThrow('"7" is not an interval such as [5, 20]');
+    expect(() => parseIntervalList('[9, 1]')).toThrow('"[9, 1]" is not an interval such as [5, 20]');
+  });
+});
+
+describe('IntervalTree', () => {
+  it('keeps Red-Black order on the starts and the largest end in max', () => {
+    const tree = buildTree(SAMPLE);
+    blackHeight(tree.root);
+    checkMax(tree.root);
+    expect(tree.root.color).toBe('black');
+    expect(tree.intervals()).toEqual([[5, 20], [10, 30], [12, 15], [15, 20], [17, 19], [30, 40]]);
+
+    const { nodes } = tree.getTreeData();
+    const root = nodes.find((node) => node.id === tree.root.id);
+    expect(root).toMatchObject({ interval: [tree.root.value, tree.root.high], max: 40 });
+
+    // Equal starts are told apart by their end; exact repeats are skipped
+    expect(messages(tree.insert([5, 25]).animations)).toContain('Inserted [5, 25] as red node, checking balance...');
+    expect(messages(tree.insert([5, 20]).animations)).toContain('[5, 20] already exists, skipping');
+    expect(tree.intervals()).toHaveLength(7);
+    checkMax(tree.root);
+  });
+
+  it('raises max on the way down and redoes it visibly after rotations', () => {
+    const tree = buildTree([[1, 100], [2, 3]]);
+    const { animations } = tree.insert([3, 4]);
+
+    expect(messages(animations)).toContain('Left rotation at node 1');
+    expect(tree.root.value).toBe(2);
+    checkMax(tree.root);
+    // After the rotation's layout step, max is redone bottom-up: the old root, then the new one
+    const rotation = animations.map((step) => step.type).lastIndexOf('reposition');
+    const redone = animations.slice(rotation).filter((step) => step.type === 'update-value');
+    expect(redone.map((step) => [step.nodeId, step.max])).toEqual([
+      [tree.root.left.id, 100],
+      [tree.root.id, 100],
+    ]);
+
+    const raise = tree.insert([4, 500]).animations;
+    expect(messages(raise)).toContain('End 500 > max 100 of [2, 3], raising its max');
+
+    const before = buildTree([[1, 100], [2, 3]]);
+    const frames = buildAnimationFrames(
+      createAnimationFrame({ treeData: before.getTreeData() }),
+      before.insert([3, 4]).animations,
+    );
+    // Right after the rotation the frame still shows the old max of [2, 3]
+    const rotated = frames.find((frame) => frame.currentAnimationStep
+      && frame.currentAnimationStep.type === 'reposition'
+      && frame.treeData.nodes.length === 3);
+    const maxOf = (frame, value) => frame.treeData.nodes.find((node) => node.value === value).max;
+    expect(maxOf(rotated, 2)).toBe(4);
+    expect(maxOf(frames[frames.length - 1], 2)).toBe(100);
+  });
+
+  it('finds overlaps, pruning subtrees by max and by start', () => {
+    const tree = buildTree(SAMPLE);
+    const { result, animations } = tree.findOverlapping(16, 18);
+
+    expect(result).toEqual([[5, 20], [10, 30], [15, 20], [17, 19]]);
+    expect(messages(animations)).toContain(
+      'Right of [10, 30]: max 15 < 16, nothing there reaches [16, 18] - pruned',
+    );
+
+    const last = lastFrame(tree, animations);
+    expect(last.statusFeed).toEqual(['[5, 20]', '[10, 30]', '[15, 20]', '[17, 19]']);
+    const states = Object.fromEntries(tree.getTreeData().nodes
+      .map((node) => [formatInterval(node.interval), last.nodeHighlights[node.id]]));
+    expect(states['[15, 20]']).toBe('found');
+    expect(states['[12, 15]']).toBe('pruned');
+    expect(states['[30, 40]']).toBe('path');
+
+    const low = tree.findOverlapping(41, 50);
+    expect(low.result).toEqual([]);
+    // Both subtrees of the root end before 41, so only the root is visited
+    const lowFrame = lastFrame(tree, low.animations);
+    expect(tree.getTreeData().nodes
+      .filter((node) => lowFrame.nodeHighlights[node.id] === 'path')
+      .map((node) => node.id)).toEqual([tree.root.id]);
+    const narrow = tree.findOverlapping(1, 4);
+    expect(messages(narrow.animations))
+      .toContain('Right of [15, 20]: everything starts after 15 > 4 - pruned');
+
+    // Every overlap is found, however the query sits
+    [[0, 4], [5, 5], [13, 14], [20, 29], [0, 100]].forEach(([lo, hi]) => {
+      const expected = tree.intervals().filter(([start, end]) => start <= hi && end >= lo);
+      expect(tree.findOverlapping(lo, hi).result).toEqual(expected);
+    });
+  });
+
+  it('repairs max above a deleted node', () => {
+    const tree = buildTree(SAMPLE);
+    const deleted = tree.delete([30, 40]);
+    expect(messages(deleted.animations)).toContain('Repairing max on the path above the removed node');
+    checkMax(tree.root);
+    expect(tree.root.max).toBe(30);
+
+    const rootInterval = [tree.root.value, tree.root.high];
+    const { animations } = tree.delete(rootInterval);
+    expect(messages(animations).some((message) => message.startsWith(`Replaced ${formatInterval(rootInterval)} with successor`)))
+      .toBe(true);
+    checkMax(tree.root);
+    expect(tree.intervals()).not.toContainEqual(rootInterval);
+
+    expect(messages(tree.delete([1, 2]).animations)).toContain('Interval [1, 2] not found');
+    expect(messages(tree.search([12, 15]).animations)).toContain('Found [12, 15]!');
+    expect(messages(tree.search([12, 16]).animations)).toContain('Interval [12, 16] not found');
+  });
+
+  it('rebalances after deleting black leaves and reloads the result', () => {
+    const tree = buildTree([
+      [10, 12], [5, 9], [15, 30], [3, 4], [7, 8], [12, 13], [20, 21], [1, 2],
+    ]);
+    [[1, 2], [3, 4], [20, 21], [12, 13]].forEach((interval) => {
+      tree.delete(interval);
+      blackHeight(tree.root);
+      checkMax(tree.root);
+    });
+    expect(tree.root.max).toBe(30);
+
+    [IntervalTree.fromJSON(JSON.stringify(tree)),
+      IntervalTree.fromJSON(decodeTreeHash(encodeTreeHash('IntervalTree', tree)).file),
+    ].forEach((loaded) => {
+      expect(loaded.intervals()).toEqual(tree.intervals());
+      blackHeight(loaded.root);
+      checkMax(loaded.root);
+    });
+  });
+
+  it('skips repeated intervals when inserting a list', () => {
+    const tree = buildTree([[5, 20]]);
+    const list = [[5, 20], [1, 3], [1, 3], [5, 21]];
+    const { inserted, skipped, animations } = insertValues(tree, list);
+    expect(inserted).toEqual([[1, 3], [5, 21]]);
+    expect(skipped).toEqual([[5, 20], [1, 3]]);
+    expect(messages(animations)).toContain('Bulk insert 2/2: [5, 21]');
+  });
+
+  it('clones independently and round-trips through JSON and share links', () => {
+    const tree = buildTree(SAMPLE);
+    const copy = tree.safeClone();
+    copy.insert([50, 60]);
+    expect(tree.intervals()).toHaveLength(6);
+    expect(copy.root.max).toBe(60);
+    expect(copy.root.id).toBe(tree.root.id);
+
+    const file = tree.toJSON();
+    expect(file.intervals[0]).toEqual([tree.root.value, tree.root.high]);
+    const loaded = IntervalTree.fromJSON(JSON.stringify(file));
+    expect(loaded.intervals()).toEqual(tree.intervals());
+    checkMax(loaded.root);
+    expect(() => IntervalTree.fromJSON({ ...file, intervals: [[3, 1]] }))
+      .toThrow('Invalid tree file: intervals[0] [3, 1] ends before it starts');
+    expect(() => IntervalTree.fromJSON({ ...file, intervals: [[1, 2], [1, 2]] }))
+      .toThrow('Invalid tree file: intervals[1] repeats [1, 2]');
+    expect(() => IntervalTree.fromJSON({ ...file, intervals: [[1, 2.5]] }))
+      .toThrow('Invalid tree file: intervals[0] ([1,2.5]) must be a [start, end] pair of integers');
+
+    const hash = encodeTreeHash('IntervalTree', tree);
+    expect(hash).toMatch(/^#type=IntervalTree&tree=\d+:\d+(,\d+:\d+){5}$/);
+    expect(IntervalTree.fromJSON(decodeTreeHash(hash).file).intervals()).toEqual(tree.intervals());
+    expect(() => decodeTreeHash('#type=IntervalTree&tree=5:20,7'))
+      .toThrow('Invalid tree link: "7" is not a start:end interval');
+  });
+});
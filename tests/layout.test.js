@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import BST from '../src/logic/tree';
+import AVLTree from '../src/logic/avl';
+import RedBlackTree from '../src/logic/redBlackTree';
+import { layoutTidyTree, LAYOUT_CONFIG } from '../src/logic/layout';
+
+const byValue = (treeData) => new Map(treeData.nodes.map((n) => [n.value, n]));
+
+// Nodes on the same row must be at least one node width + gap apart
+const expectNoOverlap = (treeData) => {
+  const rows = new Map();
+  treeData.nodes.forEach((node) => {
+    const key = Math.round(node.y);
+    rows.set(key, [...(rows.get(key) || []), node]);
+  });
+  rows.forEach((row) => {
+    const xs = row.map((n) => n.x).sort((a, b) => a - b);
+    const minGap = (LAYOUT_CONFIG.NODE_WIDTH + LAYOUT_CONFIG.SIBLING_GAP) * row[0].scale;
+    for (let i = 1; i < xs.length; i += 1) {
+      expect(xs[i] - xs[i - 1]).toBeGreaterThanOrEqual(minGap - 1e-6);
+    }
+  });
+};
+
+describe('tidy tree layout', () => {
+  it('never overlaps nodes in a deep, bushy tree', () => {
+    const bst = new BST();
+    [50, 25, 75, 12, 37, 62, 87, 6, 18, 31, 43, 56, 68, 81, 93, 3, 9, 15, 21, 28, 34, 40, 46]
+      .forEach((v) => bst.insert(v));
+    expectNoOverlap(bst.getTreeData());
+  });
+
+  it('centres parents over their two children', () => {
+    const bst = new BST();
+    [50, 25, 75, 12, 37, 30, 40].forEach((v) => bst.insert(v));
+    const nodes = byValue(bst.getTreeData());
+    [[50, 25, 75], [25, 12, 37], [37, 30, 40]].forEach(([parent, left, right]) => {
+      expect(nodes.get(parent).x).toBeCloseTo((nodes.get(left).x + nodes.get(right).x) / 2);
+    });
+  });
+
+  it('keeps a lone child on its own side of the parent', () => {
+    const bst = new BST();
+    [50, 25, 30].forEach((v) => bst.insert(v));
+    const nodes = byValue(bst.getTreeData());
+    expect(nodes.get(25).x).toBeLessThan(nodes.get(50).x);
+    expect(nodes.get(30).x).toBeGreaterThan(nodes.get(25).x);
+  });
+
+  it('keeps skewed trees compact and inside the canvas', () => {
+    const bst = new BST();
+    for (let v = 1; v <= 8; v += 1) bst.insert(v);
+    const { nodes } = bst.getTreeData();
+    const xs = nodes.map((n) => n.x);
+    const step = ((LAYOUT_CONFIG.NODE_WIDTH + LAYOUT_CONFIG.SIBLING_GAP) / 2) * nodes[0].scale;
+
+    expect(Math.max(...xs) - Math.min(...xs)).toBeCloseTo(step * 7);
+    nodes.forEach((n) => {
+      expect(n.x).toBeGreaterThan(0);
+      expect(n.x).toBeLessThan(LAYOUT_CONFIG.CANVAS_WIDTH);
+      expect(n.y).toBeLessThan(LAYOUT_CONFIG.CANVAS_HEIGHT);
+    });
+  });
+
+  it('draws BST, AVL and Red-Black trees of the same shape identically', () => {
+    const values = [20, 10, 30, 5, 15, 25, 35];
+    const layouts = [new BST(), new AVLTree(), new RedBlackTree()].map((tree) => {
+      values.forEach((v) => tree.insert(v));
+      return tree.getTreeData().nodes.map((n) => [n.value, n.x, n.y]).sort((a, b) => a[0] - b[0]);
+    });
+    expect(layouts[1]).toEqual(layouts[0]);
+    expect(layouts[2]).toEqual(layouts[0]);
+  });
+
+  it('supports any number of children through getChildren', () => {
+    const leaf = (value) => ({ value, children: [] });
+    const root = { value: 'r', children: [leaf('a'), leaf('b'), leaf('c')] };
+    layoutTidyTree(root, { getChildren: (node) => node.children });
+    const [a, b, c] = root.children;
+    expect(root.x).toBeCloseTo(b.x);
+    expect(b.x - a.x).toBeCloseTo(c.x - b.x);
+    expect(a.y).toBeGreaterThan(root.y);
+  });
+});
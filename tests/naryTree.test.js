@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import NaryTree from '../src/logic/naryTree';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+import { insertValues } from '../src/logic/bulkInsert';
+import { LAYOUT_CONFIG } from '../src/logic/layout';
+import { messages } from './helpers';
+
+const idsByValue = (tree) => Object.fromEntries(
+  tree.getTreeData().nodes.map((node) => [node.value, node.id]),
+);
+
+//        1
+//     /  |  \
+//    2   3   4
+//       / \
+//      5   6
+const buildSample = () => {
+  const tree = new NaryTree();
+  tree.insert(1);
+  tree.insert(2, 1);
+  tree.insert(3, 1);
+  tree.insert(4, 1);
+  tree.insert(5, 3);
+  tree.insert(6, 3);
+  return tree;
+};
+
+describe('NaryTree', () => {
+  it('adds children under any node in the order they are given', () => {
+    const tree = buildSample();
+    const { animations } = tree.insert(7, 3);
+    expect(messages(animations)).toContain('Inserted 7 as child 3 of 3');
+    expect(tree.findNode(3).children.map((child) => child.value)).toEqual([5, 6, 7]);
+
+    const { edges } = tree.getTreeData();
+    expect(edges).toHaveLength(6);
+    expect(edges.every((edge) => edge.type === 'child')).toBe(true);
+
+    tree.insert(8);
+    expect(tree.findNode(8).parent).toBe(tree.root);
+    tree.insert(9, 42);
+    expect(tree.findNode(9)).toBeNull();
+    const duplicate = tree.insert(5, 1);
+    expect(messages(duplicate.animations)).toContain('Value 5 already exists in the tree');
+    expect(duplicate.animations.some((step) => step.type === 'shake')).toBe(true);
+    expect(tree.findNode(1).children.map((child) => child.value)).toEqual([2, 3, 4, 8]);
+  });
+
+  it('lays out a wide fan-out without overlapping nodes', () => {
+    const tree = new NaryTree();
+    tree.insert(0);
+    for (let value = 1; value <= 8; value += 1) tree.insert(value, 0);
+    tree.insert(20, 1);
+    tree.insert(21, 1);
+    tree.insert(80, 8);
+
+    const { nodes } = tree.getTreeData();
+    const byDepth = new Map();
+    nodes.forEach((node) => byDepth.set(node.y, [...(byDepth.get(node.y) || []), node]));
+    byDepth.forEach((row) => {
+      const xs = row.map((node) => node.x).sort((a, b) => a - b);
+      for (let i = 1; i < xs.length; i += 1) {
+        expect(xs[i] - xs[i - 1]).toBeGreaterThanOrEqual(LAYOUT_CONFIG.NODE_WIDTH * nodes[0].scale);
+      }
+    });
+  });
+
+  it('walks the tree in preorder, postorder, level order and as an Euler tour', () => {
+    const tree = buildSample();
+    expect(tree.preorderTraversal().result).toEqual([1, 2, 3, 5, 6, 4]);
+    expect(tree.postorderTraversal().result).toEqual([2, 5, 6, 3, 4, 1]);
+
+    const level = tree.levelOrderTraversal();
+    expect(level.result).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(level.animations.filter((step) => step.type === 'enqueue')).toHaveLength(6);
+
+    const { result, animations } = tree.eulerTourTraversal();
+    expect(result).toEqual([1, 2, 1, 3, 5, 3, 6, 3, 1, 4, 1]);
+    expect(result).toHaveLength(2 * 6 - 1);
+    const edgeStates = animations
+      .filter((step) => step.type === 'highlight-edge')
+      .map((step) => step.state);
+    expect(edgeStates.filter((state) => state === 'current')).toHaveLength(5);
+    expect(edgeStates.filter((state) => state === 'visited')).toHaveLength(5);
+    expect(messages(animations)).toContain('Back up from 5 to 3');
+  });
+
+  it('searches every node in preorder and deletes whole subtrees', () => {
+    const tree = buildSample();
+    const found = tree.search(6);
+    expect(found.found).toBe(true);
+    expect(messages(found.animations)).toContain('Found 6 after checking 5 nodes');
+    expect(messages(tree.search(9).animations)).toContain('Value 9 not found - checked all 6 nodes');
+
+    const ids = idsByValue(tree);
+    const { animations } = tree.delete(3);
+    expect(animations.filter((step) => step.type === 'fade-out').map((step) => step.nodeId).sort())
+      .toEqual([ids[3], ids[5], ids[6]].sort());
+    expect(tree.preorderTraversal().result).toEqual([1, 2, 4]);
+
+    tree.delete(1);
+    expect(tree.root).toBeNull();
+    expect(tree.getTreeData()).toEqual({ nodes: [], edges: [] });
+  });
+
+  it('draws the left-child/right-sibling form of the same tree', () => {
+    const tree = buildSample();
+    const ids = idsByValue(tree);
+    const { animations } = tree.setView('lcrs');
+    expect(animations[0].type).toBe('reposition');
+    expect(messages(animations)[0]).toMatch(/^Left-child\/right-sibling view/);
+
+    const { nodes, edges } = tree.getTreeData();
+    const edgeList = edges.map((edge) => `${edge.from}>${edge.to}:${edge.type}`);
+    expect(edgeList).toEqual([
+      `${ids[1]}>${ids[2]}:left`,
+      `${ids[2]}>${ids[3]}:right`,
+      `${ids[3]}>${ids[5]}:left`,
+      `${ids[5]}>${ids[6]}:right`,
+      `${ids[3]}>${ids[4]}:right`,
+    ]);
+    // The siblings 2, 3 and 4 now form a chain running down to the right
+    const position = Object.fromEntries(nodes.map((node) => [node.value, node]));
+    expect(position[3].x).toBeGreaterThan(position[2].x);
+    expect(position[4].y).toBeGreaterThan(position[3].y);
+
+    // Only the drawing changed
+    expect(tree.preorderTraversal().result).toEqual([1, 2, 3, 5, 6, 4]);
+    expect(tree.safeClone().view).toBe('lcrs');
+  });
+
+  it('clones independently and round-trips through JSON and share links', () => {
+    const tree = buildSample();
+    const copy = tree.safeClone();
+    copy.insert(7, 2);
+    expect(tree.findNode(7)).toBeNull();
+    expect(copy.findNode(7).parent.value).toBe(2);
+
+    const file = tree.toJSON();
+    expect(file.root.children.map((child) => child.value)).toEqual([2, 3, 4]);
+    const loaded = NaryTree.fromJSON(JSON.stringify(file));
+    expect(loaded.preorderTraversal().result).toEqual([1, 2, 3, 5, 6, 4]);
+    expect(loaded.findNode(5).parent.value).toBe(3);
+    expect(() => NaryTree.fromJSON({
+      ...file,
+      root: { value: 1, children: [{ value: 2, children: [] }, { value: 2, children: [] }] },
+    })).toThrow('root.children[1] (value 2) repeats the value of root.children[0]');
+
+    const hash = encodeTreeHash('NaryTree', tree);
+    expect(hash).toBe('#type=NaryTree&tree=1(2,3(5,6),4)');
+    expect(NaryTree.fromJSON(decodeTreeHash(hash).file).postorderTraversal().result)
+      .toEqual([2, 5, 6, 3, 4, 1]);
+    expect(() => decodeTreeHash('#type=NaryTree&tree=1(2,3')).toThrow('missing ")" after the children of 1');
+  });
+
+  it('bulk inserts new values under the root', () => {
+    const tree = buildSample();
+    const { inserted, skipped } = insertValues(tree, [7, 5, 8]);
+    expect(inserted).toEqual([7, 8]);
+    expect(skipped).toEqual([5]);
+    expect(tree.findNode(1).children.map((child) => child.value)).toEqual([2, 3, 4, 7, 8]);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import BST from '../src/logic/tree';
+import AVLTree from '../src/logic/avl';
+import RedBlackTree from '../src/logic/redBlackTree';
+import SplayTree from '../src/logic/splayTree';
+import Treap from '../src/logic/treap';
+import BinaryHeap from '../src/logic/binaryHeap';
+import IntervalTree from '../src/logic/intervalTree';
+import { ordinal } from '../src/logic/orderStatistics';
+import { createSeededRandom } from '../src/logic/bulkInsert';
+import { messages, insertAll, lastFrame } from './helpers';
+
+// Every size must count its subtree; returns that count
+const checkSizes = (node) => {
+  if (!node) return 0;
+  const size = 1 + checkSizes(node.left) + checkSizes(node.right);
+  expect(node.size).toBe(size);
+  return size;
+};
+
+const TREES = { BST, AVLTree, RedBlackTree };
+
+describe('subtree sizes', () => {
+  Object.entries(TREES).forEach(([name, TreeClass]) => {
+    it(`${name} keeps every size right through inserts, deletes and rotations`, () => {
+      const random = createSeededRandom(7);
+      const tree = new TreeClass();
+      const values = new Set();
+      for (let i = 0; i < 120; i += 1) {
+        const value = Math.floor(random() * 60);
+        if (random() < 0.65) {
+          tree.insert(value);
+          values.add(value);
+        } else {
+          tree.delete(value);
+          values.delete(value);
+        }
+        checkSizes(tree.root);
+      }
+      expect(tree.root.size).toBe(values.size);
+
+      const sorted = [...values].sort((a, b) => a - b);
+      sorted.forEach((value, index) => {
+        expect(tree.kthSmallest(index + 1).result).toBe(value);
+        expect(tree.rank(value)).toMatchObject({ result: index + 1, found: true });
+      });
+      expect(tree.rank(1000).result).toBe(sorted.length + 1);
+      expect(tree.rank(-1)).toMatchObject({ result: 1, found: false });
+
+      checkSizes(tree.safeClone().root);
+      // Loading recounts the sizes
+      checkSizes(TreeClass.fromJSON(JSON.stringify(tree)).root);
+    });
+  });
+
+  it('stays right in the trees built on the same rotations', () => {
+    const splay = new SplayTree();
+    const treap = new Treap(3);
+    const intervals = new IntervalTree();
+    [50, 20, 80, 10, 30, 70, 90, 25, 60, 85].forEach((value) => {
+      splay.insert(value);
+      treap.insert(value);
+      intervals.insert([value, value + 5]);
+    });
+    [30, 50, 10].forEach((value) => {
+      splay.delete(value);
+      treap.delete(value);
+      intervals.delete([value, value + 5]);
+    });
+    [splay, treap, intervals].forEach((tree) => {
+      checkSizes(tree.root);
+      expect(tree.root.size).toBe(7);
+    });
+  });
+
+  it('shows sizes on search tree nodes but not on heap slots', () => {
+    const tree = new AVLTree();
+    [1, 2, 3].forEach((value) => tree.insert(value));
+    expect(tree.getTreeData().nodes.map((node) => node.size)).toEqual([3, 1, 1]);
+
+    const heap = new BinaryHeap();
+    [5, 3, 8].forEach((value) => heap.insert(value));
+    expect(heap.getTreeData().nodes.every((node) => node.size === undefined)).toBe(true);
+
+    // The rotation's layout step carries the swapped sizes to the canvas
+    const before = insertAll(AVLTree, [1, 2]);
+    const sizes = Object.fromEntries(lastFrame(before, before.insert(3).animations).treeData.nodes
+      .map((node) => [node.value, node.size]));
+    expect(sizes).toEqual({ 1: 1, 2: 3, 3: 1 });
+  });
+});
+
+describe('k-th smallest and rank', () => {
+  const buildTree = () => insertAll(BST, [50, 30, 70, 20, 40, 60, 80, 35]);
+
+  // Values of the nodes an operation highlights, in the order it reaches them
+  const reached = (tree, animations) => {
+    const values = Object.fromEntries(tree.getTreeData().nodes
+      .map((node) => [node.id, node.value]));
+    return [...new Set(animations
+      .filter((step) => step.type === 'highlight-node')
+      .map((step) => values[step.nodeId]))];
+  };
+
+  it('narrates the size comparison at every node of the descent', () => {
+    const tree = buildTree();
+    const { result, animations } = tree.kthSmallest(4);
+    expect(result).toBe(40);
+    // Left of 50 holds exactly 4 keys; 30 and its left child are the 2 smallest
+    expect(reached(tree, animations)).toEqual([50, 30, 40]);
+    expect(messages(animations)).toContain(
+      'k = 4 > 1 on the left + 1, skipping 2 - going right with k = 2',
+    );
+    expect(lastFrame(tree, animations).statusFeed).toEqual(['40']);
+
+    expect(messages(buildTree().kthSmallest(9).animations)).toContain('k must be between 1 and 8');
+    expect(buildTree().kthSmallest(0).result).toBeNull();
+    expect(messages(new RedBlackTree().kthSmallest(1).animations)).toContain('The tree is empty');
+  });
+
+  it('counts the nodes passed on the left to rank a value', () => {
+    const tree = buildTree();
+    const { result, found, animations } = tree.rank(40);
+    expect({ result, found }).toEqual({ result: 4, found: true });
+    expect(reached(tree, animations)).toEqual([50, 30, 40]);
+    expect(messages(animations).pop())
+      .toBe('Found 40: 2 smaller above + 1 on its left = 3 smaller, so rank 4');
+
+    const absent = buildTree().rank(65);
+    expect(absent.result).toBe(7);
+    expect(messages(absent.animations))
+      .toContain('65 is not in the tree; 6 keys are smaller, so it would rank 7');
+    expect(lastFrame(buildTree(), absent.animations).statusFeed).toEqual(['65 would be 7th']);
+  });
+
+  it('names positions as ordinals', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 101, 111].map(ordinal))
+      .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '101st', '111th']);
+  });
+});
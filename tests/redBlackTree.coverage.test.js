@@ -18,6 +18,24 @@ describe('Red-Black Tree - Coverage Tests', () => {
   });
 
   describe('Insert Operations', () => {
+    it('should tint the descent path down to the new node', () => {
+      [10, 5, 15].forEach((v) => tree.insert(v));
+      const { animations } = tree.insert(12);
+      const edges = animations
+        .filter((a) => a.type === 'highlight-edge' && a.state === 'path')
+        .map((a) => a.edgeId);
+      const { right } = tree.root;
+      expect(edges).toEqual([`${tree.root.id}-${right.id}`, `${right.id}-${right.left.id}`]);
+    });
+
+    it('should fade in new nodes and shake on duplicates', () => {
+      const result = tree.insert(10);
+      expect(result.animations).toContainEqual(expect.objectContaining({ type: 'fade-in', nodeId: tree.root.id }));
+
+      const duplicate = tree.insert(10);
+      expect(duplicate.animations).toContainEqual(expect.objectContaining({ type: 'shake', nodeId: tree.root.id }));
+    });
+
     it('should insert into empty tree with black root', () => {
       const result = tree.insert(10);
       expect(result.tree.root).toBeTruthy();
@@ -84,6 +102,16 @@ describe('Red-Black Tree - Coverage Tests', () => {
   });
 
   describe('Delete Operations', () => {
+    it('should fade out the removed node and shake on a missing value', () => {
+      [10, 5, 15].forEach((v) => tree.insert(v));
+      const leafId = tree.root.left.id;
+      const result = tree.delete(5);
+      expect(result.animations).toContainEqual(expect.objectContaining({ type: 'fade-out', nodeId: leafId }));
+
+      const missing = tree.delete(99);
+      expect(missing.animations.some((a) => a.type === 'shake')).toBe(true);
+    });
+
     it('should delete from tree', () => {
       tree.insert(10);
       tree.insert(5);
@@ -118,6 +146,17 @@ describe('Red-Black Tree - Coverage Tests', () => {
   });
 
   describe('Search Operations', () => {
+    it('should pulse visited nodes and shake where a missing value runs out', () => {
+      [10, 5, 15].forEach((v) => tree.insert(v));
+      const found = tree.search(5);
+      expect(found.animations.filter((a) => a.type === 'pulse')).toHaveLength(2);
+      expect(found.animations.some((a) => a.type === 'highlight-edge')).toBe(true);
+
+      const missing = tree.search(20);
+      const shake = missing.animations.find((a) => a.type === 'shake');
+      expect(shake.nodeId).toBe(tree.root.right.id);
+    });
+
     it('should search in tree', () => {
       tree.insert(10);
       tree.insert(5);
@@ -166,6 +205,20 @@ describe('Red-Black Tree - Coverage Tests', () => {
       const result = tree.inorderTraversal();
       expect(result.result).toEqual([]);
     });
+
+    it('should perform level-order traversal', () => {
+      [10, 20, 30, 5].forEach((v) => tree.insert(v));
+
+      const result = tree.levelOrderTraversal();
+      expect(result.result).toEqual([20, 10, 30, 5]);
+      expect(result.animations.some((a) => a.type === 'enqueue')).toBe(true);
+    });
+
+    it('should handle level-order traversal on empty tree', () => {
+      const result = tree.levelOrderTraversal();
+      expect(result.result).toEqual([]);
+      expect(result.animations.some((a) => a.type === 'dequeue')).toBe(false);
+    });
   });
 
   describe('Color Properties', () => {
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import SegmentTree from '../src/logic/segmentTree';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+
+import { messages, buildFrom, lastFrame } from './helpers';
+
+const buildTree = (values, combine) => buildFrom(SegmentTree, values, combine);
+
+const SAMPLE = [5, 3, 8, 6, 1, 4];
+
+// Value of every node keyed by its interval, e.g. { '0-5': 27, ... }
+const byInterval = (nodes) => Object.fromEntries(
+  nodes.map((node) => [node.interval.join('-'), node.value]),
+);
+
+// Final sticky highlight of every node, keyed by its interval
+const marks = (tree, animations) => {
+  const last = lastFrame(tree, animations);
+  return Object.fromEntries(tree.getTreeData().nodes
+    .filter((node) => last.nodeHighlights[node.id])
+    .map((node) => [node.interval.join('-'), last.nodeHighlights[node.id]]));
+};
+
+describe('SegmentTree', () => {
+  it('builds bottom-up, every node holding the combine of its interval', () => {
+    const tree = new SegmentTree();
+    const { animations } = tree.build('5, 3 8 6, 1, 4');
+    const { nodes, edges } = tree.getTreeData();
+
+    expect(nodes).toHaveLength(11);
+    expect(edges).toHaveLength(10);
+    expect(nodes[0]).toMatchObject({ value: 27, interval: [0, 5] });
+    expect(nodes.filter((node) => node.arrayIndex !== undefined).map((node) => node.value))
+      .toEqual(SAMPLE);
+    expect(byInterval(nodes)).toEqual({
+      '0-5': 27,
+      '0-2': 16,
+      '0-1': 8,
+      '0-0': 5,
+      '1-1': 3,
+      '2-2': 8,
+      '3-5': 11,
+      '3-4': 7,
+      '3-3': 6,
+      '4-4': 1,
+      '5-5': 4,
+    });
+    expect(messages(animations).pop()).toBe('Built a sum segment tree: 11 nodes over 6 values');
+
+    expect(() => tree.build(' ')).toThrow('Enter at least one value');
+    expect(() => tree.build(Array(33).fill(1)))
+      .toThrow('A segment tree holds at most 32 values (got 33)');
+    expect(() => new SegmentTree('product')).toThrow('Unknown combine function "product"');
+  });
+
+  it('supports min, max and gcd', () => {
+    expect(buildTree(SAMPLE, 'min').root.value).toBe(1);
+    expect(buildTree(SAMPLE, 'max').root.value).toBe(8);
+    const gcd = buildTree([12, 18, 30, 42], 'gcd');
+    expect(gcd.root.value).toBe(6);
+    expect(gcd.query(2, 3).result).toBe(6);
+    expect(gcd.query(0, 0).result).toBe(12);
+    expect(messages(buildTree([4, 6], 'gcd').build([4, 6]).animations))
+      .toContain('[0, 1] = gcd(4, 6) = 2');
+  });
+
+  it('updates a leaf and recomputes its path to the root', () => {
+    const tree = buildTree(SAMPLE);
+    const { animations } = tree.update(2, 10);
+
+    expect(tree.values()).toEqual([5, 3, 10, 6, 1, 4]);
+    expect(tree.root.value).toBe(29);
+    expect(messages(animations).pop()).toBe('Updated a[2] to 10; 2 nodes above it recomputed');
+    // The animation rewrites the leaf and the nodes above it, and nothing else
+    const before = byInterval(buildTree(SAMPLE).getTreeData().nodes);
+    const after = byInterval(lastFrame(buildTree(SAMPLE), animations).treeData.nodes);
+    expect(after).toEqual({
+      ...before, '2-2': 10, '0-2': 18, '0-5': 29,
+    });
+    expect(byInterval(tree.getTreeData().nodes)).toEqual(after);
+
+    expect(messages(tree.update(6, 1).animations)).toEqual(['Index 6 is outside the array (0..5)']);
+    expect(messages(new SegmentTree().update(0, 1).animations)).toEqual(['Build the segment tree first']);
+  });
+
+  it('marks covered, partial and pruned nodes during a range query', () => {
+    const tree = buildTree(SAMPLE);
+    const { result, animations } = tree.query(1, 3);
+
+    expect(result).toBe(17);
+    expect(marks(tree, animations)).toEqual({
+      '0-5': 'partial',
+      '0-2': 'partial',
+      '0-1': 'partial',
+      '0-0': 'pruned',
+      '1-1': 'covered',
+      '2-2': 'covered',
+      '3-5': 'partial',
+      '3-4': 'partial',
+      '3-3': 'covered',
+      '4-4': 'pruned',
+      '5-5': 'pruned',
+    });
+    expect(messages(animations)).toContain('sum of a[1..3] = 17 (visited 11 of 11 nodes)');
+    expect(buildTree(SAMPLE, 'min').query(0, 2).result).toBe(3);
+
+    expect(messages(tree.query(3, 1).animations))
+      .toEqual(['The range [3, 1] is empty - its start is after its end']);
+    expect(messages(tree.query(0, 6).animations)).toEqual(['The range [0, 6] must lie within 0..5']);
+  });
+
+  it('traverses its nodes like any binary tree', () => {
+    const tree = buildTree([5, 3, 8]);
+    expect(tree.preorderTraversal().result).toEqual([16, 8, 5, 3, 8]);
+    expect(tree.postorderTraversal().result).toEqual([5, 3, 8, 8, 16]);
+    expect(tree.levelOrderTraversal().result).toEqual([16, 8, 8, 5, 3]);
+  });
+
+  it('clones independently and round-trips through JSON and share links', () => {
+    const tree = buildTree(SAMPLE, 'max');
+    const copy = tree.safeClone();
+    copy.update(0, 100);
+    expect(tree.values()).toEqual(SAMPLE);
+    expect(copy.root.id).toBe(tree.root.id);
+
+    const file = tree.toJSON();
+    expect(file).toMatchObject({ combine: 'max', values: SAMPLE });
+    expect(SegmentTree.fromJSON(JSON.stringify(file)).query(3, 5).result).toBe(6);
+    expect(() => SegmentTree.fromJSON({ ...file, combine: 'avg' }))
+      .toThrow('"combine" must be one of sum, min, max, gcd');
+    expect(SegmentTree.fromJSON({ ...file, values: [] }).root).toBeNull();
+
+    const hash = encodeTreeHash('SegmentTree', tree);
+    expect(hash).toBe('#type=SegmentTree&combine=max&tree=5,3,8,6,1,4');
+    const decoded = SegmentTree.fromJSON(decodeTreeHash(hash).file);
+    expect(decoded.combine).toBe('max');
+    expect(decoded.values()).toEqual(SAMPLE);
+  });
+});
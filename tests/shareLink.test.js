@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import BST from '../src/logic/tree';
+import AVLTree from '../src/logic/avl';
+import RedBlackTree from '../src/logic/redBlackTree';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+
+const shape = (node) => {
+  if (!node) return null;
+  return {
+    value: node.value,
+    color: node.color,
+    left: shape(node.left),
+    right: shape(node.right),
+  };
+};
+
+describe('shareable tree links', () => {
+  it('encodes the preorder (with colors for Red-Black trees)', () => {
+    const bst = new BST();
+    [5, 3, 7, 4].forEach((v) => bst.insert(v));
+    expect(encodeTreeHash('BST', bst)).toBe('#type=BST&tree=5,3,4,7');
+
+    const rb = new RedBlackTree();
+    [10, 5, 15].forEach((v) => rb.insert(v));
+    expect(encodeTreeHash('RBTree', rb)).toBe('#type=RBTree&tree=10b,5r,15r');
+
+    expect(encodeTreeHash('AVL', new AVLTree())).toBe('');
+  });
+
+  [
+    ['BST', BST],
+    ['AVL', AVLTree],
+    ['RBTree', RedBlackTree],
+  ].forEach(([type, TreeClass]) => {
+    it(`rebuilds the exact ${type} structure from its link`, () => {
+      const tree = new TreeClass();
+      [41, 20, 65, 11, 29, 50, 91, 32, 72, 99, -3].forEach((v) => tree.insert(v));
+      tree.delete(20);
+
+      const shared = decodeTreeHash(encodeTreeHash(type, tree));
+      expect(shared.type).toBe(type);
+      const rebuilt = TreeClass.fromJSON(shared.file);
+      expect(shape(rebuilt.root)).toEqual(shape(tree.root));
+    });
+  });
+
+  it('reloads a Red-Black link after deleting black leaves', () => {
+    const tree = new RedBlackTree();
+    [10, 5, 15, 3, 7, 12, 20, 1].forEach((v) => tree.insert(v));
+    tree.delete(1);
+    tree.delete(3);
+
+    const hash = encodeTreeHash('RBTree', tree);
+    expect(hash).toBe('#type=RBTree&tree=10b,5b,7r,15b,12r,20r');
+    const rebuilt = RedBlackTree.fromJSON(decodeTreeHash(hash).file);
+    expect(shape(rebuilt.root)).toEqual(shape(tree.root));
+    // The unbalanced shape the delete used to leave is still refused
+    const { file } = decodeTreeHash('#type=RBTree&tree=10b,5r,7b,15b,12r,20r');
+    expect(() => RedBlackTree.fromJSON(file)).toThrow('unequal black-heights');
+  });
+
+  it('ignores hashes without a tree and rejects malformed links', () => {
+    expect(decodeTreeHash('')).toBeNull();
+    expect(decodeTreeHash('#section-2')).toBeNull();
+    expect(() => decodeTreeHash('#tree=1,2')).toThrow('Invalid tree link: missing "type"');
+    expect(() => decodeTreeHash('#type=BST&tree=5,x')).toThrow('"x" is not a node value');
+    expect(() => decodeTreeHash('#type=RBTree&tree=5')).toThrow('"5" has no r/b color suffix');
+    expect(() => decodeTreeHash('#type=BST&tree=5,3,4,1')).toThrow(
+      '1 cannot follow the values before it in a preorder',
+    );
+  });
+
+  it('leaves tree-specific validation to fromJSON', () => {
+    const { file } = decodeTreeHash('#type=AVL&tree=1,2,3');
+    expect(() => AVLTree.fromJSON(file)).toThrow('root (value 1) is not AVL-balanced');
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import SplayTree, { SPLAY_STEPS } from '../src/logic/splayTree';
+
+const build = (values) => {
+  const tree = new SplayTree();
+  values.forEach((v) => tree.insert(v));
+  return tree;
+};
+
+const shape = (node) => (node ? [node.value, shape(node.left), shape(node.right)] : null);
+
+const splaySteps = (animations) => animations
+  .filter((step) => step.splayStep)
+  .map((step) => step.splayStep);
+
+// Parent pointers and BST ordering must survive every rotation
+const checkTree = (tree) => {
+  const visit = (node, parent, low, high) => {
+    if (!node) return 0;
+    expect(node.parent).toBe(parent);
+    expect(node.value).toBeGreaterThan(low);
+    expect(node.value).toBeLessThan(high);
+    return 1 + visit(node.left, node, low, node.value) + visit(node.right, node, node.value, high);
+  };
+  return visit(tree.root, null, -Infinity, Infinity);
+};
+
+describe('SplayTree', () => {
+  it('splays every inserted value to the root', () => {
+    const tree = build([5, 3, 8, 1]);
+    expect(tree.root.value).toBe(1);
+    checkTree(tree);
+  });
+
+  it('names a zig step when the node is a child of the root', () => {
+    const tree = build([5]);
+    const { animations } = tree.insert(3);
+    expect(splaySteps(animations)).toEqual([SPLAY_STEPS.ZIG]);
+    expect(animations.find((s) => s.splayStep).message).toMatch(/^Zig: 3 is the left child of 5/);
+    expect(shape(tree.root)).toEqual([3, null, [5, null, null]]);
+  });
+
+  it('uses zig-zig when node and parent lean the same way', () => {
+    // Inserting in increasing order leaves a left path: 3 -> 2 -> 1
+    const tree = build([1, 2, 3]);
+    expect(shape(tree.root)).toEqual([3, [2, [1, null, null], null], null]);
+
+    const { found, animations } = tree.search(1);
+    expect(found).toBe(true);
+    expect(splaySteps(animations)).toEqual([SPLAY_STEPS.ZIG_ZIG]);
+    expect(shape(tree.root)).toEqual([1, null, [2, null, [3, null, null]]]);
+  });
+
+  it('uses zig-zag when node and parent lean opposite ways', () => {
+    const tree = build([10, 1]); // 1 -> right 10
+    const { animations } = tree.insert(5); // 5 is the left child of 10, which is a right child
+    expect(splaySteps(animations)).toEqual([SPLAY_STEPS.ZIG_ZAG]);
+    expect(shape(tree.root)).toEqual([5, [1, null, null], [10, null, null]]);
+  });
+
+  it('splays the last node visited on a miss', () => {
+    const tree = build([10, 20, 30]);
+    const { found } = tree.search(25);
+    expect(found).toBe(false);
+    expect([20, 30]).toContain(tree.root.value);
+    checkTree(tree);
+  });
+
+  it('deletes by splaying the target and joining its subtrees', () => {
+    const tree = build([50, 30, 70, 20, 40, 60, 80]);
+    const { animations } = tree.delete(50);
+    expect(tree.inorderTraversal().result).toEqual([20, 30, 40, 60, 70, 80]);
+    expect(tree.root.value).toBe(40);
+    expect(animations.some((s) => s.type === 'fade-out')).toBe(true);
+    checkTree(tree);
+
+    tree.delete(99);
+    expect(tree.inorderTraversal().result).toHaveLength(6);
+  });
+
+  it('stays a valid BST through a long mixed sequence', () => {
+    const tree = new SplayTree();
+    const present = new Set();
+    let seed = 7;
+    for (let i = 0; i < 200; i += 1) {
+      seed = (seed * 16807) % 2147483647;
+      const value = seed % 40;
+      if (seed % 3 === 0) {
+        tree.delete(value);
+        present.delete(value);
+      } else if (seed % 3 === 1) {
+        tree.insert(value);
+        present.add(value);
+      } else {
+        tree.search(value);
+      }
+      expect(checkTree(tree)).toBe(present.size);
+    }
+  });
+
+  it('round-trips through JSON and keeps its class on clone', () => {
+    const tree = build([4, 2, 6]);
+    const copy = SplayTree.fromJSON(JSON.stringify(tree));
+    expect(shape(copy.root)).toEqual(shape(tree.root));
+    expect(tree.safeClone()).toBeInstanceOf(SplayTree);
+    expect(tree.toJSON().type).toBe('SplayTree');
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import Treap from '../src/logic/treap';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+
+const shape = (node) => (node
+  ? [node.value, node.priority, shape(node.left), shape(node.right)]
+  : null);
+
+// BST order on values, max-heap order on priorities, consistent parents
+const checkTreap = (tree) => {
+  const visit = (node, parent, low, high) => {
+    if (!node) return 0;
+    expect(node.parent).toBe(parent);
+    expect(node.value).toBeGreaterThan(low);
+    expect(node.value).toBeLessThan(high);
+    if (parent) expect(node.priority).toBeLessThanOrEqual(parent.priority);
+    return 1 + visit(node.left, node, low, node.value) + visit(node.right, node, node.value, high);
+  };
+  return visit(tree.root, null, -Infinity, Infinity);
+};
+
+describe('Treap', () => {
+  it('rotates a new node up while it outranks its parent', () => {
+    const tree = new Treap(1);
+    tree.insert(50, 10);
+    tree.insert(30, 5);
+    const { animations } = tree.insert(40, 90);
+
+    expect(shape(tree.root)).toEqual([40, 90, [30, 5, null, null], [50, 10, null, null]]);
+    const messages = animations.filter((s) => s.type === 'update-status').map((s) => s.message);
+    expect(messages).toContain(
+      'Heap order broken: priority 90 of 40 > priority 5 of 30 - rotate 40 up',
+    );
+    expect(messages).toContain(
+      'Heap order broken: priority 90 of 40 > priority 10 of 50 - rotate 40 up',
+    );
+    expect(animations.filter((s) => s.type === 'reposition').length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('deletes by rotating the target down to a leaf', () => {
+    const tree = new Treap(1);
+    [[50, 90], [30, 40], [70, 60], [60, 20], [80, 10]].forEach(([v, p]) => tree.insert(v, p));
+
+    const { animations } = tree.delete(50);
+    const messages = animations.filter((s) => s.type === 'update-status').map((s) => s.message);
+    // 70 outranks 30, so it is lifted first; then 30 (40) beats 60 (20)
+    expect(messages).toContain('Rotate 70 (priority 60) up - 50 sinks one level');
+    expect(messages).toContain('Rotate 30 (priority 40) up - 50 sinks one level');
+    expect(messages).toContain('50 is a leaf now - remove it');
+    expect(tree.inorderTraversal().result).toEqual([30, 60, 70, 80]);
+    expect(tree.root.value).toBe(70);
+    checkTreap(tree);
+  });
+
+  it('draws the same priorities from the same seed', () => {
+    const a = new Treap(42);
+    const b = new Treap(42);
+    [5, 3, 8, 1, 9, 7].forEach((v) => {
+      a.insert(v);
+      b.insert(v);
+    });
+    expect(shape(a.root)).toEqual(shape(b.root));
+
+    const c = new Treap(43);
+    [5, 3, 8, 1, 9, 7].forEach((v) => c.insert(v));
+    expect(shape(c.root)).not.toEqual(shape(a.root));
+  });
+
+  it('continues the priority sequence after cloning and reseeding restarts it', () => {
+    const tree = new Treap(7);
+    tree.insert(1);
+    const clone = tree.safeClone();
+    tree.insert(2);
+    clone.insert(2);
+    expect(clone.root.priority).toBe(tree.root.priority);
+
+    const fresh = new Treap(99);
+    fresh.insert(10);
+    tree.reseed(99);
+    tree.insert(10);
+    expect(fresh.getTreeData().nodes[0].priority)
+      .toBe(tree.getTreeData().nodes.find((n) => n.value === 10).priority);
+  });
+
+  it('keeps BST and heap order through random inserts and deletes', () => {
+    const tree = new Treap(2024);
+    const present = new Set();
+    let seed = 11;
+    for (let i = 0; i < 200; i += 1) {
+      seed = (seed * 16807) % 2147483647;
+      const value = seed % 50;
+      if (seed % 3 === 0) {
+        tree.delete(value);
+        present.delete(value);
+      } else {
+        tree.insert(value);
+        present.add(value);
+      }
+      expect(checkTreap(tree)).toBe(present.size);
+    }
+  });
+
+  it('exposes priorities to the canvas and keeps them in files and links', () => {
+    const tree = new Treap(5);
+    [[5, 80], [3, 12], [8, 40]].forEach(([v, p]) => tree.insert(v, p));
+    expect(tree.getTreeData().nodes.map((n) => n.priority)).toEqual([80, 12, 40]);
+
+    const copy = Treap.fromJSON(JSON.stringify(tree));
+    expect(shape(copy.root)).toEqual(shape(tree.root));
+    expect(copy.seed).toBe(5);
+
+    const hash = encodeTreeHash('Treap', tree);
+    expect(hash).toBe('#type=Treap&seed=5&draws=0&tree=5:80,3:12,8:40');
+    const shared = Treap.fromJSON(decodeTreeHash(hash).file);
+    expect(shape(shared.root)).toEqual(shape(tree.root));
+  });
+
+  it('refuses files that break heap order', () => {
+    const file = new Treap(5).toJSON();
+    file.root = {
+      value: 5,
+      priority: 10,
+      left: {
+        value: 3, priority: 20, left: null, right: null,
+      },
+      right: null,
+    };
+    expect(() => Treap.fromJSON(file)).toThrow(
+      'root (value 5) breaks heap order: priority 10, but its left child (3) has priority 20',
+    );
+    delete file.root.priority;
+    expect(() => Treap.fromJSON(file)).toThrow(/must have a numeric "priority"/);
+  });
+});
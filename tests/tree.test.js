@@ -36,6 +36,19 @@ describe('BST', () => {
     expect(result[result.length - 1]).toBe(5);
   });
 
+  it('levelOrderTraversal visits level by level and emits queue steps', () => {
+    const bst = new BST();
+    [5, 3, 7, 2, 4, 8].forEach((v) => bst.insert(v));
+    const { result, animations } = bst.levelOrderTraversal();
+    expect(result).toEqual([5, 3, 7, 2, 4, 8]);
+
+    // Every node is enqueued once and dequeued once, in the same order
+    const enqueued = animations.filter((a) => a.type === 'enqueue').map((a) => a.value);
+    const dequeued = animations.filter((a) => a.type === 'dequeue').map((a) => a.value);
+    expect(enqueued).toEqual(result);
+    expect(dequeued).toEqual(result);
+  });
+
   it('delete removes leaf and restructures tree', () => {
     const bst = new BST();
     [5, 3, 7, 2, 4, 6, 8].forEach((v) => bst.insert(v));
@@ -44,4 +57,49 @@ describe('BST', () => {
     expect(result).toEqual([3, 4, 5, 6, 7, 8]);
     expect(bst.search(2).found).toBe(false);
   });
+
+  it('emits fade, pulse, shake and edge steps', () => {
+    const bst = new BST();
+    const inserted = bst.insert(5);
+    expect(inserted.animations).toContainEqual(expect.objectContaining({ type: 'fade-in', nodeId: bst.root.id }));
+    bst.insert(3);
+
+    const duplicate = bst.insert(5);
+    expect(duplicate.animations).toContainEqual(expect.objectContaining({ type: 'shake', nodeId: bst.root.id }));
+
+    const search = bst.search(3);
+    expect(search.animations.filter((a) => a.type === 'pulse')).toHaveLength(2);
+    expect(search.animations).toContainEqual(expect.objectContaining({
+      type: 'highlight-edge',
+      edgeId: `${bst.root.id}-${bst.root.left.id}`,
+    }));
+
+    const missing = bst.search(4);
+    expect(missing.animations).toContainEqual(expect.objectContaining({ type: 'shake', nodeId: bst.root.left.id }));
+
+    const leftId = bst.root.left.id;
+    const removed = bst.delete(3);
+    expect(removed.animations).toContainEqual(expect.objectContaining({ type: 'fade-out', nodeId: leftId }));
+  });
+
+  it('highlights every node and edge on the insert, search and delete paths', () => {
+    const bst = new BST();
+    [5, 3, 8, 4].forEach((v) => bst.insert(v));
+    const pathEdges = (animations) => animations
+      .filter((a) => a.type === 'highlight-edge' && a.state === 'path')
+      .map((a) => a.edgeId);
+    const root = bst.root.id;
+    const three = bst.root.left.id;
+    const four = bst.root.left.right.id;
+
+    expect(pathEdges(bst.search(4).animations)).toEqual([`${root}-${three}`, `${three}-${four}`]);
+    expect(pathEdges(bst.delete(4).animations)).toEqual([`${root}-${three}`, `${three}-${four}`]);
+
+    const { animations } = bst.insert(2);
+    const pathNodes = animations
+      .filter((a) => a.type === 'highlight-node' && a.state === 'path')
+      .map((a) => a.nodeId);
+    expect(pathNodes).toEqual([root, three]);
+    expect(pathEdges(animations)).toEqual([`${root}-${three}`, `${three}-${bst.root.left.left.id}`]);
+  });
 });
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import BST from '../src/logic/tree';
+import AVLTree from '../src/logic/avl';
+import RedBlackTree from '../src/logic/redBlackTree';
+import { createSeededRandom } from '../src/logic/bulkInsert';
+import { readTreeFileType, TREE_FILE_FORMAT } from '../src/logic/treeSerialization';
+
+const inorder = (node, out = []) => {
+  if (!node) return out;
+  inorder(node.left, out);
+  out.push(node.value);
+  inorder(node.right, out);
+  return out;
+};
+
+// Structure + ids + the per-type extras, ignoring layout coordinates
+const shape = (node) => {
+  if (!node) return null;
+  return {
+    id: node.id,
+    value: node.value,
+    height: node.height,
+    color: node.color,
+    left: shape(node.left),
+    right: shape(node.right),
+  };
+};
+
+const file = (type, root) => ({
+  format: TREE_FILE_FORMAT, version: 1, type, root,
+});
+const leaf = (value, extra = {}) => ({
+  value, left: null, right: null, ...extra,
+});
+
+describe('tree JSON files', () => {
+  [
+    ['BST', BST],
+    ['AVL', AVLTree],
+    ['RBTree', RedBlackTree],
+  ].forEach(([type, TreeClass]) => {
+    it(`round-trips a ${type} through JSON text`, () => {
+      const tree = new TreeClass();
+      [50, 30, 70, 20, 40, 60, 80, 35, 45, 65].forEach((v) => tree.insert(v));
+      tree.delete(30);
+
+      const text = JSON.stringify(tree);
+      expect(readTreeFileType(text)).toBe(type);
+
+      const loaded = TreeClass.fromJSON(text);
+      expect(shape(loaded.root)).toEqual(shape(tree.root));
+      expect(loaded.root.left.parent).toBe(loaded.root);
+
+      // New nodes never reuse an id from the file
+      loaded.insert(99);
+      const ids = [];
+      const collect = (node) => {
+        if (!node) return;
+        ids.push(node.id);
+        collect(node.left);
+        collect(node.right);
+      };
+      collect(loaded.root);
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(inorder(loaded.root)).toEqual([20, 35, 40, 45, 50, 60, 65, 70, 80, 99]);
+    });
+  });
+
+  it('assigns ids and AVL heights that the file leaves out', () => {
+    const tree = AVLTree.fromJSON(file('AVL', { value: 2, left: leaf(1), right: leaf(3) }));
+    expect(tree.root.height).toBe(2);
+    expect(new Set([tree.root.id, tree.root.left.id, tree.root.right.id]).size).toBe(3);
+    expect(tree.getTreeData().nodes).toHaveLength(3);
+  });
+
+  it('loads an empty tree', () => {
+    const tree = BST.fromJSON(file('BST', null));
+    expect(tree.root).toBeNull();
+  });
+
+  it('rejects malformed files with a precise message', () => {
+    expect(() => BST.fromJSON('{ nope')).toThrow(/Invalid tree file: not valid JSON/);
+    expect(() => BST.fromJSON({ ...file('BST', null), format: 'other' })).toThrow(/"format" must be/);
+    expect(() => BST.fromJSON({ ...file('BST', null), version: 2 })).toThrow(/unsupported version 2/);
+    expect(() => BST.fromJSON(file('AVL', null))).toThrow('file contains a AVL tree, not a BST tree');
+    expect(() => BST.fromJSON(file('BST', { value: 5, left: { value: 'x' } })))
+      .toThrow('root.left has no numeric "value"');
+    expect(() => BST.fromJSON(file('BST', { id: 'a', value: 5, left: leaf(3, { id: 'a' }) })))
+      .toThrow('root.left (value 3) reuses id "a"');
+  });
+
+  it('rejects values that break BST ordering', () => {
+    const root = { value: 10, left: { value: 5, left: null, right: leaf(12) }, right: null };
+    expect(() => BST.fromJSON(file('BST', root))).toThrow(
+      'root.left.right (value 12) breaks BST ordering: must be less than 10 (root)',
+    );
+  });
+
+  it('rejects unbalanced AVL trees and wrong stored heights', () => {
+    const chain = { value: 1, right: { value: 2, right: leaf(3) } };
+    expect(() => AVLTree.fromJSON(file('AVL', chain))).toThrow(
+      'root (value 1) is not AVL-balanced: balance factor -2',
+    );
+
+    const wrongHeight = {
+      value: 2, height: 3, left: leaf(1), right: leaf(3),
+    };
+    expect(() => AVLTree.fromJSON(file('AVL', wrongHeight))).toThrow(
+      'root (value 2) stores height 3 but its subtree has height 2',
+    );
+  });
+
+  it('rejects trees that break a Red-Black rule', () => {
+    const red = (value, extra) => leaf(value, { color: 'red', ...extra });
+    const black = (value, extra) => leaf(value, { color: 'black', ...extra });
+
+    expect(() => RedBlackTree.fromJSON(file('RBTree', red(1)))).toThrow('root (value 1) must be black');
+    expect(() => RedBlackTree.fromJSON(file('RBTree', leaf(1)))).toThrow(
+      'root (value 1) must have "color" "red" or "black"',
+    );
+    expect(() => RedBlackTree.fromJSON(file('RBTree', black(5, { left: red(3, { left: red(1) }) }))))
+      .toThrow('root.left (value 3) is red and has a red left child (1)');
+    expect(() => RedBlackTree.fromJSON(file('RBTree', black(5, { left: black(3) }))))
+      .toThrow('root (value 5) has unequal black-heights: left 2, right 1');
+  });
+
+  it('reopens Red-Black trees after deleting black leaves', () => {
+    // Black nodes on every path from node down to a null link; fails on any difference
+    const blackHeight = (node) => {
+      if (!node) return 1;
+      const left = blackHeight(node.left);
+      expect(blackHeight(node.right)).toBe(left);
+      return left + (node.color === 'black' ? 1 : 0);
+    };
+
+    const tree = new RedBlackTree();
+    [10, 5, 15, 3, 7, 12, 20, 1].forEach((v) => tree.insert(v));
+    tree.delete(1);
+    tree.delete(3);
+    blackHeight(tree.root);
+    expect(shape(RedBlackTree.fromJSON(JSON.stringify(tree)).root)).toEqual(shape(tree.root));
+
+    const random = createSeededRandom(3);
+    for (let run = 0; run < 30; run += 1) {
+      const shuffled = new RedBlackTree();
+      for (let i = 0; i < 40; i += 1) {
+        const value = Math.floor(random() * 30);
+        if (random() < 0.6) shuffled.insert(value);
+        else shuffled.delete(value);
+        blackHeight(shuffled.root);
+      }
+      expect(() => RedBlackTree.fromJSON(JSON.stringify(shuffled))).not.toThrow();
+    }
+  });
+});
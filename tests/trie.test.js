@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import Trie, { normalizeWord } from '../src/logic/trie';
+import { encodeTreeHash, decodeTreeHash } from '../src/logic/shareLink';
+import { parseWordList, insertValues } from '../src/logic/bulkInsert';
+import { messages, insertAll, lastFrame } from './helpers';
+
+const buildTrie = (words) => insertAll(Trie, words);
+
+// Node ids by the prefix each node spells
+const idsByPrefix = (trie) => Object.fromEntries(
+  trie.getTreeData().nodes.map((node) => [node.value, node.id]),
+);
+
+describe('Trie', () => {
+  it('shares common prefixes and labels every edge with its character', () => {
+    const trie = buildTrie(['tea', 'ten', 'to']);
+    const { nodes, edges } = trie.getTreeData();
+
+    // root, t, te, tea, ten, to
+    expect(nodes.map((node) => node.value)).toEqual(['', 't', 'te', 'tea', 'ten', 'to']);
+    expect(nodes.filter((node) => node.wordEnd).map((node) => node.value)).toEqual(['tea', 'ten', 'to']);
+    expect(edges.map((edge) => edge.label)).toEqual(['t', 'e', 'a', 'n', 'o']);
+    expect(edges.every((edge) => edge.type === 'child')).toBe(true);
+
+    const { animations } = trie.insert('tent');
+    const ids = idsByPrefix(trie);
+    expect(trie.getTreeData().edges).toContainEqual(
+      expect.objectContaining({ from: ids.ten, to: ids.tent, label: 't' }),
+    );
+    // Only the new node fades in; the shared prefix is walked, not rebuilt
+    expect(animations.filter((step) => step.type === 'fade-in').map((step) => step.nodeId))
+      .toEqual([ids.tent]);
+    expect(messages(animations)).toContain('Prefix "ten" is already in the trie');
+  });
+
+  it('rejects duplicates and turns an existing prefix into a word', () => {
+    const trie = buildTrie(['tea']);
+    const duplicate = trie.insert('tea');
+    expect(messages(duplicate.animations)).toContain('Word "tea" already exists in the trie');
+    expect(duplicate.animations.some((step) => step.type === 'shake')).toBe(true);
+
+    const { animations } = trie.insert('te');
+    expect(messages(animations)).toContain('"te" was already a prefix - marked it as a word');
+    expect(trie.words()).toEqual(['te', 'tea']);
+    // The final layout step carries the new word-end mark to the canvas
+    const layout = animations.filter((step) => step.type === 'reposition').pop();
+    const te = layout.nodeUpdates.find((update) => update.value === 'te');
+    expect(te.wordEnd).toBe(true);
+  });
+
+  it('tells stored words apart from mere prefixes and missing edges', () => {
+    const trie = buildTrie(['tea', 'ten']);
+    expect(trie.search('ten').found).toBe(true);
+    expect(messages(trie.search('ten').animations)).toContain('Found "ten"');
+
+    const prefix = trie.search('te');
+    expect(prefix.found).toBe(false);
+    expect(messages(prefix.animations)).toContain('"te" is only a prefix of other words, not a stored word');
+
+    const missing = trie.search('tip');
+    expect(missing.found).toBe(false);
+    expect(messages(missing.animations)).toContain('No edge "i" below "t" - "tip" is not in the trie');
+    expect(new Trie().search('a').found).toBe(false);
+  });
+
+  it('prunes only the nodes no other word runs through', () => {
+    const trie = buildTrie(['tea', 'ten', 'team']);
+
+    const before = idsByPrefix(trie);
+    const { animations } = trie.delete('team');
+    expect(trie.words()).toEqual(['tea', 'ten']);
+    expect(trie.getTreeData().nodes).toHaveLength(5);
+    // "tea" still ends a word, so pruning stops below it
+    expect(animations.filter((step) => step.type === 'fade-out').map((step) => step.nodeId))
+      .toEqual([before.team]);
+    expect(messages(animations)).toContain('"tea" still ends or leads to another word - stop pruning');
+
+    // "te" has two children, so deleting "tea" keeps it
+    trie.delete('tea');
+    expect(trie.getTreeData().nodes.map((node) => node.value)).toEqual(['', 't', 'te', 'ten']);
+    expect(messages(trie.delete('tea').animations)).toContain('No edge "a" below "te" - "tea" is not in the trie');
+
+    trie.delete('ten');
+    expect(trie.root).toBeNull();
+    expect(trie.getTreeData()).toEqual({ nodes: [], edges: [] });
+  });
+
+  it('lists the completions of a prefix and keeps them highlighted', () => {
+    const trie = buildTrie(['tea', 'ten', 'to', 'inn']);
+    const { result, animations } = trie.prefixSearch('te');
+    expect(result).toEqual(['tea', 'ten']);
+    expect(messages(animations)).toContain('2 words start with "te": tea, ten');
+
+    const last = lastFrame(trie, animations);
+    expect(last.statusFeed).toEqual(['tea', 'ten']);
+    const ids = idsByPrefix(trie);
+    expect(last.nodeHighlights[ids.tea]).toBe('found');
+    expect(last.nodeHighlights[ids.ten]).toBe('found');
+    expect(last.nodeHighlights[ids.to]).toBeUndefined();
+
+    const none = trie.prefixSearch('x');
+    expect(none.result).toEqual([]);
+    expect(messages(none.animations)).toContain('No word starts with "x"');
+  });
+
+  it('lists words in lexicographic order whatever the insertion order', () => {
+    const trie = buildTrie(['to', 'tea', 'inn', 'i', 'ten', 'in']);
+    const { result, animations } = trie.lexicographicTraversal();
+    expect(result).toEqual(['i', 'in', 'inn', 'tea', 'ten', 'to']);
+    expect(animations.filter((step) => step.type === 'show-value').map((step) => step.value))
+      .toEqual(result);
+
+    expect(trie.preorderTraversal().result).toEqual(['(root)', 'i', 'in', 'inn', 't', 'te', 'tea', 'ten', 'to']);
+    expect(trie.levelOrderTraversal().result).toEqual(['(root)', 'i', 't', 'in', 'te', 'to', 'inn', 'tea', 'ten']);
+  });
+
+  it('clones independently and round-trips through JSON and share links', () => {
+    const trie = buildTrie(['ten', 'tea']);
+    const copy = trie.safeClone();
+    copy.insert('to');
+    expect(trie.words()).toEqual(['tea', 'ten']);
+    expect(copy.getTreeData().nodes[0].id).toBe(trie.getTreeData().nodes[0].id);
+
+    const file = trie.toJSON();
+    expect(file.words).toEqual(['tea', 'ten']);
+    expect(Trie.fromJSON(JSON.stringify(file)).words()).toEqual(['tea', 'ten']);
+    expect(() => Trie.fromJSON({ ...file, words: ['tea', 'Tea'] }))
+      .toThrow('words[1] ("Tea") must be a word of lowercase letters a-z');
+    expect(() => Trie.fromJSON({ ...file, words: ['tea', 'tea'] })).toThrow('words[1] repeats "tea"');
+
+    const hash = encodeTreeHash('Trie', trie);
+    expect(hash).toBe('#type=Trie&tree=tea,ten');
+    expect(Trie.fromJSON(decodeTreeHash(hash).file).words()).toEqual(['tea', 'ten']);
+    expect(encodeTreeHash('Trie', new Trie())).toBe('');
+  });
+
+  it('reads words from text and bulk inserts them once each', () => {
+    expect(normalizeWord('  Tea ')).toBe('tea');
+    expect(normalizeWord('t3a')).toBeNull();
+    expect(parseWordList('Tea, ten to')).toEqual(['tea', 'ten', 'to']);
+    expect(() => parseWordList('tea 42')).toThrow('"42" is not a word (letters a-z only)');
+
+    const trie = buildTrie(['tea']);
+    const { inserted, skipped } = insertValues(trie, ['ten', 'tea', 'to', 'ten']);
+    expect(inserted).toEqual(['ten', 'to']);
+    expect(skipped).toEqual(['tea', 'ten']);
+    expect(trie.words()).toEqual(['tea', 'ten', 'to']);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  VIEWPORT_CONFIG,
+  DEFAULT_VIEW,
+  zoomAt,
+  panBy,
+  fitToView,
+  followNode,
+  getViewTransform,
+} from '../src/logic/viewport';
+
+describe('canvas viewport', () => {
+  it('zooms around a point so that point stays under the cursor', () => {
+    const point = { x: 300, y: 200 };
+    const view = zoomAt(DEFAULT_VIEW, 2, point);
+    expect(view.zoom).toBe(2);
+    // The layout point that was under the cursor (300, 200) still maps there
+    expect(300 * view.zoom + view.x).toBeCloseTo(point.x);
+    expect(200 * view.zoom + view.y).toBeCloseTo(point.y);
+  });
+
+  it('clamps zoom to the configured range', () => {
+    expect(zoomAt(DEFAULT_VIEW, 100, { x: 0, y: 0 }).zoom).toBe(VIEWPORT_CONFIG.MAX_ZOOM);
+    expect(zoomAt(DEFAULT_VIEW, 0.001, { x: 0, y: 0 }).zoom).toBe(VIEWPORT_CONFIG.MIN_ZOOM);
+  });
+
+  it('pans by a screen delta and formats the CSS transform', () => {
+    const view = panBy({ zoom: 1.5, x: 10, y: 20 }, 5, -5);
+    expect(view).toEqual({ zoom: 1.5, x: 15, y: 15 });
+    expect(getViewTransform(view)).toBe('translate(15px, 15px) scale(1.5)');
+  });
+
+  it('fits every node inside the viewport, centred', () => {
+    const nodes = [
+      { x: 100, y: 100, scale: 1 },
+      { x: 1300, y: 100, scale: 1 },
+      { x: 700, y: 500, scale: 1 },
+    ];
+    const view = fitToView(nodes, 600, 400);
+    const toScreen = (n) => ({ x: n.x * view.zoom + view.x, y: n.y * view.zoom + view.y });
+
+    nodes.map(toScreen).forEach((p) => {
+      expect(p.x).toBeGreaterThanOrEqual(0);
+      expect(p.x).toBeLessThanOrEqual(600);
+      expect(p.y).toBeGreaterThanOrEqual(0);
+      expect(p.y).toBeLessThanOrEqual(400);
+    });
+    expect(toScreen({ x: 700, y: 300 }).x).toBeCloseTo(300);
+  });
+
+  it('does not blow a single node up past the fit limit', () => {
+    const view = fitToView([{ x: 700, y: 100 }], 800, 600);
+    expect(view.zoom).toBe(VIEWPORT_CONFIG.FIT_MAX_ZOOM);
+  });
+
+  it('follows a node only once it leaves the comfortable area', () => {
+    const view = { zoom: 2, x: 0, y: 0 };
+    expect(followNode(view, { x: 100, y: 100 }, 800, 600)).toBe(view);
+
+    const moved = followNode(view, { x: 700, y: 100 }, 800, 600);
+    expect(moved.zoom).toBe(2);
+    expect(700 * moved.zoom + moved.x).toBeCloseTo(400);
+    expect(100 * moved.zoom + moved.y).toBeCloseTo(300);
+  });
+});